@@ -0,0 +1,188 @@
+/**
+ * Payload Archive Tests
+ * Tests for archiving inbound payloads, step idempotency, queued processing and the replay guard
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Payload Archive', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let archiveHandler;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payload-archive-'));
+    process.env = { ...originalEnv, DATA_DIR: dataDir };
+    archiveHandler = require('../archive');
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function archive(deliveryId, source = 'test') {
+    return archiveHandler.archivePayload(deliveryId, {
+      source,
+      event: 'push',
+      headers: { 'x-github-event': 'push', 'X-Gitlab-Token': 'secret', authorization: 'Bearer secret' },
+      body: { ref: 'refs/heads/main' }
+    });
+  }
+
+  describe('archivePayload', () => {
+    test('stores body and headers with secrets redacted', () => {
+      const entry = archive('archive-1');
+
+      expect(entry).toMatchObject({ deliveryId: 'archive-1', source: 'test', event: 'push', status: 'received' });
+      expect(entry.body).toEqual({ ref: 'refs/heads/main' });
+      expect(entry.headers['x-github-event']).toBe('push');
+      expect(entry.headers['X-Gitlab-Token']).toBe('[redacted]');
+      expect(entry.headers.authorization).toBe('[redacted]');
+    });
+
+    test('keeps each body in its own file and the index free of bodies', () => {
+      archive('github:archive-10');
+
+      const index = JSON.parse(fs.readFileSync(path.join(dataDir, 'payloads.json'), 'utf8'));
+      expect(index['github:archive-10']).not.toHaveProperty('body');
+      expect(index['github:archive-10']).not.toHaveProperty('headers');
+      const content = JSON.parse(fs.readFileSync(path.join(dataDir, 'payloads', 'github%3Aarchive-10.json'), 'utf8'));
+      expect(content.body).toEqual({ ref: 'refs/heads/main' });
+      expect(archiveHandler.getPayload('github:archive-10')).toMatchObject({ status: 'received', body: { ref: 'refs/heads/main' } });
+    });
+
+    test('redacts the Slack verification token from bodies', () => {
+      const entry = archiveHandler.archivePayload('slack:archive-11', {
+        source: 'slack',
+        event: 'slash_command',
+        headers: {},
+        body: { token: 'verification-token', command: '/deploy', text: 'approve deploy-main-1' }
+      });
+
+      expect(entry.body).toEqual({ token: '[redacted]', command: '/deploy', text: 'approve deploy-main-1' });
+      expect(fs.readFileSync(path.join(dataDir, 'payloads', 'slack%3Aarchive-11.json'), 'utf8')).not.toContain('verification-token');
+    });
+
+    test('deletes the body files of entries past retention', () => {
+      archive('archive-12');
+      const bodyPath = path.join(dataDir, 'payloads', 'archive-12.json');
+      expect(fs.existsSync(bodyPath)).toBe(true);
+
+      jest.useFakeTimers({ now: Date.now() + 31 * 24 * 60 * 60 * 1000 });
+      archive('archive-13');
+      jest.useRealTimers();
+
+      expect(archiveHandler.getPayload('archive-12')).toBeNull();
+      expect(fs.existsSync(bodyPath)).toBe(false);
+    });
+
+    test('counts redeliveries without replacing the original', () => {
+      archive('archive-2');
+      archiveHandler.recordOutcome('archive-2', 'processed');
+      const entry = archive('archive-2');
+
+      expect(entry.redeliveries).toBe(1);
+      expect(entry.status).toBe('processed');
+    });
+  });
+
+  describe('runStep and trackTask', () => {
+    test('a failed step fails the delivery and only that step is redone', async () => {
+      archive('archive-3');
+      const slack = jest.fn().mockResolvedValue({ success: true, thread_ts: '1.1' });
+      const notion = jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce('page-1');
+      const task = async () => {
+        await archiveHandler.runStep('archive-3', 'slack:d1', slack);
+        await archiveHandler.runStep('archive-3', 'notion:d1', notion);
+      };
+
+      expect(await archiveHandler.trackTask('archive-3', task)).toBe('failed');
+      expect(archiveHandler.getPayload('archive-3').error).toBe('notion:d1: Step returned no result');
+
+      expect(await archiveHandler.trackTask('archive-3', task)).toBe('processed');
+      expect(slack).toHaveBeenCalledTimes(1);
+      expect(notion).toHaveBeenCalledTimes(2);
+      expect(archiveHandler.getPayload('archive-3').attempts.map(a => a.status)).toEqual(['failed', 'processed']);
+    });
+
+    test('a throwing task is recorded as failed', async () => {
+      archive('archive-4');
+      const status = await archiveHandler.trackTask('archive-4', async () => {
+        throw new Error('Notion API error: 502');
+      });
+
+      expect(status).toBe('failed');
+      expect(archiveHandler.getPayload('archive-4').error).toBe('Notion API error: 502');
+    });
+
+    test('deliveries without work are ignored', async () => {
+      archive('archive-5');
+      expect(await archiveHandler.trackTask('archive-5', null)).toBe('ignored');
+    });
+  });
+
+  describe('replayPayload', () => {
+    const processor = jest.fn();
+
+    beforeAll(() => {
+      archiveHandler.registerProcessor('replayable', processor);
+    });
+
+    beforeEach(() => {
+      processor.mockReset();
+      processor.mockReturnValue({ result: { status: 'received' }, task: async () => {} });
+    });
+
+    test('re-runs a failed delivery through its source processor', async () => {
+      archive('archive-6', 'replayable');
+      archiveHandler.recordOutcome('archive-6', 'failed', 'boom');
+
+      const replay = await archiveHandler.replayPayload('archive-6');
+
+      expect(replay).toMatchObject({ success: true, status: 'processed' });
+      expect(processor).toHaveBeenCalledWith(expect.objectContaining({ deliveryId: 'archive-6', body: { ref: 'refs/heads/main' } }));
+    });
+
+    test('refuses processed deliveries unless forced', async () => {
+      archive('archive-7', 'replayable');
+      archiveHandler.recordOutcome('archive-7', 'processed');
+
+      expect(await archiveHandler.replayPayload('archive-7')).toMatchObject({ success: false, code: 409 });
+      expect(processor).not.toHaveBeenCalled();
+
+      expect(await archiveHandler.replayPayload('archive-7', { force: true })).toMatchObject({ success: true });
+    });
+
+    test('queued deliveries that fail are retried through their source processor', async () => {
+      const jobsHandler = require('../jobs');
+      archive('archive-9', 'replayable');
+
+      const job = archiveHandler.queueDelivery('archive-9', async () => {
+        throw new Error('Notion unavailable');
+      });
+      await jobsHandler.work();
+
+      expect(archiveHandler.getPayload('archive-9')).toMatchObject({ status: 'failed', error: 'Notion unavailable' });
+      expect(jobsHandler.getJob(job.id)).toMatchObject({ status: 'queued', attempts: 1 });
+      expect(processor).not.toHaveBeenCalled();
+
+      jobsHandler.retryJob(job.id);
+      await jobsHandler.work();
+
+      expect(archiveHandler.getPayload('archive-9').status).toBe('processed');
+      expect(jobsHandler.getJob(job.id).status).toBe('done');
+      expect(processor).toHaveBeenCalledWith(expect.objectContaining({ deliveryId: 'archive-9' }));
+    });
+
+    test('refuses deliveries still processing and unknown deliveries', async () => {
+      archive('archive-8', 'replayable');
+      archiveHandler.recordOutcome('archive-8', 'processing');
+
+      expect(await archiveHandler.replayPayload('archive-8', { force: true })).toMatchObject({ success: false, code: 409 });
+      expect(await archiveHandler.replayPayload('missing')).toMatchObject({ success: false, code: 404 });
+    });
+  });
+});
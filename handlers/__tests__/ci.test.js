@@ -0,0 +1,87 @@
+/**
+ * CI Gate Tests
+ * Tests for holding deployments until check_suite/status results are green
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('CI Gate', () => {
+  const originalEnv = process.env;
+  const configPath = path.join(os.tmpdir(), `ci-gate-${process.pid}.json`);
+  let dataDir;
+  let ciHandler;
+  let repositoriesHandler;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-gate-'));
+    fs.writeFileSync(configPath, JSON.stringify({
+      repositories: {
+        'acme/api': { ci: { gate: true, requiredChecks: ['github-actions'] } },
+        'acme/unlisted-checks': { ci: { gate: true } }
+      }
+    }));
+    process.env = { ...originalEnv, DATA_DIR: dataDir, REPOSITORIES_CONFIG_PATH: configPath };
+    ciHandler = require('../ci');
+    repositoriesHandler = require('../repositories');
+    repositoriesHandler.reloadConfig();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    repositoriesHandler.reloadConfig();
+    fs.unlinkSync(configPath);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('evaluateChecks', () => {
+    test('is pending until a check reports', () => {
+      expect(ciHandler.evaluateChecks({}, [])).toBe('pending');
+      expect(ciHandler.evaluateChecks({ build: { conclusion: 'pending' } }, [])).toBe('pending');
+    });
+
+    test('is never green without required checks, since more suites may still be running', () => {
+      expect(ciHandler.evaluateChecks({ build: { conclusion: 'success' } }, [])).toBe('pending');
+    });
+
+    test('any failed check turns the commit red', () => {
+      const checks = { build: { conclusion: 'success' }, lint: { conclusion: 'timed_out' } };
+      expect(ciHandler.evaluateChecks(checks, [])).toBe('failure');
+    });
+
+    test('waits for every required check', () => {
+      const checks = { build: { conclusion: 'success' } };
+      expect(ciHandler.evaluateChecks(checks, ['build', 'e2e'])).toBe('pending');
+      checks.e2e = { conclusion: 'neutral' };
+      expect(ciHandler.evaluateChecks(checks, ['build', 'e2e'])).toBe('success');
+    });
+  });
+
+  test('gated deployments follow their commit through CI', () => {
+    ciHandler.registerDeployment('acme/api', 'sha-1', 'deploy-main-1');
+    expect(ciHandler.getDeploymentCiState('deploy-main-1')).toBe('pending');
+
+    const result = ciHandler.recordCheck('acme/api', 'sha-1', { name: 'github-actions', conclusion: 'success' });
+    expect(result).toEqual({ previousState: 'pending', state: 'success', deploymentIds: ['deploy-main-1'] });
+    expect(ciHandler.getDeploymentCiState('deploy-main-1')).toBe('success');
+  });
+
+  test('keeps results that arrive before the push', () => {
+    ciHandler.recordCheck('acme/api', 'sha-2', { name: 'ci/circleci', conclusion: 'failure' });
+    expect(ciHandler.registerDeployment('acme/api', 'sha-2', 'deploy-main-2')).toBe('failure');
+  });
+
+  test('a gate without required checks stays closed and reports its config', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    ciHandler.registerDeployment('acme/unlisted-checks', 'sha-3', 'deploy-main-3');
+
+    expect(ciHandler.recordCheck('acme/unlisted-checks', 'sha-3', { name: 'github-actions', conclusion: 'success' }).state).toBe('pending');
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('acme/unlisted-checks has ci.gate on but no ci.requiredChecks'));
+    errorSpy.mockRestore();
+  });
+
+  test('ungated deployments have no CI state', () => {
+    expect(ciHandler.getDeploymentCiState('deploy-main-unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Slash Command Handler Tests
+ * Tests for /deploy list, status, approve, reject and cancel
+ */
+
+const mockSlack = {
+  users: { info: jest.fn() },
+  conversations: { history: jest.fn() },
+  chat: { postMessage: jest.fn(), update: jest.fn() }
+};
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Slash Command Handler', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let commandsHandler;
+  let deploymentStore;
+  let jobsHandler;
+  let approversHandler;
+
+  function run(text) {
+    return commandsHandler.handleDeployCommand({ command: '/deploy', text, user_id: 'U456', trigger_id: '1.2.abc' });
+  }
+
+  function seed(deploymentId, fields = {}) {
+    deploymentStore.createDeployment({
+      deployment_id: deploymentId,
+      repository: 'acme/app',
+      branch: 'main',
+      environment: 'prod',
+      commit_sha: 'abc1234',
+      ...fields
+    });
+  }
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'commands-'));
+    // Failed jobs wait for a retry instead of running again during later tests
+    process.env = { ...originalEnv, DATA_DIR: dataDir, JOB_BACKOFF_MS: '3600000', SLACK_PROD_APPROVER_IDS: 'U456,U457,U458' };
+    commandsHandler = require('../commands');
+    deploymentStore = require('../deploymentStore');
+    jobsHandler = require('../jobs');
+    approversHandler = require('../approvers');
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+
+    seed('deploy-main-1769563800001');
+    deploymentStore.setSlackThread('deploy-main-1769563800001', 'C123', '1769563800.000100');
+    seed('deploy-develop-1769563800002', { branch: 'develop', environment: 'qa', stage: 'Pending CI' });
+    seed('deploy-main-1769563800003');
+    deploymentStore.setSlackThread('deploy-main-1769563800003', 'C123', '1769563800.000300');
+    seed('deploy-main-1769563800004');
+    seed('deploy-main-1769563800005');
+    deploymentStore.setSlackThread('deploy-main-1769563800005', 'C123', '1769563800.000500');
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mockSlack.users.info.mockResolvedValue({ user: { real_name: 'Ada Lovelace' } });
+    mockSlack.chat.postMessage.mockResolvedValue({ ts: '1769563800.000999' });
+    mockSlack.chat.postMessage.mockClear();
+  });
+
+  test('shows usage for unknown or incomplete commands', () => {
+    expect(run('').result.text).toContain('/deploy list [env]');
+    expect(run('approve').result.text).toContain('/deploy approve <id> [reason]');
+    expect(run('approve').task).toBeUndefined();
+  });
+
+  describe('list', () => {
+    test('lists pending deployments with links to their threads', () => {
+      const { result } = run('list');
+
+      expect(result.response_type).toBe('ephemeral');
+      expect(result.text).toContain('5 pending deployment(s)');
+      expect(result.text).toContain('<https://slack.com/archives/C123/p1769563800000100|deploy-main-1769563800001>');
+      expect(result.text).toContain('`deploy-develop-1769563800002` — acme/app `develop` · Pending CI');
+    });
+
+    test('filters by environment', () => {
+      const { text } = run('list qa').result;
+
+      expect(text).toContain('1 pending deployment(s) in QA');
+      expect(text).not.toContain('deploy-main');
+    });
+
+    test('names the known environments for an unknown one', () => {
+      expect(run('list staging').result.text).toMatch(/Unknown environment `staging`\. Known environments: dev, qa, prod/);
+    });
+  });
+
+  describe('approve, reject and cancel', () => {
+    // One approval is enough; the PROD quorum is covered by its own test
+    let policySpy;
+    beforeEach(() => {
+      policySpy = jest.spyOn(approversHandler, 'getApprovalPolicy').mockReturnValue({ quorum: 1, excludeAuthor: false });
+    });
+    afterEach(() => policySpy.mockRestore());
+
+    test('approves through the approval flow, keeping the reason', async () => {
+      const { result, task } = run('approve deploy-main-1769563800001 hotfix for the login outage');
+      expect(result.text).toContain('Submitted: approve `deploy-main-1769563800001`');
+
+      await task();
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800001').approvals).toEqual([
+        expect.objectContaining({ by: 'Ada Lovelace', reason: 'hotfix for the login outage' })
+      ]);
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        thread_ts: '1769563800.000100',
+        text: '✅ Deployment approved by Ada Lovelace: hotfix for the login outage'
+      }));
+    });
+
+    test('status shows the progress towards the PROD quorum', async () => {
+      policySpy.mockRestore();
+      await run('approve deploy-main-1769563800005').task();
+      await jobsHandler.work();
+
+      const { text } = run('status deploy-main-1769563800005').result;
+      expect(text).toContain('*deploy-main-1769563800005* — Awaiting Approval');
+      expect(text).toMatch(/Approval: 1 of 2 approvals: Approved by Ada Lovelace at \S+$/m);
+    });
+
+    test('status shows the stage, approvals and links', () => {
+      const { text } = run('status deploy-main-1769563800001').result;
+
+      expect(text).toContain('*deploy-main-1769563800001* — Approved');
+      expect(text).toMatch(/Approval: Approved by Ada Lovelace at \S+ \(hotfix for the login outage\)/);
+      expect(text).toContain('<https://slack.com/archives/C123/p1769563800000100|Slack thread>');
+      expect(text).toContain('<https://github.com/acme/app/commit/abc1234|abc1234>');
+    });
+
+    test('cancels a pending deployment without rejecting it', async () => {
+      await run('cancel deploy-main-1769563800003').task();
+      await jobsHandler.work();
+
+      const record = deploymentStore.getDeployment('deploy-main-1769563800003');
+      expect(record).toMatchObject({ stage: 'Cancelled', approval_status: 'Pending', rejected_by: null });
+      expect(record.cancelled_by.by).toBe('Ada Lovelace');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: '🚫 Deployment cancelled by Ada Lovelace'
+      }));
+    });
+
+    test('refuses to cancel an approved deployment', async () => {
+      await run('cancel deploy-main-1769563800001').task();
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800001').stage).toBe('Approved');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringContaining("can't be cancelled")
+      }));
+    });
+
+    test('reports unknown deployments and deployments without a thread', () => {
+      expect(run('reject deploy-missing-1').result.text).toBe('Deployment `deploy-missing-1` not found');
+
+      const { result, task } = run('reject deploy-main-1769563800004 not today');
+      expect(result.text).toContain('has no Slack thread yet');
+      expect(task).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Deployment Store Tests
+ * Tests for recording deployments, Slack message lookup and stage/approval updates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Deployment Store', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let deploymentStore;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployment-store-'));
+    process.env = { ...originalEnv, DATA_DIR: dataDir };
+    deploymentStore = require('../deploymentStore');
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function deployment(id, fields = {}) {
+    return {
+      deployment_id: id,
+      repository: 'acme/app',
+      branch: 'main',
+      environment: 'production',
+      commit_sha: 'abc1234',
+      ...fields
+    };
+  }
+
+  describe('createDeployment', () => {
+    test('records a deployment awaiting approval', () => {
+      const record = deploymentStore.createDeployment(deployment('deploy-main-1'));
+
+      expect(record).toMatchObject({
+        deployment_id: 'deploy-main-1',
+        stage: 'Awaiting Approval',
+        approval_status: 'Pending',
+        approvals: []
+      });
+      expect(deploymentStore.getDeployment('deploy-main-1')).toEqual(record);
+    });
+
+    test('keeps the stage the pipeline set', () => {
+      const record = deploymentStore.createDeployment(deployment('deploy-main-2', { stage: 'Pending CI' }));
+      expect(record.stage).toBe('Pending CI');
+    });
+
+    test('returns an existing deployment unchanged', () => {
+      deploymentStore.recordApproval('deploy-main-1', 'Ada');
+
+      const record = deploymentStore.createDeployment(deployment('deploy-main-1'));
+      expect(record.stage).toBe('Approved');
+    });
+
+    test('persists to DATA_DIR', () => {
+      const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'deployments.json'), 'utf8'));
+      expect(stored['deploy-main-1'].stage).toBe('Approved');
+    });
+  });
+
+  describe('findDeploymentByMessage', () => {
+    test('finds a deployment by channel and thread', () => {
+      deploymentStore.createDeployment(deployment('deploy-main-3'));
+      deploymentStore.setSlackThread('deploy-main-3', 'C1', '111.222');
+
+      expect(deploymentStore.findDeploymentByMessage('C1', '111.222').deployment_id).toBe('deploy-main-3');
+    });
+
+    test('requires the channel to match', () => {
+      expect(deploymentStore.findDeploymentByMessage('C2', '111.222')).toBeNull();
+    });
+
+    test('finds a deployment by a bot reply in its thread', () => {
+      expect(deploymentStore.indexThreadReply('C1', '111.222', '111.333')).toBe('deploy-main-3');
+      expect(deploymentStore.findDeploymentByMessage('C1', '111.333').deployment_id).toBe('deploy-main-3');
+    });
+
+    test('does not index replies in threads of other messages', () => {
+      expect(deploymentStore.indexThreadReply('C1', '999.000', '999.001')).toBeNull();
+      expect(deploymentStore.findDeploymentByMessage('C1', '999.001')).toBeNull();
+    });
+  });
+
+  describe('listDeployments', () => {
+    test('filters by repository, branch and stage', () => {
+      deploymentStore.createDeployment(deployment('deploy-develop-4', { branch: 'develop' }));
+      deploymentStore.createDeployment(deployment('deploy-main-5', { repository: 'acme/other' }));
+
+      const ids = deploymentStore
+        .listDeployments({ repository: 'acme/app', branch: 'main', stages: ['Awaiting Approval', 'Pending CI'] })
+        .map(record => record.deployment_id);
+
+      expect(ids.sort()).toEqual(['deploy-main-2', 'deploy-main-3']);
+    });
+  });
+
+  describe('approvals and outcomes', () => {
+    test('recordApproval moves the deployment to Approved', () => {
+      const { success, record } = deploymentStore.recordApproval('deploy-main-3', 'Ada');
+
+      expect(success).toBe(true);
+      expect(record.stage).toBe('Approved');
+      expect(record.approval_status).toBe('Approved');
+      expect(record.approvals).toEqual([{ by: 'Ada', at: expect.any(String) }]);
+    });
+
+    test('refuses a second approval', () => {
+      const result = deploymentStore.recordApproval('deploy-main-3', 'Grace');
+
+      expect(result).toMatchObject({ success: false, error: 'it is already approved' });
+      expect(deploymentStore.getDeployment('deploy-main-3').approvals).toHaveLength(1);
+    });
+
+    test('recordRejection cancels the deployment', () => {
+      const { record } = deploymentStore.recordRejection('deploy-develop-4', 'Grace');
+
+      expect(record.stage).toBe('Cancelled');
+      expect(record.approval_status).toBe('Rejected');
+      expect(record.rejected_by.by).toBe('Grace');
+    });
+
+    test('refuses to approve a rejected deployment', () => {
+      expect(deploymentStore.recordApproval('deploy-develop-4', 'Ada')).toMatchObject({
+        success: false,
+        error: 'it was rejected'
+      });
+    });
+
+    test('recordDeployed and recordFailed set the deployment status', () => {
+      expect(deploymentStore.recordDeployed('deploy-main-3').record).toMatchObject({ stage: 'Deployed', deployment_status: 'Success' });
+      expect(deploymentStore.recordFailed('deploy-main-5', 'failure', 'https://ci/run/1').record).toMatchObject({
+        stage: 'Failed',
+        deployment_status: 'Failure',
+        failure: { reason: 'failure', url: 'https://ci/run/1' }
+      });
+    });
+
+    test('refuses to reject a deployed deployment', () => {
+      expect(deploymentStore.recordRejection('deploy-main-3', 'Grace')).toMatchObject({
+        success: false,
+        error: 'it is deployed'
+      });
+      expect(deploymentStore.getDeployment('deploy-main-3').stage).toBe('Deployed');
+    });
+
+    test('withdrawApproval reopens an approved deployment', () => {
+      deploymentStore.createDeployment(deployment('deploy-main-6'));
+      deploymentStore.recordApproval('deploy-main-6', 'Ada', { reason: 'hotfix' });
+
+      expect(deploymentStore.withdrawApproval('deploy-main-6', 'Grace')).toMatchObject({
+        success: false,
+        error: 'Grace has not approved it'
+      });
+      expect(deploymentStore.withdrawApproval('deploy-main-6', 'Ada').record).toMatchObject({
+        stage: 'Awaiting Approval',
+        approval_status: 'Pending',
+        approvals: []
+      });
+    });
+
+    test('withdrawApproval is refused once the deployment was dispatched', () => {
+      deploymentStore.recordApproval('deploy-main-6', 'Ada');
+      deploymentStore.transitionDeployment('deploy-main-6', 'Deploying');
+
+      expect(deploymentStore.withdrawApproval('deploy-main-6', 'Ada')).toMatchObject({
+        success: false,
+        error: 'it is deploying'
+      });
+    });
+
+    test('withdrawRejection reopens a rejected deployment', () => {
+      deploymentStore.createDeployment(deployment('deploy-main-7'));
+      deploymentStore.recordRejection('deploy-main-7', 'Grace');
+
+      expect(deploymentStore.withdrawRejection('deploy-main-7', 'Grace').record).toMatchObject({
+        stage: 'Awaiting Approval',
+        approval_status: 'Pending',
+        rejected_by: null
+      });
+    });
+
+    test('recordApproval waits for a quorum of distinct approvers', () => {
+      deploymentStore.createDeployment(deployment('deploy-main-8'));
+
+      expect(deploymentStore.recordApproval('deploy-main-8', 'Ada', { quorum: 2 })).toMatchObject({
+        success: true,
+        quorumMet: false,
+        record: { stage: 'Awaiting Approval', approval_status: 'Pending', approvals_required: 2 }
+      });
+      expect(deploymentStore.recordApproval('deploy-main-8', 'Ada', { quorum: 2 })).toMatchObject({
+        success: false,
+        error: 'Ada has already approved it'
+      });
+
+      const { quorumMet, record } = deploymentStore.recordApproval('deploy-main-8', 'Grace', { quorum: 2 });
+      expect(quorumMet).toBe(true);
+      expect(record.stage).toBe('Approved');
+      expect(record.approvals.map(approval => approval.by)).toEqual(['Ada', 'Grace']);
+    });
+
+    test('withdrawApproval keeps the other approvals', () => {
+      expect(deploymentStore.withdrawApproval('deploy-main-8', 'Grace').record).toMatchObject({
+        stage: 'Awaiting Approval',
+        approval_status: 'Pending',
+        approvals: [expect.objectContaining({ by: 'Ada' })]
+      });
+      expect(deploymentStore.withdrawApproval('deploy-main-8', 'Ada').record).toMatchObject({
+        stage: 'Awaiting Approval',
+        approvals: []
+      });
+    });
+
+    test('tells approvers apart by Slack user ID, not by name', () => {
+      deploymentStore.createDeployment(deployment('deploy-main-9'));
+
+      // Two people with the same name are two approvers
+      deploymentStore.recordApproval('deploy-main-9', 'Alex Kim', { quorum: 3, userId: 'U100' });
+      expect(deploymentStore.recordApproval('deploy-main-9', 'Alex Kim', { quorum: 3, userId: 'U200' }).success).toBe(true);
+      // Renaming yourself does not make you a second approver
+      expect(deploymentStore.recordApproval('deploy-main-9', 'Alexandra Kim', { quorum: 3, userId: 'U100' })).toMatchObject({
+        success: false,
+        error: 'Alexandra Kim has already approved it'
+      });
+
+      // ...and you can still withdraw your approval under your new name
+      const { record } = deploymentStore.withdrawApproval('deploy-main-9', 'Alexandra Kim', { userId: 'U100' });
+      expect(record.approvals).toEqual([expect.objectContaining({ by: 'Alex Kim', user_id: 'U200' })]);
+    });
+
+    test('withdrawRejection matches the rejector by Slack user ID', () => {
+      deploymentStore.createDeployment(deployment('deploy-main-10'));
+      deploymentStore.recordRejection('deploy-main-10', 'Grace', { reason: 'not today', userId: 'U300' });
+
+      expect(deploymentStore.withdrawRejection('deploy-main-10', 'Grace', { userId: 'U301' }).success).toBe(false);
+      expect(deploymentStore.withdrawRejection('deploy-main-10', 'Grace Hopper', { userId: 'U300' }).record.stage).toBe('Awaiting Approval');
+    });
+
+    test('setAgentNotes keeps notes from other agents', () => {
+      deploymentStore.setAgentNotes('deploy-main-3', 'DEV', 'Risk Level: LOW');
+      const record = deploymentStore.setAgentNotes('deploy-main-3', 'PM', 'Decision: HUMAN_REVIEW');
+
+      expect(record.agent_notes).toEqual({ DEV: 'Risk Level: LOW', PM: 'Decision: HUMAN_REVIEW' });
+    });
+
+    test('unknown deployments are not updated', () => {
+      expect(deploymentStore.updateDeployment('deploy-missing', { branch: 'main' })).toBeNull();
+      expect(deploymentStore.recordApproval('deploy-missing', 'Ada').success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Deployment Digest Tests
+ * Tests for summarizing deployments from Notion and posting daily/weekly digests
+ */
+
+const mockSlack = {
+  chat: {
+    postMessage: jest.fn()
+  }
+};
+
+// Failed jobs wait for a retry instead of running again during later tests
+process.env.JOB_BACKOFF_MS = '3600000';
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const digestHandler = require('../digest');
+const notionHandler = require('../notion');
+const jobsHandler = require('../jobs');
+
+// A Monday, after the 9:00 UTC digest hour
+const NOW = Date.parse('2026-01-26T10:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function deployment(overrides) {
+  return {
+    environment: 'prod',
+    repository: 'acme/api',
+    author: 'Ada Lovelace',
+    stage: 'Awaiting Approval',
+    approvalStatus: 'Pending',
+    decidedAt: null,
+    deployedAt: null,
+    editedAt: null,
+    thread: null,
+    ...overrides
+  };
+}
+
+const deployments = [
+  deployment({
+    deploymentId: 'deploy-main-1',
+    createdAt: '2026-01-26T08:00:00.000Z',
+    thread: { channel: 'CPROD', threadTs: '1769414400.000100' }
+  }),
+  deployment({
+    deploymentId: 'deploy-main-2',
+    createdAt: '2026-01-25T12:00:00.000Z',
+    stage: 'Deployed',
+    approvalStatus: 'Approved',
+    decidedAt: '2026-01-25T18:00:00.000Z',
+    deployedAt: '2026-01-25T18:10:00.000Z'
+  }),
+  deployment({
+    deploymentId: 'deploy-main-3',
+    author: 'Grace Hopper',
+    createdAt: '2026-01-25T20:00:00.000Z',
+    stage: 'Failed',
+    approvalStatus: 'Approved',
+    decidedAt: '2026-01-25T20:30:00.000Z',
+    editedAt: '2026-01-25T21:00:00.000Z'
+  }),
+  deployment({
+    deploymentId: 'deploy-main-4',
+    author: 'Linus Torvalds',
+    createdAt: '2026-01-20T09:00:00.000Z',
+    stage: 'Cancelled',
+    approvalStatus: 'Rejected',
+    decidedAt: '2026-01-25T11:00:00.000Z'
+  }),
+  deployment({
+    deploymentId: 'deploy-main-5',
+    createdAt: '2026-01-10T10:00:00.000Z'
+  }),
+  deployment({
+    deploymentId: 'deploy-develop-6',
+    environment: 'qa',
+    createdAt: '2026-01-25T12:00:00.000Z',
+    stage: 'Deployed',
+    approvalStatus: 'Approved',
+    decidedAt: '2026-01-25T12:00:00.000Z',
+    deployedAt: '2026-01-25T12:05:00.000Z'
+  })
+];
+
+describe('Deployment Digest', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let listSpy;
+
+  // The job queue and digest schedule resolve DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    process.env = {
+      ...originalEnv,
+      DATA_DIR: dataDir,
+      SLACK_PROD_CHANNEL_ID: 'CPROD',
+      SLACK_QA_CHANNEL_ID: 'CQA',
+      SLACK_DEV_CHANNEL_ID: 'CDEV'
+    };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockSlack.chat.postMessage.mockResolvedValue({ ts: '1769421600.000100' });
+    listSpy = jest.spyOn(notionHandler, 'listDeploymentsSince').mockResolvedValue(deployments);
+  });
+
+  afterEach(async () => {
+    await jobsHandler.work();
+    jest.restoreAllMocks();
+  });
+
+  function postedMessages() {
+    return mockSlack.chat.postMessage.mock.calls.map(([message]) => ({ channel: message.channel, text: message.text }));
+  }
+
+  describe('summarizeDeployments', () => {
+    test('counts what happened in the period and ranks waits and authors', () => {
+      const prod = deployments.filter(entry => entry.environment === 'prod');
+      const summary = digestHandler.summarizeDeployments(prod, NOW - DAY_MS, NOW);
+
+      expect(summary).toMatchObject({ created: 3, approved: 2, rejected: 1, deployed: 1, failed: 1 });
+      expect(summary.pending.map(({ deployment: entry }) => entry.deploymentId)).toEqual(['deploy-main-5', 'deploy-main-1']);
+      expect(summary.slowest.map(({ deployment: entry, waitMs }) => [entry.deploymentId, waitMs])).toEqual([
+        ['deploy-main-2', 6 * 60 * 60 * 1000],
+        ['deploy-main-3', 30 * 60 * 1000]
+      ]);
+      expect(summary.authors).toEqual([
+        { author: 'Ada Lovelace', count: 2 },
+        { author: 'Grace Hopper', count: 1 }
+      ]);
+    });
+  });
+
+  describe('formatDigest', () => {
+    test('lists the counts, pending approvals with their age, slowest approvals and top authors', () => {
+      const prod = deployments.filter(entry => entry.environment === 'prod');
+      const summary = digestHandler.summarizeDeployments(prod, NOW - DAY_MS, NOW);
+
+      expect(digestHandler.formatDigest({ label: 'PROD' }, 'daily', summary).split('\n')).toEqual([
+        '📊 *PROD daily digest* (last 24 hours)',
+        '*3* created · *2* approved · *1* rejected · *1* deployed · *1* failed',
+        '',
+        '*⏳ Awaiting approval (2)*',
+        '• deploy-main-5 (acme/api) for 16d',
+        '• <https://slack.com/archives/CPROD/p1769414400000100|deploy-main-1> (acme/api) for 2h',
+        '',
+        '*🐢 Slowest approvals*',
+        '• deploy-main-2 approved after 6h',
+        '• deploy-main-3 approved after 30m',
+        '',
+        '*✍️ Top authors*',
+        '• Ada Lovelace: 2 deployments',
+        '• Grace Hopper: 1 deployment'
+      ]);
+    });
+  });
+
+  describe('postDigest', () => {
+    test('posts to the channel of each environment taking the digest, skipping quiet ones', async () => {
+      const digest = await digestHandler.postDigest('daily', NOW);
+      await jobsHandler.work();
+
+      // release takes the daily digest too, but had nothing to report
+      expect(digest).toEqual({ success: true, posted: ['prod'] });
+      expect(listSpy).toHaveBeenCalledWith('2026-01-25T10:00:00.000Z');
+      expect(postedMessages()).toEqual([
+        { channel: 'CPROD', text: expect.stringMatching(/^📊 \*PROD daily digest\*/) }
+      ]);
+    });
+
+    test('covers the last 7 days in the weekly digest', async () => {
+      const digest = await digestHandler.postDigest('weekly', NOW);
+      await jobsHandler.work();
+
+      expect(digest.posted).toEqual(['qa', 'prod']);
+      expect(listSpy).toHaveBeenCalledWith('2026-01-19T10:00:00.000Z');
+      expect(postedMessages()[0]).toEqual({
+        channel: 'CQA',
+        text: expect.stringContaining('*1* created · *1* approved · *0* rejected · *1* deployed · *0* failed')
+      });
+      expect(postedMessages()[1].text).toContain('*4* created · *2* approved · *1* rejected');
+    });
+
+    test('refuses unknown periods and reports an unreadable Notion', async () => {
+      expect(await digestHandler.postDigest('hourly', NOW)).toMatchObject({ success: false, code: 400 });
+
+      listSpy.mockResolvedValue(null);
+      expect(await digestHandler.postDigest('daily', NOW)).toMatchObject({ success: false, code: 503 });
+    });
+  });
+
+  describe('runDueDigests', () => {
+    test('posts each digest once a day after the digest hour, weekly ones on Mondays', async () => {
+      expect(await digestHandler.runDueDigests(Date.parse('2026-01-26T08:59:00.000Z'))).toEqual([]);
+
+      // Notion down: tried again on the next check
+      listSpy.mockResolvedValueOnce(null);
+      expect(await digestHandler.runDueDigests(NOW)).toEqual(['weekly']);
+      expect(await digestHandler.runDueDigests(NOW + 15 * 60 * 1000)).toEqual(['daily']);
+      expect(await digestHandler.runDueDigests(NOW + 30 * 60 * 1000)).toEqual([]);
+
+      expect(await digestHandler.runDueDigests(NOW + DAY_MS)).toEqual(['daily']);
+      expect(listSpy).toHaveBeenCalledTimes(4);
+    });
+  });
+});
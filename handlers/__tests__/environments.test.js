@@ -0,0 +1,123 @@
+/**
+ * Environment Routing Tests
+ * Tests for branch → environment routing from config/environments.json
+ */
+
+const environmentsHandler = require('../environments');
+const approversHandler = require('../approvers');
+const { matchesGlob } = require('../glob');
+
+describe('Environment Routing', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      SLACK_DEV_CHANNEL_ID: 'CDEV',
+      SLACK_QA_CHANNEL_ID: 'CQA',
+      SLACK_PROD_CHANNEL_ID: 'CPROD',
+      SLACK_INCIDENTS_CHANNEL_ID: 'CINCIDENTS'
+    };
+    delete process.env.SLACK_PREVIEW_CHANNEL_ID;
+    delete process.env.SLACK_RELEASES_CHANNEL_ID;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('matchesGlob', () => {
+    test('single star stays within one segment', () => {
+      expect(matchesGlob('release/1.2', 'release/*')).toBe(true);
+      expect(matchesGlob('release/1.2/fix', 'release/*')).toBe(false);
+    });
+
+    test('double star crosses segments', () => {
+      expect(matchesGlob('feature/auth/login', 'feature/**')).toBe(true);
+      expect(matchesGlob('docs/guide/intro.md', 'docs/**')).toBe(true);
+    });
+
+    test('leading double star matches files at the root', () => {
+      expect(matchesGlob('README.md', '**/*.md')).toBe(true);
+      expect(matchesGlob('apps/api/README.md', '**/*.md')).toBe(true);
+    });
+
+    test('escapes regex characters in literal parts', () => {
+      expect(matchesGlob('v1.2', 'v1.2')).toBe(true);
+      expect(matchesGlob('v1x2', 'v1.2')).toBe(false);
+    });
+  });
+
+  describe('resolveBranch', () => {
+    test('routes feature branches to dev', () => {
+      expect(environmentsHandler.resolveBranch('feature/new-login').name).toBe('dev');
+    });
+
+    test('routes develop to qa and main to prod', () => {
+      expect(environmentsHandler.resolveBranch('develop').name).toBe('qa');
+      expect(environmentsHandler.resolveBranch('main').name).toBe('prod');
+    });
+
+    test('returns null for untracked branches', () => {
+      expect(environmentsHandler.resolveBranch('bugfix/typo')).toBeNull();
+      expect(environmentsHandler.resolveBranch('features/typo')).toBeNull();
+    });
+  });
+
+  describe('getSlackChannel', () => {
+    test('resolves channel from environment variables', () => {
+      expect(environmentsHandler.getSlackChannel(environmentsHandler.getEnvironment('qa'))).toBe('CQA');
+    });
+
+    test('uses the first configured fallback that is set', () => {
+      const preview = environmentsHandler.getEnvironment('preview');
+      expect(environmentsHandler.getSlackChannel(preview)).toBe('CDEV');
+
+      process.env.SLACK_PREVIEW_CHANNEL_ID = 'CPREVIEW';
+      expect(environmentsHandler.getSlackChannel(preview)).toBe('CPREVIEW');
+    });
+
+    test('falls back to default channel for unknown environments', () => {
+      expect(environmentsHandler.getSlackChannel(null)).toBe('CINCIDENTS');
+    });
+  });
+
+  describe('getEnvironmentForDeployment', () => {
+    test('prefers explicit environment over branch routing', () => {
+      const environment = environmentsHandler.getEnvironmentForDeployment({
+        branch: 'feature/x',
+        environment: 'preview'
+      });
+      expect(environment.name).toBe('preview');
+    });
+
+    test('routes by branch when no environment is set', () => {
+      expect(environmentsHandler.getEnvironmentForDeployment({ branch: 'main' }).name).toBe('prod');
+    });
+  });
+
+  describe('getNotionBranch', () => {
+    test('uses configured Notion branch value', () => {
+      const dev = environmentsHandler.getEnvironment('dev');
+      expect(environmentsHandler.getNotionBranch(dev, 'feature/x')).toBe('features/*');
+    });
+
+    test('uses the branch name when none is configured', () => {
+      const prod = environmentsHandler.getEnvironment('prod');
+      expect(environmentsHandler.getNotionBranch(prod, 'main')).toBe('main');
+    });
+  });
+
+  describe('approval rules', () => {
+    test('never allows auto-approval for prod or releases', () => {
+      expect(environmentsHandler.getEnvironment('prod').approval.autoApprove).toBe(false);
+      expect(environmentsHandler.getEnvironment('release').approval.autoApprove).toBe(false);
+    });
+
+    test('holds PROD releases to the prod policy: two approvers, neither the author', () => {
+      const policy = { quorum: 2, excludeAuthor: true };
+      expect(approversHandler.getApprovalPolicy(environmentsHandler.getEnvironment('prod'))).toEqual(policy);
+      expect(approversHandler.getApprovalPolicy(environmentsHandler.getEnvironment('release'))).toEqual(policy);
+    });
+  });
+});
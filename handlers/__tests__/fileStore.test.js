@@ -0,0 +1,58 @@
+/**
+ * File Store Tests
+ * Tests for JSON-file persistence in DATA_DIR
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore, checkDataDir } = require('../fileStore');
+
+describe('File Store', () => {
+  const originalEnv = process.env;
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    process.env = { ...originalEnv, DATA_DIR: dataDir };
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('starts from the default and persists updates', () => {
+    const store = createFileStore('things', () => ({ count: 0 }));
+
+    expect(store.update((data) => { data.count++; return data.count; })).toBe(1);
+    expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'things.json'), 'utf8'))).toEqual({ count: 1 });
+    expect(createFileStore('things', () => ({ count: 0 })).read()).toEqual({ count: 1 });
+  });
+
+  test('moves a corrupt file aside and refuses to continue on empty state', () => {
+    const filePath = path.join(dataDir, 'deployments.json');
+    fs.writeFileSync(filePath, '{"deploy-main-1": {"stage": "Deplo');
+    const store = createFileStore('deployments', () => ({}));
+
+    expect(() => store.update((data) => { data['deploy-main-2'] = {}; })).toThrow(/deployments store was corrupt/);
+
+    const [corrupt] = fs.readdirSync(dataDir).filter(file => file.startsWith('deployments.json.corrupt-'));
+    expect(fs.readFileSync(path.join(dataDir, corrupt), 'utf8')).toBe('{"deploy-main-1": {"stage": "Deplo');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('warns at startup when DATA_DIR is left to its ephemeral default', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'log').mockImplementation();
+
+    expect(checkDataDir()).toBe(true);
+    expect(warnSpy).not.toHaveBeenCalled();
+
+    delete process.env.DATA_DIR;
+    expect(checkDataDir()).toBe(false);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('DATA_DIR not set'));
+  });
+});
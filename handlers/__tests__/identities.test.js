@@ -0,0 +1,117 @@
+/**
+ * Identity Directory Tests
+ * Tests for mapping GitHub logins and commit emails to Slack users
+ */
+
+const mockSlack = {
+  users: { list: jest.fn() }
+};
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Identity Directory', () => {
+  const originalEnv = process.env;
+  let configDir;
+  let identitiesHandler;
+
+  const record = {
+    deployment_id: 'deploy-main-1769563800001',
+    commit_author: 'Ada Lovelace',
+    commit_author_login: 'ada',
+    commit_author_email: 'ada@example.com',
+    commits: [
+      { sha: 'abc1234', author: 'Grace Hopper', author_login: null, author_email: '1234+ghopper@users.noreply.github.com' },
+      { sha: 'def5678', author: 'Ada Lovelace', author_login: 'ada', author_email: 'ada@example.com' }
+    ]
+  };
+
+  beforeAll(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identities-'));
+    const configPath = path.join(configDir, 'identities.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      github: { GHopper: 'U200', octocat: '${SLACK_OCTOCAT_ID}' },
+      emails: { 'contractor@agency.example': 'U300' }
+    }));
+    process.env = { ...originalEnv, IDENTITIES_CONFIG_PATH: configPath, SLACK_OCTOCAT_ID: 'U400' };
+    identitiesHandler = require('../identities');
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(configDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    identitiesHandler.reloadConfig();
+    mockSlack.users.list.mockReset();
+    mockSlack.users.list
+      .mockResolvedValueOnce({
+        members: [
+          { id: 'U100', profile: { email: 'Ada@Example.com' } },
+          { id: 'U900', is_bot: true, profile: { email: 'bot@example.com' } }
+        ],
+        response_metadata: { next_cursor: 'page2' }
+      })
+      .mockResolvedValueOnce({
+        members: [{ id: 'U500', profile: { email: 'linus@example.com' } }],
+        response_metadata: { next_cursor: '' }
+      });
+  });
+
+  describe('resolveSlackUser', () => {
+    test('uses the config overrides for logins and emails, ignoring case', async () => {
+      expect(await identitiesHandler.resolveSlackUser({ login: 'ghopper' })).toBe('U200');
+      expect(await identitiesHandler.resolveSlackUser({ login: 'octocat' })).toBe('U400');
+      expect(await identitiesHandler.resolveSlackUser({ email: 'Contractor@Agency.example' })).toBe('U300');
+      expect(mockSlack.users.list).not.toHaveBeenCalled();
+    });
+
+    test('reads the login from GitHub noreply emails', async () => {
+      expect(await identitiesHandler.resolveSlackUser({ email: '1234+ghopper@users.noreply.github.com' })).toBe('U200');
+    });
+
+    test('falls back to Slack profile emails across pages, read once', async () => {
+      expect(await identitiesHandler.resolveSlackUser({ login: 'ada', email: 'ada@example.com' })).toBe('U100');
+      expect(await identitiesHandler.resolveSlackUser({ email: 'linus@example.com' })).toBe('U500');
+      expect(await identitiesHandler.resolveSlackUser({ email: 'bot@example.com' })).toBeNull();
+
+      expect(mockSlack.users.list).toHaveBeenCalledTimes(2);
+      expect(mockSlack.users.list).toHaveBeenLastCalledWith({ limit: 200, cursor: 'page2' });
+    });
+
+    test('treats an unreadable Slack directory as unknown', async () => {
+      mockSlack.users.list.mockReset();
+      mockSlack.users.list.mockRejectedValue(new Error('missing_scope'));
+
+      expect(await identitiesHandler.resolveSlackUser({ email: 'ada@example.com' })).toBeNull();
+    });
+  });
+
+  describe('authors', () => {
+    test('maps every author of the change once', async () => {
+      expect(await identitiesHandler.findAuthorSlackIds(record)).toEqual(['U100', 'U200']);
+      expect(await identitiesHandler.mentionAuthors(record)).toBe('<@U100>, <@U200>');
+    });
+
+    test('recognises an author by Slack user ID, whatever their Slack name', async () => {
+      expect(await identitiesHandler.isAuthor(record, { id: 'U200', real_name: 'Amazing Grace' })).toBe(true);
+      expect(await identitiesHandler.isAuthor(record, { id: 'U500', real_name: 'Linus Torvalds' })).toBe(false);
+    });
+
+    test('falls back to names for authors the directory cannot map', async () => {
+      const unmapped = { commit_author: 'Alan Turing', commits: [] };
+
+      expect(await identitiesHandler.isAuthor(unmapped, { id: 'U600', real_name: 'Alan Turing' })).toBe(true);
+      expect(await identitiesHandler.mentionAuthors(unmapped)).toBeNull();
+    });
+  });
+});
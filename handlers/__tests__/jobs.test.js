@@ -0,0 +1,150 @@
+/**
+ * Job Queue Tests
+ * Tests for retries with backoff, dead-lettering, manual retries, ordering and restart recovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Job Queue', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let jobsHandler;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+  let consoleErrorSpy;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    // A job left running by the previous process
+    fs.writeFileSync(path.join(dataDir, 'jobs.json'), JSON.stringify({
+      'job-interrupted': {
+        id: 'job-interrupted',
+        type: 'test.restart',
+        payload: {},
+        status: 'running',
+        attempts: 1,
+        maxAttempts: 5,
+        runAt: new Date().toISOString(),
+        lastError: null,
+        result: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        finishedAt: null
+      }
+    }));
+    // Retries are due immediately
+    process.env = { ...originalEnv, DATA_DIR: dataDir, JOB_BACKOFF_MS: '0' };
+    jobsHandler = require('../jobs');
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('retries a failing job until it succeeds', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Slack unavailable'))
+      .mockResolvedValueOnce({ success: false, error: 'rate limited' })
+      .mockResolvedValueOnce({ success: true, ts: '1.1' });
+    jobsHandler.registerJobType('test.flaky', handler);
+
+    const job = jobsHandler.enqueue('test.flaky', { text: 'hello' });
+    await jobsHandler.work();
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(handler).toHaveBeenCalledWith({ text: 'hello' }, expect.objectContaining({ id: job.id }));
+    expect(jobsHandler.getJob(job.id)).toMatchObject({
+      status: 'done',
+      attempts: 3,
+      lastError: null,
+      result: { success: true, ts: '1.1' }
+    });
+  });
+
+  test('dead-letters a job after its last attempt and can retry it', async () => {
+    const handler = jest.fn().mockResolvedValue(false);
+    const onDeadLetter = jest.fn();
+    jobsHandler.registerJobType('test.broken', handler, { maxAttempts: 2, onDeadLetter });
+
+    const job = jobsHandler.enqueue('test.broken', { id: 1 });
+    await jobsHandler.work();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(jobsHandler.getJob(job.id)).toMatchObject({ status: 'dead', attempts: 2, lastError: 'Job returned no result' });
+    expect(onDeadLetter).toHaveBeenCalledWith(expect.objectContaining({ id: job.id }), 'Job returned no result');
+    expect(jobsHandler.getStats().dead).toBe(1);
+    expect(jobsHandler.listJobs({ status: 'dead' }).map(dead => dead.id)).toEqual([job.id]);
+
+    handler.mockResolvedValue({ success: true });
+    expect(jobsHandler.retryJob(job.id)).toMatchObject({ success: true });
+    await jobsHandler.work();
+
+    expect(jobsHandler.getJob(job.id)).toMatchObject({ status: 'done', attempts: 1 });
+    expect(jobsHandler.retryJob(job.id)).toMatchObject({ success: false, code: 409 });
+    expect(jobsHandler.retryJob('job-missing')).toMatchObject({ success: false, code: 404 });
+  });
+
+  test('runs jobs one at a time in the order they were queued', async () => {
+    const order = [];
+    jobsHandler.registerJobType('test.ordered', async ({ step }) => {
+      await new Promise(resolve => setImmediate(resolve));
+      order.push(step);
+      return { success: true };
+    });
+
+    jobsHandler.enqueue('test.ordered', { step: 1 });
+    jobsHandler.enqueue('test.ordered', { step: 2 });
+    jobsHandler.enqueue('test.ordered', { step: 3 });
+    await jobsHandler.work();
+
+    expect(order).toEqual([1, 2, 3]);
+  });
+
+  test('holds back later jobs with the same order key while an earlier one waits for a retry', async () => {
+    const posted = [];
+    const handler = jest.fn(async ({ text }) => {
+      if (text === 'first' && handler.mock.calls.length === 1) {
+        // Fail late enough that the retry is due after the jobs queued behind it
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { success: false, error: 'Slack unavailable' };
+      }
+      posted.push(text);
+      return { success: true };
+    });
+    jobsHandler.registerJobType('test.thread', handler);
+
+    jobsHandler.enqueue('test.thread', { text: 'first' }, { orderKey: 'C1:1.1' });
+    jobsHandler.enqueue('test.thread', { text: 'second' }, { orderKey: 'C1:1.1' });
+    jobsHandler.enqueue('test.thread', { text: 'other thread' }, { orderKey: 'C1:2.2' });
+    await jobsHandler.work();
+
+    // The retry of "first" is due after "second" was, but "second" waits for it; the other thread doesn't
+    expect(posted).toEqual(['other thread', 'first', 'second']);
+  });
+
+  test('re-queues jobs interrupted by a restart', async () => {
+    const handler = jest.fn().mockResolvedValue({ success: true });
+    jobsHandler.registerJobType('test.restart', handler);
+
+    jobsHandler.start();
+    await jobsHandler.work();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(jobsHandler.getJob('job-interrupted')).toMatchObject({ status: 'done', attempts: 2 });
+  });
+});
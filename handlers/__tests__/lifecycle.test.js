@@ -0,0 +1,95 @@
+/**
+ * Deployment Lifecycle Tests
+ * Tests for allowed and refused stage transitions
+ */
+
+const { checkTransition, isStage, isTerminal } = require('../lifecycle');
+
+describe('Deployment Lifecycle', () => {
+  function record(stage, fields = {}) {
+    return { stage, approval_status: 'Pending', ...fields };
+  }
+
+  describe('checkTransition', () => {
+    test('follows the happy path', () => {
+      expect(checkTransition(record('Pending CI'), 'Awaiting Approval').allowed).toBe(true);
+      expect(checkTransition(record('Awaiting Approval'), 'Approved').allowed).toBe(true);
+      expect(checkTransition(record('Approved', { approval_status: 'Approved' }), 'Deploying').allowed).toBe(true);
+      expect(checkTransition(record('Deploying', { approval_status: 'Approved' }), 'Deployed').allowed).toBe(true);
+      expect(checkTransition(record('Deployed', { approval_status: 'Approved' }), 'Rolled Back').allowed).toBe(true);
+    });
+
+    test('refuses approval before CI passes', () => {
+      expect(checkTransition(record('Pending CI'), 'Approved')).toEqual({ allowed: false, reason: 'it is pending CI' });
+    });
+
+    test('refuses a second approval', () => {
+      const approved = record('Deploying', { approval_status: 'Approved' });
+      expect(checkTransition(approved, 'Approved')).toEqual({ allowed: false, reason: 'it is already deploying' });
+    });
+
+    test('explains refusals of rejected deployments', () => {
+      const rejected = record('Cancelled', { approval_status: 'Rejected' });
+      expect(checkTransition(rejected, 'Approved')).toEqual({ allowed: false, reason: 'it was rejected' });
+    });
+
+    test('refuses rejecting a deployment that already went out', () => {
+      const deployed = record('Deployed', { approval_status: 'Approved' });
+      expect(checkTransition(deployed, 'Cancelled')).toEqual({ allowed: false, reason: 'it is deployed' });
+    });
+
+    test('expires only deployments still awaiting approval, for good', () => {
+      expect(checkTransition(record('Awaiting Approval'), 'Expired').allowed).toBe(true);
+      expect(checkTransition(record('Approved', { approval_status: 'Approved' }), 'Expired').allowed).toBe(false);
+      expect(checkTransition(record('Expired'), 'Approved')).toEqual({ allowed: false, reason: 'it is expired' });
+    });
+
+    test('reopens approval only for CI failures', () => {
+      expect(checkTransition(record('Failed'), 'Awaiting Approval').allowed).toBe(true);
+      expect(checkTransition(record('Failed', { approval_status: 'Approved' }), 'Awaiting Approval').allowed).toBe(false);
+    });
+
+    test('lets a re-run of a failed deploy succeed', () => {
+      expect(checkTransition(record('Failed', { approval_status: 'Approved' }), 'Deployed').allowed).toBe(true);
+      expect(checkTransition(record('Failed'), 'Deployed').allowed).toBe(false);
+    });
+
+    test('lets previews restart approval and tear down from any stage', () => {
+      const preview = record('Deployed', { approval_status: 'Approved', pr_number: 7 });
+      expect(checkTransition(preview, 'Awaiting Approval').allowed).toBe(true);
+      expect(checkTransition(preview, 'Torn Down').allowed).toBe(true);
+      expect(checkTransition(record('Torn Down', { pr_number: 7 }), 'Torn Down').allowed).toBe(false);
+    });
+
+    test('reopens approval when an approval or rejection is withdrawn', () => {
+      const withdrawal = { approval_status: 'Pending' };
+      expect(checkTransition(record('Approved', { approval_status: 'Approved' }), 'Awaiting Approval', withdrawal).allowed).toBe(true);
+      expect(checkTransition(record('Cancelled', { approval_status: 'Rejected' }), 'Awaiting Approval', withdrawal).allowed).toBe(true);
+      // Not once dispatched, and not for deployments cancelled for other reasons or without a withdrawal
+      expect(checkTransition(record('Deploying', { approval_status: 'Approved' }), 'Awaiting Approval', withdrawal)).toEqual({
+        allowed: false,
+        reason: 'it is deploying'
+      });
+      expect(checkTransition(record('Cancelled'), 'Awaiting Approval', withdrawal).allowed).toBe(false);
+      expect(checkTransition(record('Approved', { approval_status: 'Approved' }), 'Awaiting Approval').allowed).toBe(false);
+    });
+
+    test('allows any move for records without a stage', () => {
+      expect(checkTransition({}, 'Approved').allowed).toBe(true);
+    });
+
+    test('refuses unknown stages', () => {
+      expect(checkTransition(record('Awaiting Approval'), 'Shipped')).toEqual({
+        allowed: false,
+        reason: 'Shipped is not a deployment stage'
+      });
+    });
+  });
+
+  test('isStage and isTerminal', () => {
+    expect(isStage('Awaiting Approval')).toBe(true);
+    expect(isStage('Waiting for CI')).toBe(false);
+    expect(isTerminal('Cancelled')).toBe(true);
+    expect(isTerminal('Deployed')).toBe(false);
+  });
+});
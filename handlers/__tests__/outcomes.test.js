@@ -0,0 +1,161 @@
+/**
+ * Deployment Outcome Tests
+ * Tests for mapping finished workflow runs and deployment statuses onto lifecycle stages
+ */
+
+const mockSlack = {
+  chat: {
+    postMessage: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+// Failed jobs wait for a retry instead of running again during later tests
+process.env.JOB_BACKOFF_MS = '3600000';
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const outcomesHandler = require('../outcomes');
+const notionHandler = require('../notion');
+const deploymentStore = require('../deploymentStore');
+const jobsHandler = require('../jobs');
+
+const RUN_URL = 'https://github.com/acme/deploy/actions/runs/42';
+
+describe('Deployment Outcomes', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let notionSpy;
+  let sequence = 0;
+
+  // The deployment store resolves DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outcomes-'));
+    process.env = { ...originalEnv, DATA_DIR: dataDir };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000901' });
+    mockSlack.chat.update.mockResolvedValue({ ok: true });
+    notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+  });
+
+  afterEach(async () => {
+    await jobsHandler.work();
+    jest.restoreAllMocks();
+  });
+
+  // An approved deployment with a Slack thread, as dispatched
+  function createApproved() {
+    sequence += 1;
+    const deploymentId = `deploy-main-17695638009${sequence}`;
+    deploymentStore.createDeployment({ deployment_id: deploymentId, branch: 'main', repository: 'acme/api' });
+    deploymentStore.setSlackThread(deploymentId, 'C123', `1234567890.00090${sequence}`);
+    deploymentStore.recordApproval(deploymentId, 'Ada Lovelace');
+    return deploymentId;
+  }
+
+  // An outcome as webhooks/github.js builds it from a completed workflow_run or a final deployment_status
+  function outcome(deploymentId, source, conclusion, durationMs = 192000) {
+    return { deploymentId, success: conclusion === 'success', conclusion, url: RUN_URL, durationMs, source };
+  }
+
+  async function threadReplies() {
+    await jobsHandler.work();
+    return mockSlack.chat.postMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.thread_ts)
+      .map(message => message.text);
+  }
+
+  test.each([
+    ['workflow_run'],
+    ['deployment_status']
+  ])('a successful %s moves the deployment to Deployed', async (source) => {
+    const deploymentId = createApproved();
+
+    expect(await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, source, 'success'))).toEqual({ success: true, notified: true });
+
+    expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ stage: 'Deployed', deployment_status: 'Success' });
+    expect(notionSpy).toHaveBeenCalledWith('updateDeploymentDeployed', deploymentId);
+    expect(await threadReplies()).toEqual([`🚀 Deployment succeeded in 3m\n\n<${RUN_URL}|View run>\n\nDeployment ID: ${deploymentId}`]);
+  });
+
+  test.each([
+    ['workflow_run', 'failure'],
+    ['workflow_run', 'timed_out'],
+    ['deployment_status', 'failure'],
+    ['deployment_status', 'error']
+  ])('a %s ending in %s moves the deployment to Failed', async (source, conclusion) => {
+    const deploymentId = createApproved();
+
+    await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, source, conclusion, 40000));
+
+    expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({
+      stage: 'Failed',
+      deployment_status: 'Failure',
+      failure: { reason: conclusion, url: RUN_URL }
+    });
+    expect(notionSpy).toHaveBeenCalledWith('updateDeploymentFailed', deploymentId, conclusion, RUN_URL);
+    expect(await threadReplies()).toEqual([`🔥 Deployment failed (${conclusion}) after 40s\n\n<${RUN_URL}|View run>\n\nDeployment ID: ${deploymentId}`]);
+  });
+
+  test.each([
+    ['cancelled'],
+    ['skipped']
+  ])('a %s run counts as Failed, since the approved revision never went out, and a re-run can still deploy it', async (conclusion) => {
+    const deploymentId = createApproved();
+
+    await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, 'workflow_run', conclusion));
+    expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ stage: 'Failed', failure: { reason: conclusion } });
+
+    await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, 'workflow_run', 'success'));
+    expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ stage: 'Deployed', approval_status: 'Approved' });
+  });
+
+  test('leaves the stage alone when the lifecycle refuses the outcome', async () => {
+    const deploymentId = createApproved();
+    await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, 'workflow_run', 'success'));
+    await jobsHandler.work();
+    jest.clearAllMocks();
+
+    // e.g. a late failure from another run of an already deployed revision
+    await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, 'workflow_run', 'failure'));
+
+    expect(deploymentStore.getDeployment(deploymentId).stage).toBe('Deployed');
+    expect(notionSpy).not.toHaveBeenCalledWith('updateDeploymentFailed', expect.anything(), expect.anything(), expect.anything());
+    expect(await threadReplies()).toEqual([
+      `⚠️ A run reported failure for this deployment, but it is deployed, so its stage was left unchanged\n\n<${RUN_URL}|View run>\n\nDeployment ID: ${deploymentId}`
+    ]);
+  });
+
+  test('only updates Notion for deployments that predate the store', async () => {
+    const result = await outcomesHandler.reportDeploymentOutcome(outcome('deploy-main-1700000000000', 'workflow_run', 'failure'));
+
+    expect(result).toEqual({ success: true, notified: false });
+    expect(notionSpy).toHaveBeenCalledWith('updateDeploymentFailed', 'deploy-main-1700000000000', 'failure', RUN_URL);
+    expect(await threadReplies()).toEqual([]);
+  });
+
+  test('reports an unknown duration when the run timestamps are missing', async () => {
+    const deploymentId = createApproved();
+
+    await outcomesHandler.reportDeploymentOutcome(outcome(deploymentId, 'deployment_status', 'success', NaN));
+
+    expect(await threadReplies()).toEqual([expect.stringMatching(/^🚀 Deployment succeeded in unknown\n/)]);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Deployment Pipeline Tests
+ * Tests for turning normalized pushes into deployments: environment routing, skipped pushes,
+ * per-service deployments, CI gating and force-pushes superseding pending deployments
+ */
+
+const mockSlack = {
+  chat: {
+    postMessage: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+// Failed jobs wait for a retry instead of running again during later tests
+process.env.JOB_BACKOFF_MS = '3600000';
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipelineHandler = require('../pipeline');
+const repositoriesHandler = require('../repositories');
+const archiveHandler = require('../archive');
+const deploymentStore = require('../deploymentStore');
+const jobsHandler = require('../jobs');
+
+const RECEIVED_AT = Date.parse('2026-01-28T01:30:00.000Z');
+
+function commit(id, files = ['src/index.js']) {
+  return {
+    id: id.padEnd(40, '0'),
+    message: `Commit ${id}\n\nDetails`,
+    author: 'Ada Lovelace',
+    url: `https://github.com/acme/api/commit/${id}`,
+    added: [],
+    modified: files,
+    removed: []
+  };
+}
+
+describe('Deployment Pipeline', () => {
+  const originalEnv = process.env;
+  const configPath = path.join(os.tmpdir(), `pipeline-${process.pid}.json`);
+  let dataDir;
+  let pushes = 0;
+
+  // The stores resolve DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+    fs.writeFileSync(configPath, JSON.stringify({
+      defaults: { ignorePaths: ['docs/**'] },
+      repositories: {
+        'acme/monorepo': {
+          services: {
+            api: { paths: ['apps/api/**'] },
+            web: { paths: ['apps/web/**'] }
+          }
+        },
+        'acme/gated': { ci: { gate: true, requiredChecks: ['build'] } },
+        'acme/trunk': { branches: [{ pattern: 'trunk', environment: 'qa' }] }
+      }
+    }));
+    process.env = {
+      ...originalEnv,
+      DATA_DIR: dataDir,
+      REPOSITORIES_CONFIG_PATH: configPath,
+      SLACK_PROD_CHANNEL_ID: 'CPROD',
+      SLACK_QA_CHANNEL_ID: 'CQA',
+      SLACK_DEV_CHANNEL_ID: 'CDEV'
+    };
+    repositoriesHandler.reloadConfig();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    repositoriesHandler.reloadConfig();
+    fs.unlinkSync(configPath);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockSlack.chat.postMessage.mockResolvedValue({ ts: '1769563800.000100' });
+    mockSlack.chat.update.mockResolvedValue({ ok: true });
+  });
+
+  afterEach(async () => {
+    await jobsHandler.work();
+    jest.restoreAllMocks();
+  });
+
+  // A branch push received a minute after the previous one, so deployment IDs never collide
+  function push(overrides) {
+    pushes += 1;
+    jest.spyOn(archiveHandler, 'getReceivedAt').mockReturnValue(new Date(RECEIVED_AT + pushes * 60 * 1000));
+    return pipelineHandler.handlePush({
+      forge: 'github',
+      repository: 'acme/api',
+      branch: 'main',
+      before: 'a'.repeat(40),
+      after: 'b'.repeat(40),
+      compareUrl: 'https://github.com/acme/api/compare/aaaaaaa...bbbbbbb',
+      forced: false,
+      deleted: false,
+      pusher: 'ada',
+      commits: [commit('1111111')],
+      ...overrides
+    }, `delivery-${pushes}`);
+  }
+
+  function threadMessages() {
+    return mockSlack.chat.postMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.thread_ts)
+      .map(message => message.text);
+  }
+
+  describe('environment resolution', () => {
+    test.each([
+      ['main', 'prod'],
+      ['develop', 'qa'],
+      ['feature/login', 'dev']
+    ])('deploys %s to %s', (branch, environment) => {
+      const { result } = push({ branch });
+
+      expect(result).toMatchObject({ status: 'received', branch });
+      expect(deploymentStore.getDeployment(result.deployment_id)).toMatchObject({ environment, branch });
+    });
+
+    test('ignores branches no rule routes', () => {
+      expect(push({ branch: 'hotfix' })).toEqual({
+        result: { status: 'ignored', reason: 'Branch hotfix not tracked' }
+      });
+    });
+
+    test('uses the repository branch rules instead of the global ones', () => {
+      expect(push({ repository: 'acme/trunk', branch: 'main' }).result.status).toBe('ignored');
+
+      const { result } = push({ repository: 'acme/trunk', branch: 'trunk' });
+      expect(deploymentStore.getDeployment(result.deployment_id).environment).toBe('qa');
+    });
+  });
+
+  describe('skipped pushes', () => {
+    test('ignores pushes without commits', () => {
+      expect(push({ branch: 'develop', commits: [] })).toEqual({
+        result: { status: 'ignored', reason: 'Push to develop contains no commits' }
+      });
+    });
+
+    test('ignores pushes that only touch ignored paths', () => {
+      expect(push({ commits: [commit('2222222', ['docs/setup.md'])] })).toEqual({
+        result: { status: 'ignored', reason: 'Only ignored paths changed' }
+      });
+    });
+  });
+
+  describe('announcement', () => {
+    test('records the thread before queueing any reply to it', async () => {
+      const slackHandler = require('../slack');
+      const threadsAtQueueTime = [];
+      const queueThreadUpdate = slackHandler.queueThreadUpdate;
+      jest.spyOn(slackHandler, 'queueThreadUpdate').mockImplementation((channel, threadTs, text) => {
+        threadsAtQueueTime.push(deploymentStore.findDeploymentByMessage(channel, threadTs)?.deployment_id);
+        return queueThreadUpdate(channel, threadTs, text);
+      });
+
+      const { result, task } = push({ branch: 'develop' });
+      await task();
+
+      expect(threadsAtQueueTime.length).toBeGreaterThan(0);
+      expect(threadsAtQueueTime.every(id => id === result.deployment_id)).toBe(true);
+    });
+  });
+
+  describe('service fan-out', () => {
+    test('creates one deployment per affected service with only its commits', async () => {
+      const { result, task } = push({
+        repository: 'acme/monorepo',
+        commits: [commit('3333333', ['apps/api/server.js']), commit('4444444', ['apps/web/index.html']), commit('5555555', ['apps/api/db.js'])]
+      });
+      await task();
+
+      const [apiId, webId] = result.deployment_ids;
+      expect(apiId).toMatch(/^deploy-main-api-\d+$/);
+      expect(webId).toMatch(/^deploy-main-web-\d+$/);
+      expect(deploymentStore.getDeployment(apiId)).toMatchObject({ service: 'api', commit_sha: '5555555' });
+      expect(deploymentStore.getDeployment(apiId).commits.map(({ sha }) => sha)).toEqual(['3333333', '5555555']);
+      expect(deploymentStore.getDeployment(webId).commits.map(({ sha }) => sha)).toEqual(['4444444']);
+      // One announcement each
+      expect(mockSlack.chat.postMessage.mock.calls.filter(([message]) => !message.thread_ts)).toHaveLength(2);
+    });
+  });
+
+  describe('CI gating', () => {
+    test('holds deployments until CI passes, then opens approval', async () => {
+      const after = 'c'.repeat(40);
+      const { result, task } = push({ repository: 'acme/gated', after });
+      await task();
+
+      expect(deploymentStore.getDeployment(result.deployment_id).stage).toBe('Pending CI');
+      expect(mockSlack.chat.postMessage.mock.calls[0][0].text).toContain('⏳ *Waiting for CI*');
+
+      await pipelineHandler.applyCiCheck('acme/gated', after, { name: 'build', conclusion: 'success', url: 'https://ci.example.com/1' });
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(result.deployment_id).stage).toBe('Awaiting Approval');
+      expect(threadMessages()).toContain(`✅ CI passed (<https://ci.example.com/1|details>). ${result.deployment_id} is ready for approval: approve it to deploy.`);
+    });
+
+    test('fails deployments whose commit already failed CI', async () => {
+      const after = 'd'.repeat(40);
+      await pipelineHandler.applyCiCheck('acme/gated', after, { name: 'build', conclusion: 'failure', url: null });
+
+      const { result, task } = push({ repository: 'acme/gated', after });
+      await task();
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(result.deployment_id)).toMatchObject({ stage: 'Failed', failure: expect.anything() });
+      expect(threadMessages()).toContain(`❌ CI failed: CI. Approvals for ${result.deployment_id} are refused until CI is green.`);
+    });
+
+    test('leaves ungated repositories awaiting approval', () => {
+      const { result } = push({ after: 'e'.repeat(40) });
+      expect(deploymentStore.getDeployment(result.deployment_id).stage).toBe('Awaiting Approval');
+    });
+  });
+
+  describe('force-pushes', () => {
+    test('supersede the branch deployments still pending, leaving previews and decided ones alone', async () => {
+      const pending = push({ branch: 'develop' });
+      await pending.task();
+      const approved = push({ branch: 'develop' });
+      await approved.task();
+      deploymentStore.recordApproval(approved.result.deployment_id, 'Grace Hopper', { quorum: 1 });
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-preview-api-pr-9',
+        repository: 'acme/api',
+        branch: 'develop',
+        environment: 'preview',
+        pr_number: 9
+      });
+
+      const forced = push({ branch: 'develop', forced: true });
+      await forced.task();
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(pending.result.deployment_id).stage).toBe('Superseded');
+      expect(deploymentStore.getDeployment(approved.result.deployment_id).stage).toBe('Approved');
+      expect(deploymentStore.getDeployment('deploy-preview-api-pr-9').stage).toBe('Awaiting Approval');
+      expect(deploymentStore.getDeployment(forced.result.deployment_id)).toMatchObject({ stage: 'Awaiting Approval', forced: true });
+      expect(threadMessages()).toContain(
+        `⚠️ Branch \`develop\` was force-pushed. This deployment was superseded by ${forced.result.deployment_id} and can no longer be approved.\n\nDeployment ID: ${pending.result.deployment_id}`
+      );
+    });
+
+    test('a deleted branch cancels its pending deployments', async () => {
+      const pending = push({ branch: 'feature/old' });
+      await pending.task();
+
+      const deleted = push({ branch: 'feature/old', deleted: true, after: null, commits: [] });
+      expect(deleted.result).toEqual({ status: 'received', action: 'cancel_pending', branch: 'feature/old' });
+      await deleted.task();
+
+      expect(deploymentStore.getDeployment(pending.result.deployment_id).stage).toBe('Cancelled');
+    });
+  });
+});
@@ -1,21 +1,34 @@
 /**
  * Slack Reactions Handler Tests
- * Tests for deployment approval/rejection via Slack reactions
+ * Tests for deployment approval/rejection via Slack reactions and announcement buttons
  */
 
 // Setup mock Slack client BEFORE mocking the module
 const mockSlack = {
   users: {
-    info: jest.fn()
+    info: jest.fn(),
+    list: jest.fn()
+  },
+  auth: {
+    test: jest.fn()
   },
   conversations: {
     history: jest.fn()
   },
   chat: {
-    postMessage: jest.fn()
+    postMessage: jest.fn(),
+    update: jest.fn()
+  },
+  usergroups: {
+    users: {
+      list: jest.fn()
+    }
   }
 };
 
+// Failed jobs wait for a retry instead of running again during later tests
+process.env.JOB_BACKOFF_MS = '3600000';
+
 // Mock the Slack WebClient BEFORE requiring the handler
 jest.mock('@slack/web-api', () => {
   return {
@@ -23,12 +36,39 @@ jest.mock('@slack/web-api', () => {
   };
 });
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { WebClient } = require('@slack/web-api');
 const reactionsHandler = require('../reactions');
+const notionHandler = require('../notion');
+const deploymentStore = require('../deploymentStore');
+const jobsHandler = require('../jobs');
+const githubHandler = require('../github');
+const approversHandler = require('../approvers');
+
+const PROD_APPROVER_IDS = 'U123456,U456,U457,U458,U459';
+// Announcements from before the message index are only trusted when the bot posted them
+const BOT_ID = 'B0DEPLOYBOT';
 
 describe('Slack Reactions Handler', () => {
+  const originalEnv = process.env;
+  let dataDir;
   let consoleLogSpy;
   let consoleErrorSpy;
+  let policySpy;
+
+  // The deployment store resolves DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reactions-'));
+    // PROD takes approvals from its approver list only
+    process.env = { ...originalEnv, DATA_DIR: dataDir, SLACK_PROD_APPROVER_IDS: PROD_APPROVER_IDS };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
 
   beforeEach(() => {
     // Clear all mocks before each test
@@ -37,11 +77,17 @@ describe('Slack Reactions Handler', () => {
     // Spy on console methods
     consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
     consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    mockSlack.auth.test.mockResolvedValue({ bot_id: BOT_ID });
+
+    // One approval is enough unless a test asks for the configured PROD quorum
+    policySpy = jest.spyOn(approversHandler, 'getApprovalPolicy').mockReturnValue({ quorum: 1, excludeAuthor: false });
   });
 
   afterEach(() => {
     consoleLogSpy.mockRestore();
     consoleErrorSpy.mockRestore();
+    policySpy.mockRestore();
   });
 
   describe('extractDeploymentId', () => {
@@ -63,12 +109,23 @@ describe('Slack Reactions Handler', () => {
       expect(result).toBe('deploy-feature/new-feature-1234567890');
     });
 
+    test('extracts legacy IDs of branches with dots and underscores', () => {
+      const message = 'DEV deployment pending - deploy-release/2.1_hotfix-1234567890';
+      expect(reactionsHandler.extractDeploymentId(message)).toBe('deploy-release/2.1_hotfix-1234567890');
+    });
+
     test('extracts QA branch deployment IDs', () => {
       const message = 'QA deployment pending - deploy-develop-9876543210';
       const result = reactionsHandler.extractDeploymentId(message);
       expect(result).toBe('deploy-develop-9876543210');
     });
 
+    test('extracts release deployment IDs', () => {
+      const message = 'PROD release pending (stable) - release-ClaudeCodeOrchestrator-v1.4.0\nRepository: test';
+      const result = reactionsHandler.extractDeploymentId(message);
+      expect(result).toBe('release-ClaudeCodeOrchestrator-v1.4.0');
+    });
+
     test('handles empty message', () => {
       const result = reactionsHandler.extractDeploymentId('');
       expect(result).toBe('unknown');
@@ -96,11 +153,12 @@ describe('Slack Reactions Handler', () => {
         user: { real_name: 'John Doe' }
       });
       mockSlack.conversations.history.mockResolvedValue({
-        messages: [{ text: 'deploy-main-123' }]
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'deploy-main-123' }]
       });
       mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000002' });
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(mockSlack.users.info).toHaveBeenCalledWith({ user: 'U123456' });
     });
@@ -120,11 +178,12 @@ describe('Slack Reactions Handler', () => {
         user: { real_name: 'John Doe' }
       });
       mockSlack.conversations.history.mockResolvedValue({
-        messages: [{ text: 'deploy-main-123' }]
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'deploy-main-123' }]
       });
       mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000002' });
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(mockSlack.users.info).toHaveBeenCalled();
     });
@@ -144,11 +203,12 @@ describe('Slack Reactions Handler', () => {
         user: { real_name: 'Jane Smith' }
       });
       mockSlack.conversations.history.mockResolvedValue({
-        messages: [{ text: 'deploy-main-123' }]
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'deploy-main-123' }]
       });
       mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000002' });
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(mockSlack.users.info).toHaveBeenCalled();
     });
@@ -168,11 +228,12 @@ describe('Slack Reactions Handler', () => {
         user: { real_name: 'Jane Smith' }
       });
       mockSlack.conversations.history.mockResolvedValue({
-        messages: [{ text: 'deploy-main-123' }]
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'deploy-main-123' }]
       });
       mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000002' });
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(mockSlack.users.info).toHaveBeenCalled();
     });
@@ -189,6 +250,7 @@ describe('Slack Reactions Handler', () => {
       };
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(mockSlack.users.info).not.toHaveBeenCalled();
       expect(consoleLogSpy).toHaveBeenCalledWith(
@@ -207,6 +269,7 @@ describe('Slack Reactions Handler', () => {
       };
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(mockSlack.users.info).not.toHaveBeenCalled();
       expect(consoleLogSpy).toHaveBeenCalledWith(
@@ -228,6 +291,7 @@ describe('Slack Reactions Handler', () => {
       mockSlack.users.info.mockRejectedValue(new Error('API Error'));
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       expect(consoleErrorSpy).toHaveBeenCalledWith(
         expect.stringContaining('Error approving deployment')
@@ -235,6 +299,380 @@ describe('Slack Reactions Handler', () => {
     });
   });
 
+  describe('handleReactionRemoved', () => {
+    const deploymentId = 'deploy-main-1769563800600';
+
+    function removed(reaction, user = 'U456') {
+      return {
+        user,
+        reaction,
+        item: { type: 'message', channel: 'C123', ts: '1234567890.000600' }
+      };
+    }
+
+    beforeAll(() => {
+      deploymentStore.createDeployment({ deployment_id: deploymentId, branch: 'main' });
+      deploymentStore.setSlackThread(deploymentId, 'C123', '1234567890.000600');
+    });
+
+    beforeEach(() => {
+      mockSlack.users.info.mockResolvedValue({ user: { real_name: 'Ada Lovelace' } });
+      mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000601' });
+    });
+
+    test('withdraws an approval that was not dispatched yet', async () => {
+      deploymentStore.recordApproval(deploymentId, 'Ada Lovelace');
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      await reactionsHandler.handleReactionRemoved(removed('white_check_mark'));
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({
+        stage: 'Awaiting Approval',
+        approval_status: 'Pending',
+        approvals: []
+      });
+      expect(notionSpy).toHaveBeenCalledWith('updateDeploymentWithdrawal', deploymentId, 'Ada Lovelace', 'approval');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        thread_ts: '1234567890.000600',
+        text: `↩️ Ada Lovelace withdrew their approval. ${deploymentId} is awaiting approval again.`
+      }));
+      // The buttons come back
+      expect(mockSlack.chat.update.mock.calls[0][0].blocks[1].type).toBe('actions');
+
+      notionSpy.mockRestore();
+    });
+
+    test('lets approvers who renamed themselves withdraw, but not namesakes', async () => {
+      deploymentStore.recordApproval(deploymentId, 'Ada Lovelace', { userId: 'U456' });
+
+      mockSlack.users.info.mockResolvedValue({ user: { real_name: 'Ada Lovelace' } });
+      await reactionsHandler.handleReactionRemoved(removed('white_check_mark', 'U457'));
+      expect(deploymentStore.getDeployment(deploymentId).approvals).toHaveLength(1);
+
+      mockSlack.users.info.mockResolvedValue({ user: { real_name: 'Ada King' } });
+      await reactionsHandler.handleReactionRemoved(removed('white_check_mark'));
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ stage: 'Awaiting Approval', approvals: [] });
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: `↩️ Ada King withdrew their approval. ${deploymentId} is awaiting approval again.`
+      }));
+    });
+
+    test('does not dispatch a deployment whose approval was withdrawn', async () => {
+      const dispatchSpy = jest.spyOn(githubHandler, 'dispatchRepositoryEvent');
+
+      jobsHandler.enqueue('deploy.dispatch', {
+        deploymentId,
+        channel: 'C123',
+        threadTs: '1234567890.000600',
+        githubRepo: 'acme/deploy',
+        eventType: 'deployment-approved',
+        clientPayload: { deployment_id: deploymentId }
+      });
+      await jobsHandler.work();
+
+      expect(dispatchSpy).not.toHaveBeenCalled();
+      dispatchSpy.mockRestore();
+    });
+
+    test('ignores removed reactions of people who made no decision', async () => {
+      await reactionsHandler.handleReactionRemoved(removed('x'));
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).not.toHaveBeenCalled();
+      expect(deploymentStore.getDeployment(deploymentId).stage).toBe('Awaiting Approval');
+    });
+
+    test('says the withdrawal came too late once the deployment was dispatched', async () => {
+      deploymentStore.recordApproval(deploymentId, 'Ada Lovelace');
+      deploymentStore.transitionDeployment(deploymentId, 'Deploying');
+
+      await reactionsHandler.handleReactionRemoved(removed('+1'));
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(deploymentId).stage).toBe('Deploying');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringContaining('came too late and nothing was changed')
+      }));
+      expect(mockSlack.chat.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approver authorization', () => {
+    beforeAll(() => {
+      deploymentStore.createDeployment({ deployment_id: 'deploy-main-1769563800700', branch: 'main' });
+      deploymentStore.setSlackThread('deploy-main-1769563800700', 'C123', '1234567890.000700');
+    });
+
+    beforeEach(() => {
+      approversHandler.clearGroupCache();
+      delete process.env.SLACK_PROD_APPROVER_IDS;
+      mockSlack.users.info.mockResolvedValue({ user: { real_name: 'Ada Lovelace' } });
+      mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000701' });
+    });
+
+    afterEach(() => {
+      process.env.SLACK_PROD_APPROVER_IDS = PROD_APPROVER_IDS;
+      delete process.env.SLACK_PROD_APPROVER_GROUP_ID;
+    });
+
+    test('denies PROD approvals from anyone outside the approver list', async () => {
+      process.env.SLACK_PROD_APPROVER_IDS = 'U900,U901';
+      process.env.SLACK_PROD_APPROVER_GROUP_ID = 'S100';
+      mockSlack.usergroups.users.list.mockResolvedValue({ users: ['U902'] });
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000700', 'U456');
+      await jobsHandler.work();
+
+      const record = deploymentStore.getDeployment('deploy-main-1769563800700');
+      expect(record.stage).toBe('Awaiting Approval');
+      expect(record.denied_approvals).toEqual([expect.objectContaining({ by: 'Ada Lovelace' })]);
+      expect(mockSlack.usergroups.users.list).toHaveBeenCalledWith({ usergroup: 'S100' });
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        thread_ts: '1234567890.000700',
+        text: "⛔ Ada Lovelace can't approve deploy-main-1769563800700. PROD deployments can only be approved by <@U900>, <@U901>, <!subteam^S100>."
+      }));
+      expect(notionSpy).toHaveBeenCalledWith(
+        'addDeploymentComment',
+        'deploy-main-1769563800700',
+        expect.stringContaining('Approval denied: Ada Lovelace (U456) is not an approver for prod')
+      );
+      expect(notionSpy.mock.calls.map(([fn]) => fn)).toEqual(['addDeploymentComment']);
+
+      notionSpy.mockRestore();
+    });
+
+    test('denies everyone when the approver variables are unset', async () => {
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000700', 'U456');
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800700').stage).toBe('Awaiting Approval');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: "⛔ Ada Lovelace can't approve deploy-main-1769563800700. PROD deployments can't be approved until its approvers can be checked."
+      }));
+      expect(notionSpy).toHaveBeenCalledWith('addDeploymentComment', 'deploy-main-1769563800700', expect.stringContaining('Approval denied'));
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Approvers of prod resolve to nobody'));
+
+      notionSpy.mockRestore();
+    });
+
+    test('fails closed when the approver group cannot be read', async () => {
+      process.env.SLACK_PROD_APPROVER_GROUP_ID = 'S100';
+      mockSlack.usergroups.users.list.mockRejectedValue(new Error('missing_scope'));
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000700', 'U456');
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800700').stage).toBe('Awaiting Approval');
+    });
+
+    test('accepts approvals from members of the approver group', async () => {
+      process.env.SLACK_PROD_APPROVER_GROUP_ID = 'S100';
+      mockSlack.usergroups.users.list.mockResolvedValue({ users: ['U456'] });
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000700', 'U456');
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800700').stage).toBe('Approved');
+    });
+  });
+
+  describe('approval quorum', () => {
+    const deploymentId = 'deploy-main-1769563800800';
+
+    function approveAs(realName, userId) {
+      mockSlack.users.info.mockResolvedValue({ user: { real_name: realName } });
+      return reactionsHandler.approveDeployment('C123', '1234567890.000800', userId);
+    }
+
+    beforeAll(() => {
+      deploymentStore.createDeployment({ deployment_id: deploymentId, branch: 'main', commit_author: 'Alan Turing' });
+      deploymentStore.setSlackThread(deploymentId, 'C123', '1234567890.000800');
+    });
+
+    beforeEach(() => {
+      // PROD needs two approvers, neither of them the author
+      policySpy.mockRestore();
+      mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000801' });
+    });
+
+    test('waits for a second approver before dispatching', async () => {
+      await approveAs('Ada Lovelace', 'U456');
+      await jobsHandler.work();
+
+      const record = deploymentStore.getDeployment(deploymentId);
+      expect(record).toMatchObject({ stage: 'Awaiting Approval', approval_status: 'Pending', approvals_required: 2 });
+      expect(record.approvals).toEqual([expect.objectContaining({ by: 'Ada Lovelace' })]);
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: '👍 Ada Lovelace approved (1 of 2 approvals)'
+      }));
+      // The buttons stay, with the approvals so far
+      const { blocks } = mockSlack.chat.update.mock.calls[0][0];
+      expect(blocks.map(block => block.type)).toEqual(['section', 'context', 'actions', 'context']);
+      expect(blocks[1].elements[0].text).toBe('👍 1 of 2 approvals: Ada Lovelace');
+      // Without GITHUB_TOKEN a dispatch would post the manual command
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not count the same approver twice', async () => {
+      await approveAs('Ada Lovelace', 'U456');
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringContaining("can't be approved: Ada Lovelace has already approved it")
+      }));
+      expect(deploymentStore.getDeployment(deploymentId).approvals).toHaveLength(1);
+    });
+
+    test('refuses approvals from the author of the change', async () => {
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      await approveAs('Alan Turing', 'U457');
+      await jobsHandler.work();
+
+      const record = deploymentStore.getDeployment(deploymentId);
+      expect(record.approvals).toHaveLength(1);
+      expect(record.denied_approvals).toEqual([expect.objectContaining({ by: 'Alan Turing' })]);
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: "⛔ Alan Turing can't approve deploy-main-1769563800800: authors can't approve their own changes to PROD."
+      }));
+      // Audited in Notion like approvals from outside the approver list
+      expect(notionSpy).toHaveBeenCalledWith(
+        'addDeploymentComment',
+        deploymentId,
+        expect.stringContaining('Approval denied: Alan Turing (U457) is an author of the change and prod excludes authors')
+      );
+    });
+
+    test('refuses approvals from an author found through their commit email', async () => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-main-1769563800810',
+        branch: 'main',
+        commit_author: 'Linus',
+        commit_author_email: 'linus@example.com'
+      });
+      deploymentStore.setSlackThread('deploy-main-1769563800810', 'C123', '1234567890.000810');
+      mockSlack.users.list.mockResolvedValue({ members: [{ id: 'U459', profile: { email: 'linus@example.com' } }] });
+      mockSlack.users.info.mockResolvedValue({ user: { id: 'U459', real_name: 'Linus Torvalds' } });
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000810', 'U459');
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800810').approvals).toEqual([]);
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: expect.stringContaining("authors can't approve their own changes to PROD")
+      }));
+    });
+
+    test('approves and dispatches once the quorum is met, recording every approver', async () => {
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+      const enqueueSpy = jest.spyOn(jobsHandler, 'enqueue');
+
+      await approveAs('Grace Hopper', 'U458');
+
+      const record = deploymentStore.getDeployment(deploymentId);
+      expect(record).toMatchObject({ stage: 'Approved', approval_status: 'Approved' });
+      expect(notionSpy).toHaveBeenCalledWith('updateDeploymentApprovals', deploymentId, [
+        expect.objectContaining({ by: 'Ada Lovelace', at: expect.any(String) }),
+        expect.objectContaining({ by: 'Grace Hopper', at: expect.any(String) })
+      ], true);
+      const threadOrder = { orderKey: 'slack.thread:C123:1234567890.000800' };
+      expect(enqueueSpy).toHaveBeenCalledWith('slack.thread', expect.objectContaining({
+        text: expect.stringContaining('Manual deployment fallback')
+      }), threadOrder);
+      expect(enqueueSpy).toHaveBeenCalledWith('slack.thread', expect.objectContaining({
+        text: '✅ Deployment approved by Grace Hopper (2 of 2 approvals)'
+      }), threadOrder);
+      expect(enqueueSpy).toHaveBeenCalledWith('slack.decision', {
+        deploymentId,
+        decision: '✅ Approved by Ada Lovelace, Grace Hopper'
+      });
+
+      notionSpy.mockRestore();
+      enqueueSpy.mockRestore();
+      await jobsHandler.work();
+    });
+  });
+
+  describe('handleBlockActions', () => {
+    function click(actionId, messageTs) {
+      return {
+        type: 'block_actions',
+        trigger_id: '123.456.abc',
+        user: { id: 'U456' },
+        channel: { id: 'C123' },
+        message: { ts: messageTs },
+        actions: [{ action_id: actionId, value: 'deploy-main-1769563800500' }]
+      };
+    }
+
+    beforeAll(() => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-main-1769563800500',
+        branch: 'main'
+      });
+      deploymentStore.setSlackThread('deploy-main-1769563800500', 'C123', '1234567890.000500');
+    });
+
+    beforeEach(() => {
+      mockSlack.users.info.mockResolvedValue({ user: { real_name: 'Ada Lovelace' } });
+      mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000502' });
+    });
+
+    test('identifies a click by fields a retry repeats', () => {
+      expect(reactionsHandler.getInteractionDeliveryId(click('approve_deployment', '1234567890.000500'))).toBe('slack:123.456.abc');
+
+      const { trigger_id, ...withoutTrigger } = click('approve_deployment', '1234567890.000500');
+      withoutTrigger.actions[0].action_ts = '1769563900.123456';
+      const deliveryId = reactionsHandler.getInteractionDeliveryId(withoutTrigger);
+      expect(deliveryId).toBe('slack:C123-1234567890.000500-U456-approve_deployment-1769563900.123456');
+      expect(reactionsHandler.getInteractionDeliveryId(JSON.parse(JSON.stringify(withoutTrigger)))).toBe(deliveryId);
+    });
+
+    test('ignores the View diff link button', () => {
+      const { task } = reactionsHandler.handleBlockActions(click('view_deployment_diff', '1234567890.000500'));
+      expect(task).toBeUndefined();
+    });
+
+    test('rejects through the same flow as a ❌ reaction', async () => {
+      const { task } = reactionsHandler.handleBlockActions(click('reject_deployment', '1234567890.000500'));
+      await task();
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-main-1769563800500').stage).toBe('Cancelled');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          thread_ts: '1234567890.000500',
+          text: expect.stringContaining('rejected by Ada Lovelace')
+        })
+      );
+      expect(mockSlack.chat.update).toHaveBeenCalledWith(expect.objectContaining({
+        ts: '1234567890.000500',
+        blocks: expect.arrayContaining([
+          { type: 'context', elements: [{ type: 'mrkdwn', text: '❌ Rejected by Ada Lovelace' }] }
+        ])
+      }));
+    });
+
+    test('leaves the message alone when the click is refused', async () => {
+      const { task } = reactionsHandler.handleBlockActions(click('approve_deployment', '1234567890.000500'));
+      await task();
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          text: expect.stringContaining("can't be approved: it was rejected")
+        })
+      );
+      expect(mockSlack.chat.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('approveDeployment', () => {
     beforeEach(() => {
       mockSlack.users.info.mockResolvedValue({
@@ -246,6 +684,8 @@ describe('Slack Reactions Handler', () => {
 
       mockSlack.conversations.history.mockResolvedValue({
         messages: [{
+          ts: '1234567890.000001',
+          bot_id: BOT_ID,
           text: 'PROD deployment pending - deploy-main-1769563800391\nRepository: moncalaworks-cpu/ClaudeCodeOrchestrator'
         }]
       });
@@ -255,6 +695,7 @@ describe('Slack Reactions Handler', () => {
 
     test('posts approval message to thread', async () => {
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -267,6 +708,7 @@ describe('Slack Reactions Handler', () => {
 
     test('includes user name in approval reply', async () => {
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -275,6 +717,117 @@ describe('Slack Reactions Handler', () => {
       );
     });
 
+    test('refuses to approve a superseded deployment', async () => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-main-1769563800100',
+        branch: 'main',
+        stage: 'Superseded'
+      });
+      deploymentStore.setSlackThread('deploy-main-1769563800100', 'C123', '1234567890.000100');
+      const approvalSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000100', 'U456');
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledTimes(1);
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          text: expect.stringContaining("can't be approved: it is superseded")
+        })
+      );
+      expect(approvalSpy).not.toHaveBeenCalled();
+      // Found through the store, without reading the message back from Slack
+      expect(mockSlack.conversations.history).not.toHaveBeenCalled();
+
+      approvalSpy.mockRestore();
+    });
+
+    test('records the approval in the deployment store', async () => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-main-1769563800200',
+        branch: 'main'
+      });
+      deploymentStore.setSlackThread('deploy-main-1769563800200', 'C123', '1234567890.000200');
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000200', 'U456');
+      await jobsHandler.work();
+
+      const record = deploymentStore.getDeployment('deploy-main-1769563800200');
+      expect(record.stage).toBe('Approved');
+      expect(record.approval_status).toBe('Approved');
+      expect(record.approvals).toEqual([expect.objectContaining({ by: 'John Doe' })]);
+
+      // The announcement's buttons are replaced by the decision
+      const update = mockSlack.chat.update.mock.calls[0][0];
+      expect(update).toMatchObject({ channel: 'C123', ts: '1234567890.000200' });
+      expect(update.blocks.map(block => block.type)).toEqual(['section', 'context', 'context']);
+      expect(update.blocks[1].elements[0].text).toBe('✅ Approved by John Doe');
+    });
+
+    test('refuses a second approval without triggering another deploy', async () => {
+      await reactionsHandler.approveDeployment('C123', '1234567890.000200', 'U456');
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledTimes(1);
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          text: expect.stringContaining("can't be approved: it is already approved")
+        })
+      );
+      expect(deploymentStore.getDeployment('deploy-main-1769563800200').approvals).toHaveLength(1);
+    });
+
+    test('resolves a reaction on a bot reply to its deployment thread', async () => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-feature-login-1769563800400',
+        branch: 'feature/login'
+      });
+      deploymentStore.setSlackThread('deploy-feature-login-1769563800400', 'C123', '1234567890.000400');
+      deploymentStore.indexThreadReply('C123', '1234567890.000400', '1234567890.000401');
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000401', 'U456');
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment('deploy-feature-login-1769563800400').stage).toBe('Approved');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          thread_ts: '1234567890.000400',
+          text: expect.stringContaining('approved by John Doe')
+        })
+      );
+      expect(mockSlack.conversations.history).not.toHaveBeenCalled();
+    });
+
+    test('ignores reactions on messages that are not about a deployment', async () => {
+      // A reply by a person: history returns the top-level message before it
+      mockSlack.conversations.history.mockResolvedValue({
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'PROD deployment pending - deploy-main-1769563800391' }]
+      });
+
+      await reactionsHandler.approveDeployment('C123', '1234567890.000005', 'U456');
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('is not about a deployment')
+      );
+    });
+
+    test('ignores deployment IDs quoted in messages the bot did not post', async () => {
+      for (const message of [
+        { ts: '1234567890.000001', user: 'U999', text: 'can someone approve deploy-main-1769563800391?' },
+        { ts: '1234567890.000001', bot_id: 'B0OTHERBOT', text: 'PROD deployment pending - deploy-main-1769563800391' }
+      ]) {
+        mockSlack.conversations.history.mockResolvedValue({ messages: [message] });
+
+        await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+        await jobsHandler.work();
+      }
+
+      expect(mockSlack.chat.postMessage).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('is not about a deployment'));
+    });
+
     test('uses fallback username when real_name is unavailable', async () => {
       mockSlack.users.info.mockResolvedValue({
         user: {
@@ -283,6 +836,7 @@ describe('Slack Reactions Handler', () => {
       });
 
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -293,6 +847,7 @@ describe('Slack Reactions Handler', () => {
 
     test('logs deployment ID when approved', async () => {
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(consoleLogSpy).toHaveBeenCalledWith(
         expect.stringContaining('Deployment deploy-main-1769563800391 approved')
@@ -303,34 +858,52 @@ describe('Slack Reactions Handler', () => {
       mockSlack.users.info.mockRejectedValue(new Error('User not found'));
 
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(consoleErrorSpy).toHaveBeenCalledWith(
         expect.stringContaining('Error approving deployment')
       );
     });
 
-    test('posts error to thread on failure', async () => {
+    test('queues the reply for a retry when Slack fails', async () => {
       mockSlack.chat.postMessage.mockRejectedValueOnce(new Error('Slack API error'));
 
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
-      expect(consoleErrorSpy).toHaveBeenCalledWith(
+      const retry = jobsHandler.listJobs({ type: 'slack.thread', status: 'queued' })
+        .find(job => job.payload.text.includes('approved by John Doe'));
+      expect(retry).toMatchObject({ attempts: 1, lastError: 'Slack API error' });
+      expect(consoleErrorSpy).not.toHaveBeenCalledWith(
         expect.stringContaining('Error approving deployment')
       );
+
+      // Later replies to the thread wait for it; retry it now so they can go out
+      jobsHandler.retryJob(retry.id);
+      await jobsHandler.work();
+      expect(jobsHandler.getJob(retry.id).status).toBe('done');
     });
 
-    test('handles postMessage failures gracefully', async () => {
+    test('keeps the approval when Slack is down', async () => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-main-1769563800300',
+        branch: 'main'
+      });
+      deploymentStore.setSlackThread('deploy-main-1769563800300', 'C123', '1234567890.000300');
       mockSlack.chat.postMessage.mockRejectedValue(new Error('API Error'));
 
-      await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await reactionsHandler.approveDeployment('C123', '1234567890.000300', 'U456');
+      await jobsHandler.work();
 
-      expect(consoleErrorSpy).toHaveBeenCalledWith(
+      expect(deploymentStore.getDeployment('deploy-main-1769563800300').stage).toBe('Approved');
+      expect(consoleErrorSpy).not.toHaveBeenCalledWith(
         expect.stringContaining('Error approving deployment')
       );
     });
 
     test('always marks deployment as mrkdwn enabled', async () => {
       await reactionsHandler.approveDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -351,6 +924,8 @@ describe('Slack Reactions Handler', () => {
 
       mockSlack.conversations.history.mockResolvedValue({
         messages: [{
+          ts: '1234567890.000001',
+          bot_id: BOT_ID,
           text: 'PROD deployment pending - deploy-main-1769563800391'
         }]
       });
@@ -360,6 +935,7 @@ describe('Slack Reactions Handler', () => {
 
     test('posts rejection message to thread', async () => {
       await reactionsHandler.rejectDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -372,6 +948,7 @@ describe('Slack Reactions Handler', () => {
 
     test('includes user name in rejection reply', async () => {
       await reactionsHandler.rejectDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -382,6 +959,7 @@ describe('Slack Reactions Handler', () => {
 
     test('logs deployment ID when rejected', async () => {
       await reactionsHandler.rejectDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(consoleLogSpy).toHaveBeenCalledWith(
         expect.stringContaining('Deployment deploy-main-1769563800391 rejected')
@@ -392,20 +970,70 @@ describe('Slack Reactions Handler', () => {
       mockSlack.users.info.mockRejectedValue(new Error('User not found'));
 
       await reactionsHandler.rejectDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
       expect(consoleErrorSpy).toHaveBeenCalledWith(
         expect.stringContaining('Error rejecting deployment')
       );
     });
 
-    test('posts error to thread on failure', async () => {
+    test('queues the reply for a retry when Slack fails', async () => {
       mockSlack.chat.postMessage.mockRejectedValueOnce(new Error('Slack API error'));
 
       await reactionsHandler.rejectDeployment('C123', '1234567890.000001', 'U456');
+      await jobsHandler.work();
 
-      expect(consoleErrorSpy).toHaveBeenCalledWith(
+      const retry = jobsHandler.listJobs({ type: 'slack.thread', status: 'queued' })
+        .find(job => job.payload.text.includes('rejected by Jane Smith'));
+      expect(retry).toMatchObject({ attempts: 1, lastError: 'Slack API error' });
+      expect(consoleErrorSpy).not.toHaveBeenCalledWith(
         expect.stringContaining('Error rejecting deployment')
       );
+
+      // Later replies to the thread wait for it; retry it now so they can go out
+      jobsHandler.retryJob(retry.id);
+      await jobsHandler.work();
+      expect(jobsHandler.getJob(retry.id).status).toBe('done');
+    });
+  });
+
+  describe('rejectDeploymentFor', () => {
+    beforeEach(() => {
+      mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000402' });
+      mockSlack.chat.update.mockResolvedValue({ ok: true });
+    });
+
+    test('records the rejection in this process and reports it in the thread', async () => {
+      deploymentStore.createDeployment({ deployment_id: 'deploy-main-1769563800401', branch: 'main', repository: 'acme/api' });
+      deploymentStore.setSlackThread('deploy-main-1769563800401', 'C123', '1234567890.000401');
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      const rejection = await reactionsHandler.rejectDeploymentFor('deploy-main-1769563800401', 'Claude Code User', { reason: 'Claude Code analysis' });
+      await jobsHandler.work();
+
+      expect(rejection).toEqual({ success: true });
+      expect(deploymentStore.getDeployment('deploy-main-1769563800401')).toMatchObject({
+        stage: 'Cancelled',
+        approval_status: 'Rejected',
+        rejected_by: expect.objectContaining({ by: 'Claude Code User', reason: 'Claude Code analysis' })
+      });
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'C123',
+        thread_ts: '1234567890.000401',
+        text: '❌ Deployment rejected by Claude Code User: Claude Code analysis'
+      }));
+      expect(notionSpy).toHaveBeenCalledWith('updateDeploymentRejection', 'deploy-main-1769563800401', 'Claude Code User', 'Claude Code analysis');
+      notionSpy.mockRestore();
+    });
+
+    test('refuses deployments that were already decided', async () => {
+      deploymentStore.createDeployment({ deployment_id: 'deploy-main-1769563800402', branch: 'main', repository: 'acme/api' });
+      deploymentStore.recordApproval('deploy-main-1769563800402', 'Ada Lovelace');
+
+      const rejection = await reactionsHandler.rejectDeploymentFor('deploy-main-1769563800402', 'Claude Code User');
+
+      expect(rejection).toEqual({ success: false, error: expect.any(String) });
+      expect(deploymentStore.getDeployment('deploy-main-1769563800402').stage).toBe('Approved');
     });
   });
 
@@ -450,7 +1078,7 @@ describe('Slack Reactions Handler', () => {
         user: { real_name: 'John Doe' }
       });
       mockSlack.conversations.history.mockResolvedValue({
-        messages: [{ text: 'deploy-main-123' }]
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'deploy-main-123' }]
       });
       mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000002' });
 
@@ -465,6 +1093,7 @@ describe('Slack Reactions Handler', () => {
       };
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       // Verify the workflow
       expect(mockSlack.users.info).toHaveBeenCalled();
@@ -482,7 +1111,7 @@ describe('Slack Reactions Handler', () => {
         user: { real_name: 'Jane Smith' }
       });
       mockSlack.conversations.history.mockResolvedValue({
-        messages: [{ text: 'deploy-main-123' }]
+        messages: [{ ts: '1234567890.000001', bot_id: BOT_ID, text: 'deploy-main-123' }]
       });
       mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000002' });
 
@@ -497,6 +1126,7 @@ describe('Slack Reactions Handler', () => {
       };
 
       await reactionsHandler.handleReactionAdded(event);
+      await jobsHandler.work();
 
       // Verify the workflow
       expect(mockSlack.users.info).toHaveBeenCalled();
@@ -0,0 +1,188 @@
+/**
+ * Approval Reminders Tests
+ * Tests for reminding, escalating and expiring deployments awaiting approval
+ */
+
+const mockSlack = {
+  chat: {
+    postMessage: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+// Failed jobs wait for a retry instead of running again during later tests
+process.env.JOB_BACKOFF_MS = '3600000';
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const remindersHandler = require('../reminders');
+const notionHandler = require('../notion');
+const deploymentStore = require('../deploymentStore');
+const jobsHandler = require('../jobs');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('Approval Reminders', () => {
+  const originalEnv = process.env;
+  let dataDir;
+  let sequence = 0;
+
+  // The deployment store resolves DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-'));
+    process.env = {
+      ...originalEnv,
+      DATA_DIR: dataDir,
+      SLACK_PROD_APPROVER_IDS: 'U111',
+      SLACK_INCIDENTS_CHANNEL_ID: 'C999'
+    };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    mockSlack.chat.postMessage.mockResolvedValue({ ts: '1234567890.000701' });
+    mockSlack.chat.update.mockResolvedValue({ ok: true });
+    delete process.env.SLACK_ONCALL_USER_ID;
+  });
+
+  // Each test checks its own deployment: settle the others and their jobs
+  afterEach(async () => {
+    for (const record of deploymentStore.listDeployments({ stages: ['Awaiting Approval'] })) {
+      deploymentStore.recordExpiry(record.deployment_id);
+    }
+    await jobsHandler.work();
+    jest.restoreAllMocks();
+  });
+
+  // A PROD deployment awaiting approval; returns it with when it started waiting
+  function createPending() {
+    sequence += 1;
+    const deploymentId = `deploy-main-17695638000${sequence}`;
+    deploymentStore.createDeployment({ deployment_id: deploymentId, branch: 'main', repository: 'acme/api' });
+    deploymentStore.setSlackThread(deploymentId, 'C123', `1234567890.00070${sequence}`);
+    const record = deploymentStore.getDeployment(deploymentId);
+    return { deploymentId, since: Date.parse(record.created_at) };
+  }
+
+  describe('getTimeouts', () => {
+    test('converts minutes and falls back to the INCIDENTS channel', () => {
+      expect(remindersHandler.getTimeouts({
+        approval: { timeouts: { remindAfterMinutes: 30, expireAfterMinutes: 120 } }
+      })).toEqual({ remindMs: 30 * MINUTE_MS, escalateMs: null, expireMs: 120 * MINUTE_MS, escalateTo: 'C999' });
+    });
+
+    test('is null for environments without timeouts', () => {
+      expect(remindersHandler.getTimeouts({ approval: { autoApprove: true } })).toBeNull();
+      expect(remindersHandler.getTimeouts(null)).toBeNull();
+    });
+  });
+
+  describe('checkPendingApprovals', () => {
+    test('leaves deployments alone until the first reminder is due', async () => {
+      const { deploymentId, since } = createPending();
+
+      const summary = remindersHandler.checkPendingApprovals(since + 59 * MINUTE_MS);
+      await jobsHandler.work();
+
+      expect(summary.reminded).not.toContain(deploymentId);
+      expect(mockSlack.chat.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('reminds the approvers in the thread once per interval', async () => {
+      const { deploymentId, since } = createPending();
+
+      expect(remindersHandler.checkPendingApprovals(since + 61 * MINUTE_MS).reminded).toContain(deploymentId);
+      expect(remindersHandler.checkPendingApprovals(since + 90 * MINUTE_MS).reminded).not.toContain(deploymentId);
+      expect(remindersHandler.checkPendingApprovals(since + 122 * MINUTE_MS).reminded).toContain(deploymentId);
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage.mock.calls.map(([message]) => message)).toEqual([
+        expect.objectContaining({
+          channel: 'C123',
+          text: `⏰ ${deploymentId} has been awaiting approval for 1h (0 of 2 approvals so far). <@U111>, please approve or reject it.`
+        }),
+        expect.objectContaining({
+          text: expect.stringContaining('awaiting approval for 2h')
+        })
+      ]);
+      expect(deploymentStore.getDeployment(deploymentId).reminded_at).toBe(new Date(since + 122 * MINUTE_MS).toISOString());
+    });
+
+    test('escalates once to the on-call user, or else the INCIDENTS channel', async () => {
+      const { deploymentId, since } = createPending();
+
+      expect(remindersHandler.checkPendingApprovals(since + 241 * MINUTE_MS).escalated).toContain(deploymentId);
+      expect(remindersHandler.checkPendingApprovals(since + 242 * MINUTE_MS).escalated).not.toContain(deploymentId);
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'C999',
+        text: expect.stringMatching(new RegExp(`^🚨 PROD deployment <.+\\|${deploymentId}> \\(acme/api \`main\`\\) has been awaiting approval for 4h without a decision\\.$`))
+      }));
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'C123',
+        text: '🚨 No decision after 4h, escalated to <#C999>.'
+      }));
+
+      process.env.SLACK_ONCALL_USER_ID = 'U777';
+      const paged = createPending();
+      remindersHandler.checkPendingApprovals(paged.since + 241 * MINUTE_MS);
+      await jobsHandler.work();
+
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'U777',
+        text: expect.stringContaining(paged.deploymentId)
+      }));
+    });
+
+    test('expires deployments nobody decided on', async () => {
+      const { deploymentId, since } = createPending();
+      const notionSpy = jest.spyOn(notionHandler, 'queueUpdate');
+
+      expect(remindersHandler.checkPendingApprovals(since + 3 * 24 * 60 * MINUTE_MS).expired).toContain(deploymentId);
+      await jobsHandler.work();
+
+      expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ stage: 'Expired', slack_decision: '⌛ Expired after 3d without a decision' });
+      expect(notionSpy).toHaveBeenCalledWith('updateDeploymentStage', deploymentId, 'Expired');
+      expect(mockSlack.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: `⌛ ${deploymentId} expired after 3d without a decision and can no longer be approved. Push again to start a new deployment.`
+      }));
+      // The buttons are gone from the announcement
+      const [update] = mockSlack.chat.update.mock.calls.map(([message]) => message);
+      expect(update.blocks.map(block => block.type)).not.toContain('actions');
+
+      // Expired deployments are no longer checked
+      expect(remindersHandler.checkPendingApprovals(since + 4 * 24 * 60 * MINUTE_MS).expired).not.toContain(deploymentId);
+    });
+
+    test('starts over when a deployment awaits approval again', async () => {
+      const { deploymentId, since } = createPending();
+      remindersHandler.checkPendingApprovals(since + 241 * MINUTE_MS);
+
+      // An approval withdrawn five hours in puts it back to waiting
+      const restarted = since + 300 * MINUTE_MS;
+      jest.useFakeTimers({ now: restarted });
+      deploymentStore.recordApproval(deploymentId, 'Ada Lovelace');
+      deploymentStore.withdrawApproval(deploymentId, 'Ada Lovelace');
+      jest.useRealTimers();
+
+      expect(remindersHandler.checkPendingApprovals(restarted + 30 * MINUTE_MS).escalated).not.toContain(deploymentId);
+
+      const summary = remindersHandler.checkPendingApprovals(restarted + 241 * MINUTE_MS);
+      expect(summary.escalated).toContain(deploymentId);
+      expect(summary.expired).not.toContain(deploymentId);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Repository Config Tests
+ * Tests for per-repository settings selected by repository.full_name
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const repositoriesHandler = require('../repositories');
+const environmentsHandler = require('../environments');
+const githubHandler = require('../github');
+
+describe('Repository Config', () => {
+  const originalEnv = process.env;
+  const configPath = path.join(os.tmpdir(), `repositories-${process.pid}.json`);
+
+  beforeAll(() => {
+    fs.writeFileSync(configPath, JSON.stringify({
+      defaults: {
+        dispatchRepo: '${GITHUB_REPO}',
+        notionDatabaseId: '${NOTION_DATABASE_ID}'
+      },
+      repositories: {
+        'acme/api': {
+          dispatchRepo: 'acme/deployments',
+          notionDatabaseId: '${API_NOTION_DATABASE_ID}',
+          channels: { prod: '${API_PROD_CHANNEL_ID}' },
+          branches: [{ pattern: 'trunk', environment: 'prod' }]
+        },
+        'acme/web': {
+          notionDatabaseId: '${NOTION_DATABASE_ID}'
+        }
+      }
+    }));
+  });
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      REPOSITORIES_CONFIG_PATH: configPath,
+      GITHUB_REPO: 'acme/orchestrator',
+      NOTION_DATABASE_ID: 'db-default',
+      API_NOTION_DATABASE_ID: 'db-api',
+      API_PROD_CHANNEL_ID: 'CAPIPROD',
+      SLACK_PROD_CHANNEL_ID: 'CPROD',
+      SLACK_INCIDENTS_CHANNEL_ID: 'CINCIDENTS'
+    };
+    repositoriesHandler.reloadConfig();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    repositoriesHandler.reloadConfig();
+    fs.unlinkSync(configPath);
+  });
+
+  describe('getRepositoryConfig', () => {
+    test('unlisted repositories use the defaults', () => {
+      const config = repositoriesHandler.getRepositoryConfig('acme/unknown');
+      expect(config.dispatchRepo).toBe('acme/orchestrator');
+      expect(config.notionDatabaseId).toBe('db-default');
+      expect(config.branches).toBeNull();
+    });
+
+    test('repository entries override the defaults', () => {
+      const config = repositoriesHandler.getRepositoryConfig('acme/api');
+      expect(config.dispatchRepo).toBe('acme/deployments');
+      expect(config.notionDatabaseId).toBe('db-api');
+      expect(config.channels.prod).toBe('CAPIPROD');
+    });
+  });
+
+  test('lists each Notion database once', () => {
+    expect(repositoriesHandler.listNotionDatabaseIds()).toEqual(['db-default', 'db-api']);
+  });
+
+  test('repository branches replace the global routing rules', () => {
+    expect(environmentsHandler.resolveBranch('trunk', 'acme/api').name).toBe('prod');
+    expect(environmentsHandler.resolveBranch('main', 'acme/api')).toBeNull();
+    expect(environmentsHandler.resolveBranch('main', 'acme/web').name).toBe('prod');
+  });
+
+  test('repository channels override environment channels', () => {
+    const prod = environmentsHandler.getEnvironment('prod');
+    expect(environmentsHandler.getSlackChannel(prod, 'acme/api')).toBe('CAPIPROD');
+    expect(environmentsHandler.getSlackChannel(prod, 'acme/web')).toBe('CPROD');
+  });
+
+  describe('deployment IDs', () => {
+    test('branch IDs only keep letters, digits and dashes', () => {
+      expect(githubHandler.getBranchDeploymentId('feature/login_v2.1', null, 1769563800391))
+        .toBe('deploy-feature-login-v2-1-1769563800391');
+      expect(githubHandler.getBranchDeploymentId('main', 'api', 1769563800391)).toBe('deploy-main-api-1769563800391');
+    });
+
+    test('preview IDs are scoped to the repository', () => {
+      const deploymentId = githubHandler.getPreviewDeploymentId(42, 'acme/api.v2');
+      expect(deploymentId).toBe('deploy-preview-api-v2-pr-42');
+      expect(githubHandler.parsePreviewDeploymentId(deploymentId)).toBe(42);
+    });
+
+    test('preview app names are scoped to the repository within Heroku\'s 30 characters', () => {
+      expect(githubHandler.getPreviewAppName(42, 'acme/API.v2')).toBe('orch-pr-42-api-v2');
+
+      const service = githubHandler.getPreviewAppName(1234, 'acme/orchestrator-payments-service');
+      const server = githubHandler.getPreviewAppName(1234, 'acme/orchestrator-payments-server');
+      expect(service).toMatch(/^orch-pr-1234-orchestrat-[0-9a-f]{6}$/);
+      expect(service.length).toBeLessThanOrEqual(30);
+      expect(service).not.toBe(server);
+    });
+
+    test('release IDs are scoped to the repository', () => {
+      const deploymentId = githubHandler.getReleaseDeploymentId('1.4.0-rc.1', 'acme/api-2');
+      expect(deploymentId).toBe('release-api-2-1.4.0-rc.1');
+      expect(githubHandler.parseReleaseDeploymentId(deploymentId)).toBe('1.4.0-rc.1');
+    });
+  });
+});
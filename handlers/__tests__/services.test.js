@@ -0,0 +1,76 @@
+/**
+ * Service Selection Tests
+ * Tests for monorepo path rules deciding which services a push deploys
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const repositoriesHandler = require('../repositories');
+const { selectServices } = require('../services');
+
+function commit(id, files) {
+  return { id, message: `Commit ${id}`, author: { name: 'Jane' }, added: [], modified: files, removed: [] };
+}
+
+describe('Service Selection', () => {
+  const originalEnv = process.env;
+  const configPath = path.join(os.tmpdir(), `services-${process.pid}.json`);
+
+  beforeAll(() => {
+    fs.writeFileSync(configPath, JSON.stringify({
+      defaults: {
+        ignorePaths: ['docs/**', '**/*.md']
+      },
+      repositories: {
+        'acme/monorepo': {
+          services: {
+            api: { paths: ['apps/api/**', 'packages/shared/**'] },
+            web: { paths: ['apps/web/**', 'packages/shared/**'] }
+          }
+        }
+      }
+    }));
+    process.env = { ...originalEnv, REPOSITORIES_CONFIG_PATH: configPath };
+    repositoriesHandler.reloadConfig();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    repositoriesHandler.reloadConfig();
+    fs.unlinkSync(configPath);
+  });
+
+  test('skips pushes that only touch ignored paths', () => {
+    const result = selectServices('acme/app', [commit('a1', ['docs/setup.md']), commit('a2', ['README.md'])]);
+    expect(result.skip).toBe('Only ignored paths changed');
+  });
+
+  test('repositories without services get a single deployment', () => {
+    const commits = [commit('a1', ['src/index.js']), commit('a2', ['README.md'])];
+    expect(selectServices('acme/app', commits)).toEqual({ deployments: [{ service: null, commits }] });
+  });
+
+  test('creates one deployment per affected service with only its commits', () => {
+    const apiCommit = commit('a1', ['apps/api/server.js']);
+    const sharedCommit = commit('a2', ['packages/shared/util.js']);
+    const docsCommit = commit('a3', ['apps/web/README.md']);
+
+    const { deployments } = selectServices('acme/monorepo', [apiCommit, sharedCommit, docsCommit]);
+
+    expect(deployments).toEqual([
+      { service: 'api', commits: [apiCommit, sharedCommit] },
+      { service: 'web', commits: [sharedCommit] }
+    ]);
+  });
+
+  test('skips pushes that touch no service paths', () => {
+    const result = selectServices('acme/monorepo', [commit('a1', ['tools/lint.js'])]);
+    expect(result.skip).toBe('No service paths changed');
+  });
+
+  test('does not filter payloads without file lists', () => {
+    const commits = [{ id: 'a1', message: 'Manual test', author: { name: 'Jane' } }];
+    expect(selectServices('acme/monorepo', commits)).toEqual({ deployments: [{ service: null, commits }] });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Slack Handler Tests
+ * Tests for deployment notification formatting, approval buttons and request signatures
+ */
+
+const mockSlack = { chat: { postMessage: jest.fn(), update: jest.fn() } };
+
+jest.mock('@slack/web-api', () => {
+  return {
+    WebClient: jest.fn(() => mockSlack)
+  };
+});
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const slackHandler = require('../slack');
+const signaturesHandler = require('../signatures');
+const deploymentStore = require('../deploymentStore');
+
+function buildCommits(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    sha: `abc${String(i).padStart(4, '0')}`,
+    message: `Commit ${i + 1}`,
+    author: 'Jane Developer',
+    url: `https://github.com/acme/api/commit/abc${i}`
+  }));
+}
+
+describe('Slack Handler', () => {
+  const originalEnv = process.env;
+  let dataDir;
+
+  // The deployment store resolves DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-'));
+    process.env = { ...originalEnv, DATA_DIR: dataDir };
+    jest.spyOn(console, 'log').mockImplementation();
+    mockSlack.chat.update.mockResolvedValue({ ok: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('formatCommitSummary', () => {
+    const compareUrl = 'https://github.com/acme/api/compare/1111111...2222222';
+
+    test('skips the summary for single-commit pushes', () => {
+      expect(slackHandler.formatCommitSummary(buildCommits(1), compareUrl)).toEqual([]);
+      expect(slackHandler.formatCommitSummary(undefined, compareUrl)).toEqual([]);
+    });
+
+    test('lists every commit with its author and link', () => {
+      const [attachment] = slackHandler.formatCommitSummary(buildCommits(3), compareUrl);
+      expect(attachment.title).toBe('3 commits in this push');
+      expect(attachment.title_link).toBe(compareUrl);
+      expect(attachment.text.split('\n')).toEqual([
+        '• <https://github.com/acme/api/commit/abc0|abc0000> Commit 1 — Jane Developer',
+        '• <https://github.com/acme/api/commit/abc1|abc0001> Commit 2 — Jane Developer',
+        '• <https://github.com/acme/api/commit/abc2|abc0002> Commit 3 — Jane Developer'
+      ]);
+    });
+
+    test('points to the compare view for very large pushes', () => {
+      const [attachment] = slackHandler.formatCommitSummary(buildCommits(30), compareUrl);
+      const lines = attachment.text.split('\n');
+      expect(lines).toHaveLength(26);
+      expect(lines[25]).toBe(`…and 5 more on <${compareUrl}|GitHub>`);
+    });
+  });
+
+  describe('formatDeploymentMessage', () => {
+    const deployment = {
+      deployment_id: 'deploy-main-1769563800391',
+      repository: 'acme/api',
+      branch: 'main',
+      environment: 'prod',
+      commit_sha: 'abc0002',
+      commit_message: 'Commit 3',
+      commit_author: 'Jane Developer',
+      commits: buildCommits(3),
+      before_sha: '1'.repeat(40),
+      after_sha: '2'.repeat(40),
+      compare_url: 'https://github.com/acme/api/compare/1111111...2222222'
+    };
+
+    test('links the pushed range to the compare view', () => {
+      expect(slackHandler.formatDeploymentMessage(deployment))
+        .toContain('\nCommits: 3 (<https://github.com/acme/api/compare/1111111...2222222|1111111...2222222>)\n');
+    });
+
+    test('shows the range without a link when the forge sent no compare view', () => {
+      const message = slackHandler.formatDeploymentMessage({ ...deployment, compare_url: null });
+      expect(message).toContain('\nCommits: 3 (1111111...2222222)\n');
+      expect(message).not.toContain('<null|');
+    });
+  });
+
+  describe('buildDeploymentBlocks', () => {
+    const deployment = {
+      deployment_id: 'deploy-main-1769563800391',
+      repository: 'acme/api',
+      commit_sha: 'abc1234',
+      compare_url: 'https://github.com/acme/api/compare/1111111...2222222'
+    };
+
+    test('offers Approve, Reject and View diff while pending', () => {
+      const [section, actions] = slackHandler.buildDeploymentBlocks(deployment, 'PROD deployment pending');
+
+      expect(section.text.text).toBe('PROD deployment pending');
+      expect(actions.elements.map(button => button.action_id)).toEqual([
+        'approve_deployment',
+        'reject_deployment',
+        'view_deployment_diff'
+      ]);
+      expect(actions.elements[0].value).toBe('deploy-main-1769563800391');
+      expect(actions.elements[1].confirm).toBeDefined();
+      expect(actions.elements[2].url).toBe(deployment.compare_url);
+    });
+
+    test('links View diff to the commit when there is no compare view', () => {
+      const [, actions] = slackHandler.buildDeploymentBlocks({ ...deployment, compare_url: undefined }, 'pending');
+      expect(actions.elements[2].url).toBe('https://github.com/acme/api/commit/abc1234');
+    });
+
+    test('replaces the buttons with the decision', () => {
+      const blocks = slackHandler.buildDeploymentBlocks(deployment, 'PROD deployment pending', '✅ Approved by Ada');
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[1]).toEqual({ type: 'context', elements: [{ type: 'mrkdwn', text: '✅ Approved by Ada' }] });
+    });
+
+    test('closes the card with the stage timeline', () => {
+      const record = {
+        ...deployment,
+        stage: 'Deploying',
+        stage_history: [
+          { stage: 'Pending CI', at: '2026-01-28T10:00:00.000Z' },
+          { stage: 'Awaiting Approval', at: '2026-01-28T10:05:00.000Z' },
+          { stage: 'Approved', at: '2026-01-28T10:09:00.000Z' },
+          { stage: 'Deploying', at: '2026-01-28T10:10:00.000Z' }
+        ],
+        agent_notes: { DEV: 'Risk Level: LOW' }
+      };
+
+      const blocks = slackHandler.buildDeploymentBlocks(record, 'PROD deployment pending', '✅ Approved by Ada');
+      const status = blocks[blocks.length - 1];
+
+      expect(status.block_id).toBe('deployment_status');
+      expect(status.elements[0].text).toBe([
+        '🧪 Pending CI <!date^1769594400^{time}|2026-01-28T10:00:00.000Z>',
+        '⏳ Awaiting Approval <!date^1769594700^{time}|2026-01-28T10:05:00.000Z>',
+        '🔍 Analysed by DEV',
+        '✅ Approved <!date^1769594940^{time}|2026-01-28T10:09:00.000Z>',
+        '🚀 *Deploying* <!date^1769595000^{time}|2026-01-28T10:10:00.000Z>',
+        '◻️ Deployed'
+      ].join(' → '));
+    });
+
+    test('shows why a deployment failed and drops the buttons', () => {
+      const blocks = slackHandler.buildDeploymentBlocks({
+        ...deployment,
+        stage: 'Failed',
+        failure: { reason: 'CI failed: test', url: 'https://ci/run/1' }
+      }, 'PROD deployment pending');
+
+      expect(blocks.map(block => block.type)).toEqual(['section', 'context']);
+      expect(blocks[1].elements.map(element => element.text)).toEqual([
+        '❌ *Failed*',
+        '❌ CI failed: test (<https://ci/run/1|run>)'
+      ]);
+    });
+  });
+
+  describe('postStatusUpdate', () => {
+    test('edits the announcement in place as the deployment moves on', async () => {
+      deploymentStore.createDeployment({
+        deployment_id: 'deploy-main-1769563800900',
+        repository: 'acme/api',
+        branch: 'main',
+        commit_sha: 'abc1234'
+      });
+      deploymentStore.setSlackThread('deploy-main-1769563800900', 'C123', '1769563800.000900');
+      await slackHandler.updateDeploymentMessage('deploy-main-1769563800900', '✅ Approved by Ada');
+      deploymentStore.transitionDeployment('deploy-main-1769563800900', 'Approved');
+      deploymentStore.transitionDeployment('deploy-main-1769563800900', 'Deploying');
+      mockSlack.chat.update.mockClear();
+
+      expect(await slackHandler.postStatusUpdate('deploy-main-1769563800900')).toEqual({ success: true });
+
+      const update = mockSlack.chat.update.mock.calls[0][0];
+      expect(update).toMatchObject({ channel: 'C123', ts: '1769563800.000900' });
+      // The decision stays on the card and the timeline shows where it is now
+      expect(update.blocks[1].elements[0].text).toBe('✅ Approved by Ada');
+      expect(update.blocks[2].elements[0].text).toMatch(/⏳ Awaiting Approval .* → ✅ Approved .* → 🚀 \*Deploying\* .* → ◻️ Deployed$/);
+    });
+
+    test('skips deployments without an announcement', async () => {
+      expect(await slackHandler.postStatusUpdate('deploy-missing-1')).toEqual({ success: true, skipped: true });
+    });
+  });
+
+  describe('verifySlackSignature', () => {
+    const secret = 'signing-secret';
+    const body = 'payload=%7B%22type%22%3A%22block_actions%22%7D';
+
+    function sign(timestamp, rawBody = body) {
+      return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex');
+    }
+
+    test('accepts a request signed with the signing secret', () => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      expect(signaturesHandler.verifySlackSignature(Buffer.from(body), timestamp, sign(timestamp), secret)).toEqual({ valid: true });
+    });
+
+    test('rejects a tampered body', () => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      expect(signaturesHandler.verifySlackSignature('payload=%7B%7D', timestamp, sign(timestamp), secret)).toEqual({
+        valid: false,
+        reason: 'Invalid signature'
+      });
+    });
+
+    test('rejects replayed and unsigned requests', () => {
+      const timestamp = String(Math.floor(Date.now() / 1000) - 600);
+      expect(signaturesHandler.verifySlackSignature(body, timestamp, sign(timestamp), secret).reason).toBe('Request timestamp too old');
+      expect(signaturesHandler.verifySlackSignature(body, timestamp, undefined, secret).reason).toBe('Missing timestamp or signature');
+      expect(signaturesHandler.verifySlackSignature(body, timestamp, 'v0=short', secret).reason).toBe('Malformed signature');
+    });
+  });
+});
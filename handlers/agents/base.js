@@ -6,6 +6,7 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const slackHandler = require('../slack');
 const notionHandler = require('../notion');
+const deploymentStore = require('../deploymentStore');
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
@@ -82,18 +83,18 @@ function extractDecision(responseText) {
 }
 
 /**
- * Post update to Slack thread
+ * Queue an update to the Slack thread
  * @param {string} channel - Channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {string} agentName - Agent name (DEV/PM/OPS/QAE)
  * @param {string} message - Message text (markdown)
- * @returns {Promise} {success, ts/error}
+ * @returns {Promise} {success, jobId/error}
  */
 async function postAgentUpdate(channel, threadTs, agentName, message) {
   try {
     const formattedMessage = `[${agentName} Agent] ${message}`;
-    const result = await slackHandler.postThreadUpdate(channel, threadTs, formattedMessage);
-    return result;
+    const job = slackHandler.queueThreadUpdate(channel, threadTs, formattedMessage);
+    return { success: true, jobId: job.id };
   } catch (error) {
     console.error(`[Base Agent] Error posting update to Slack: ${error.message}`);
     return { success: false, error: error.message };
@@ -101,24 +102,26 @@ async function postAgentUpdate(channel, threadTs, agentName, message) {
 }
 
 /**
- * Update agent notes in Notion
+ * Store agent notes on the deployment and mirror them to Notion
  * @param {string} deploymentId - Deployment ID
  * @param {string} agentName - Agent name (DEV/PM/OPS/QAE)
  * @param {string} notes - Agent notes (text)
- * @returns {Promise} {success, error}
+ * @returns {Promise} {success, jobId/error}
  */
 async function updateNotionNotes(deploymentId, agentName, notes) {
   try {
-    const success = await notionHandler.updateAgentNotes(
+    deploymentStore.setAgentNotes(deploymentId, agentName, notes);
+    // The status card shows which agents have analysed the change
+    slackHandler.queueStatusUpdate(deploymentId);
+
+    const job = notionHandler.queueUpdate(
+      'updateAgentNotes',
       deploymentId,
       agentName,
       notes.substring(0, 2000) // Notion limit
     );
 
-    return {
-      success: success,
-      error: success ? null : 'Failed to update Notion'
-    };
+    return { success: true, jobId: job.id };
   } catch (error) {
     console.error(`[Base Agent] Error updating Notion: ${error.message}`);
     return { success: false, error: error.message };
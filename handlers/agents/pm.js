@@ -5,14 +5,17 @@
 
 const baseAgent = require('./base');
 const notionHandler = require('../notion');
+const slackHandler = require('../slack');
+const deploymentStore = require('../deploymentStore');
 const reactionsHandler = require('../reactions');
+const environmentsHandler = require('../environments');
 
 // Models
 const PM_MODEL = process.env.CLAUDE_PM_MODEL || 'claude-3-7-sonnet-20250219';
 
 /**
  * Determine if deployment should be auto-approved
- * @param {object} context - Deployment context
+ * @param {object} context - Deployment context ({branch, environment})
  * @param {object} devDecision - DEV agent decision
  * @param {object} pmDecision - PM agent decision
  * @returns {boolean} True if should auto-approve
@@ -23,13 +26,15 @@ function shouldAutoApprove(context, devDecision, pmDecision) {
     return false;
   }
 
+  // Environment decides whether auto-approval is allowed at all (never for PROD)
+  const environment = context.environment || environmentsHandler.resolveBranch(context.branch);
+
   // Criteria
   return (
     devDecision.risk_level === 'LOW' &&
     pmDecision.decision === 'AUTO_APPROVE' &&
     pmDecision.confidence >= 0.8 &&
-    context.branch !== 'main' &&
-    context.branch !== 'master'
+    Boolean(environment && environment.approval.autoApprove)
   );
 }
 
@@ -59,7 +64,7 @@ Determine if this deployment can be AUTO_APPROVED without human review, or if it
 Criteria for AUTO_APPROVE:
 - LOW risk from DEV agent analysis
 - No blocking concerns or breaking changes
-- Feature branch OR develop (never auto-approve main/master for PROD)
+- Feature branch OR develop (never auto-approve main/master or release tags for PROD)
 - Clear, descriptive commit message
 - Trusted workflow patterns
 
@@ -92,20 +97,19 @@ async function reviewDeployment(deploymentId, channel, threadTs) {
       '📊 Reviewing deployment...'
     );
 
-    // Fetch deployment record from Notion
-    const deploymentRecord = await notionHandler.getDeploymentRecord(deploymentId);
+    // Fetch deployment from the store
+    const deploymentRecord = deploymentStore.getDeployment(deploymentId);
     if (!deploymentRecord) {
-      throw new Error('Failed to fetch deployment record from Notion');
+      throw new Error(`Deployment ${deploymentId} not found`);
     }
 
-    // Extract properties
-    const branch = deploymentRecord.properties.Branch?.select?.name;
-    const commitMessage = deploymentRecord.properties['Commit Message']?.select?.name;
-    const author = deploymentRecord.properties.Author?.select?.name;
-    const repository = deploymentRecord.properties['Commit SHA']?.rich_text?.[0]?.text?.content; // Fallback
+    const branch = deploymentRecord.branch;
+    const commitMessage = deploymentRecord.commit_message;
+    const author = deploymentRecord.commit_author;
+    const repository = deploymentRecord.repository;
 
     // Extract DEV Agent Notes
-    const devAgentNotes = deploymentRecord.properties['DEV Agent Notes']?.rich_text?.[0]?.text?.content || 'No analysis available';
+    const devAgentNotes = deploymentRecord.agent_notes.DEV || 'No analysis available';
 
     // Build decision prompt
     const prompt = buildDecisionPrompt(
@@ -155,11 +159,33 @@ Timestamp: ${new Date().toISOString()}`;
     await baseAgent.updateNotionNotes(deploymentId, 'PM', pmNotes);
 
     // Determine if should auto-approve
-    const context = { branch };
+    const environmentName = deploymentRecord.environment;
+    const context = {
+      branch,
+      environment: environmentName ? environmentsHandler.getEnvironment(environmentName) : null
+    };
     const devDecision = extractDevDecision(devAgentNotes);
     const canAutoApprove = shouldAutoApprove(context, devDecision, decision);
 
     if (canAutoApprove) {
+      // Someone may have approved, rejected or cancelled it while the agents were working
+      const approval = deploymentStore.recordApproval(deploymentId, 'PM Agent (Auto)');
+      if (!approval.success) {
+        await baseAgent.postAgentUpdate(
+          channel,
+          threadTs,
+          'PM',
+          `⛔ Would auto-approve, but ${deploymentId} can't be approved: ${approval.error}`
+        );
+        console.log(`[PM Agent] Skipped auto-approval of ${deploymentId}: ${approval.error}`);
+        return {
+          success: true,
+          deploymentId: deploymentId,
+          decision: decision,
+          autoApproved: false
+        };
+      }
+
       // Post auto-approval message
       await baseAgent.postAgentUpdate(
         channel,
@@ -168,8 +194,9 @@ Timestamp: ${new Date().toISOString()}`;
         `✅ Auto-approved (confidence: ${(decision.confidence * 100).toFixed(0)}%)\n\n${decision.reasoning}`
       );
 
-      // Update Notion approval status
-      const approvalResult = await notionHandler.updateDeploymentApproval(deploymentId, 'PM Agent (Auto)');
+      // Close the announcement's buttons and mirror the approval to Notion
+      slackHandler.queueDeploymentMessageUpdate(deploymentId, '✅ Auto-approved by PM Agent');
+      notionHandler.queueUpdate('updateDeploymentApproval', deploymentId, 'PM Agent (Auto)');
 
       // Trigger GitHub Actions deployment
       const deploymentResult = await triggerGitHubDeployment(
@@ -197,7 +224,7 @@ Timestamp: ${new Date().toISOString()}`;
         channel,
         threadTs,
         'PM',
-        `⚠️ Human approval required\n\n${decision.reasoning}\n\nReact with ✅ to approve or ❌ to reject`
+        `⚠️ Human approval required\n\n${decision.reasoning}\n\nUse the Approve/Reject buttons above, or react with ✅ or ❌`
       );
 
       console.log(`[PM Agent] ⚠️ Human review requested for ${deploymentId}`);
@@ -0,0 +1,145 @@
+/**
+ * Approver Authorization
+ * Who may approve deployments to each environment: Slack users and user groups listed under
+ * approval.approvers in config/environments.json. Environments without approvers accept anyone;
+ * environments whose approvers resolve to nobody (e.g. unset ${VAR}s) accept no one.
+ * approval.quorum sets how many distinct approvers are needed, approval.excludeAuthor keeps authors out
+ * (see identities.js).
+ */
+
+const { WebClient } = require('@slack/web-api');
+const { interpolate } = require('./configLoader');
+
+const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+
+// User group members are looked up at most every 5 minutes
+const GROUP_CACHE_MS = 5 * 60 * 1000;
+
+// groupId -> {members, fetchedAt}
+const groupMembers = new Map();
+
+/**
+ * Resolve configured IDs; each entry may be a ${VAR} holding a comma-separated list
+ * @param {string|Array<string>} values - Configured IDs
+ * @returns {Array<string>} Slack IDs
+ */
+function resolveIds(values) {
+  return [].concat(values || [])
+    .map(interpolate)
+    .flatMap(value => value.split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Approvers configured for an environment
+ * @param {object|null} environment - Environment
+ * @returns {object} {users, groups} - Slack user IDs and user group IDs
+ */
+function getApprovers(environment) {
+  const approvers = environment?.approval?.approvers || {};
+  return {
+    users: resolveIds(approvers.users),
+    groups: resolveIds(approvers.groups)
+  };
+}
+
+/**
+ * Mention the approvers, e.g. "<@U123>, <!subteam^S456>"
+ * @param {object} approvers - {users, groups}
+ * @returns {string} Slack markup
+ */
+function describeApprovers({ users, groups }) {
+  return [...users.map(id => `<@${id}>`), ...groups.map(id => `<!subteam^${id}>`)].join(', ');
+}
+
+/**
+ * Mention the approvers of an environment, e.g. to remind them
+ * @param {object|null} environment - Environment
+ * @returns {string|null} Slack markup, or null if anyone may approve
+ */
+function mentionApprovers(environment) {
+  const approvers = getApprovers(environment);
+  return approvers.users.length > 0 || approvers.groups.length > 0 ? describeApprovers(approvers) : null;
+}
+
+/**
+ * Members of a Slack user group (needs the usergroups:read scope)
+ * @param {string} groupId - User group ID
+ * @returns {Promise<Array<string>>} User IDs
+ */
+async function getGroupMembers(groupId) {
+  const cached = groupMembers.get(groupId);
+  if (cached && Date.now() - cached.fetchedAt < GROUP_CACHE_MS) {
+    return cached.members;
+  }
+
+  const result = await slack.usergroups.users.list({ usergroup: groupId });
+  const members = result.users || [];
+  groupMembers.set(groupId, { members, fetchedAt: Date.now() });
+  return members;
+}
+
+/**
+ * Check whether a user may approve deployments to an environment
+ * A group that can't be read counts as not containing the user
+ * @param {string} userId - Slack user ID
+ * @param {object|null} environment - Environment
+ * @returns {Promise<object>} {allowed} or {allowed: false, approvers} with the approvers as Slack mentions
+ *   (null if the configured approvers resolve to nobody)
+ */
+async function checkApprover(userId, environment) {
+  const approvers = getApprovers(environment);
+  if (approvers.users.length === 0 && approvers.groups.length === 0) {
+    if (!environment?.approval?.approvers) {
+      return { allowed: true };
+    }
+    // A missing variable must not open the environment to everyone
+    console.error(`[Approvers] ❌ Approvers of ${environment.name} resolve to nobody, check their variables; denying the approval`);
+    return { allowed: false, approvers: null };
+  }
+
+  if (approvers.users.includes(userId)) {
+    return { allowed: true };
+  }
+
+  for (const groupId of approvers.groups) {
+    try {
+      if ((await getGroupMembers(groupId)).includes(userId)) {
+        return { allowed: true };
+      }
+    } catch (error) {
+      console.error(`[Approvers] ❌ Failed to read members of user group ${groupId}: ${error.message}`);
+    }
+  }
+
+  return { allowed: false, approvers: describeApprovers(approvers) };
+}
+
+/**
+ * Approval policy of an environment
+ * @param {object|null} environment - Environment
+ * @returns {object} {quorum, excludeAuthor} - approvals needed before dispatch, whether authors may approve
+ */
+function getApprovalPolicy(environment) {
+  const approval = environment?.approval || {};
+  return {
+    quorum: Math.max(1, parseInt(approval.quorum, 10) || 1),
+    excludeAuthor: Boolean(approval.excludeAuthor)
+  };
+}
+
+/**
+ * Forget cached user group members (e.g. after changing a group)
+ */
+function clearGroupCache() {
+  groupMembers.clear();
+}
+
+module.exports = {
+  getApprovers,
+  mentionApprovers,
+  checkApprover,
+  getApprovalPolicy,
+  clearGroupCache
+};
@@ -0,0 +1,388 @@
+/**
+ * Payload Archive
+ * Keeps every inbound webhook/Slack payload with its headers and processing outcome,
+ * so failed or half-finished processing can be inspected and replayed.
+ * Outcomes live in one small index; each delivery's headers and body get their own file,
+ * written once, so recording a step never rewrites the archived bodies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const jobsHandler = require('./jobs');
+
+const RETENTION_DAYS = parseInt(process.env.PAYLOAD_RETENTION_DAYS || '30', 10);
+const MAX_ENTRIES = parseInt(process.env.PAYLOAD_ARCHIVE_MAX || '1000', 10);
+
+// Secrets sent as headers are never written to disk
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-gitlab-token'];
+
+// Nor are secrets sent in the body: Slack's verification token comes with every event, click and command
+const REDACTED_FIELDS = ['token'];
+
+// { [deliveryId]: {deliveryId, source, event, receivedAt, redeliveries,
+//                  status, error, steps: {[key]: {status, result, error, at}}, attempts: [...]} }
+// status: received -> processing -> processed | failed; ignored when there was nothing to do
+const store = createFileStore('payloads', () => ({}));
+
+// Source name -> function(entry) returning {result, task}; registered by the webhook routers
+const processors = {};
+
+// Delivery ID -> task built from the live request, used by the first attempt of its delivery job
+const pendingTasks = new Map();
+
+/**
+ * Register how a source's archived payloads are processed (used for replays)
+ * @param {string} source - github, gitlab, bitbucket or slack
+ * @param {Function} processor - (entry) => {result, task}
+ */
+function registerProcessor(source, processor) {
+  processors[source] = processor;
+}
+
+/**
+ * Store for a delivery's {headers, body}: DATA_DIR/payloads/<delivery ID>.json
+ * @param {string} deliveryId - Delivery ID
+ * @returns {object} File store
+ */
+function getContentStore(deliveryId) {
+  return createFileStore(path.join('payloads', encodeURIComponent(deliveryId)), () => null);
+}
+
+/**
+ * Copy of a payload without its secrets
+ * @param {object} values - Headers or body
+ * @param {Array<string>} names - Lower-case names to redact
+ * @returns {object} Redacted copy (non-objects are returned as they are)
+ */
+function redact(values, names) {
+  if (!values || typeof values !== 'object') {
+    return values;
+  }
+  const safe = {};
+  for (const [name, value] of Object.entries(values)) {
+    safe[name] = names.includes(name.toLowerCase()) ? '[redacted]' : value;
+  }
+  return safe;
+}
+
+/**
+ * Drop entries past the retention window, then the oldest beyond MAX_ENTRIES
+ * @param {object} payloads - Store contents (mutated)
+ */
+function prune(payloads) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const entries = Object.values(payloads).sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+
+  entries.forEach((entry, index) => {
+    const expired = new Date(entry.receivedAt).getTime() < cutoff;
+    const overflow = index < entries.length - MAX_ENTRIES;
+    if (expired || overflow) {
+      delete payloads[entry.deliveryId];
+      fs.rmSync(getContentStore(entry.deliveryId).getPath(), { force: true });
+    }
+  });
+}
+
+/**
+ * Archive an inbound payload
+ * A redelivery of an archived ID only bumps its counter; the original body and outcome are kept
+ * @param {string} deliveryId - Delivery ID (prefixed for non-GitHub sources)
+ * @param {object} payload - {source, event, headers, body}
+ * @returns {object} Archived entry
+ */
+function archivePayload(deliveryId, { source, event, headers, body }) {
+  store.update((payloads) => {
+    if (payloads[deliveryId]) {
+      payloads[deliveryId].redeliveries++;
+      return;
+    }
+
+    getContentStore(deliveryId).write({
+      headers: redact(headers || {}, REDACTED_HEADERS),
+      body: redact(body, REDACTED_FIELDS)
+    });
+
+    prune(payloads);
+    payloads[deliveryId] = {
+      deliveryId,
+      source,
+      event,
+      receivedAt: new Date().toISOString(),
+      redeliveries: 0,
+      status: 'received',
+      error: null,
+      steps: {},
+      attempts: []
+    };
+  });
+  return getPayload(deliveryId);
+}
+
+/**
+ * Get an archived payload's outcome, without headers and body
+ * @param {string} deliveryId - Delivery ID
+ * @returns {object|null} Index entry
+ */
+function getEntry(deliveryId) {
+  return store.read()[deliveryId] || null;
+}
+
+/**
+ * Get an archived payload
+ * @param {string} deliveryId - Delivery ID
+ * @returns {object|null} Archived entry with its headers and body
+ */
+function getPayload(deliveryId) {
+  const entry = getEntry(deliveryId);
+  if (!entry) {
+    return null;
+  }
+  // Entries archived before bodies moved to their own files still carry them
+  if ('body' in entry) {
+    return entry;
+  }
+  const { headers, body } = getContentStore(deliveryId).read() || {};
+  return { ...entry, headers, body };
+}
+
+/**
+ * When a delivery was first received
+ * Replays reuse it so timestamp-based deployment IDs come out the same
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Date|null} Receive time, or null if not archived
+ */
+function getReceivedAt(deliveryId) {
+  const entry = getEntry(deliveryId);
+  return entry ? new Date(entry.receivedAt) : null;
+}
+
+/**
+ * List archived payloads, newest first, without bodies
+ * @param {object} filters - {source, status, limit}
+ * @returns {Array<object>} Entry summaries
+ */
+function listPayloads({ source, status, limit = 50 } = {}) {
+  return Object.values(store.read())
+    .filter(entry => (!source || entry.source === source) && (!status || entry.status === status))
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    .slice(0, limit)
+    .map(({ deliveryId, source: entrySource, event, receivedAt, redeliveries, status: entryStatus, error, steps, attempts }) => ({
+      deliveryId,
+      source: entrySource,
+      event,
+      receivedAt,
+      redeliveries,
+      status: entryStatus,
+      error,
+      failedSteps: Object.keys(steps).filter(key => steps[key].status === 'failed'),
+      attempts: attempts.length
+    }));
+}
+
+/**
+ * Record a payload's processing outcome
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} status - processing, processed, failed or ignored
+ * @param {string|null} error - Failure reason
+ */
+function recordOutcome(deliveryId, status, error = null) {
+  store.update((payloads) => {
+    const entry = payloads[deliveryId];
+    if (!entry) {
+      return;
+    }
+    entry.status = status;
+    entry.error = error;
+    if (status !== 'processing') {
+      entry.attempts.push({ at: new Date().toISOString(), status, error });
+    }
+  });
+}
+
+/**
+ * Whether a step result counts as done (null/false and {success: false} are failures)
+ * @param {*} result - Step result
+ * @returns {boolean} True if the step succeeded
+ */
+function isStepSuccess(result) {
+  return Boolean(result) && result.success !== false;
+}
+
+/**
+ * Run a side-effecting processing step at most once per delivery
+ * A step that succeeded in an earlier attempt is skipped on replay and its stored result returned,
+ * so replays only redo what failed (e.g. the Notion record, not the Slack message)
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} key - Step key, unique within the delivery (e.g. notion:<deployment-id>)
+ * @param {Function} fn - Async step; its result must be JSON-serializable
+ * @returns {Promise<*>} Step result
+ */
+async function runStep(deliveryId, key, fn) {
+  const previous = getEntry(deliveryId)?.steps[key];
+  if (previous && previous.status === 'done') {
+    console.log(`[Archive] Step ${key} of ${deliveryId} already done, skipping`);
+    return previous.result;
+  }
+
+  let result;
+  let error = null;
+  try {
+    result = await fn();
+    if (!isStepSuccess(result)) {
+      error = result?.error || 'Step returned no result';
+    }
+  } catch (err) {
+    error = err.message;
+    throw err;
+  } finally {
+    store.update((payloads) => {
+      const entry = payloads[deliveryId];
+      if (entry) {
+        entry.steps[key] = error
+          ? { status: 'failed', result: null, error, at: new Date().toISOString() }
+          : { status: 'done', result, error: null, at: new Date().toISOString() };
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Run a delivery's async processing and record its outcome
+ * Processing fails if the task throws or any of its steps failed
+ * @param {string} deliveryId - Delivery ID
+ * @param {Function|null} task - Async work from the event handler
+ * @returns {Promise<string>} Final status
+ */
+async function trackTask(deliveryId, task) {
+  if (!task) {
+    recordOutcome(deliveryId, 'ignored');
+    return 'ignored';
+  }
+
+  recordOutcome(deliveryId, 'processing');
+  try {
+    await task();
+  } catch (error) {
+    console.error(`[Archive] Processing ${deliveryId} failed: ${error.message}`);
+    recordOutcome(deliveryId, 'failed', error.message);
+    return 'failed';
+  }
+
+  const steps = getEntry(deliveryId)?.steps || {};
+  const failed = Object.keys(steps).filter(key => steps[key].status === 'failed');
+  if (failed.length > 0) {
+    const error = failed.map(key => `${key}: ${steps[key].error}`).join('; ');
+    console.error(`[Archive] Processing ${deliveryId} failed: ${error}`);
+    recordOutcome(deliveryId, 'failed', error);
+    return 'failed';
+  }
+
+  recordOutcome(deliveryId, 'processed');
+  return 'processed';
+}
+
+/**
+ * Run a delivery job: the task from the request on the first attempt, otherwise one rebuilt from the archive
+ * (a retry, or a job that was queued when the process restarted)
+ * @param {object} payload - {deliveryId}
+ * @returns {Promise<object>} {status}; throws when processing failed so the job is retried
+ */
+async function processDelivery({ deliveryId }) {
+  let task = pendingTasks.get(deliveryId);
+  pendingTasks.delete(deliveryId);
+
+  if (!task) {
+    const entry = getPayload(deliveryId);
+    if (!entry) {
+      throw new Error(`Delivery ${deliveryId} not archived`);
+    }
+    const processor = processors[entry.source];
+    if (!processor) {
+      throw new Error(`No processor registered for ${entry.source}`);
+    }
+    try {
+      task = processor(entry).task;
+    } catch (error) {
+      recordOutcome(deliveryId, 'failed', error.message);
+      throw error;
+    }
+  }
+
+  const status = await trackTask(deliveryId, task);
+  if (status === 'failed') {
+    throw new Error(getEntry(deliveryId)?.error || `Processing ${deliveryId} failed`);
+  }
+  return { status };
+}
+
+jobsHandler.registerJobType('delivery', processDelivery);
+
+/**
+ * Queue a delivery's async processing as a job, so it is retried and survives a restart
+ * @param {string} deliveryId - Delivery ID
+ * @param {Function|null} task - Async work from the event handler
+ * @returns {object|null} Queued job, or null when there is nothing to do
+ */
+function queueDelivery(deliveryId, task) {
+  if (!task) {
+    recordOutcome(deliveryId, 'ignored');
+    return null;
+  }
+
+  pendingTasks.set(deliveryId, task);
+  return jobsHandler.enqueue('delivery', { deliveryId });
+}
+
+/**
+ * Re-run processing of an archived delivery
+ * Idempotency guard: processed deliveries need force, in-flight ones are refused,
+ * and steps that already succeeded are skipped either way
+ * @param {string} deliveryId - Delivery ID
+ * @param {object} options - {force}
+ * @returns {Promise<object>} {success, status, result} or {success: false, code, error}
+ */
+async function replayPayload(deliveryId, { force = false } = {}) {
+  const entry = getPayload(deliveryId);
+  if (!entry) {
+    return { success: false, code: 404, error: `Delivery ${deliveryId} not archived` };
+  }
+
+  if (entry.status === 'processing') {
+    return { success: false, code: 409, error: `Delivery ${deliveryId} is still processing` };
+  }
+
+  if (entry.status === 'processed' && !force) {
+    return { success: false, code: 409, error: `Delivery ${deliveryId} was already processed; pass force to replay it` };
+  }
+
+  const processor = processors[entry.source];
+  if (!processor) {
+    return { success: false, code: 400, error: `No processor registered for ${entry.source}` };
+  }
+
+  console.log(`[Archive] Replaying ${entry.source} ${entry.event} delivery ${deliveryId}${force ? ' (forced)' : ''}`);
+
+  try {
+    const { result, task } = processor(entry);
+    const status = await trackTask(deliveryId, task);
+    return { success: true, status, result };
+  } catch (error) {
+    recordOutcome(deliveryId, 'failed', error.message);
+    return { success: false, code: 500, error: error.message };
+  }
+}
+
+module.exports = {
+  registerProcessor,
+  archivePayload,
+  getPayload,
+  getReceivedAt,
+  listPayloads,
+  recordOutcome,
+  runStep,
+  trackTask,
+  queueDelivery,
+  replayPayload
+};
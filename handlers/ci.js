@@ -0,0 +1,131 @@
+/**
+ * CI Gate Store
+ * Tracks check_suite/status results per commit SHA so deployments wait for green CI before approval
+ */
+
+const { createFileStore } = require('./fileStore');
+const repositoriesHandler = require('./repositories');
+
+const RETENTION_DAYS = parseInt(process.env.CI_GATE_RETENTION_DAYS || '7', 10);
+
+const PASSED = ['success', 'neutral', 'skipped'];
+const FAILED = ['failure', 'error', 'timed_out', 'cancelled', 'action_required', 'startup_failure', 'stale'];
+
+// { [sha]: { repository, createdAt, state, deploymentIds: [], checks: { [name]: {conclusion, url, updatedAt} } } }
+const store = createFileStore('ci-gates', () => ({}));
+
+/**
+ * CI gate settings for a repository
+ * A gate needs requiredChecks: without them the first suite to finish green would open approval while
+ * others are still running, so such a gate stays closed (and says so) until the checks are listed
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {object} {gate, requiredChecks}
+ */
+function getGateConfig(repository) {
+  const { ci } = repositoriesHandler.getRepositoryConfig(repository);
+  const gate = Boolean(ci && ci.gate);
+  const requiredChecks = (ci && ci.requiredChecks) || [];
+  if (gate && requiredChecks.length === 0) {
+    console.error(`[CI Gate] ❌ ${repository} has ci.gate on but no ci.requiredChecks; its deployments stay in Pending CI until the checks that must pass are listed`);
+  }
+  return { gate, requiredChecks };
+}
+
+/**
+ * Work out a commit's CI state from its check results
+ * Any failed check is red; green needs every required check to pass
+ * @param {object} checks - Check results keyed by name
+ * @param {Array<string>} requiredChecks - Check names that must pass (empty = never green)
+ * @returns {string} pending, success or failure
+ */
+function evaluateChecks(checks, requiredChecks) {
+  if (Object.values(checks).some(check => FAILED.includes(check.conclusion))) {
+    return 'failure';
+  }
+  if (requiredChecks.length > 0 && requiredChecks.every(name => checks[name] && PASSED.includes(checks[name].conclusion))) {
+    return 'success';
+  }
+  return 'pending';
+}
+
+/**
+ * Get or create the entry for a commit, pruning entries past the retention window
+ * @param {object} gates - Store contents
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} sha - Full commit SHA
+ * @returns {object} Entry
+ */
+function getEntry(gates, repository, sha) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [key, entry] of Object.entries(gates)) {
+    if (new Date(entry.createdAt).getTime() < cutoff) {
+      delete gates[key];
+    }
+  }
+
+  if (!gates[sha]) {
+    gates[sha] = { repository, createdAt: new Date().toISOString(), state: 'pending', deploymentIds: [], checks: {} };
+  }
+  return gates[sha];
+}
+
+/**
+ * Attach a deployment to its commit's CI gate
+ * CI results that arrived before the push are kept, so the returned state may already be final
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} sha - Full commit SHA
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string} Current CI state (pending, success, failure)
+ */
+function registerDeployment(repository, sha, deploymentId) {
+  return store.update((gates) => {
+    const entry = getEntry(gates, repository, sha);
+    if (!entry.deploymentIds.includes(deploymentId)) {
+      entry.deploymentIds.push(deploymentId);
+    }
+    return entry.state;
+  });
+}
+
+/**
+ * Record a check result for a commit
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} sha - Full commit SHA
+ * @param {object} check - {name, conclusion, url}
+ * @returns {object} {previousState, state, deploymentIds}
+ */
+function recordCheck(repository, sha, check) {
+  const { requiredChecks } = getGateConfig(repository);
+
+  return store.update((gates) => {
+    const entry = getEntry(gates, repository, sha);
+    const previousState = entry.state;
+
+    entry.checks[check.name] = {
+      conclusion: check.conclusion,
+      url: check.url,
+      updatedAt: new Date().toISOString()
+    };
+    entry.state = evaluateChecks(entry.checks, requiredChecks);
+
+    return { previousState, state: entry.state, deploymentIds: [...entry.deploymentIds] };
+  });
+}
+
+/**
+ * CI state of a gated deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string|null} pending, success, failure, or null if the deployment is not gated
+ */
+function getDeploymentCiState(deploymentId) {
+  const entry = Object.values(store.read()).find(gate => gate.deploymentIds.includes(deploymentId));
+  return entry ? entry.state : null;
+}
+
+module.exports = {
+  getGateConfig,
+  evaluateChecks,
+  registerDeployment,
+  recordCheck,
+  getDeploymentCiState
+};
@@ -0,0 +1,193 @@
+/**
+ * Slash Command Handler
+ * /deploy list, status, approve, reject and cancel: controls that don't need the deployment's Slack message
+ */
+
+const slackHandler = require('./slack');
+const reactionsHandler = require('./reactions');
+const deploymentStore = require('./deploymentStore');
+const environmentsHandler = require('./environments');
+
+const PENDING_STAGES = ['Pending CI', 'Awaiting Approval'];
+const MAX_LISTED = 20;
+
+const USAGE = [
+  '*Usage:*',
+  '`/deploy list [env]` - deployments waiting for CI or approval',
+  '`/deploy status <id>` - stage, approvals and links',
+  '`/deploy approve <id> [reason]`',
+  '`/deploy reject <id> [reason]`',
+  '`/deploy cancel <id>` - cancel a pending deployment without rejecting it'
+].join('\n');
+
+/**
+ * Response only the user who ran the command sees
+ * @param {string} text - Message text (markdown)
+ * @returns {object} Slack command response
+ */
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+/**
+ * Link to a deployment's Slack thread, or its plain ID if it has none
+ * @param {object} record - Deployment record
+ * @returns {string} Slack markup
+ */
+function linkDeployment(record) {
+  return record.slack_thread_id
+    ? `<${slackHandler.getMessageLink(record.slack_channel, record.slack_thread_id)}|${record.deployment_id}>`
+    : `\`${record.deployment_id}\``;
+}
+
+/**
+ * /deploy list [env]
+ * @param {string} [environmentName] - Environment name (dev, qa, prod, ...)
+ * @returns {object} Slack command response
+ */
+function listPending(environmentName) {
+  let environment = null;
+  if (environmentName) {
+    environment = environmentsHandler.getEnvironment(environmentName.toLowerCase());
+    if (!environment) {
+      const known = environmentsHandler.listEnvironments().map(env => env.name).join(', ');
+      return ephemeral(`Unknown environment \`${environmentName}\`. Known environments: ${known}`);
+    }
+  }
+
+  const records = deploymentStore.listDeployments({ stages: PENDING_STAGES })
+    .filter(record => !environment || environmentsHandler.getEnvironmentForDeployment(record)?.name === environment.name);
+  const scope = environment ? ` in ${environment.label}` : '';
+  if (records.length === 0) {
+    return ephemeral(`No pending deployments${scope}`);
+  }
+
+  const lines = records.slice(0, MAX_LISTED).map(record =>
+    `• ${linkDeployment(record)} — ${record.repository} \`${record.branch}\` · ${record.stage}`
+  );
+  if (records.length > MAX_LISTED) {
+    lines.push(`…and ${records.length - MAX_LISTED} more`);
+  }
+  return ephemeral(`*${records.length} pending deployment(s)${scope}*\n${lines.join('\n')}`);
+}
+
+/**
+ * Describe who decided on a deployment
+ * @param {object} record - Deployment record
+ * @returns {string} Decision line
+ */
+function describeDecision(record) {
+  const describe = (verb, { by, at, reason }) => `${verb} by ${by} at ${at}${reason ? ` (${reason})` : ''}`;
+  if (record.rejected_by) {
+    return describe('Rejected', record.rejected_by);
+  }
+  if (record.cancelled_by) {
+    return describe('Cancelled', record.cancelled_by);
+  }
+  if (record.approvals.length > 0) {
+    const approvals = record.approvals.map(approval => describe('Approved', approval)).join(', ');
+    const pending = record.approval_status === 'Pending' && record.approvals_required > 1;
+    return pending ? `${record.approvals.length} of ${record.approvals_required} approvals: ${approvals}` : approvals;
+  }
+  return record.approval_status;
+}
+
+/**
+ * /deploy status <id>
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object} Slack command response
+ */
+function describeStatus(deploymentId) {
+  const record = deploymentStore.getDeployment(deploymentId);
+  if (!record) {
+    return ephemeral(`Deployment \`${deploymentId}\` not found`);
+  }
+
+  const lines = [
+    `*${record.deployment_id}* — ${record.stage}`,
+    `Repository: ${record.repository} \`${record.branch}\`${record.service ? ` (${record.service})` : ''}`,
+    `Commit: <${slackHandler.getCommitUrl(record)}|${record.commit_sha}>${record.commit_message ? ` - ${record.commit_message}` : ''}`,
+    `Approval: ${describeDecision(record)}`
+  ];
+  if (record.failure) {
+    lines.push(`Failure: ${record.failure.reason}${record.failure.url ? ` (<${record.failure.url}|run>)` : ''}`);
+  }
+
+  const links = [];
+  if (record.slack_thread_id) {
+    links.push(`<${slackHandler.getMessageLink(record.slack_channel, record.slack_thread_id)}|Slack thread>`);
+  }
+  if (record.pr_url) {
+    links.push(`<${record.pr_url}|Pull request>`);
+  }
+  if (record.compare_url) {
+    links.push(`<${record.compare_url}|Diff>`);
+  }
+  if (links.length > 0) {
+    lines.push(`Links: ${links.join(' · ')}`);
+  }
+  return ephemeral(lines.join('\n'));
+}
+
+/**
+ * /deploy approve|reject|cancel <id>
+ * The decision goes through the same flow as buttons and reactions, and is reported in the deployment's thread
+ * @param {string} action - approve, reject or cancel
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} reason - Reason (approve/reject), may be empty
+ * @param {string} userId - Slack user who ran the command
+ * @returns {object} {result, task}
+ */
+function decide(action, deploymentId, reason, userId) {
+  const record = deploymentStore.getDeployment(deploymentId);
+  if (!record) {
+    return { result: ephemeral(`Deployment \`${deploymentId}\` not found`) };
+  }
+  if (!record.slack_thread_id) {
+    return { result: ephemeral(`Deployment \`${deploymentId}\` has no Slack thread yet; try again once it is announced`) };
+  }
+
+  const { slack_channel: channel, slack_thread_id: threadTs } = record;
+  const tasks = {
+    approve: () => reactionsHandler.approveDeployment(channel, threadTs, userId, { reason }),
+    reject: () => reactionsHandler.rejectDeployment(channel, threadTs, userId, { reason }),
+    cancel: () => reactionsHandler.cancelDeployment(channel, threadTs, userId)
+  };
+  const thread = `<${slackHandler.getMessageLink(channel, threadTs)}|its thread>`;
+
+  console.log(`[Slash Commands] ${userId} asked to ${action} ${deploymentId}`);
+  return {
+    result: ephemeral(`Submitted: ${action} \`${deploymentId}\`. The outcome is posted in ${thread}.`),
+    task: tasks[action]
+  };
+}
+
+/**
+ * Handle a /deploy command
+ * @param {object} command - Slack slash command payload ({text, user_id, channel_id, ...})
+ * @returns {object} {result, task} - Slack response body and optional async work
+ */
+function handleDeployCommand(command) {
+  // "<subcommand> <env or deployment ID> [reason...]"
+  const [subcommand = 'help', target, ...rest] = (command.text || '').trim().split(/\s+/).filter(Boolean);
+  const reason = rest.join(' ');
+
+  switch (subcommand.toLowerCase()) {
+    case 'list':
+      return { result: listPending(target) };
+    case 'status':
+      return { result: target ? describeStatus(target) : ephemeral(USAGE) };
+    case 'approve':
+    case 'reject':
+    case 'cancel':
+      return target
+        ? decide(subcommand.toLowerCase(), target, reason, command.user_id)
+        : { result: ephemeral(USAGE) };
+    default:
+      return { result: ephemeral(USAGE) };
+  }
+}
+
+module.exports = {
+  handleDeployCommand
+};
@@ -0,0 +1,38 @@
+/**
+ * Config Loader
+ * Reads JSON config files from config/ and resolves ${VAR} references
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a JSON config file
+ * @param {string} pathEnvVar - Environment variable that overrides the location
+ * @param {string} fileName - File name under config/
+ * @returns {object} Parsed config
+ */
+function readConfigFile(pathEnvVar, fileName) {
+  const configPath = process.env[pathEnvVar] || path.join(__dirname, '..', 'config', fileName);
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  console.log(`[Config] Loaded ${configPath}`);
+  return config;
+}
+
+/**
+ * Replace ${VAR} references with environment variables
+ * Callers resolve on every use so config vars set after startup are picked up
+ * @param {string} value - Config value
+ * @returns {string} Interpolated value ('' for unset variables)
+ */
+function interpolate(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+}
+
+module.exports = {
+  readConfigFile,
+  interpolate
+};
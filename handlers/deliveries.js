@@ -0,0 +1,43 @@
+/**
+ * Delivery Store
+ * Remembers processed delivery IDs (X-GitHub-Delivery and the other forges' IDs, slack:<event_id>)
+ * so redelivered or retried webhooks and Slack events are ignored
+ */
+
+const { createFileStore } = require('./fileStore');
+
+const RETENTION_DAYS = parseInt(process.env.DELIVERY_RETENTION_DAYS || '30', 10);
+
+// { [deliveryId]: ISO timestamp first seen }
+const store = createFileStore('github-deliveries', () => ({}));
+
+/**
+ * Check whether a delivery has already been processed
+ * @param {string} deliveryId - Delivery ID
+ * @returns {boolean} True if seen before
+ */
+function hasSeenDelivery(deliveryId) {
+  return Object.prototype.hasOwnProperty.call(store.read(), deliveryId);
+}
+
+/**
+ * Record a delivery as processed, pruning entries past the retention window
+ * @param {string} deliveryId - Delivery ID
+ */
+function recordDelivery(deliveryId) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  store.update((deliveries) => {
+    for (const [id, seenAt] of Object.entries(deliveries)) {
+      if (new Date(seenAt).getTime() < cutoff) {
+        delete deliveries[id];
+      }
+    }
+    deliveries[deliveryId] = new Date().toISOString();
+  });
+}
+
+module.exports = {
+  hasSeenDelivery,
+  recordDelivery
+};
@@ -0,0 +1,454 @@
+/**
+ * Deployment Store
+ * Local source of truth for deployments: deployment data, Slack thread, stage and approvals.
+ * Notion mirrors it and can be rebuilt from it (scripts/rebuild-notion.js).
+ * Every Slack message the bot posts about a deployment is indexed by channel + ts, so reactions resolve exactly.
+ */
+
+const { createFileStore } = require('./fileStore');
+const lifecycle = require('./lifecycle');
+
+// { [deploymentId]: record }
+// record: deployment_data fields plus stage, stage_history, approval_status, deployment_status, approvals,
+//         approvals_required, rejected_by, cancelled_by, denied_approvals, failure, agent_notes,
+//         slack_decision, reminded_at, escalated_at, created_at, updated_at
+const store = createFileStore('deployments', () => ({}));
+
+// { ["<channel>:<ts>"]: deploymentId } for each announcement and every bot reply in its thread.
+// Started from the threads already recorded on deployments.
+const messageIndex = createFileStore('slack-messages', () => {
+  const index = {};
+  for (const record of Object.values(store.read())) {
+    if (record.slack_thread_id) {
+      index[`${record.slack_channel}:${record.slack_thread_id}`] = record.deployment_id;
+    }
+  }
+  return index;
+});
+
+/**
+ * Record a new deployment
+ * A record that already exists (e.g. the delivery is being replayed) is returned unchanged
+ * @param {object} deploymentData - Deployment data from a webhook adapter
+ * @returns {object} Stored record
+ */
+function createDeployment(deploymentData) {
+  return store.update((deployments) => {
+    const existing = deployments[deploymentData.deployment_id];
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    // Pushes gated on CI start in Pending CI; everything else waits for approval
+    const stage = deploymentData.stage || 'Awaiting Approval';
+    const record = {
+      ...deploymentData,
+      stage,
+      stage_history: [{ stage, at: now }],
+      approval_status: 'Pending',
+      deployment_status: null,
+      approvals: [],
+      rejected_by: null,
+      cancelled_by: null,
+      denied_approvals: [],
+      failure: null,
+      agent_notes: {},
+      created_at: now,
+      updated_at: now
+    };
+    deployments[deploymentData.deployment_id] = record;
+    console.log(`[Deployment Store] Recorded ${deploymentData.deployment_id} (${record.stage})`);
+    return record;
+  });
+}
+
+/**
+ * Move a record to a stage and note when it got there (the Slack status card's timeline)
+ * @param {object} record - Record, changed in place
+ * @param {string} stage - Stage
+ * @param {string} at - ISO timestamp
+ */
+function setStage(record, stage, at) {
+  if (record.stage === stage && record.stage_history) {
+    return;
+  }
+  record.stage = stage;
+  record.stage_history = [...(record.stage_history || []), { stage, at }];
+}
+
+/**
+ * Get a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object|null} Record or null
+ */
+function getDeployment(deploymentId) {
+  return store.read()[deploymentId] || null;
+}
+
+/**
+ * Find the deployment a Slack message belongs to: its announcement or a bot reply in its thread
+ * @param {string} channel - Slack channel ID
+ * @param {string} ts - Message timestamp
+ * @returns {object|null} Record, or null for messages that aren't about a deployment
+ */
+function findDeploymentByMessage(channel, ts) {
+  const deploymentId = messageIndex.read()[`${channel}:${ts}`];
+  return deploymentId ? getDeployment(deploymentId) : null;
+}
+
+/**
+ * Index a Slack message as belonging to a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} channel - Slack channel ID
+ * @param {string} ts - Message timestamp
+ */
+function indexMessage(deploymentId, channel, ts) {
+  messageIndex.update((index) => {
+    index[`${channel}:${ts}`] = deploymentId;
+  });
+}
+
+/**
+ * Index a bot reply under the deployment whose thread it was posted in
+ * @param {string} channel - Slack channel ID
+ * @param {string} threadTs - Thread timestamp
+ * @param {string} replyTs - Reply timestamp
+ * @returns {string|null} Deployment ID, or null if the thread isn't a deployment's
+ */
+function indexThreadReply(channel, threadTs, replyTs) {
+  const record = findDeploymentByMessage(channel, threadTs);
+  if (!record) {
+    return null;
+  }
+  indexMessage(record.deployment_id, channel, replyTs);
+  return record.deployment_id;
+}
+
+/**
+ * List deployments, newest first
+ * @param {object} filters - {repository, branch, stages, environment}
+ * @returns {Array<object>} Matching records
+ */
+function listDeployments({ repository, branch, stages, environment } = {}) {
+  return Object.values(store.read())
+    .filter(record =>
+      (!repository || record.repository === repository) &&
+      (!branch || record.branch === branch) &&
+      (!environment || record.environment === environment) &&
+      (!stages || stages.includes(record.stage))
+    )
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Apply changes to a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {object} changes - Fields to set
+ * @returns {object|null} Updated record, or null if the deployment is unknown
+ */
+function updateDeployment(deploymentId, changes) {
+  return store.update((deployments) => {
+    const record = deployments[deploymentId];
+    if (!record) {
+      console.warn(`[Deployment Store] Unknown deployment ${deploymentId}`);
+      return null;
+    }
+    const { stage, ...fields } = changes;
+    const now = new Date().toISOString();
+    Object.assign(record, fields, { updated_at: now });
+    if (stage) {
+      setStage(record, stage, now);
+    }
+    return record;
+  });
+}
+
+/**
+ * Record the Slack thread a deployment was announced in
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} channel - Slack channel ID
+ * @param {string} threadTs - Slack thread timestamp
+ * @returns {object|null} Updated record
+ */
+function setSlackThread(deploymentId, channel, threadTs) {
+  const record = updateDeployment(deploymentId, { slack_channel: channel, slack_thread_id: threadTs });
+  if (record) {
+    indexMessage(deploymentId, channel, threadTs);
+  }
+  return record;
+}
+
+/**
+ * Move a deployment to a new stage, if the lifecycle allows it
+ * The check and the write happen in one store update, so two approvals racing can't both succeed
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} stage - Target stage
+ * @param {object} changes - Other fields to set with the move
+ * @returns {object} {success, record} or {success: false, error} explaining the refusal
+ */
+function transitionDeployment(deploymentId, stage, changes = {}) {
+  return store.update((deployments) => {
+    const record = deployments[deploymentId];
+    if (!record) {
+      console.warn(`[Deployment Store] Unknown deployment ${deploymentId}`);
+      return { success: false, error: `deployment ${deploymentId} is not tracked` };
+    }
+
+    const { allowed, reason } = lifecycle.checkTransition(record, stage, changes);
+    if (!allowed) {
+      console.warn(`[Deployment Store] Refused ${deploymentId}: ${record.stage} -> ${stage} (${reason})`);
+      return { success: false, record, error: reason };
+    }
+
+    console.log(`[Deployment Store] ${deploymentId}: ${record.stage} -> ${stage}`);
+    const now = new Date().toISOString();
+    Object.assign(record, changes, { updated_at: now });
+    setStage(record, stage, now);
+    return { success: true, record };
+  });
+}
+
+/**
+ * Who made a decision and when, with their reason if they gave one
+ * @param {string} by - Name
+ * @param {string} [reason] - Reason
+ * @param {string} [userId] - Slack user ID (decisions made outside Slack have none)
+ * @returns {object} {by, user_id?, at, reason?}
+ */
+function decisionEntry(by, reason, userId) {
+  const entry = { by, at: new Date().toISOString() };
+  if (userId) {
+    entry.user_id = userId;
+  }
+  if (reason) {
+    entry.reason = reason;
+  }
+  return entry;
+}
+
+/**
+ * Whether a decision was made by a user
+ * Matched on the Slack user ID, as names can be shared or changed; entries or users without one
+ * (older records, decisions made outside Slack) are matched on the name
+ * @param {object|null} entry - Decision entry ({by, user_id?})
+ * @param {string} name - User name
+ * @param {string} [userId] - Slack user ID
+ * @returns {boolean} True if it is their decision
+ */
+function isDecidedBy(entry, name, userId) {
+  if (!entry) {
+    return false;
+  }
+  return entry.user_id && userId ? entry.user_id === userId : entry.by === name;
+}
+
+/**
+ * Record an approval; the deployment moves on to Approved once it has a quorum of distinct approvers
+ * Approvals short of the quorum are refused in the same cases as the move to Approved
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} approver - Approver name
+ * @param {object} [options] - {reason, quorum, userId} - reason given with the approval, approvals needed
+ *   (default 1), the approver's Slack user ID
+ * @returns {object} {success, record, quorumMet} or {success: false, error} explaining the refusal
+ */
+function recordApproval(deploymentId, approver, { reason, quorum = 1, userId } = {}) {
+  return store.update((deployments) => {
+    const record = deployments[deploymentId];
+    if (!record) {
+      console.warn(`[Deployment Store] Unknown deployment ${deploymentId}`);
+      return { success: false, error: `deployment ${deploymentId} is not tracked` };
+    }
+
+    const { allowed, reason: refusal } = lifecycle.checkTransition(record, 'Approved');
+    if (!allowed) {
+      console.warn(`[Deployment Store] Refused approval of ${deploymentId} by ${approver} (${refusal})`);
+      return { success: false, record, error: refusal };
+    }
+    if (record.approvals.some(approval => isDecidedBy(approval, approver, userId))) {
+      return { success: false, record, error: `${approver} has already approved it` };
+    }
+
+    const approvals = [...record.approvals, decisionEntry(approver, reason, userId)];
+    const changes = { approvals, approvals_required: quorum, updated_at: new Date().toISOString() };
+    if (approvals.length < quorum) {
+      console.log(`[Deployment Store] ${deploymentId}: approval ${approvals.length} of ${quorum} by ${approver}`);
+      Object.assign(record, changes);
+      return { success: true, record, quorumMet: false };
+    }
+
+    console.log(`[Deployment Store] ${deploymentId}: ${record.stage} -> Approved`);
+    Object.assign(record, changes, { approval_status: 'Approved' });
+    setStage(record, 'Approved', changes.updated_at);
+    return { success: true, record, quorumMet: true };
+  });
+}
+
+/**
+ * Record a rejection; the deployment is cancelled
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} rejector - Name of who rejected
+ * @param {object} [options] - {reason, userId} - reason given with the rejection, the rejector's Slack user ID
+ * @returns {object} Result from transitionDeployment
+ */
+function recordRejection(deploymentId, rejector, { reason, userId } = {}) {
+  return transitionDeployment(deploymentId, 'Cancelled', {
+    approval_status: 'Rejected',
+    rejected_by: decisionEntry(rejector, reason, userId)
+  });
+}
+
+/**
+ * Record an approval attempt by someone who may not approve the deployment (audit trail)
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} user - Name of who tried to approve
+ * @returns {object|null} Updated record
+ */
+function recordDeniedApproval(deploymentId, user) {
+  const record = getDeployment(deploymentId);
+  if (!record) {
+    return null;
+  }
+  return updateDeployment(deploymentId, {
+    denied_approvals: [...(record.denied_approvals || []), decisionEntry(user)]
+  });
+}
+
+/**
+ * Withdraw an approval; the deployment waits for approval again unless it was already dispatched
+ * Approvals still short of the quorum are simply dropped
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} approver - Name of who approved
+ * @param {object} [options] - {userId} - their Slack user ID
+ * @returns {object} Result from transitionDeployment, or {success: false, error} if they hadn't approved it
+ */
+function withdrawApproval(deploymentId, approver, { userId } = {}) {
+  const record = getDeployment(deploymentId);
+  const approvals = (record?.approvals || []).filter(approval => !isDecidedBy(approval, approver, userId));
+  if (record && approvals.length === record.approvals.length) {
+    return { success: false, record, error: `${approver} has not approved it` };
+  }
+  if (record && record.stage === 'Awaiting Approval') {
+    return { success: true, record: updateDeployment(deploymentId, { approvals }) };
+  }
+  // Previews may always restart approval, so check here that the approval is still the latest move
+  if (record && record.stage !== 'Approved') {
+    return { success: false, record, error: `it is ${record.stage.toLowerCase()}` };
+  }
+  return transitionDeployment(deploymentId, 'Awaiting Approval', { approval_status: 'Pending', approvals });
+}
+
+/**
+ * Withdraw a rejection; the cancelled deployment waits for approval again
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} rejector - Name of who rejected
+ * @param {object} [options] - {userId} - their Slack user ID
+ * @returns {object} Result from transitionDeployment, or {success: false, error} if they hadn't rejected it
+ */
+function withdrawRejection(deploymentId, rejector, { userId } = {}) {
+  const record = getDeployment(deploymentId);
+  if (record && !isDecidedBy(record.rejected_by, rejector, userId)) {
+    return { success: false, record, error: `${rejector} has not rejected it` };
+  }
+  if (record && record.stage !== 'Cancelled') {
+    return { success: false, record, error: `it is ${record.stage.toLowerCase()}` };
+  }
+  return transitionDeployment(deploymentId, 'Awaiting Approval', { approval_status: 'Pending', rejected_by: null });
+}
+
+/**
+ * Record a cancellation that is not a rejection (e.g. the change is no longer needed)
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} canceller - Name of who cancelled
+ * @returns {object} Result from transitionDeployment
+ */
+function recordCancellation(deploymentId, canceller) {
+  return transitionDeployment(deploymentId, 'Cancelled', {
+    cancelled_by: decisionEntry(canceller)
+  });
+}
+
+/**
+ * Note a reminder or escalation about a deployment awaiting approval
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} kind - reminder or escalation
+ * @param {string} at - ISO timestamp
+ * @returns {object|null} Updated record
+ */
+function recordApprovalNudge(deploymentId, kind, at) {
+  return updateDeployment(deploymentId, kind === 'escalation' ? { escalated_at: at } : { reminded_at: at });
+}
+
+/**
+ * Expire a deployment nobody decided on in time
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object} Result from transitionDeployment
+ */
+function recordExpiry(deploymentId) {
+  return transitionDeployment(deploymentId, 'Expired');
+}
+
+/**
+ * Record a successful deploy
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object} Result from transitionDeployment
+ */
+function recordDeployed(deploymentId) {
+  return transitionDeployment(deploymentId, 'Deployed', {
+    deployment_status: 'Success',
+    deployed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Record a failure (failed deploy run or red CI)
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} reason - Failure reason
+ * @param {string|null} url - Link to the failed run
+ * @returns {object} Result from transitionDeployment
+ */
+function recordFailed(deploymentId, reason, url) {
+  return transitionDeployment(deploymentId, 'Failed', {
+    deployment_status: 'Failure',
+    failure: { reason, url: url || null, at: new Date().toISOString() }
+  });
+}
+
+/**
+ * Store an agent's notes on a deployment
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} agentName - Agent name (DEV/PM/OPS/QAE)
+ * @param {string} notes - Notes text
+ * @returns {object|null} Updated record
+ */
+function setAgentNotes(deploymentId, agentName, notes) {
+  const record = getDeployment(deploymentId);
+  if (!record) {
+    return null;
+  }
+  return updateDeployment(deploymentId, { agent_notes: { ...record.agent_notes, [agentName]: notes } });
+}
+
+module.exports = {
+  createDeployment,
+  getDeployment,
+  findDeploymentByMessage,
+  indexMessage,
+  indexThreadReply,
+  listDeployments,
+  updateDeployment,
+  setSlackThread,
+  transitionDeployment,
+  recordApproval,
+  recordRejection,
+  recordCancellation,
+  recordDeniedApproval,
+  recordApprovalNudge,
+  recordExpiry,
+  withdrawApproval,
+  isDecidedBy,
+  withdrawRejection,
+  recordDeployed,
+  recordFailed,
+  setAgentNotes
+};
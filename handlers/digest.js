@@ -0,0 +1,245 @@
+/**
+ * Deployment Digests
+ * Daily and weekly summaries posted to each environment's channel, read from the Notion deployments
+ * database: deployments created, approved, rejected, deployed and failed over the period, the ones
+ * still awaiting approval, the slowest approvals and the most active authors.
+ * Environments opt in with "digest": ["daily", "weekly"] in config/environments.json.
+ */
+
+const slackHandler = require('./slack');
+const notionHandler = require('./notion');
+const environmentsHandler = require('./environments');
+const { createFileStore } = require('./fileStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PERIODS = {
+  daily: { durationMs: DAY_MS, description: 'last 24 hours' },
+  weekly: { durationMs: 7 * DAY_MS, description: 'last 7 days' }
+};
+
+// Digests go out at DIGEST_HOUR_UTC, weekly ones on DIGEST_WEEKDAY (0 = Sunday)
+const DIGEST_HOUR_UTC = parseInt(process.env.DIGEST_HOUR_UTC || '9', 10);
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY || '1', 10);
+const CHECK_INTERVAL_MS = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS || '900000', 10);
+
+// How many pending deployments, slow approvals and authors a digest lists
+const MAX_PENDING = 10;
+const MAX_SLOWEST = 3;
+const MAX_AUTHORS = 3;
+
+// {daily: 'YYYY-MM-DD', weekly: 'YYYY-MM-DD'} - when each digest last went out, so restarts don't repeat it
+const store = createFileStore('digests', () => ({}));
+
+let timer = null;
+
+/**
+ * Summarize an environment's deployments over a period
+ * @param {Array<object>} deployments - Deployments from notion.listDeploymentsSince
+ * @param {number} since - Period start in epoch milliseconds
+ * @param {number} now - Period end in epoch milliseconds
+ * @returns {object} {created, approved, rejected, deployed, failed, pending, slowest, authors}
+ */
+function summarizeDeployments(deployments, since, now) {
+  const within = at => Boolean(at) && Date.parse(at) >= since && Date.parse(at) < now;
+
+  const created = deployments.filter(deployment => within(deployment.createdAt));
+  const approved = deployments.filter(deployment => deployment.approvalStatus === 'Approved' && within(deployment.decidedAt));
+
+  const authors = new Map();
+  for (const { author } of created.filter(deployment => deployment.author)) {
+    authors.set(author, (authors.get(author) || 0) + 1);
+  }
+
+  return {
+    created: created.length,
+    approved: approved.length,
+    rejected: deployments.filter(deployment => deployment.approvalStatus === 'Rejected' && within(deployment.decidedAt)).length,
+    deployed: deployments.filter(deployment => deployment.stage === 'Deployed' && within(deployment.deployedAt)).length,
+    // Notion keeps no failure time, so a failed deployment counts when its page last changed
+    failed: deployments.filter(deployment => deployment.stage === 'Failed' && within(deployment.editedAt)).length,
+    pending: deployments
+      .filter(deployment => deployment.stage === 'Awaiting Approval')
+      .map(deployment => ({ deployment, waitMs: now - Date.parse(deployment.createdAt) }))
+      .sort((a, b) => b.waitMs - a.waitMs),
+    slowest: approved
+      .map(deployment => ({ deployment, waitMs: Date.parse(deployment.decidedAt) - Date.parse(deployment.createdAt) }))
+      .sort((a, b) => b.waitMs - a.waitMs)
+      .slice(0, MAX_SLOWEST),
+    authors: [...authors]
+      .map(([author, count]) => ({ author, count }))
+      .sort((a, b) => b.count - a.count || a.author.localeCompare(b.author))
+      .slice(0, MAX_AUTHORS)
+  };
+}
+
+/**
+ * Link a deployment to its Slack thread when it has one
+ * @param {object} deployment - Deployment from notion.listDeploymentsSince
+ * @returns {string} Slack markup
+ */
+function linkDeployment(deployment) {
+  const { thread } = deployment;
+  return thread
+    ? `<${slackHandler.getMessageLink(thread.channel, thread.threadTs)}|${deployment.deploymentId}>`
+    : deployment.deploymentId;
+}
+
+/**
+ * Format a digest for Slack
+ * @param {object} environment - Environment
+ * @param {string} period - daily or weekly
+ * @param {object} summary - From summarizeDeployments
+ * @returns {string} Message (mrkdwn)
+ */
+function formatDigest(environment, period, summary) {
+  const lines = [
+    `📊 *${environment.label} ${period} digest* (${PERIODS[period].description})`,
+    `*${summary.created}* created · *${summary.approved}* approved · *${summary.rejected}* rejected · *${summary.deployed}* deployed · *${summary.failed}* failed`
+  ];
+
+  if (summary.pending.length > 0) {
+    lines.push('', `*⏳ Awaiting approval (${summary.pending.length})*`);
+    for (const { deployment, waitMs } of summary.pending.slice(0, MAX_PENDING)) {
+      lines.push(`• ${linkDeployment(deployment)}${deployment.repository ? ` (${deployment.repository})` : ''} for ${slackHandler.formatDuration(waitMs)}`);
+    }
+    if (summary.pending.length > MAX_PENDING) {
+      lines.push(`…and ${summary.pending.length - MAX_PENDING} more`);
+    }
+  }
+
+  if (summary.slowest.length > 0) {
+    lines.push('', '*🐢 Slowest approvals*');
+    for (const { deployment, waitMs } of summary.slowest) {
+      lines.push(`• ${linkDeployment(deployment)} approved after ${slackHandler.formatDuration(waitMs)}`);
+    }
+  }
+
+  if (summary.authors.length > 0) {
+    lines.push('', '*✍️ Top authors*');
+    for (const { author, count } of summary.authors) {
+      lines.push(`• ${author}: ${count} deployment${count === 1 ? '' : 's'}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Post a digest to the channel of every environment that takes it
+ * Environments with nothing to report are skipped
+ * @param {string} period - daily or weekly
+ * @param {number} [now] - Period end in epoch milliseconds
+ * @returns {Promise<object>} {success, posted} with the environment names, or {success: false, code, error}
+ */
+async function postDigest(period, now = Date.now()) {
+  if (!PERIODS[period]) {
+    return { success: false, code: 400, error: `Unknown digest period ${period} (daily or weekly)` };
+  }
+
+  const environments = environmentsHandler.listEnvironments()
+    .filter(environment => [].concat(environment.digest || []).includes(period));
+  if (environments.length === 0) {
+    return { success: true, posted: [] };
+  }
+
+  const since = now - PERIODS[period].durationMs;
+  const deployments = await notionHandler.listDeploymentsSince(new Date(since).toISOString());
+  if (!deployments) {
+    return { success: false, code: 503, error: 'Could not read deployments from Notion' };
+  }
+
+  const posted = [];
+  for (const environment of environments) {
+    const summary = summarizeDeployments(
+      deployments.filter(deployment => deployment.environment === environment.name),
+      since,
+      now
+    );
+    const counts = [summary.created, summary.approved, summary.rejected, summary.deployed, summary.failed];
+    if (counts.every(count => count === 0) && summary.pending.length === 0) {
+      console.log(`[Digest] Nothing to report for ${environment.name}, skipping the ${period} digest`);
+      continue;
+    }
+
+    slackHandler.queueChannelMessage(environmentsHandler.getSlackChannel(environment), formatDigest(environment, period, summary));
+    posted.push(environment.name);
+  }
+
+  console.log(`[Digest] ✅ Queued the ${period} digest for ${posted.length} environment(s)`);
+  return { success: true, posted };
+}
+
+/**
+ * Periods whose digest is due and was not posted yet today
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<string>} daily and/or weekly
+ */
+function getDuePeriods(now) {
+  const date = new Date(now);
+  if (date.getUTCHours() < DIGEST_HOUR_UTC) {
+    return [];
+  }
+
+  const today = date.toISOString().slice(0, 10);
+  const lastPosted = store.read();
+  return Object.keys(PERIODS).filter(period =>
+    lastPosted[period] !== today && (period !== 'weekly' || date.getUTCDay() === DIGEST_WEEKDAY)
+  );
+}
+
+/**
+ * Post the digests that are due; a failed one is tried again on the next check
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {Promise<Array<string>>} Periods posted
+ */
+async function runDueDigests(now = Date.now()) {
+  const posted = [];
+  for (const period of getDuePeriods(now)) {
+    const result = await postDigest(period, now);
+    if (!result.success) {
+      console.error(`[Digest] ❌ ${period} digest failed: ${result.error}`);
+      continue;
+    }
+    store.update((lastPosted) => {
+      lastPosted[period] = new Date(now).toISOString().slice(0, 10);
+    });
+    posted.push(period);
+  }
+  return posted;
+}
+
+/**
+ * Check for due digests every DIGEST_CHECK_INTERVAL_MS (default 900000)
+ */
+function start() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => {
+    runDueDigests().catch(error => console.error(`[Digest] ❌ Error posting digests: ${error.message}`));
+  }, CHECK_INTERVAL_MS);
+  // The check must not keep the process alive on shutdown
+  timer.unref();
+  console.log(`[Digest] Posting digests daily at ${DIGEST_HOUR_UTC}:00 UTC`);
+}
+
+/**
+ * Stop the periodic check
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  summarizeDeployments,
+  formatDigest,
+  postDigest,
+  runDueDigests,
+  start,
+  stop
+};
@@ -0,0 +1,120 @@
+/**
+ * Environment Routing
+ * Maps branches to environments using config/environments.json
+ * Each environment carries its Slack channel, label, Notion branch value and approval rules
+ */
+
+const { matchesGlob } = require('./glob');
+const { readConfigFile, interpolate } = require('./configLoader');
+const repositoriesHandler = require('./repositories');
+
+let config = null;
+
+/**
+ * Load routing config (cached after first read)
+ * @returns {object} Parsed config
+ */
+function loadConfig() {
+  if (!config) {
+    config = readConfigFile('ENVIRONMENTS_CONFIG_PATH', 'environments.json');
+  }
+  return config;
+}
+
+/**
+ * Drop the cached config so the next lookup re-reads the file
+ */
+function reloadConfig() {
+  config = null;
+}
+
+/**
+ * Get an environment by name
+ * @param {string} name - Environment name (dev, qa, prod, ...)
+ * @returns {object|null} Environment with name and approval defaults, or null
+ */
+function getEnvironment(name) {
+  const environment = loadConfig().environments[name];
+  if (!environment) {
+    return null;
+  }
+  return {
+    ...environment,
+    name,
+    approval: { autoApprove: false, ...environment.approval }
+  };
+}
+
+/**
+ * List all configured environments
+ * @returns {Array<object>} Environments
+ */
+function listEnvironments() {
+  return Object.keys(loadConfig().environments).map(getEnvironment);
+}
+
+/**
+ * Find the environment a branch deploys to (first matching pattern wins)
+ * A repository with its own branches list replaces the global one
+ * @param {string} branch - Branch name
+ * @param {string} [repository] - Repository in format owner/repo
+ * @returns {object|null} Environment, or null if the branch is not tracked
+ */
+function resolveBranch(branch, repository) {
+  const rules = (repository && repositoriesHandler.getRepositoryConfig(repository).branches) ||
+    loadConfig().branches;
+  const route = rules.find(rule => matchesGlob(branch, rule.pattern));
+  return route ? getEnvironment(route.environment) : null;
+}
+
+/**
+ * Find the environment for a deployment
+ * Uses deploymentData.environment when set, otherwise routes by branch
+ * @param {object} deploymentData - Deployment data
+ * @returns {object|null} Environment or null
+ */
+function getEnvironmentForDeployment(deploymentData) {
+  if (deploymentData.environment) {
+    return getEnvironment(deploymentData.environment);
+  }
+  return resolveBranch(deploymentData.branch, deploymentData.repository);
+}
+
+/**
+ * Slack channel for an environment
+ * Repository channel overrides win; slackChannel may list fallbacks and the first one that resolves wins
+ * @param {object|null} environment - Environment
+ * @param {string} [repository] - Repository in format owner/repo
+ * @returns {string} Channel ID (defaultChannel for unknown environments)
+ */
+function getSlackChannel(environment, repository) {
+  const overrides = repository ? repositoriesHandler.getRepositoryConfig(repository).channels : {};
+  if (environment && overrides[environment.name]) {
+    return overrides[environment.name];
+  }
+
+  const candidates = environment ? [].concat(environment.slackChannel || []) : [];
+  const channel = candidates.map(interpolate).find(Boolean);
+  return channel || overrides.default || interpolate(loadConfig().defaultChannel);
+}
+
+/**
+ * Value for the Notion "Branch" select
+ * @param {object|null} environment - Environment
+ * @param {string} branch - Branch name
+ * @returns {string} notionBranch from config, or the branch itself
+ */
+function getNotionBranch(environment, branch) {
+  return (environment && environment.notionBranch) || branch;
+}
+
+module.exports = {
+  loadConfig,
+  reloadConfig,
+  getEnvironment,
+  listEnvironments,
+  resolveBranch,
+  getEnvironmentForDeployment,
+  getSlackChannel,
+  getNotionBranch
+};
@@ -0,0 +1,103 @@
+/**
+ * File Store
+ * Small JSON-file persistence for orchestrator state that must survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory holding the JSON state files
+ * @returns {string} DATA_DIR or ./data next to the app
+ */
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+/**
+ * Warn when DATA_DIR is unset: the ./data default sits on the app's own filesystem, which platforms
+ * like Heroku wipe on every restart and deploy, taking deployments, deliveries and queued jobs with it
+ * @returns {boolean} True when DATA_DIR is set
+ */
+function checkDataDir() {
+  if (process.env.DATA_DIR) {
+    console.log(`[File Store] State is kept in ${process.env.DATA_DIR}`);
+    return true;
+  }
+  console.warn(`[File Store] ⚠️ DATA_DIR not set, keeping state in ${getDataDir()}; point DATA_DIR at persistent storage or it is lost whenever the filesystem is reset (e.g. every Heroku dyno restart)`);
+  return false;
+}
+
+/**
+ * Create a store backed by DATA_DIR/<name>.json
+ * Contents are cached in memory and written through atomically on every change.
+ * A file that can't be parsed is moved aside to <name>.json.corrupt-<timestamp> and the read throws,
+ * so the next write can't silently replace it with empty state
+ * @param {string} name - File name without extension
+ * @param {Function} createDefault - Returns the initial value when the file does not exist
+ * @returns {object} {read, write, update, getPath}
+ */
+function createFileStore(name, createDefault) {
+  let cache = null;
+
+  function getPath() {
+    return path.join(getDataDir(), `${name}.json`);
+  }
+
+  function read() {
+    if (cache) {
+      return cache;
+    }
+
+    let contents;
+    try {
+      contents = fs.readFileSync(getPath(), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[File Store] ❌ Failed to read ${getPath()}: ${error.message}`);
+        throw error;
+      }
+      cache = createDefault();
+      return cache;
+    }
+
+    try {
+      cache = JSON.parse(contents);
+    } catch (error) {
+      const corruptPath = `${getPath()}.corrupt-${Date.now()}`;
+      fs.renameSync(getPath(), corruptPath);
+      console.error(`[File Store] ❌ ${getPath()} is corrupt (${error.message}), moved it to ${corruptPath}`);
+      throw new Error(`${name} store was corrupt and has been moved to ${corruptPath}: ${error.message}`);
+    }
+    return cache;
+  }
+
+  function write(data) {
+    cache = data;
+    const filePath = getPath();
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Read, modify and persist in one step
+   * @param {Function} fn - Receives the data, mutates it, returns a result
+   * @returns {*} Result of fn
+   */
+  function update(fn) {
+    const data = read();
+    const result = fn(data);
+    write(data);
+    return result;
+  }
+
+  return { read, write, update, getPath };
+}
+
+module.exports = {
+  createFileStore,
+  getDataDir,
+  checkDataDir
+};
@@ -0,0 +1,212 @@
+/**
+ * GitHub Handler
+ * Sends repository_dispatch events to GitHub Actions and builds branch/preview/release deployment IDs
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+const jobsHandler = require('./jobs');
+
+const HEROKU_APP_NAME_MAX_LENGTH = 30;
+
+/**
+ * Make a value safe inside a deployment ID: only letters, digits and single dashes
+ * @param {string} value - Branch, repository or service name
+ * @returns {string} ID segment (e.g. feature-login_v2.1 -> feature-login-v2-1)
+ */
+function toIdSegment(value) {
+  return (value || '').replace(/[^A-Za-z0-9-]+/g, '-').replace(/-{2,}/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Reduce a repository to an ID-safe name (owner dropped, only letters, digits and dashes)
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {string} Slug (e.g. ClaudeCodeOrchestrator)
+ */
+function getRepositorySlug(repository) {
+  return toIdSegment((repository || '').split('/').pop());
+}
+
+/**
+ * Build the deployment ID for a branch push
+ * Branch names can hold slashes, dots and underscores; the ID only keeps letters, digits and dashes,
+ * and always ends in the push timestamp
+ * @param {string} branch - Branch name
+ * @param {string|null} service - Service name for monorepo pushes
+ * @param {number} timestamp - Push receive time in milliseconds
+ * @returns {string} Deployment ID (e.g. deploy-feature-login-api-1769563800391)
+ */
+function getBranchDeploymentId(branch, service, timestamp) {
+  const segments = ['deploy', toIdSegment(branch), service ? toIdSegment(service) : null, timestamp];
+  return segments.filter(Boolean).join('-');
+}
+
+/**
+ * Build the stable deployment ID for a pull request preview
+ * The repository keeps PR numbers from different repos apart
+ * @param {number} prNumber - Pull request number
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {string} Deployment ID (e.g. deploy-preview-api-pr-42)
+ */
+function getPreviewDeploymentId(prNumber, repository) {
+  return `deploy-preview-${getRepositorySlug(repository)}-pr-${prNumber}`;
+}
+
+/**
+ * Build the Heroku app name for a pull request preview, scoped to the repository like its deployment ID
+ * Heroku allows 30 lowercase letters, digits and dashes; slugs that don't fit are cut and end in a hash
+ * of the repository, so repositories sharing a long prefix still get different apps
+ * @param {number} prNumber - Pull request number
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {string} App name (e.g. orch-pr-42-api)
+ */
+function getPreviewAppName(prNumber, repository) {
+  const prefix = `orch-pr-${prNumber}`;
+  const slug = getRepositorySlug(repository).toLowerCase();
+  const name = slug ? `${prefix}-${slug}` : prefix;
+  if (name.length <= HEROKU_APP_NAME_MAX_LENGTH) {
+    return name;
+  }
+
+  const hash = crypto.createHash('sha256').update((repository || '').toLowerCase()).digest('hex').substring(0, 6);
+  const room = HEROKU_APP_NAME_MAX_LENGTH - prefix.length - hash.length - 2;
+  const cut = slug.substring(0, room).replace(/-+$/, '');
+  return cut ? `${prefix}-${cut}-${hash}` : `${prefix}-${hash}`;
+}
+
+/**
+ * Extract the pull request number from a preview deployment ID
+ * @param {string} deploymentId - Deployment ID
+ * @returns {number|null} PR number, or null if not a preview deployment
+ */
+function parsePreviewDeploymentId(deploymentId) {
+  const match = (deploymentId || '').match(/^deploy-preview-(?:[A-Za-z0-9-]+-)?pr-(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Build the deployment ID for a versioned release
+ * One ID per repository and tag, so the tag push and the published release share a record
+ * @param {string} tag - Tag name (e.g. v1.4.0)
+ * @param {string} repository - Repository in format owner/repo
+ * @returns {string} Deployment ID (e.g. release-api-v1.4.0)
+ */
+function getReleaseDeploymentId(tag, repository) {
+  return `release-${getRepositorySlug(repository)}-${tag}`;
+}
+
+/**
+ * Extract the tag from a release deployment ID
+ * @param {string} deploymentId - Deployment ID
+ * @returns {string|null} Tag name, or null if not a release deployment
+ */
+function parseReleaseDeploymentId(deploymentId) {
+  const match = (deploymentId || '').match(/^release-(?:[A-Za-z0-9-]+?-)?(v?\d+\.\d+\.\d+.*)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check whether a tag names a release version (v1.4.0, 2.0.0-rc.1, ...)
+ * @param {string} tag - Tag name
+ * @returns {boolean} True if the tag is a semver-style version
+ */
+function isReleaseTag(tag) {
+  return /^v?\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/.test(tag);
+}
+
+/**
+ * Determine the release channel for a tag
+ * v1.4.0 -> stable, v1.4.0-rc.1 -> rc, v1.4.0-beta.2 -> beta
+ * @param {string} tag - Tag name
+ * @param {boolean} prerelease - GitHub release prerelease flag
+ * @returns {string} Release channel name
+ */
+function getReleaseChannel(tag, prerelease = false) {
+  const suffix = tag.match(/^v?\d+\.\d+\.\d+-([A-Za-z]+)/);
+  if (suffix) {
+    return suffix[1].toLowerCase();
+  }
+  return prerelease ? 'prerelease' : 'stable';
+}
+
+/**
+ * Send a repository_dispatch event to GitHub Actions
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} eventType - Dispatch event type (e.g. deployment-approved)
+ * @param {object} clientPayload - Payload passed to the workflow
+ * @returns {Promise<object>} {success, statusCode, error}
+ */
+function dispatchRepositoryEvent(repository, eventType, clientPayload) {
+  const githubToken = process.env.GITHUB_TOKEN;
+  const [owner, repo] = repository.split('/');
+
+  const options = {
+    hostname: 'api.github.com',
+    path: `/repos/${owner}/${repo}/dispatches`,
+    method: 'POST',
+    headers: {
+      'Authorization': `token ${githubToken}`,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Claude-Code-Orchestrator'
+    }
+  };
+
+  const payload = {
+    event_type: eventType,
+    client_payload: clientPayload
+  };
+
+  return new Promise((resolve) => {
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          console.log(`[GitHub API] ✅ Dispatched ${eventType} to ${repository}`);
+          resolve({ success: true, statusCode: res.statusCode });
+        } else {
+          const errorMsg = `GitHub API ${res.statusCode}: ${data}`;
+          console.error(`[GitHub API] ❌ ${errorMsg}`);
+          resolve({ success: false, statusCode: res.statusCode, error: errorMsg });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      console.error(`[GitHub API] Error calling GitHub API: ${error.message}`);
+      resolve({ success: false, error: error.message });
+    });
+
+    req.write(JSON.stringify(payload));
+    req.end();
+  });
+}
+
+jobsHandler.registerJobType('github.dispatch', ({ repository, eventType, clientPayload }) =>
+  dispatchRepositoryEvent(repository, eventType, clientPayload)
+);
+
+/**
+ * Queue a repository_dispatch event; it is retried if GitHub is unavailable
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} eventType - Dispatch event type (e.g. preview-teardown)
+ * @param {object} clientPayload - Payload passed to the workflow
+ * @returns {object} Queued job
+ */
+function queueRepositoryEvent(repository, eventType, clientPayload) {
+  return jobsHandler.enqueue('github.dispatch', { repository, eventType, clientPayload });
+}
+
+module.exports = {
+  getRepositorySlug,
+  getBranchDeploymentId,
+  getPreviewDeploymentId,
+  getPreviewAppName,
+  parsePreviewDeploymentId,
+  getReleaseDeploymentId,
+  parseReleaseDeploymentId,
+  isReleaseTag,
+  getReleaseChannel,
+  dispatchRepositoryEvent,
+  queueRepositoryEvent
+};
@@ -0,0 +1,60 @@
+/**
+ * Glob Matching
+ * Minimal glob support for branch and path patterns
+ *   *  matches within one path segment (no "/")
+ *   ** matches across segments
+ *   ?  matches one character
+ */
+
+const cache = new Map();
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern (e.g. feature/**, docs/**, **\/*.md)
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) {
+    return cache.get(pattern);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches zero directories, so **/*.md matches README.md
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Test a value against a glob pattern
+ * @param {string} value - Branch name or file path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} True if the value matches
+ */
+function matchesGlob(value, pattern) {
+  return globToRegExp(pattern).test(value);
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob
+};
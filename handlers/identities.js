@@ -0,0 +1,194 @@
+/**
+ * Identity Directory
+ * Maps forge identities (GitHub logins, commit emails) to Slack users: overrides in
+ * config/identities.json first, then the email on each Slack profile (needs users:read.email).
+ * Keeps authors from approving their own changes and lets deployment threads @-mention them.
+ */
+
+const { WebClient } = require('@slack/web-api');
+const { readConfigFile, interpolate } = require('./configLoader');
+
+const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+
+// Slack profile emails are read at most once an hour
+const DIRECTORY_CACHE_MS = 60 * 60 * 1000;
+
+// GitHub's private commit emails carry the login: 123456+octocat@users.noreply.github.com
+const GITHUB_NOREPLY_EMAIL = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/;
+
+let config = null;
+
+// {emails: Map(email -> Slack user ID), fetchedAt}
+let directory = null;
+
+/**
+ * Load identity overrides (cached after first read)
+ * @returns {object} {github: {login: slackId}, emails: {email: slackId}}
+ */
+function loadConfig() {
+  if (!config) {
+    config = readConfigFile('IDENTITIES_CONFIG_PATH', 'identities.json');
+  }
+  return config;
+}
+
+/**
+ * Drop the cached config and Slack directory so the next lookup re-reads both
+ */
+function reloadConfig() {
+  config = null;
+  directory = null;
+}
+
+/**
+ * Lowercase and trim an identity for comparison
+ * @param {string} value - Login, email or name
+ * @returns {string} Normalized value ('' if missing)
+ */
+function normalize(value) {
+  return (value || '').trim().toLowerCase();
+}
+
+/**
+ * Look up an override, ignoring case
+ * @param {object} overrides - {key: slackId}, values may be ${VAR} references
+ * @param {string} key - Normalized login or email
+ * @returns {string|null} Slack user ID
+ */
+function findOverride(overrides = {}, key) {
+  const match = Object.keys(overrides).find(candidate => normalize(candidate) === key);
+  return match ? interpolate(overrides[match]) || null : null;
+}
+
+/**
+ * Slack users by profile email, from users.list
+ * @returns {Promise<Map<string, string>>} email -> Slack user ID
+ */
+async function getSlackDirectory() {
+  if (directory && Date.now() - directory.fetchedAt < DIRECTORY_CACHE_MS) {
+    return directory.emails;
+  }
+
+  const emails = new Map();
+  let cursor;
+  do {
+    const result = await slack.users.list({ limit: 200, cursor });
+    for (const member of result.members || []) {
+      const email = normalize(member.profile?.email);
+      if (email && !member.deleted && !member.is_bot) {
+        emails.set(email, member.id);
+      }
+    }
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+
+  directory = { emails, fetchedAt: Date.now() };
+  console.log(`[Identities] Loaded ${emails.size} Slack profile email(s)`);
+  return emails;
+}
+
+/**
+ * Find the Slack user behind a forge identity
+ * A Slack directory that can't be read counts as not knowing the identity
+ * @param {object} identity - {login, email}
+ * @returns {Promise<string|null>} Slack user ID, or null if unknown
+ */
+async function resolveSlackUser({ login, email }) {
+  const { github, emails } = loadConfig();
+  const address = normalize(email);
+  const noreplyLogin = address.match(GITHUB_NOREPLY_EMAIL)?.[1];
+
+  for (const candidate of [normalize(login), noreplyLogin].filter(Boolean)) {
+    const override = findOverride(github, candidate);
+    if (override) {
+      return override;
+    }
+  }
+
+  if (!address) {
+    return null;
+  }
+  const override = findOverride(emails, address);
+  if (override) {
+    return override;
+  }
+
+  try {
+    return (await getSlackDirectory()).get(address) || null;
+  } catch (error) {
+    console.error(`[Identities] ❌ Failed to read Slack profile emails: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Authors of a deployment: the head commit's and every pushed commit's
+ * @param {object} record - Deployment record
+ * @returns {Array<object>} [{name, login, email}]
+ */
+function getAuthors(record) {
+  const head = { name: record.commit_author, login: record.commit_author_login, email: record.commit_author_email };
+  const pushed = (record.commits || []).map(commit => ({
+    name: commit.author,
+    login: commit.author_login,
+    email: commit.author_email
+  }));
+  return [head, ...pushed].filter(author => author.name || author.login || author.email);
+}
+
+/**
+ * Slack users who wrote a deployment's change
+ * @param {object} record - Deployment record
+ * @returns {Promise<Array<string>>} Unique Slack user IDs (authors that can't be mapped are left out)
+ */
+async function findAuthorSlackIds(record) {
+  const ids = [];
+  for (const author of getAuthors(record)) {
+    const id = await resolveSlackUser(author);
+    if (id && !ids.includes(id)) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Whether a Slack user wrote the change being deployed
+ * Mapped identities are matched by Slack user ID; authors the directory can't map are matched
+ * against the Slack user's names, as commit author names often are their real names
+ * @param {object} record - Deployment record
+ * @param {object} slackUser - Slack user from users.info
+ * @returns {Promise<boolean>} True if the user is one of the authors
+ */
+async function isAuthor(record, slackUser) {
+  if (slackUser.id && (await findAuthorSlackIds(record)).includes(slackUser.id)) {
+    return true;
+  }
+
+  const authors = getAuthors(record).flatMap(author => [author.name, author.login]).map(normalize).filter(Boolean);
+  const names = [
+    slackUser.name,
+    slackUser.real_name,
+    slackUser.profile?.real_name,
+    slackUser.profile?.display_name
+  ].map(normalize).filter(Boolean);
+  return names.some(name => authors.includes(name));
+}
+
+/**
+ * Mention a deployment's authors, e.g. "<@U123>, <@U456>"
+ * @param {object} record - Deployment record
+ * @returns {Promise<string|null>} Slack markup, or null if no author maps to a Slack user
+ */
+async function mentionAuthors(record) {
+  const ids = await findAuthorSlackIds(record);
+  return ids.length > 0 ? ids.map(id => `<@${id}>`).join(', ') : null;
+}
+
+module.exports = {
+  resolveSlackUser,
+  findAuthorSlackIds,
+  isAuthor,
+  mentionAuthors,
+  reloadConfig
+};
@@ -0,0 +1,319 @@
+/**
+ * Job Queue
+ * Persisted queue for outbound side effects (Slack posts, Notion writes, GitHub dispatches, delivery processing).
+ * Jobs survive restarts, are retried with exponential backoff and dead-lettered after too many failures.
+ */
+
+const { createFileStore } = require('./fileStore');
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+const BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS || '5000', 10);
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS || '600000', 10);
+const RETENTION_HOURS = parseInt(process.env.JOB_RETENTION_HOURS || '24', 10);
+
+// { [jobId]: {id, type, payload, orderKey, status, attempts, maxAttempts, runAt, lastError, result,
+//             createdAt, updatedAt, finishedAt} }
+// status: queued -> running -> done | queued (retry) | dead
+const store = createFileStore('jobs', () => ({}));
+
+// Job type -> {handler, maxAttempts, onDeadLetter}; registered by the modules that own the side effect
+const jobTypes = {};
+
+let sequence = 0;
+let timer = null;
+let current = null;
+
+/**
+ * Register how jobs of a type are run
+ * A handler fails by throwing or by returning a falsy result or {success: false}
+ * @param {string} type - Job type (e.g. slack.thread)
+ * @param {Function} handler - async (payload, job) => result; the result must be JSON-serializable
+ * @param {object} options - {maxAttempts, onDeadLetter(job, error)}
+ */
+function registerJobType(type, handler, { maxAttempts, onDeadLetter } = {}) {
+  jobTypes[type] = { handler, maxAttempts, onDeadLetter };
+}
+
+/**
+ * Delay before the next attempt: BACKOFF_MS doubled per failed attempt, capped at BACKOFF_MAX_MS
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_MS * Math.pow(2, attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Drop finished jobs past the retention window; dead jobs are kept until retried
+ * @param {object} jobs - Store contents (mutated)
+ */
+function prune(jobs) {
+  const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+  for (const job of Object.values(jobs)) {
+    if (job.status === 'done' && new Date(job.finishedAt).getTime() < cutoff) {
+      delete jobs[job.id];
+    }
+  }
+}
+
+/**
+ * Add a job to the queue; it runs as soon as the worker is free
+ * Jobs sharing an orderKey (e.g. posts to one Slack thread) run in the order they were queued:
+ * while an earlier one waits for a retry, the later ones wait with it
+ * @param {string} type - Registered job type
+ * @param {object} payload - Job input (JSON-serializable)
+ * @param {object} options - {delayMs, maxAttempts, orderKey}
+ * @returns {object} Queued job
+ */
+function enqueue(type, payload, { delayMs = 0, maxAttempts, orderKey = null } = {}) {
+  const now = new Date();
+  const job = {
+    id: `job-${now.getTime()}-${++sequence}`,
+    type,
+    payload,
+    orderKey,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: maxAttempts || jobTypes[type]?.maxAttempts || MAX_ATTEMPTS,
+    runAt: new Date(now.getTime() + delayMs).toISOString(),
+    lastError: null,
+    result: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    finishedAt: null
+  };
+
+  store.update((jobs) => {
+    prune(jobs);
+    jobs[job.id] = job;
+  });
+  console.log(`[Jobs] Queued ${type} ${job.id}`);
+
+  schedule(delayMs);
+  return job;
+}
+
+/**
+ * Apply changes to a stored job
+ * @param {string} jobId - Job ID
+ * @param {object} changes - Fields to set
+ * @returns {object|null} Updated job
+ */
+function updateJob(jobId, changes) {
+  return store.update((jobs) => {
+    const job = jobs[jobId];
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    return job;
+  });
+}
+
+/**
+ * Whether one job was queued before another
+ * @param {object} a - Job
+ * @param {object} b - Job
+ * @returns {boolean} True if a was queued first
+ */
+function queuedBefore(a, b) {
+  if (a.createdAt !== b.createdAt) {
+    return a.createdAt < b.createdAt;
+  }
+  // Same millisecond: the ID ends in the enqueue sequence
+  return parseInt(a.id.split('-').pop(), 10) < parseInt(b.id.split('-').pop(), 10);
+}
+
+/**
+ * Queued jobs that may run once due: a job waits while an earlier job with its orderKey is unfinished
+ * (dead jobs no longer hold the others back)
+ * @param {Array<object>} jobs - All jobs
+ * @returns {Array<object>} Runnable queued jobs, soonest first
+ */
+function runnableJobs(jobs) {
+  return jobs
+    .filter(job => job.status === 'queued')
+    .filter(job => !job.orderKey || !jobs.some(other =>
+      other.orderKey === job.orderKey &&
+      (other.status === 'queued' || other.status === 'running') &&
+      queuedBefore(other, job)
+    ))
+    .sort((a, b) => a.runAt.localeCompare(b.runAt));
+}
+
+/**
+ * Oldest runnable job whose time has come
+ * @returns {object|undefined} Job
+ */
+function nextDueJob() {
+  const now = new Date().toISOString();
+  return runnableJobs(Object.values(store.read())).find(job => job.runAt <= now);
+}
+
+/**
+ * Run one attempt of a job and record the outcome
+ * @param {object} job - Queued job
+ */
+async function runJob(job) {
+  const jobType = jobTypes[job.type];
+  const attempts = job.attempts + 1;
+  updateJob(job.id, { status: 'running', attempts });
+
+  let result;
+  let error = null;
+  try {
+    if (!jobType) {
+      throw new Error(`No handler registered for ${job.type}`);
+    }
+    result = await jobType.handler(job.payload, job);
+    if (!result || result.success === false) {
+      error = result?.error || 'Job returned no result';
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    updateJob(job.id, { status: 'done', result, lastError: null, finishedAt: new Date().toISOString() });
+    console.log(`[Jobs] ✅ ${job.type} ${job.id} done`);
+    return;
+  }
+
+  if (attempts < job.maxAttempts) {
+    const delayMs = getBackoffDelay(attempts);
+    updateJob(job.id, { status: 'queued', lastError: error, runAt: new Date(Date.now() + delayMs).toISOString() });
+    console.warn(`[Jobs] ⚠️ ${job.type} ${job.id} attempt ${attempts}/${job.maxAttempts} failed (${error}), retrying in ${delayMs}ms`);
+    return;
+  }
+
+  const dead = updateJob(job.id, { status: 'dead', lastError: error, finishedAt: new Date().toISOString() });
+  console.error(`[Jobs] ❌ ${job.type} ${job.id} dead-lettered after ${attempts} attempts: ${error}`);
+  if (jobType && jobType.onDeadLetter) {
+    try {
+      await jobType.onDeadLetter(dead, error);
+    } catch (hookError) {
+      console.error(`[Jobs] Dead-letter hook for ${job.type} failed: ${hookError.message}`);
+    }
+  }
+}
+
+/**
+ * Wake the worker after a delay
+ * @param {number} delayMs - Delay in milliseconds
+ */
+function schedule(delayMs) {
+  if (timer) {
+    clearTimeout(timer);
+  }
+  timer = setTimeout(() => {
+    timer = null;
+    work();
+  }, Math.max(0, delayMs));
+  // Pending retries must not keep the process alive on shutdown
+  timer.unref();
+}
+
+/**
+ * Run due jobs one at a time
+ * @returns {Promise} Resolves once no job is due
+ */
+function work() {
+  if (!current) {
+    current = (async () => {
+      let job;
+      while ((job = nextDueJob())) {
+        await runJob(job);
+      }
+    })().finally(() => {
+      current = null;
+      // Held-back jobs wake with the job they wait for
+      const [next] = runnableJobs(Object.values(store.read()));
+      if (next) {
+        schedule(new Date(next.runAt).getTime() - Date.now());
+      }
+    });
+  }
+  return current;
+}
+
+/**
+ * Start the worker: jobs that were running when the process stopped are queued again
+ */
+function start() {
+  const interrupted = Object.values(store.read()).filter(job => job.status === 'running');
+  for (const job of interrupted) {
+    updateJob(job.id, { status: 'queued', runAt: new Date().toISOString() });
+  }
+  if (interrupted.length > 0) {
+    console.log(`[Jobs] Re-queued ${interrupted.length} job(s) interrupted by a restart`);
+  }
+  schedule(0);
+}
+
+/**
+ * Get a job
+ * @param {string} jobId - Job ID
+ * @returns {object|null} Job
+ */
+function getJob(jobId) {
+  return store.read()[jobId] || null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} filters - {status, type, limit}
+ * @returns {Array<object>} Jobs
+ */
+function listJobs({ status, type, limit = 50 } = {}) {
+  return Object.values(store.read())
+    .filter(job => (!status || job.status === status) && (!type || job.type === type))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Job counts by status, and the longest-waiting queued job
+ * @returns {object} {queued, running, done, dead, oldestQueuedAt}
+ */
+function getStats() {
+  const stats = { queued: 0, running: 0, done: 0, dead: 0, oldestQueuedAt: null };
+  for (const job of Object.values(store.read())) {
+    stats[job.status]++;
+    if (job.status === 'queued' && (!stats.oldestQueuedAt || job.createdAt < stats.oldestQueuedAt)) {
+      stats.oldestQueuedAt = job.createdAt;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Give a dead (or waiting) job a fresh set of attempts, starting now
+ * @param {string} jobId - Job ID
+ * @returns {object} {success, job} or {success: false, code, error}
+ */
+function retryJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    return { success: false, code: 404, error: `Job ${jobId} not found` };
+  }
+  if (job.status === 'running' || job.status === 'done') {
+    return { success: false, code: 409, error: `Job ${jobId} is ${job.status}` };
+  }
+
+  const retried = updateJob(jobId, { status: 'queued', attempts: 0, runAt: new Date().toISOString(), finishedAt: null });
+  console.log(`[Jobs] Retrying ${job.type} ${jobId}`);
+  schedule(0);
+  return { success: true, job: retried };
+}
+
+module.exports = {
+  registerJobType,
+  enqueue,
+  start,
+  work,
+  getJob,
+  listJobs,
+  getStats,
+  retryJob,
+  getBackoffDelay
+};
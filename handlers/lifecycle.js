@@ -0,0 +1,103 @@
+/**
+ * Deployment Lifecycle
+ * The stages a deployment moves through and which moves between them are allowed:
+ * Pending CI → Awaiting Approval → Approved → Deploying → Deployed / Failed / Rolled Back / Cancelled / Expired
+ */
+
+// stage -> stages it may move to
+const TRANSITIONS = {
+  'Pending CI': ['Awaiting Approval', 'Failed', 'Cancelled', 'Superseded'],
+  'Awaiting Approval': ['Approved', 'Failed', 'Cancelled', 'Superseded', 'Expired'],
+  'Approved': ['Deploying', 'Deployed', 'Failed'],
+  'Deploying': ['Deployed', 'Failed'],
+  'Deployed': ['Rolled Back'],
+  'Failed': ['Awaiting Approval', 'Deployed'],
+  'Rolled Back': [],
+  'Cancelled': [],
+  'Superseded': [],
+  'Torn Down': [],
+  // Nobody decided in time (see reminders.js)
+  'Expired': []
+};
+
+// Moves out of Failed depend on why it failed
+const GUARDS = {
+  // A green CI re-run reopens a deployment that failed CI, not one that failed to deploy
+  'Failed>Awaiting Approval': record => record.approval_status === 'Pending',
+  // A re-run of a failed deploy can still succeed
+  'Failed>Deployed': record => record.approval_status === 'Approved'
+};
+
+// Decisions that can be withdrawn (stage -> approval_status it was reached with);
+// withdrawing reopens approval as long as the deployment hasn't moved on, e.g. been dispatched
+const WITHDRAWABLE = {
+  'Approved': 'Approved',
+  'Cancelled': 'Rejected'
+};
+
+/**
+ * Whether a value is a lifecycle stage
+ * @param {string} stage - Stage name
+ * @returns {boolean} True for known stages
+ */
+function isStage(stage) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, stage);
+}
+
+/**
+ * Stages that have no way out
+ * @param {string} stage - Stage name
+ * @returns {boolean} True for terminal stages
+ */
+function isTerminal(stage) {
+  return isStage(stage) && TRANSITIONS[stage].length === 0;
+}
+
+/**
+ * Check whether a deployment may move to a stage
+ * Previews follow their PR: new commits or a reopen restart approval, and closing tears them down, from any stage.
+ * Records without a stage (created before the lifecycle existed) may move anywhere.
+ * @param {object} record - Deployment record ({stage, approval_status, pr_number})
+ * @param {string} to - Target stage
+ * @param {object} [changes] - Fields set with the move; a withdrawal resets approval_status to Pending
+ * @returns {object} {allowed, reason} - reason explains a refusal, e.g. "it was rejected"
+ */
+function checkTransition(record, to, changes = {}) {
+  if (!isStage(to)) {
+    return { allowed: false, reason: `${to} is not a deployment stage` };
+  }
+
+  const from = record.stage;
+  if (!from || !isStage(from)) {
+    return { allowed: true };
+  }
+
+  if (record.pr_number && (to === 'Awaiting Approval' || (to === 'Torn Down' && from !== 'Torn Down'))) {
+    return { allowed: true };
+  }
+
+  if (to === 'Awaiting Approval' && changes.approval_status === 'Pending' && WITHDRAWABLE[from] === record.approval_status) {
+    return { allowed: true };
+  }
+
+  const guard = GUARDS[`${from}>${to}`];
+  if (TRANSITIONS[from].includes(to) && (!guard || guard(record))) {
+    return { allowed: true };
+  }
+
+  const describe = stage => stage.toLowerCase().replace(/\bci\b/, 'CI');
+  if (record.approval_status === 'Rejected') {
+    return { allowed: false, reason: 'it was rejected' };
+  }
+  if (from === to || (to === 'Approved' && ['Deploying', 'Deployed'].includes(from))) {
+    return { allowed: false, reason: `it is already ${describe(from)}` };
+  }
+  return { allowed: false, reason: `it is ${describe(from)}` };
+}
+
+module.exports = {
+  TRANSITIONS,
+  isStage,
+  isTerminal,
+  checkTransition
+};
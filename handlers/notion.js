@@ -5,9 +5,20 @@
 
 const https = require('https');
 const { promisify } = require('util');
+const environmentsHandler = require('./environments');
+const repositoriesHandler = require('./repositories');
+const lifecycle = require('./lifecycle');
+const jobsHandler = require('./jobs');
 
 const notionToken = process.env.NOTION_API_TOKEN;
-const databaseId = process.env.NOTION_DATABASE_ID;
+
+/**
+ * Check that a token and at least one deployments database are configured
+ * @returns {boolean} True if Notion can be used
+ */
+function isConfigured() {
+  return Boolean(notionToken) && repositoriesHandler.listNotionDatabaseIds().length > 0;
+}
 
 /**
  * Make HTTP request to Notion API
@@ -59,21 +70,30 @@ function getNotionOptions(path, method = 'GET') {
  */
 async function findDeploymentRecord(deploymentId) {
   try {
-    const options = getNotionOptions(`/v1/databases/${databaseId}/query`, 'POST');
-
     const query = {
       filter: {
         property: 'Deployment ID',
         title: {
           equals: deploymentId
         }
-      }
+      },
+      // Newest first, so reused IDs (reopened PR previews) resolve to the live record
+      sorts: [
+        {
+          timestamp: 'created_time',
+          direction: 'descending'
+        }
+      ]
     };
 
-    const response = await makeNotionRequest(options, JSON.stringify(query));
+    // Repositories may keep their own databases; deployment IDs are unique across them
+    for (const databaseId of repositoriesHandler.listNotionDatabaseIds()) {
+      const options = getNotionOptions(`/v1/databases/${databaseId}/query`, 'POST');
+      const response = await makeNotionRequest(options, JSON.stringify(query));
 
-    if (response.results && response.results.length > 0) {
-      return response.results[0].id;
+      if (response.results && response.results.length > 0) {
+        return response.results[0].id;
+      }
     }
     return null;
   } catch (error) {
@@ -82,15 +102,40 @@ async function findDeploymentRecord(deploymentId) {
   }
 }
 
+/**
+ * Find the Slack thread a deployment was announced in
+ * @param {object} record - Notion deployment record
+ * @returns {object|null} {channel, threadTs} or null
+ */
+function getSlackThread(record) {
+  const threadTs = record?.properties['Slack Thread ID']?.rich_text?.[0]?.text?.content;
+  const channel = record?.properties['Slack Channel']?.rich_text?.[0]?.text?.content;
+  if (!threadTs || !channel) {
+    return null;
+  }
+  return { channel, threadTs };
+}
+
+/**
+ * Audit line for a decision, e.g. "Approved by Ada at 2026-01-28T10:00:00.000Z: hotfix"
+ * @param {string} verb - Approved, Rejected or Cancelled
+ * @param {object} entry - {by, at, reason}
+ * @returns {string} Audit line
+ */
+function formatDecision(verb, { by, at, reason }) {
+  return `${verb} by ${by} at ${at}${reason ? `: ${reason}` : ''}`;
+}
+
 /**
  * Update deployment record with approval status
  * @param {string} deploymentId - Deployment ID
  * @param {string} approver - User who approved
+ * @param {string} [reason] - Reason given with the approval
  * @returns {Promise<boolean>} Success status
  */
-async function updateDeploymentApproval(deploymentId, approver) {
+async function updateDeploymentApproval(deploymentId, approver, reason) {
   try {
-    if (!notionToken || !databaseId) {
+    if (!isConfigured()) {
       console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
       return false;
     }
@@ -114,7 +159,7 @@ async function updateDeploymentApproval(deploymentId, approver) {
         },
         'Current Stage': {
           select: {
-            name: 'Deploying'
+            name: 'Approved'
           }
         },
         'PM Agent Approval Time': {
@@ -127,7 +172,7 @@ async function updateDeploymentApproval(deploymentId, approver) {
             {
               type: 'text',
               text: {
-                content: `Approved by ${approver} at ${new Date().toISOString()}`
+                content: formatDecision('Approved', { by: approver, at: new Date().toISOString(), reason })
               }
             }
           ]
@@ -149,11 +194,12 @@ async function updateDeploymentApproval(deploymentId, approver) {
  * Update deployment record with rejection status
  * @param {string} deploymentId - Deployment ID
  * @param {string} rejector - User who rejected
+ * @param {string} [reason] - Reason given with the rejection
  * @returns {Promise<boolean>} Success status
  */
-async function updateDeploymentRejection(deploymentId, rejector) {
+async function updateDeploymentRejection(deploymentId, rejector, reason) {
   try {
-    if (!notionToken || !databaseId) {
+    if (!isConfigured()) {
       console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
       return false;
     }
@@ -177,7 +223,7 @@ async function updateDeploymentRejection(deploymentId, rejector) {
         },
         'Current Stage': {
           select: {
-            name: 'Failed'
+            name: 'Cancelled'
           }
         },
         'PM Agent Approval Time': {
@@ -190,7 +236,7 @@ async function updateDeploymentRejection(deploymentId, rejector) {
             {
               type: 'text',
               text: {
-                content: `Rejected by ${rejector} at ${new Date().toISOString()}`
+                content: formatDecision('Rejected', { by: rejector, at: new Date().toISOString(), reason })
               }
             }
           ]
@@ -215,7 +261,7 @@ async function updateDeploymentRejection(deploymentId, rejector) {
  */
 async function updateDeploymentDeployed(deploymentId) {
   try {
-    if (!notionToken || !databaseId) {
+    if (!isConfigured()) {
       console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
       return false;
     }
@@ -237,6 +283,11 @@ async function updateDeploymentDeployed(deploymentId) {
             name: 'Deployed'
           }
         },
+        'Current Stage': {
+          select: {
+            name: 'Deployed'
+          }
+        },
         'Deployment Time': {
           date: {
             start: new Date().toISOString()
@@ -255,6 +306,322 @@ async function updateDeploymentDeployed(deploymentId) {
   }
 }
 
+/**
+ * Patch properties on a deployment record
+ * @param {string} deploymentId - Deployment ID
+ * @param {object} properties - Notion properties to set
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateDeploymentProperties(deploymentId, properties) {
+  if (!isConfigured()) {
+    console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
+    return false;
+  }
+
+  const pageId = await findDeploymentRecord(deploymentId);
+  if (!pageId) {
+    console.warn(`[Notion] Deployment record not found for ${deploymentId}`);
+    return false;
+  }
+
+  const options = getNotionOptions(`/v1/pages/${pageId}`, 'PATCH');
+  await makeNotionRequest(options, JSON.stringify({ properties }));
+  return true;
+}
+
+/**
+ * Move deployment record to a new stage
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} stage - Current Stage value (e.g. 'Torn Down')
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateDeploymentStage(deploymentId, stage) {
+  try {
+    // The Current Stage select only holds lifecycle stages
+    if (!lifecycle.isStage(stage)) {
+      console.error(`[Notion] ❌ Refusing to set unknown stage ${stage} on ${deploymentId}`);
+      return false;
+    }
+
+    console.log(`[Notion] Moving deployment ${deploymentId} to stage ${stage}`);
+
+    const updated = await updateDeploymentProperties(deploymentId, {
+      'Current Stage': {
+        select: {
+          name: stage
+        }
+      }
+    });
+
+    if (updated) {
+      console.log(`[Notion] ✅ Updated deployment ${deploymentId} stage to ${stage}`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error updating deployment stage: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Add a comment to a deployment record (audit trail, e.g. denied approvals)
+ * The Notion integration needs the "Insert comments" capability
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} text - Comment text
+ * @returns {Promise<boolean>} Success status
+ */
+async function addDeploymentComment(deploymentId, text) {
+  try {
+    if (!isConfigured()) {
+      console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
+      return false;
+    }
+
+    const pageId = await findDeploymentRecord(deploymentId);
+    if (!pageId) {
+      console.warn(`[Notion] Deployment record not found for ${deploymentId}`);
+      return false;
+    }
+
+    const options = getNotionOptions('/v1/comments', 'POST');
+    await makeNotionRequest(options, JSON.stringify({
+      parent: { page_id: pageId },
+      ...toRichText(text)
+    }));
+
+    console.log(`[Notion] ✅ Commented on deployment ${deploymentId}`);
+    return true;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error commenting on deployment: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record every approval of a deployment that needs several approvers
+ * @param {string} deploymentId - Deployment ID
+ * @param {Array<object>} approvals - Approvals so far ({by, at, reason?})
+ * @param {boolean} approved - Whether the approvals reached the quorum
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateDeploymentApprovals(deploymentId, approvals, approved) {
+  try {
+    console.log(`[Notion] Updating deployment ${deploymentId} with ${approvals.length} approval(s)`);
+
+    const properties = {
+      'Slack Reaction Timestamp': toRichText(approvals.map(approval => formatDecision('Approved', approval)).join('\n'))
+    };
+    if (approved) {
+      properties['Human Approval Status'] = { select: { name: 'Approved' } };
+      properties['Current Stage'] = { select: { name: 'Approved' } };
+      properties['PM Agent Approval Time'] = { date: { start: approvals[approvals.length - 1].at } };
+    }
+
+    const updated = await updateDeploymentProperties(deploymentId, properties);
+    if (updated) {
+      console.log(`[Notion] ✅ Deployment ${deploymentId} approvals updated`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error updating deployment approvals: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Reset a deployment's approval after its approval or rejection was withdrawn
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} user - User who withdrew their decision
+ * @param {string} decision - approval or rejection
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateDeploymentWithdrawal(deploymentId, user, decision) {
+  try {
+    console.log(`[Notion] Withdrawing ${decision} of ${deploymentId} by ${user}`);
+
+    const updated = await updateDeploymentProperties(deploymentId, {
+      'Human Approval Status': { select: { name: 'Pending' } },
+      'Current Stage': { select: { name: 'Awaiting Approval' } },
+      'Slack Reaction Timestamp': toRichText(`${decision === 'approval' ? 'Approval' : 'Rejection'} withdrawn by ${user} at ${new Date().toISOString()}`)
+    });
+
+    if (updated) {
+      console.log(`[Notion] ✅ Deployment ${deploymentId} is awaiting approval again`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error withdrawing deployment decision: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record a new head commit on a preview deployment and reset its approval
+ * @param {string} deploymentId - Preview deployment ID
+ * @param {object} deploymentData - Deployment data for the new head commit
+ * @returns {Promise<boolean>} Success status
+ */
+async function updatePreviewDeployment(deploymentId, deploymentData) {
+  try {
+    console.log(`[Notion] Updating preview ${deploymentId} to ${deploymentData.commit_sha}`);
+
+    const updated = await updateDeploymentProperties(deploymentId, {
+      'Commit SHA': {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: deploymentData.commit_sha
+            }
+          }
+        ]
+      },
+      'Human Approval Status': {
+        select: {
+          name: 'Pending'
+        }
+      },
+      'Current Stage': {
+        select: {
+          name: 'Awaiting Approval'
+        }
+      }
+    });
+
+    if (updated) {
+      console.log(`[Notion] ✅ Updated preview ${deploymentId}`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error updating preview deployment: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Attach published release notes to a release deployment record
+ * @param {string} deploymentId - Release deployment ID
+ * @param {object} deploymentData - Release deployment data (release_notes, release_channel)
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateReleaseNotes(deploymentId, deploymentData) {
+  try {
+    console.log(`[Notion] Attaching release notes to ${deploymentId}`);
+
+    const updated = await updateDeploymentProperties(deploymentId, {
+      'Release Channel': {
+        select: {
+          name: deploymentData.release_channel
+        }
+      },
+      'Release Notes': {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: (deploymentData.release_notes || '').substring(0, 2000)
+            }
+          }
+        ]
+      }
+    });
+
+    if (updated) {
+      console.log(`[Notion] ✅ Attached release notes to ${deploymentId}`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error attaching release notes: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record the Slack thread a deployment was announced in
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} channel - Slack channel ID
+ * @param {string} threadTs - Slack thread timestamp
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateSlackThread(deploymentId, channel, threadTs) {
+  try {
+    const updated = await updateDeploymentProperties(deploymentId, {
+      'Slack Thread ID': {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: threadTs
+            }
+          }
+        ]
+      },
+      'Slack Channel': {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: channel
+            }
+          }
+        ]
+      }
+    });
+
+    if (updated) {
+      console.log(`[Notion] ✅ Linked ${deploymentId} to Slack thread ${threadTs}`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error linking Slack thread: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Update deployment record with failed status
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} reason - Failure reason (e.g. workflow conclusion)
+ * @param {string} runUrl - Link to the failed run
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateDeploymentFailed(deploymentId, reason, runUrl) {
+  try {
+    console.log(`[Notion] Marking deployment ${deploymentId} as failed (${reason})`);
+
+    const updated = await updateDeploymentProperties(deploymentId, {
+      'Current Stage': {
+        select: {
+          name: 'Failed'
+        }
+      },
+      'Deployment Status': {
+        select: {
+          name: 'Failure'
+        }
+      },
+      'OPS Agent Notes': {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: `Deployment failed: ${reason}${runUrl ? `\nRun: ${runUrl}` : ''}`.substring(0, 2000)
+            }
+          }
+        ]
+      }
+    });
+
+    if (updated) {
+      console.log(`[Notion] ✅ Updated deployment ${deploymentId} as failed`);
+    }
+    return updated;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error updating deployment failed: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Update agent notes in deployment record
  * @param {string} deploymentId - Deployment ID
@@ -264,7 +631,7 @@ async function updateDeploymentDeployed(deploymentId) {
  */
 async function updateAgentNotes(deploymentId, agentName, notes) {
   try {
-    if (!notionToken || !databaseId) {
+    if (!isConfigured()) {
       console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
       return false;
     }
@@ -310,7 +677,7 @@ async function updateAgentNotes(deploymentId, agentName, notes) {
  */
 async function getDeploymentRecord(deploymentId) {
   try {
-    if (!notionToken || !databaseId) {
+    if (!isConfigured()) {
       console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
       return null;
     }
@@ -333,25 +700,105 @@ async function getDeploymentRecord(deploymentId) {
   }
 }
 
+/**
+ * Read the digest-relevant properties of a deployment page
+ * @param {object} page - Notion page from a database query
+ * @returns {object} {deploymentId, environment, repository, author, stage, approvalStatus, createdAt,
+ *   decidedAt, deployedAt, editedAt, thread} - times are ISO strings or null, thread as in getSlackThread
+ */
+function readDeploymentPage(page) {
+  const properties = page.properties || {};
+  return {
+    deploymentId: properties['Deployment ID']?.title?.[0]?.text?.content || null,
+    environment: properties['Environment']?.select?.name || null,
+    repository: properties['Repository']?.rich_text?.[0]?.text?.content || null,
+    author: properties['Author']?.select?.name || null,
+    stage: properties['Current Stage']?.select?.name || null,
+    approvalStatus: properties['Human Approval Status']?.select?.name || null,
+    createdAt: properties['Created At']?.date?.start || page.created_time || null,
+    decidedAt: properties['PM Agent Approval Time']?.date?.start || null,
+    deployedAt: properties['Deployment Time']?.date?.start || null,
+    editedAt: page.last_edited_time || null,
+    thread: getSlackThread(page)
+  };
+}
+
+/**
+ * List deployments created or changed since a time, plus every one still awaiting approval
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array<object>|null>} Deployments as read by readDeploymentPage, or null on failure
+ */
+async function listDeploymentsSince(since) {
+  try {
+    if (!isConfigured()) {
+      console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
+      return null;
+    }
+
+    const filter = {
+      or: [
+        { property: 'Created At', date: { on_or_after: since } },
+        { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since } },
+        { property: 'Current Stage', select: { equals: 'Awaiting Approval' } }
+      ]
+    };
+
+    const deployments = [];
+    for (const databaseId of repositoriesHandler.listNotionDatabaseIds()) {
+      let cursor;
+      do {
+        const options = getNotionOptions(`/v1/databases/${databaseId}/query`, 'POST');
+        const response = await makeNotionRequest(options, JSON.stringify({ filter, page_size: 100, start_cursor: cursor }));
+        deployments.push(...(response.results || []).map(readDeploymentPage));
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+    }
+
+    console.log(`[Notion] ✅ Listed ${deployments.length} deployment(s) since ${since}`);
+    return deployments;
+  } catch (error) {
+    console.error(`[Notion] ❌ Error listing deployments: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Format commits for the Notion "Commits" property, one per line
+ * @param {Array<object>} commits - Commits ({sha, message, author})
+ * @returns {string} Commit list
+ */
+function formatCommitList(commits) {
+  return commits.map(commit => `${commit.sha} ${commit.message} (${commit.author})`).join('\n');
+}
+
 /**
  * Create a new deployment record in Notion
+ * The database needs every property written here, including the optional ones (Service, Commits,
+ * Compare URL, Force Push, Release Channel, Release Notes); see "Notion Database Properties" in the README
  * @param {object} deploymentData - Deployment data from GitHub webhook
  * @returns {Promise<string|null>} Page ID if created, null otherwise
  */
 async function createDeploymentRecord(deploymentData) {
   try {
-    if (!notionToken || !databaseId) {
+    if (!isConfigured()) {
       console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
       return null;
     }
 
+    const { notionDatabaseId } = repositoriesHandler.getRepositoryConfig(deploymentData.repository);
+    if (!notionDatabaseId) {
+      console.warn(`[Notion] No Notion database configured for ${deploymentData.repository}`);
+      return null;
+    }
+
     console.log(`[Notion] Creating deployment record for ${deploymentData.deployment_id}`);
 
     const options = getNotionOptions(`/v1/pages`, 'POST');
+    const environment = environmentsHandler.getEnvironmentForDeployment(deploymentData);
 
     const page = {
       parent: {
-        database_id: databaseId
+        database_id: notionDatabaseId
       },
       properties: {
         'Deployment ID': {
@@ -366,9 +813,24 @@ async function createDeploymentRecord(deploymentData) {
         },
         'Branch': {
           select: {
-            name: deploymentData.branch.split('/')[0] === 'feature' ? 'features/*' : deploymentData.branch
+            name: environmentsHandler.getNotionBranch(environment, deploymentData.branch)
           }
         },
+        'Environment': {
+          select: {
+            name: environment ? environment.name : 'unknown'
+          }
+        },
+        'Repository': {
+          rich_text: [
+            {
+              type: 'text',
+              text: {
+                content: deploymentData.repository || ''
+              }
+            }
+          ]
+        },
         'Commit SHA': {
           rich_text: [
             {
@@ -404,9 +866,19 @@ async function createDeploymentRecord(deploymentData) {
             }
           ]
         },
+        'Slack Channel': {
+          rich_text: [
+            {
+              type: 'text',
+              text: {
+                content: deploymentData.slack_channel || ''
+              }
+            }
+          ]
+        },
         'Current Stage': {
           select: {
-            name: 'Awaiting Approval'
+            name: deploymentData.stage || 'Awaiting Approval'
           }
         },
         'Created By': {
@@ -422,6 +894,60 @@ async function createDeploymentRecord(deploymentData) {
       }
     };
 
+    // Pushes carry the full commit list and compare range
+    if (deploymentData.commits && deploymentData.commits.length > 0) {
+      page.properties['Commits'] = {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: formatCommitList(deploymentData.commits).substring(0, 2000)
+            }
+          }
+        ]
+      };
+    }
+    if (deploymentData.compare_url) {
+      page.properties['Compare URL'] = {
+        url: deploymentData.compare_url
+      };
+    }
+
+    // Monorepo pushes start one deployment per affected service
+    if (deploymentData.service) {
+      page.properties['Service'] = {
+        select: {
+          name: deploymentData.service
+        }
+      };
+    }
+
+    // Force-pushes rewrote history; flag them so reviewers look twice
+    if (deploymentData.forced) {
+      page.properties['Force Push'] = {
+        checkbox: true
+      };
+    }
+
+    // Release deployments carry their channel and notes
+    if (deploymentData.release_tag) {
+      page.properties['Release Channel'] = {
+        select: {
+          name: deploymentData.release_channel
+        }
+      };
+      page.properties['Release Notes'] = {
+        rich_text: [
+          {
+            type: 'text',
+            text: {
+              content: (deploymentData.release_notes || '').substring(0, 2000)
+            }
+          }
+        ]
+      };
+    }
+
     const response = await makeNotionRequest(options, JSON.stringify(page));
 
     if (response.id) {
@@ -436,12 +962,146 @@ async function createDeploymentRecord(deploymentData) {
   }
 }
 
+/**
+ * Notion rich_text value for a plain string
+ * @param {string} content - Text (truncated to Notion's 2000 character limit)
+ * @returns {object} rich_text property value
+ */
+function toRichText(content) {
+  return {
+    rich_text: [
+      {
+        type: 'text',
+        text: {
+          content: (content || '').substring(0, 2000)
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Bring a deployment's Notion record in line with the deployment store
+ * Creates the record first if it is missing (Notion was down, or the page was deleted)
+ * @param {object} record - Deployment store record
+ * @returns {Promise<string>} 'created', 'updated' or 'failed'
+ */
+async function syncDeploymentRecord(record) {
+  try {
+    if (!isConfigured()) {
+      console.warn('[Notion] NOTION_API_TOKEN or NOTION_DATABASE_ID not configured');
+      return 'failed';
+    }
+
+    let created = false;
+    if (!(await findDeploymentRecord(record.deployment_id))) {
+      if (!(await createDeploymentRecord(record))) {
+        return 'failed';
+      }
+      created = true;
+    }
+
+    const properties = {
+      'Current Stage': { select: { name: record.stage } },
+      'Human Approval Status': { select: { name: record.approval_status } },
+      'Slack Thread ID': toRichText(record.slack_thread_id),
+      'Slack Channel': toRichText(record.slack_channel)
+    };
+
+    if (record.deployment_status) {
+      properties['Deployment Status'] = { select: { name: record.deployment_status } };
+    }
+
+    if (record.rejected_by) {
+      properties['Slack Reaction Timestamp'] = toRichText(formatDecision('Rejected', record.rejected_by));
+    } else if (record.cancelled_by) {
+      properties['Slack Reaction Timestamp'] = toRichText(formatDecision('Cancelled', record.cancelled_by));
+    } else if (record.approvals.length > 0) {
+      properties['Slack Reaction Timestamp'] = toRichText(record.approvals.map(approval => formatDecision('Approved', approval)).join('\n'));
+    }
+
+    if (record.failure) {
+      const { reason, url } = record.failure;
+      properties['OPS Agent Notes'] = toRichText(`Deployment failed: ${reason}${url ? `\nRun: ${url}` : ''}`);
+    }
+
+    for (const [agentName, notes] of Object.entries(record.agent_notes)) {
+      properties[`${agentName} Agent Notes`] = toRichText(notes);
+    }
+
+    if (record.release_tag) {
+      properties['Release Notes'] = toRichText(record.release_notes);
+    }
+
+    if (!(await updateDeploymentProperties(record.deployment_id, properties))) {
+      return 'failed';
+    }
+
+    console.log(`[Notion] ✅ Synced ${record.deployment_id} (${created ? 'created' : 'updated'})`);
+    return created ? 'created' : 'updated';
+  } catch (error) {
+    console.error(`[Notion] ❌ Error syncing deployment record: ${error.message}`);
+    return 'failed';
+  }
+}
+
+// Updates that can be queued as 'notion' jobs, by name so jobs stay JSON
+const QUEUEABLE_UPDATES = {
+  updateDeploymentApproval,
+  updateDeploymentApprovals,
+  updateDeploymentRejection,
+  updateDeploymentDeployed,
+  updateDeploymentFailed,
+  updateDeploymentStage,
+  updateDeploymentWithdrawal,
+  addDeploymentComment,
+  updateSlackThread,
+  updatePreviewDeployment,
+  updateReleaseNotes,
+  updateAgentNotes
+};
+
+jobsHandler.registerJobType('notion', async ({ fn, args }) => {
+  // The store is the source of truth, so without Notion there is nothing to retry
+  if (!isConfigured()) {
+    return { skipped: true };
+  }
+  const updated = await QUEUEABLE_UPDATES[fn](...args);
+  return updated ? { success: true } : { success: false, error: `${fn} failed for ${args[0]}` };
+});
+
+/**
+ * Queue a record update; it is retried (e.g. until the record exists or Notion is reachable)
+ * @param {string} fn - Update function name, e.g. updateDeploymentStage
+ * @param {...*} args - Its arguments (JSON-serializable)
+ * @returns {object} Queued job
+ */
+function queueUpdate(fn, ...args) {
+  if (!QUEUEABLE_UPDATES[fn]) {
+    throw new Error(`${fn} is not a queueable Notion update`);
+  }
+  return jobsHandler.enqueue('notion', { fn, args });
+}
+
 module.exports = {
+  isConfigured,
   createDeploymentRecord,
+  syncDeploymentRecord,
   updateDeploymentApproval,
+  updateDeploymentApprovals,
   updateDeploymentRejection,
   updateDeploymentDeployed,
+  updateDeploymentFailed,
+  updateDeploymentStage,
+  updateDeploymentWithdrawal,
+  addDeploymentComment,
+  updateSlackThread,
+  updatePreviewDeployment,
+  updateReleaseNotes,
   findDeploymentRecord,
+  getSlackThread,
   updateAgentNotes,
-  getDeploymentRecord
+  getDeploymentRecord,
+  listDeploymentsSince,
+  queueUpdate
 };
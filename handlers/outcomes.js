@@ -0,0 +1,75 @@
+/**
+ * Deployment Outcome Handler
+ * Reports the result of a dispatched deployment to the deployment store, its Slack thread and Notion record
+ */
+
+const slackHandler = require('./slack');
+const notionHandler = require('./notion');
+const deploymentStore = require('./deploymentStore');
+
+/**
+ * Report a finished deployment
+ * Anything but success is a failure: a cancelled, skipped or timed-out run did not put the approved
+ * revision out, so the deployment must not read as Deployed. Failed keeps the approval, so a re-run
+ * that succeeds still moves it to Deployed.
+ * @param {object} outcome - Deployment outcome
+ * @param {string} outcome.deploymentId - Deployment ID
+ * @param {boolean} outcome.success - Whether the deploy succeeded
+ * @param {string} outcome.conclusion - Raw conclusion/state (success, failure, cancelled, ...)
+ * @param {string} outcome.url - Link to the exact run
+ * @param {number} outcome.durationMs - Run duration in milliseconds
+ * @param {string} outcome.source - Event the outcome came from (workflow_run, deployment_status)
+ * @returns {Promise<object>} {success, notified, error}
+ */
+async function reportDeploymentOutcome(outcome) {
+  const { deploymentId, success, conclusion, url, durationMs, source } = outcome;
+
+  try {
+    console.log(`[Outcomes] ${deploymentId} finished via ${source}: ${conclusion}`);
+
+    const transition = success
+      ? deploymentStore.recordDeployed(deploymentId)
+      : deploymentStore.recordFailed(deploymentId, conclusion, url);
+    const record = transition.record;
+
+    // Deployments that predate the store are only tracked in Notion
+    if (transition.success || !record) {
+      if (success) {
+        notionHandler.queueUpdate('updateDeploymentDeployed', deploymentId);
+      } else {
+        notionHandler.queueUpdate('updateDeploymentFailed', deploymentId, conclusion, url);
+      }
+    }
+
+    if (!record || !record.slack_thread_id) {
+      console.warn(`[Outcomes] No Slack thread recorded for ${deploymentId}`);
+      return { success: true, notified: false };
+    }
+
+    if (transition.success) {
+      slackHandler.queueStatusUpdate(deploymentId);
+    }
+
+    const duration = slackHandler.formatDuration(durationMs);
+    const runLink = url ? `\n\n<${url}|View run>` : '';
+    let message;
+    if (!transition.success) {
+      // e.g. a run finishing for a deployment that was rolled back in the meantime
+      message = `⚠️ A run reported ${conclusion} for this deployment, but ${transition.error}, so its stage was left unchanged${runLink}\n\nDeployment ID: ${deploymentId}`;
+    } else if (success) {
+      message = `🚀 Deployment succeeded in ${duration}${runLink}\n\nDeployment ID: ${deploymentId}`;
+    } else {
+      message = `🔥 Deployment failed (${conclusion}) after ${duration}${runLink}\n\nDeployment ID: ${deploymentId}`;
+    }
+
+    slackHandler.queueThreadUpdate(record.slack_channel, record.slack_thread_id, message);
+    return { success: true, notified: true };
+  } catch (error) {
+    console.error(`[Outcomes] ❌ Error reporting outcome for ${deploymentId}: ${error.message}`);
+    return { success: false, notified: false, error: error.message };
+  }
+}
+
+module.exports = {
+  reportDeploymentOutcome
+};
@@ -0,0 +1,692 @@
+/**
+ * Deployment Pipeline
+ * Forge-neutral deployment flows: webhook adapters (GitHub, GitLab, Bitbucket) normalize their
+ * payloads and hand them here, so Slack, Notion and approvals behave the same for every forge
+ */
+
+const slackHandler = require('./slack');
+const notionHandler = require('./notion');
+const githubHandler = require('./github');
+const environmentsHandler = require('./environments');
+const repositoriesHandler = require('./repositories');
+const servicesHandler = require('./services');
+const ciHandler = require('./ci');
+const archiveHandler = require('./archive');
+const deploymentStore = require('./deploymentStore');
+const identitiesHandler = require('./identities');
+
+/**
+ * Post the Claude Code analysis command to a deployment thread
+ * @param {object} deploymentData - Deployment data
+ * @param {object} slackResult - Result from sendDeploymentNotification
+ */
+function postAnalysisCommand(deploymentData, slackResult) {
+  const analysisCommand = `npm run analyze-deployment ${deploymentData.deployment_id}`;
+  slackHandler.queueThreadUpdate(
+    slackResult.channel,
+    slackResult.thread_ts,
+    `💡 To analyze this deployment with Claude Code, run:\n\`\`\`\n${analysisCommand}\n\`\`\``
+  );
+}
+
+/**
+ * @-mention the deployment's authors in its thread, so they follow approvals and the deploy result
+ * Authors the identity directory can't map to a Slack user are not mentioned
+ * @param {object} deploymentData - Deployment data
+ * @param {object} slackResult - Result from sendDeploymentNotification
+ */
+async function mentionAuthors(deploymentData, slackResult) {
+  try {
+    const mentions = await identitiesHandler.mentionAuthors(deploymentData);
+    if (mentions) {
+      slackHandler.queueThreadUpdate(
+        slackResult.channel,
+        slackResult.thread_ts,
+        `✍️ ${mentions}: approvals and the deploy result for your change will be posted in this thread`
+      );
+    }
+  } catch (error) {
+    console.error(`[Pipeline] Failed to mention authors of ${deploymentData.deployment_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Post the deployment's Slack message (analysis command and author mentions) once per delivery
+ * Replays of a delivery whose message went out reuse the stored thread
+ * @param {object} deployment_data - Deployment data
+ * @returns {Promise<object>} Result from sendDeploymentNotification
+ */
+function notifySlack(deployment_data) {
+  return archiveHandler.runStep(deployment_data.delivery_id, `slack:${deployment_data.deployment_id}`, async () => {
+    const result = await slackHandler.sendDeploymentNotification(deployment_data);
+    if (result.success) {
+      // Before any reply is queued: a reply job can run as soon as it is queued, and is only
+      // indexed to this deployment once the thread is recorded
+      deploymentStore.setSlackThread(deployment_data.deployment_id, result.channel, result.thread_ts);
+      postAnalysisCommand(deployment_data, result);
+      await mentionAuthors(deployment_data, result);
+    }
+    return result;
+  });
+}
+
+/**
+ * Create the deployment's Notion record once per delivery
+ * @param {object} deployment_data - Deployment data
+ * @returns {Promise<string|null>} Page ID or null
+ */
+function recordInNotion(deployment_data) {
+  // Not configured is not a failure worth replaying
+  if (!notionHandler.isConfigured()) {
+    return notionHandler.createDeploymentRecord(deployment_data);
+  }
+  return archiveHandler.runStep(deployment_data.delivery_id, `notion:${deployment_data.deployment_id}`, () =>
+    notionHandler.createDeploymentRecord(deployment_data)
+  );
+}
+
+/**
+ * Handle a branch push
+ * @param {object} push - Normalized push
+ * @param {string} push.forge - github, gitlab or bitbucket
+ * @param {string} push.repository - Repository in format owner/repo
+ * @param {string} push.branch - Branch name
+ * @param {string} push.before - SHA before the push
+ * @param {string} push.after - SHA after the push (full)
+ * @param {string} push.compareUrl - Compare view for the pushed range
+ * @param {boolean} push.forced - History was rewritten
+ * @param {boolean} push.deleted - Branch was deleted
+ * @param {string} push.pusher - Name of the pusher
+ * @param {Array<object>} push.commits - Oldest first: {id, message, author, authorLogin, authorEmail, url, added, modified, removed}
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handlePush(push, deliveryId) {
+  const { repository, branch, commits, forced, deleted, pusher } = push;
+
+  // Only process branches routed to an environment (repository branches override config/environments.json)
+  const environment = environmentsHandler.resolveBranch(branch, repository);
+
+  if (!environment) {
+    console.log(`[Pipeline] Ignoring branch: ${branch}`);
+    return { result: { status: 'ignored', reason: `Branch ${branch} not tracked` } };
+  }
+
+  // Branch deleted: nothing to deploy, and pending approvals would deploy a ref that no longer exists
+  if (deleted) {
+    console.log(`[Pipeline] Branch deleted: ${branch}, cancelling pending deployments`);
+    return {
+      result: { status: 'received', action: 'cancel_pending', branch: branch },
+      task: () => cancelPendingDeployments(repository, branch, {
+        stage: 'Cancelled',
+        message: `🗑️ Branch \`${branch}\` was deleted by ${pusher}. This deployment has been cancelled.`
+      })
+    };
+  }
+
+  // Pushes without commits (e.g. a new branch created at an existing commit) have nothing new to deploy
+  if (commits.length === 0) {
+    console.log(`[Pipeline] Ignoring empty push to ${branch}`);
+    return { result: { status: 'ignored', reason: `Push to ${branch} contains no commits` } };
+  }
+
+  // Decide which services the push deploys from the paths its commits touched
+  const selection = servicesHandler.selectServices(repository, commits);
+  if (selection.skip) {
+    console.log(`[Pipeline] Ignoring push to ${branch}: ${selection.skip}`);
+    return { result: { status: 'ignored', reason: selection.skip } };
+  }
+
+  console.log(`[Pipeline] Processing ${environment.label} deployment for branch: ${branch}${forced ? ' (force-push)' : ''}`);
+
+  // Replays of an archived delivery reuse its receive time, so deployment IDs come out the same
+  const receivedAt = archiveHandler.getReceivedAt(deliveryId) || new Date();
+  const triggered_at = receivedAt.toISOString();
+  const timestamp = receivedAt.getTime();
+  const deployments = selection.deployments.map(({ service, commits: serviceCommits }) => {
+    // Record every commit in the push so approvers see the whole range, not just the head
+    const push_commits = serviceCommits.map(commit => ({
+      sha: commit.id.substring(0, 7), // Short SHA
+      message: commit.message.split('\n')[0], // First line only
+      author: commit.author,
+      author_login: commit.authorLogin,
+      author_email: commit.authorEmail,
+      url: commit.url
+    }));
+    const latest_commit = push_commits[push_commits.length - 1];
+
+    return {
+      forge: push.forge,
+      repository: repository,
+      branch: branch,
+      environment: environment.name,
+      service: service,
+      commit_sha: latest_commit.sha,
+      commit_url: latest_commit.url,
+      commit_message: latest_commit.message,
+      commit_author: latest_commit.author,
+      commit_author_login: latest_commit.author_login,
+      commit_author_email: latest_commit.author_email,
+      commits: push_commits,
+      before_sha: push.before,
+      after_sha: push.after,
+      compare_url: push.compareUrl,
+      forced: Boolean(forced),
+      pusher: pusher,
+      deployment_id: githubHandler.getBranchDeploymentId(branch, service, timestamp),
+      triggered_at: triggered_at,
+      delivery_id: deliveryId
+    };
+  });
+
+  const deployment_ids = deployments.map(deployment_data => deployment_data.deployment_id);
+
+  // CI gating: hold the deployments until checks for the pushed commit are green.
+  // Registered before responding so check events processed right after find them.
+  let ciState = null;
+  if (ciHandler.getGateConfig(repository).gate) {
+    for (const deployment_data of deployments) {
+      ciState = ciHandler.registerDeployment(repository, push.after, deployment_data.deployment_id);
+      if (ciState !== 'success') {
+        deployment_data.stage = 'Pending CI';
+      }
+    }
+  }
+
+  // Recorded before responding so reactions and check events processed right after find them
+  deployments.forEach(deployment_data => deploymentStore.createDeployment(deployment_data));
+
+  console.log(`[Pipeline] Deployment data:`, deployments);
+
+  const result = { status: 'received', branch: branch };
+  if (deployments.length === 1) {
+    result.deployment_id = deployment_ids[0];
+  } else {
+    result.deployment_ids = deployment_ids;
+  }
+
+  return {
+    result,
+    task: async () => {
+      await Promise.all(deployments.map(processPushDeployment));
+
+      // CI already failed before the push was processed
+      if (ciState === 'failure') {
+        await notifyCiResult(deployment_ids, 'failure', { name: 'CI', url: null });
+      }
+
+      // A force-push rewrote the history earlier pending deployments were built from
+      if (forced) {
+        await cancelPendingDeployments(repository, branch, {
+          stage: 'Superseded',
+          message: `⚠️ Branch \`${branch}\` was force-pushed. This deployment was superseded by ${deployment_ids.join(', ')} and can no longer be approved.`,
+          excludeIds: deployment_ids
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Send Slack notification and create Notion record for a push deployment
+ * @param {object} deployment_data - Deployment data
+ * @returns {Promise}
+ */
+function processPushDeployment(deployment_data) {
+  return Promise.all([
+    notifySlack(deployment_data),
+    recordInNotion(deployment_data)
+  ]).then(([slackResult, notionResult]) => {
+    if (slackResult.success) {
+      console.log(`[Pipeline] Slack notification sent, thread: ${slackResult.thread_ts}`);
+      deployment_data.slack_thread_id = slackResult.thread_ts;
+      deployment_data.slack_channel = slackResult.channel;
+    } else {
+      console.error(`[Pipeline] Slack notification failed: ${slackResult.error}`);
+    }
+    if (notionResult) {
+      console.log(`[Pipeline] Notion record created: ${notionResult}`);
+    } else {
+      console.warn(`[Pipeline] Notion record creation failed or not configured`);
+    }
+
+    console.log(`[Pipeline] Deployment initiated:`, deployment_data);
+
+    // Both ran in parallel, so link the record to its thread for outcome reporting
+    if (slackResult.success && notionResult) {
+      return archiveHandler.runStep(deployment_data.delivery_id, `thread:${deployment_data.deployment_id}`, () =>
+        notionHandler.updateSlackThread(
+          deployment_data.deployment_id,
+          slackResult.channel,
+          slackResult.thread_ts
+        )
+      );
+    }
+  });
+}
+
+/**
+ * Close out a branch's deployments that are still awaiting approval
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} branch - Branch name
+ * @param {object} options - {stage, message, excludeIds}
+ * @returns {Promise<number>} Number of deployments closed
+ */
+async function cancelPendingDeployments(repository, branch, { stage, message, excludeIds = [] }) {
+  const records = deploymentStore.listDeployments({
+    repository,
+    branch,
+    stages: ['Awaiting Approval', 'Pending CI']
+  });
+  let closed = 0;
+
+  for (const record of records) {
+    const deploymentId = record.deployment_id;
+    // Previews and releases of the same ref follow their PR/tag, not the branch
+    if (excludeIds.includes(deploymentId) || record.pr_number || record.release_tag) {
+      continue;
+    }
+
+    if (!deploymentStore.transitionDeployment(deploymentId, stage).success) {
+      continue;
+    }
+    notionHandler.queueUpdate('updateDeploymentStage', deploymentId, stage);
+    if (record.slack_thread_id) {
+      slackHandler.queueThreadUpdate(record.slack_channel, record.slack_thread_id, `${message}\n\nDeployment ID: ${deploymentId}`);
+      slackHandler.queueDeploymentMessageUpdate(deploymentId, `🚫 ${stage}`);
+    }
+    closed++;
+  }
+
+  console.log(`[Pipeline] Marked ${closed} pending deployment(s) on ${branch} as ${stage}`);
+  return closed;
+}
+
+// Release deployments being created, keyed by deployment ID.
+// A new GitHub release pushes its tag at the same moment it is published,
+// so the release event waits for the tag push's record instead of creating a second one.
+const pendingReleases = new Map();
+
+/**
+ * Handle push of a tag
+ * Version tags (v1.4.0) start a PROD release deployment; other tags are ignored
+ * @param {object} tagPush - Normalized tag push
+ * @param {string} tagPush.forge - github, gitlab or bitbucket
+ * @param {string} tagPush.repository - Repository in format owner/repo
+ * @param {string} tagPush.tag - Tag name
+ * @param {boolean} tagPush.deleted - Tag was deleted
+ * @param {object|null} tagPush.headCommit - Tagged commit {id, message, author, authorLogin, authorEmail, url}
+ * @param {string} tagPush.pusher - Name of the pusher
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleTagPush(tagPush, deliveryId) {
+  const { repository, tag, deleted, headCommit, pusher } = tagPush;
+
+  if (deleted) {
+    console.log(`[Pipeline] Ignoring deleted tag: ${tag}`);
+    return { result: { status: 'ignored', reason: `Tag ${tag} deleted` } };
+  }
+
+  if (!githubHandler.isReleaseTag(tag)) {
+    console.log(`[Pipeline] Ignoring non-release tag: ${tag}`);
+    return { result: { status: 'ignored', reason: `Tag ${tag} is not a release version` } };
+  }
+
+  const deployment_data = {
+    forge: tagPush.forge,
+    repository: repository,
+    branch: tag,
+    environment: 'release',
+    release_tag: tag,
+    release_channel: githubHandler.getReleaseChannel(tag),
+    release_notes: null,
+    commit_sha: headCommit ? headCommit.id.substring(0, 7) : tag,
+    commit_url: headCommit ? headCommit.url : null,
+    commit_message: headCommit ? headCommit.message.split('\n')[0] : `Release ${tag}`,
+    commit_author: headCommit ? headCommit.author : pusher,
+    commit_author_login: headCommit ? headCommit.authorLogin : undefined,
+    commit_author_email: headCommit ? headCommit.authorEmail : undefined,
+    pusher: pusher,
+    deployment_id: githubHandler.getReleaseDeploymentId(tag, repository),
+    triggered_at: new Date().toISOString(),
+    delivery_id: deliveryId
+  };
+
+  console.log(`[Pipeline] Release tag pushed:`, deployment_data);
+
+  return {
+    result: {
+      status: 'received',
+      deployment_id: deployment_data.deployment_id,
+      tag: tag
+    },
+    task: () => createReleaseDeployment(deployment_data)
+  };
+}
+
+/**
+ * Create release deployment unless one already exists for the tag
+ * Slack first so the Notion record carries the thread ID
+ * @param {object} deployment_data - Release deployment data
+ * @returns {Promise}
+ */
+function createReleaseDeployment(deployment_data) {
+  const deploymentId = deployment_data.deployment_id;
+  if (pendingReleases.has(deploymentId)) {
+    return pendingReleases.get(deploymentId);
+  }
+
+  const creation = (async () => {
+    // Replays of the delivery that created the release carry on where it stopped
+    const existing = deploymentStore.getDeployment(deploymentId);
+    if (existing && existing.delivery_id !== deployment_data.delivery_id) {
+      console.log(`[Pipeline] Release deployment ${deploymentId} already exists`);
+      return null;
+    }
+    deploymentStore.createDeployment(deployment_data);
+
+    const slackResult = await notifySlack(deployment_data);
+    if (slackResult.success) {
+      deployment_data.slack_thread_id = slackResult.thread_ts;
+      deployment_data.slack_channel = slackResult.channel;
+    } else {
+      console.error(`[Pipeline] Slack notification failed: ${slackResult.error}`);
+    }
+
+    const notionResult = await recordInNotion(deployment_data);
+    if (notionResult) {
+      console.log(`[Pipeline] Release record created: ${notionResult}`);
+    } else {
+      console.warn(`[Pipeline] Notion record creation failed or not configured`);
+    }
+
+    console.log(`[Pipeline] Release deployment initiated: ${deployment_data.deployment_id}`);
+    return slackResult;
+  })();
+
+  pendingReleases.set(deploymentId, creation);
+  return creation.finally(() => pendingReleases.delete(deploymentId));
+}
+
+/**
+ * Attach published release notes to the release deployment
+ * @param {object} deployment_data - Release deployment data with release_notes
+ */
+async function attachReleaseNotes(deployment_data) {
+  const deploymentId = deployment_data.deployment_id;
+
+  // Tag push for this release still in flight - wait for its record
+  if (pendingReleases.has(deploymentId)) {
+    await pendingReleases.get(deploymentId).catch(() => null);
+  }
+
+  const record = deploymentStore.getDeployment(deploymentId);
+  if (!record) {
+    console.log(`[Pipeline] No deployment for ${deployment_data.release_tag} yet, creating release deployment`);
+    return createReleaseDeployment(deployment_data);
+  }
+
+  deploymentStore.updateDeployment(deploymentId, {
+    release_notes: deployment_data.release_notes,
+    release_channel: deployment_data.release_channel,
+    release_url: deployment_data.release_url
+  });
+  notionHandler.queueUpdate('updateReleaseNotes', deploymentId, deployment_data);
+
+  if (record.slack_thread_id) {
+    slackHandler.queueThreadUpdate(
+      record.slack_channel,
+      record.slack_thread_id,
+      `📝 Release <${deployment_data.release_url}|${deployment_data.release_tag}> published (${deployment_data.release_channel})\n\n${slackHandler.formatReleaseNotes(deployment_data.release_notes)}`
+    );
+  }
+
+  console.log(`[Pipeline] Release notes attached to ${deploymentId}`);
+}
+
+/**
+ * Handle a pull/merge request change
+ * opened/reopened create a preview deployment, synchronize updates it, closed tears it down
+ * @param {object} pr - Normalized pull request
+ * @param {string} pr.forge - github, gitlab or bitbucket
+ * @param {string} pr.action - opened, reopened, synchronize or closed
+ * @param {boolean} pr.merged - Whether a closed PR was merged
+ * @param {string} pr.repository - Repository in format owner/repo
+ * @param {number} pr.number - PR/MR number
+ * @param {string} pr.title - Title
+ * @param {string} pr.url - Web URL
+ * @param {string} pr.headRef - Source branch
+ * @param {string} pr.headSha - Head commit SHA (full)
+ * @param {string} pr.headUrl - Head commit web URL
+ * @param {string} pr.author - PR author
+ * @param {string} [pr.authorLogin] - PR author's forge login, if the forge reports one
+ * @param {string} pr.sender - User who triggered the event
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handlePullRequest(pr, deliveryId) {
+  const deployment_data = {
+    forge: pr.forge,
+    repository: pr.repository,
+    branch: pr.headRef,
+    environment: 'preview',
+    pr_number: pr.number,
+    pr_title: pr.title,
+    pr_url: pr.url,
+    commit_sha: pr.headSha.substring(0, 7), // Short SHA
+    commit_url: pr.headUrl,
+    commit_message: pr.title,
+    commit_author: pr.author,
+    commit_author_login: pr.authorLogin,
+    pusher: pr.sender,
+    deployment_id: githubHandler.getPreviewDeploymentId(pr.number, pr.repository),
+    triggered_at: new Date().toISOString(),
+    delivery_id: deliveryId
+  };
+
+  console.log(`[Pipeline] Preview ${pr.action} for PR #${pr.number}:`, deployment_data);
+
+  let task;
+  if (pr.action === 'opened' || pr.action === 'reopened') {
+    task = () => createPreviewDeployment(deployment_data);
+  } else if (pr.action === 'synchronize') {
+    task = () => updatePreviewDeployment(deployment_data);
+  } else {
+    task = () => teardownPreviewDeployment(deployment_data, pr.merged);
+  }
+
+  return {
+    result: {
+      status: 'received',
+      deployment_id: deployment_data.deployment_id,
+      pr_number: pr.number,
+      action: pr.action
+    },
+    task
+  };
+}
+
+/**
+ * Create preview deployment: Slack first so the Notion record carries the thread ID
+ * @param {object} deployment_data - Preview deployment data
+ */
+async function createPreviewDeployment(deployment_data) {
+  // A reopened PR reuses its preview's ID, so start the record over
+  if (deploymentStore.getDeployment(deployment_data.deployment_id)) {
+    deploymentStore.transitionDeployment(deployment_data.deployment_id, 'Awaiting Approval', {
+      ...deployment_data,
+      approval_status: 'Pending',
+      approvals: [],
+      rejected_by: null,
+      cancelled_by: null,
+      deployment_status: null,
+      failure: null
+    });
+  } else {
+    deploymentStore.createDeployment(deployment_data);
+  }
+
+  const slackResult = await notifySlack(deployment_data);
+  if (slackResult.success) {
+    deployment_data.slack_thread_id = slackResult.thread_ts;
+    deployment_data.slack_channel = slackResult.channel;
+  } else {
+    console.error(`[Pipeline] Slack notification failed: ${slackResult.error}`);
+  }
+
+  const notionResult = await recordInNotion(deployment_data);
+  if (notionResult) {
+    console.log(`[Pipeline] Preview record created: ${notionResult}`);
+  } else {
+    console.warn(`[Pipeline] Notion record creation failed or not configured`);
+  }
+
+  console.log(`[Pipeline] Preview deployment initiated: ${deployment_data.deployment_id}`);
+}
+
+/**
+ * New commits were pushed to the PR: reset approval and note it in the thread
+ * @param {object} deployment_data - Preview deployment data
+ */
+async function updatePreviewDeployment(deployment_data) {
+  const record = deploymentStore.getDeployment(deployment_data.deployment_id);
+  if (!record || !record.slack_thread_id) {
+    // Preview was never recorded (e.g. PR opened before the orchestrator tracked it)
+    console.warn(`[Pipeline] No preview thread for ${deployment_data.deployment_id}, creating one`);
+    return createPreviewDeployment(deployment_data);
+  }
+
+  deploymentStore.transitionDeployment(deployment_data.deployment_id, 'Awaiting Approval', {
+    commit_sha: deployment_data.commit_sha,
+    commit_url: deployment_data.commit_url,
+    approval_status: 'Pending',
+    approvals: [],
+    rejected_by: null,
+    cancelled_by: null,
+    deployment_status: null,
+    failure: null
+  });
+  notionHandler.queueUpdate('updatePreviewDeployment', deployment_data.deployment_id, deployment_data);
+
+  const commitUrl = slackHandler.getCommitUrl(deployment_data);
+  slackHandler.queueThreadUpdate(
+    record.slack_channel,
+    record.slack_thread_id,
+    `🔄 New commits pushed to PR #${deployment_data.pr_number}: <${commitUrl}|${deployment_data.commit_sha}>\n\nPrevious approval no longer applies. Approve again to deploy this revision to the preview environment.`
+  );
+  // Bring the buttons back for the new revision
+  slackHandler.queueDeploymentMessageUpdate(deployment_data.deployment_id, null);
+
+  console.log(`[Pipeline] Preview deployment updated: ${deployment_data.deployment_id}`);
+}
+
+/**
+ * PR closed: tear down the preview environment and close out the record
+ * @param {object} deployment_data - Preview deployment data
+ * @param {boolean} merged - Whether the PR was merged
+ */
+async function teardownPreviewDeployment(deployment_data, merged) {
+  const githubRepo = repositoriesHandler.getRepositoryConfig(deployment_data.repository).dispatchRepo;
+  if (process.env.GITHUB_TOKEN && githubRepo) {
+    githubHandler.queueRepositoryEvent(githubRepo, 'preview-teardown', {
+      deployment_id: deployment_data.deployment_id,
+      pr_number: deployment_data.pr_number,
+      repository: deployment_data.repository,
+      preview_app: githubHandler.getPreviewAppName(deployment_data.pr_number, deployment_data.repository)
+    });
+  } else {
+    console.warn(`[Pipeline] GITHUB_TOKEN or dispatch repo for ${deployment_data.repository} not set, skipping preview teardown dispatch`);
+  }
+
+  const { record } = deploymentStore.transitionDeployment(deployment_data.deployment_id, 'Torn Down');
+  notionHandler.queueUpdate('updateDeploymentStage', deployment_data.deployment_id, 'Torn Down');
+
+  if (record && record.slack_thread_id) {
+    slackHandler.queueThreadUpdate(
+      record.slack_channel,
+      record.slack_thread_id,
+      `🧹 PR #${deployment_data.pr_number} ${merged ? 'merged' : 'closed'} - preview environment torn down`
+    );
+    slackHandler.queueDeploymentMessageUpdate(deployment_data.deployment_id, '🧹 Torn down');
+  }
+
+  console.log(`[Pipeline] Preview deployment torn down: ${deployment_data.deployment_id}`);
+}
+
+/**
+ * Record a CI result and move gated deployments when the commit's CI state is decided
+ * @param {string} repository - Repository in format owner/repo
+ * @param {string} sha - Full commit SHA
+ * @param {object} check - {name, conclusion, url}
+ * @returns {Promise}
+ */
+async function applyCiCheck(repository, sha, check) {
+  const { previousState, state, deploymentIds } = ciHandler.recordCheck(repository, sha, check);
+  console.log(`[Pipeline] CI ${check.name} for ${sha.substring(0, 7)}: ${check.conclusion} (gate ${previousState} -> ${state})`);
+
+  // Act on the first decision, and on a re-run turning red CI green; later flips after approval are ignored
+  const decided = previousState === 'pending' && state !== 'pending';
+  const recovered = previousState === 'failure' && state === 'success';
+  if (deploymentIds.length > 0 && (decided || recovered)) {
+    await notifyCiResult(deploymentIds, state, check);
+  }
+}
+
+/**
+ * Open approval (green CI) or fail the deployments (red CI), updating the store, Notion and Slack
+ * @param {Array<string>} deploymentIds - Deployments gated on the commit
+ * @param {string} state - success or failure
+ * @param {object} check - Check that decided the state ({name, url})
+ */
+async function notifyCiResult(deploymentIds, state, check) {
+  const runLink = check.url ? ` (<${check.url}|details>)` : '';
+
+  for (const deploymentId of deploymentIds) {
+    const record = deploymentStore.getDeployment(deploymentId);
+    const thread = record && record.slack_thread_id
+      ? { channel: record.slack_channel, threadTs: record.slack_thread_id }
+      : null;
+
+    if (state === 'success') {
+      // e.g. CI turned green again after the deployment was rejected
+      if (!deploymentStore.transitionDeployment(deploymentId, 'Awaiting Approval').success) {
+        continue;
+      }
+      notionHandler.queueUpdate('updateDeploymentStage', deploymentId, 'Awaiting Approval');
+      if (thread) {
+        // Broadcast so approvers see it in the channel, not just the thread
+        slackHandler.queueThreadUpdate(
+          thread.channel,
+          thread.threadTs,
+          `✅ CI passed${runLink}. ${deploymentId} is ready for approval: approve it to deploy.`,
+          { reply_broadcast: true }
+        );
+        // Drop the "Waiting for CI" notice from the announcement
+        slackHandler.queueDeploymentMessageUpdate(deploymentId, null);
+      }
+    } else {
+      if (!deploymentStore.recordFailed(deploymentId, `CI failed: ${check.name}`, check.url).success) {
+        continue;
+      }
+      notionHandler.queueUpdate('updateDeploymentFailed', deploymentId, `CI failed: ${check.name}`, check.url);
+      if (thread) {
+        slackHandler.queueThreadUpdate(
+          thread.channel,
+          thread.threadTs,
+          `❌ CI failed: ${check.name}${runLink}. Approvals for ${deploymentId} are refused until CI is green.`
+        );
+        slackHandler.queueDeploymentMessageUpdate(deploymentId, `❌ CI failed: ${check.name}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  handlePush,
+  handleTagPush,
+  handlePullRequest,
+  attachReleaseNotes,
+  cancelPendingDeployments,
+  applyCiCheck
+};
@@ -1,17 +1,29 @@
 /**
  * Slack Reaction Handler
- * Processes deployment approvals/rejections via reactions
+ * Processes deployment approvals/rejections via the announcement's buttons, reactions or /deploy
  */
 
 const { WebClient } = require('@slack/web-api');
-const https = require('https');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const slackHandler = require('./slack');
 const notionHandler = require('./notion');
+const githubHandler = require('./github');
+const repositoriesHandler = require('./repositories');
+const ciHandler = require('./ci');
+const approversHandler = require('./approvers');
+const identitiesHandler = require('./identities');
+const environmentsHandler = require('./environments');
+const deploymentStore = require('./deploymentStore');
+const lifecycle = require('./lifecycle');
+const jobsHandler = require('./jobs');
 
 const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
 const execAsync = promisify(exec);
 
+// The bot's own bot ID, from auth.test on first use
+let botId = null;
+
 /**
  * Handle reaction_added event from Slack
  * @param {object} event - Slack reaction event
@@ -44,13 +56,91 @@ async function handleReactionAdded(event) {
   }
 }
 
+/**
+ * Handle reaction_removed event from Slack
+ * Removing a ✅/❌ withdraws that person's approval/rejection, if the deployment hasn't moved on
+ * @param {object} event - Slack reaction event
+ */
+async function handleReactionRemoved(event) {
+  try {
+    const { user, reaction, item } = event;
+
+    if (item.type !== 'message') {
+      console.log(`[Slack Reactions] Ignoring removed reaction on ${item.type}`);
+      return;
+    }
+
+    console.log(`[Slack Reactions] ${user} removed :${reaction}: from message in ${item.channel}`);
+
+    if (reaction === 'white_check_mark' || reaction === '+1') {
+      await withdrawDecision(item.channel, item.ts, user, 'approval');
+    } else if (reaction === 'x' || reaction === '-1') {
+      await withdrawDecision(item.channel, item.ts, user, 'rejection');
+    } else {
+      console.log(`[Slack Reactions] Ignoring removed reaction: ${reaction}`);
+    }
+  } catch (error) {
+    console.error(`[Slack Reactions] Error handling removed reaction: ${error.message}`);
+  }
+}
+
+/**
+ * Route a Block Kit button click on a deployment announcement
+ * Clicks go through the same approval/rejection flow as reactions
+ * @param {object} payload - Slack block_actions interaction payload
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleBlockActions(payload) {
+  const action = (payload.actions || [])[0];
+  const channel = payload.channel?.id || payload.container?.channel_id;
+  const messageTs = payload.message?.ts || payload.container?.message_ts;
+  const userId = payload.user?.id;
+
+  if (payload.type !== 'block_actions' || !action || !channel || !messageTs) {
+    console.log(`[Slack Reactions] Ignoring interaction type: ${payload.type}`);
+    return { result: { ok: true } };
+  }
+
+  console.log(`[Slack Reactions] ${userId} clicked ${action.action_id} on message in ${channel}`);
+
+  if (action.action_id === 'approve_deployment') {
+    return { result: { ok: true }, task: () => approveDeployment(channel, messageTs, userId) };
+  }
+  if (action.action_id === 'reject_deployment') {
+    return { result: { ok: true }, task: () => rejectDeployment(channel, messageTs, userId) };
+  }
+
+  // View diff is a link button; Slack reports the click but there is nothing to do
+  console.log(`[Slack Reactions] Ignoring action: ${action.action_id}`);
+  return { result: { ok: true } };
+}
+
+/**
+ * Delivery ID for a button click, built only from fields Slack sends again when it retries the request,
+ * so a retried click is recognized as a duplicate
+ * @param {object} payload - Slack interaction payload
+ * @returns {string} slack:<trigger_id>, or slack:<channel>-<message ts>-<user>-<action>-<action ts> without one
+ */
+function getInteractionDeliveryId(payload) {
+  if (payload.trigger_id) {
+    return `slack:${payload.trigger_id}`;
+  }
+  const action = (payload.actions || [])[0] || {};
+  const channel = payload.channel?.id || payload.container?.channel_id;
+  const messageTs = payload.message?.ts || payload.container?.message_ts;
+  return `slack:${[channel, messageTs, payload.user?.id, action.action_id, action.action_ts].filter(Boolean).join('-')}`;
+}
+
 /**
  * Handle deployment approval
  * @param {string} channel - Slack channel ID
- * @param {string} threadTs - Thread timestamp
+ * @param {string} messageTs - Timestamp of the message reacted to (announcement or bot reply)
  * @param {string} userId - User ID who approved
+ * @param {object} [options] - {reason} given with /deploy approve
  */
-async function approveDeployment(channel, threadTs, userId) {
+async function approveDeployment(channel, messageTs, userId, { reason } = {}) {
+  // Replies go to the deployment's thread, whichever of its messages got the reaction
+  let threadTs = messageTs;
   try {
     console.log(`[Slack Reactions] Processing approval from user ${userId}`);
 
@@ -58,65 +148,106 @@ async function approveDeployment(channel, threadTs, userId) {
     const userInfo = await slack.users.info({ user: userId });
     const userName = userInfo.user.real_name || userInfo.user.name;
 
-    // Get the message to extract deployment info
-    const messageResult = await slack.conversations.history({
-      channel: channel,
-      latest: threadTs,
-      limit: 1,
-      inclusive: true
-    });
+    const deployment = await findDeployment(channel, messageTs);
+    if (!deployment) {
+      console.log(`[Slack Reactions] Ignoring approval: message ${messageTs} in ${channel} is not about a deployment`);
+      return;
+    }
+    const { deploymentId } = deployment;
+    threadTs = deployment.threadTs;
+
+    // Environments with an approver list only take approvals from it
+    const authorization = await validateApprover(userId, deploymentId);
+    if (!authorization.allowed) {
+      console.log(`[Slack Reactions] Denied approval of ${deploymentId} by ${userName}: not an approver`);
+      const label = authorization.environment ? `${authorization.environment.label} deployments` : 'This deployment';
+      const approvers = authorization.approvers ? `can only be approved by ${authorization.approvers}` : "can't be approved until its approvers can be checked";
+      slackHandler.queueThreadUpdate(channel, threadTs, `⛔ ${userName} can't approve ${deploymentId}. ${label} ${approvers}.`);
+      deploymentStore.recordDeniedApproval(deploymentId, userName);
+      notionHandler.queueUpdate(
+        'addDeploymentComment',
+        deploymentId,
+        `Approval denied: ${userName} (${userId}) is not an approver for ${authorization.environment?.name || 'this deployment'} (${new Date().toISOString()})`
+      );
+      return;
+    }
 
-    const message = messageResult.messages[0];
-    const deploymentId = extractDeploymentId(message.text);
+    // e.g. PROD needs two approvers, neither of them the author of the change
+    const record = deploymentStore.getDeployment(deploymentId);
+    const policy = approversHandler.getApprovalPolicy(authorization.environment);
+    if (policy.excludeAuthor && record && await identitiesHandler.isAuthor(record, { id: userId, ...userInfo.user })) {
+      console.log(`[Slack Reactions] Denied approval of ${deploymentId} by ${userName}: author of the change`);
+      slackHandler.queueThreadUpdate(channel, threadTs, `⛔ ${userName} can't approve ${deploymentId}: authors can't approve their own changes to ${authorization.environment.label}.`);
+      deploymentStore.recordDeniedApproval(deploymentId, userName);
+      notionHandler.queueUpdate(
+        'addDeploymentComment',
+        deploymentId,
+        `Approval denied: ${userName} (${userId}) is an author of the change and ${authorization.environment.name} excludes authors (${new Date().toISOString()})`
+      );
+      return;
+    }
 
-    // Reply to thread with approval
-    await slack.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: `✅ Deployment approved by ${userName}`,
-      mrkdwn: true
-    });
+    // CI-gated deployments can only be approved once their commit is green
+    const ciState = ciHandler.getDeploymentCiState(deploymentId);
+    if (ciState === 'pending' || ciState === 'failure') {
+      const reason = ciState === 'pending' ? 'is still waiting for CI' : 'has failing CI';
+      console.log(`[Slack Reactions] Ignoring approval of ${deploymentId}: CI ${ciState}`);
+      slackHandler.queueThreadUpdate(channel, threadTs, `⛔ Deployment ${deploymentId} ${reason} and can't be approved yet`);
+      return;
+    }
 
-    console.log(`[Slack Reactions] Deployment ${deploymentId} approved by ${userName}`);
+    // The lifecycle refuses repeat approvals and approvals of closed deployments
+    const approval = await recordDecision(deploymentId, 'Approved', () =>
+      deploymentStore.recordApproval(deploymentId, userName, { reason, quorum: policy.quorum, userId })
+    );
+    if (!approval.success) {
+      console.log(`[Slack Reactions] Ignoring approval of ${deploymentId}: ${approval.error}`);
+      slackHandler.queueThreadUpdate(channel, threadTs, `⛔ Deployment ${deploymentId} can't be approved: ${approval.error}`);
+      return;
+    }
 
-    // Update Notion database with approval
-    await notionHandler.updateDeploymentApproval(deploymentId, userName);
+    // Short of the quorum: report progress and wait for the next approver
+    const progress = policy.quorum > 1 ? ` (${approval.record.approvals.length} of ${policy.quorum} approvals)` : '';
+    if (approval.quorumMet === false) {
+      console.log(`[Slack Reactions] Deployment ${deploymentId} approved by ${userName}${progress}`);
+      slackHandler.queueThreadUpdate(channel, threadTs, `👍 ${userName} approved${formatReason(reason)}${progress}`);
+      slackHandler.queueDeploymentMessageUpdate(deploymentId, null);
+      notionHandler.queueUpdate('updateDeploymentApprovals', deploymentId, approval.record.approvals, false);
+      return;
+    }
 
-    // Trigger GitHub Actions deployment
-    await triggerGitHubDeployment(channel, threadTs, deploymentId, userName);
+    console.log(`[Slack Reactions] Deployment ${deploymentId} approved by ${userName}`);
 
-    // TODO: Phase 4 - Update Notion deployment record
-    // Example:
-    // await notionHandler.updateDeploymentStatus(deploymentId, {
-    //   status: 'approved',
-    //   approvedBy: userName,
-    //   approvalTime: new Date().toISOString()
-    // });
+    // The approval is recorded; the reply, Notion mirror and dispatch are queued so a Slack,
+    // Notion or GitHub outage (or a restart) delays them instead of losing them
+    const approvers = policy.quorum > 1 ? approval.record.approvals.map(entry => entry.by).join(', ') : userName;
+    slackHandler.queueThreadUpdate(channel, threadTs, `✅ Deployment approved by ${userName}${formatReason(reason)}${progress}`);
+    slackHandler.queueDeploymentMessageUpdate(deploymentId, `✅ Approved by ${approvers}${formatReason(reason)}`);
+    if (policy.quorum > 1) {
+      notionHandler.queueUpdate('updateDeploymentApprovals', deploymentId, approval.record.approvals, true);
+    } else {
+      notionHandler.queueUpdate('updateDeploymentApproval', deploymentId, userName, reason);
+    }
+    triggerGitHubDeployment(channel, threadTs, deploymentId, userName);
 
   } catch (error) {
     console.error(`[Slack Reactions] Error approving deployment: ${error.message}`);
 
     // Reply to thread with error
-    try {
-      await slack.chat.postMessage({
-        channel: channel,
-        thread_ts: threadTs,
-        text: `Error processing approval: ${error.message}`,
-        mrkdwn: true
-      });
-    } catch (replyError) {
-      console.error(`[Slack Reactions] Failed to post error to thread: ${replyError.message}`);
-    }
+    slackHandler.queueThreadUpdate(channel, threadTs, `Error processing approval: ${error.message}`);
   }
 }
 
 /**
  * Handle deployment rejection
  * @param {string} channel - Slack channel ID
- * @param {string} threadTs - Thread timestamp
+ * @param {string} messageTs - Timestamp of the message reacted to (announcement or bot reply)
  * @param {string} userId - User ID who rejected
+ * @param {object} [options] - {reason} given with /deploy reject
  */
-async function rejectDeployment(channel, threadTs, userId) {
+async function rejectDeployment(channel, messageTs, userId, { reason } = {}) {
+  // Replies go to the deployment's thread, whichever of its messages got the reaction
+  let threadTs = messageTs;
   try {
     console.log(`[Slack Reactions] Processing rejection from user ${userId}`);
 
@@ -124,80 +255,285 @@ async function rejectDeployment(channel, threadTs, userId) {
     const userInfo = await slack.users.info({ user: userId });
     const userName = userInfo.user.real_name || userInfo.user.name;
 
-    // Get the message to extract deployment info
-    const messageResult = await slack.conversations.history({
-      channel: channel,
-      latest: threadTs,
-      limit: 1,
-      inclusive: true
-    });
-
-    const message = messageResult.messages[0];
-    const deploymentId = extractDeploymentId(message.text);
-
-    // Reply to thread with rejection
-    await slack.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: `❌ Deployment rejected by ${userName}`,
-      mrkdwn: true
-    });
+    const deployment = await findDeployment(channel, messageTs);
+    if (!deployment) {
+      console.log(`[Slack Reactions] Ignoring rejection: message ${messageTs} in ${channel} is not about a deployment`);
+      return;
+    }
+    const { deploymentId } = deployment;
+    threadTs = deployment.threadTs;
+
+    // Deployments already approved or on their way out can't be rejected
+    const rejection = await recordDecision(deploymentId, 'Cancelled', () =>
+      deploymentStore.recordRejection(deploymentId, userName, { reason, userId })
+    );
+    if (!rejection.success) {
+      console.log(`[Slack Reactions] Ignoring rejection of ${deploymentId}: ${rejection.error}`);
+      slackHandler.queueThreadUpdate(channel, threadTs, `⛔ Deployment ${deploymentId} can't be rejected: ${rejection.error}`);
+      return;
+    }
 
     console.log(`[Slack Reactions] Deployment ${deploymentId} rejected by ${userName}`);
 
-    // Update Notion database with rejection
-    await notionHandler.updateDeploymentRejection(deploymentId, userName);
-
-    // TODO: Phase 5 - Cancel/rollback deployment
+    // Reply and mirror the rejection to Notion
+    slackHandler.queueThreadUpdate(channel, threadTs, `❌ Deployment rejected by ${userName}${formatReason(reason)}`);
+    slackHandler.queueDeploymentMessageUpdate(deploymentId, `❌ Rejected by ${userName}${formatReason(reason)}`);
+    notionHandler.queueUpdate('updateDeploymentRejection', deploymentId, userName, reason);
 
   } catch (error) {
     console.error(`[Slack Reactions] Error rejecting deployment: ${error.message}`);
 
     // Reply to thread with error
-    try {
-      await slack.chat.postMessage({
-        channel: channel,
-        thread_ts: threadTs,
-        text: `Error processing rejection: ${error.message}`,
-        mrkdwn: true
-      });
-    } catch (replyError) {
-      console.error(`[Slack Reactions] Failed to post error to thread: ${replyError.message}`);
+    slackHandler.queueThreadUpdate(channel, threadTs, `Error processing rejection: ${error.message}`);
+  }
+}
+
+/**
+ * Reject a deployment for someone outside Slack (scripts/analyze-deployment.js, through the admin API)
+ * The rejection is recorded in the server process, so the deployment store's cache sees it, and is
+ * reported in the deployment's thread like a ❌ reaction
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} rejector - Name to record as the rejector
+ * @param {object} [options] - {reason}
+ * @returns {Promise<object>} {success, error}
+ */
+async function rejectDeploymentFor(deploymentId, rejector, { reason } = {}) {
+  try {
+    const rejection = await recordDecision(deploymentId, 'Cancelled', () =>
+      deploymentStore.recordRejection(deploymentId, rejector, { reason })
+    );
+    if (!rejection.success) {
+      console.log(`[Slack Reactions] Ignoring rejection of ${deploymentId}: ${rejection.error}`);
+      return { success: false, error: rejection.error };
     }
+
+    console.log(`[Slack Reactions] Deployment ${deploymentId} rejected by ${rejector}`);
+
+    // Deployments that predate the store keep their thread in Notion
+    const record = deploymentStore.getDeployment(deploymentId);
+    const thread = record?.slack_thread_id
+      ? { channel: record.slack_channel, threadTs: record.slack_thread_id }
+      : notionHandler.getSlackThread(await notionHandler.getDeploymentRecord(deploymentId));
+    if (thread) {
+      slackHandler.queueThreadUpdate(thread.channel, thread.threadTs, `❌ Deployment rejected by ${rejector}${formatReason(reason)}`);
+    }
+    slackHandler.queueDeploymentMessageUpdate(deploymentId, `❌ Rejected by ${rejector}${formatReason(reason)}`);
+    notionHandler.queueUpdate('updateDeploymentRejection', deploymentId, rejector, reason);
+
+    return { success: true };
+  } catch (error) {
+    console.error(`[Slack Reactions] Error rejecting deployment ${deploymentId}: ${error.message}`);
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Extract deployment ID from message text
- * Looks for "deploy-branch-timestamp" pattern
+ * Withdraw someone's approval or rejection of a deployment
+ * Only their own decision is withdrawn, and only until the deployment has moved on (e.g. been dispatched);
+ * a withdrawal that comes too late is reported in the thread
+ * @param {string} channel - Slack channel ID
+ * @param {string} messageTs - Timestamp of the message the reaction was removed from
+ * @param {string} userId - User ID who removed the reaction
+ * @param {string} decision - approval or rejection
+ */
+async function withdrawDecision(channel, messageTs, userId, decision) {
+  let threadTs = messageTs;
+  try {
+    const userInfo = await slack.users.info({ user: userId });
+    const userName = userInfo.user.real_name || userInfo.user.name;
+
+    // Only tracked deployments record who decided
+    const record = deploymentStore.findDeploymentByMessage(channel, messageTs);
+    if (!record) {
+      console.log(`[Slack Reactions] Ignoring withdrawn ${decision}: message ${messageTs} in ${channel} is not a tracked deployment`);
+      return;
+    }
+    const deploymentId = record.deployment_id;
+    threadTs = record.slack_thread_id;
+
+    // e.g. the ✅ was refused while CI was pending, so there is nothing to withdraw
+    const decided = decision === 'approval'
+      ? record.approvals.some(approval => deploymentStore.isDecidedBy(approval, userName, userId))
+      : deploymentStore.isDecidedBy(record.rejected_by, userName, userId);
+    if (!decided) {
+      console.log(`[Slack Reactions] Ignoring withdrawn ${decision} of ${deploymentId}: ${userName} made no such decision`);
+      return;
+    }
+
+    const withdrawal = decision === 'approval'
+      ? deploymentStore.withdrawApproval(deploymentId, userName, { userId })
+      : deploymentStore.withdrawRejection(deploymentId, userName, { userId });
+    if (!withdrawal.success) {
+      console.log(`[Slack Reactions] Too late to withdraw ${decision} of ${deploymentId}: ${withdrawal.error}`);
+      slackHandler.queueThreadUpdate(
+        channel,
+        threadTs,
+        `⚠️ ${userName} withdrew their ${decision}, but it came too late and nothing was changed: ${deploymentId} can't be reopened because ${withdrawal.error}.`
+      );
+      return;
+    }
+
+    console.log(`[Slack Reactions] ${userName} withdrew their ${decision} of ${deploymentId}`);
+
+    slackHandler.queueThreadUpdate(channel, threadTs, `↩️ ${userName} withdrew their ${decision}. ${deploymentId} is awaiting approval again.`);
+    slackHandler.queueDeploymentMessageUpdate(deploymentId, null);
+    notionHandler.queueUpdate('updateDeploymentWithdrawal', deploymentId, userName, decision);
+
+  } catch (error) {
+    console.error(`[Slack Reactions] Error withdrawing ${decision}: ${error.message}`);
+
+    slackHandler.queueThreadUpdate(channel, threadTs, `Error processing withdrawn ${decision}: ${error.message}`);
+  }
+}
+
+/**
+ * Cancel a pending deployment without rejecting it (/deploy cancel)
+ * @param {string} channel - Slack channel ID
+ * @param {string} messageTs - Timestamp of one of the deployment's messages
+ * @param {string} userId - User ID who cancelled
+ */
+async function cancelDeployment(channel, messageTs, userId) {
+  let threadTs = messageTs;
+  try {
+    console.log(`[Slack Reactions] Processing cancellation from user ${userId}`);
+
+    const userInfo = await slack.users.info({ user: userId });
+    const userName = userInfo.user.real_name || userInfo.user.name;
+
+    const deployment = await findDeployment(channel, messageTs);
+    if (!deployment) {
+      console.log(`[Slack Reactions] Ignoring cancellation: message ${messageTs} in ${channel} is not about a deployment`);
+      return;
+    }
+    const { deploymentId } = deployment;
+    threadTs = deployment.threadTs;
+
+    // Only deployments still waiting for CI or approval can be cancelled
+    const cancellation = await recordDecision(deploymentId, 'Cancelled', () =>
+      deploymentStore.recordCancellation(deploymentId, userName)
+    );
+    if (!cancellation.success) {
+      console.log(`[Slack Reactions] Ignoring cancellation of ${deploymentId}: ${cancellation.error}`);
+      slackHandler.queueThreadUpdate(channel, threadTs, `⛔ Deployment ${deploymentId} can't be cancelled: ${cancellation.error}`);
+      return;
+    }
+
+    console.log(`[Slack Reactions] Deployment ${deploymentId} cancelled by ${userName}`);
+
+    slackHandler.queueThreadUpdate(channel, threadTs, `🚫 Deployment cancelled by ${userName}`);
+    slackHandler.queueDeploymentMessageUpdate(deploymentId, `🚫 Cancelled by ${userName}`);
+    notionHandler.queueUpdate('updateDeploymentStage', deploymentId, 'Cancelled');
+
+  } catch (error) {
+    console.error(`[Slack Reactions] Error cancelling deployment: ${error.message}`);
+
+    slackHandler.queueThreadUpdate(channel, threadTs, `Error processing cancellation: ${error.message}`);
+  }
+}
+
+/**
+ * Suffix for a decision message when a reason was given
+ * @param {string} [reason] - Reason
+ * @returns {string} ": <reason>" or ''
+ */
+function formatReason(reason) {
+  return reason ? `: ${reason}` : '';
+}
+
+/**
+ * The bot's own bot ID, which marks the messages it posted
+ * @returns {Promise<string>} Bot ID
+ */
+async function getBotId() {
+  if (!botId) {
+    botId = (await slack.auth.test()).bot_id;
+  }
+  return botId;
+}
+
+/**
+ * Find the deployment a reacted-to message belongs to
+ * Messages are looked up in the store's index (announcements and bot replies). Announcements the bot
+ * posted before the index existed are identified from their text; anything else, including a person's
+ * message quoting a deployment ID, is not a deployment message.
+ * @param {string} channel - Slack channel ID
+ * @param {string} messageTs - Message timestamp
+ * @returns {Promise<object|null>} {deploymentId, threadTs} or null
+ */
+async function findDeployment(channel, messageTs) {
+  const record = deploymentStore.findDeploymentByMessage(channel, messageTs);
+  if (record) {
+    return { deploymentId: record.deployment_id, threadTs: record.slack_thread_id };
+  }
+
+  const messageResult = await slack.conversations.history({
+    channel: channel,
+    latest: messageTs,
+    limit: 1,
+    inclusive: true
+  });
+  // History only holds top-level messages, so a reply yields the message before it
+  const message = messageResult.messages[0];
+  if (!message || message.ts !== messageTs || !message.bot_id || message.bot_id !== await getBotId()) {
+    return null;
+  }
+
+  const deploymentId = extractDeploymentId(message.text);
+  return deploymentId === 'unknown' ? null : { deploymentId, threadTs: messageTs };
+}
+
+/**
+ * Extract deployment ID from message text (announcements that predate the message index)
+ * Looks for "deploy-branch-timestamp" or "release-tag" pattern
  * @param {string} messageText - The Slack message text
  * @returns {string} Deployment ID or 'unknown'
  */
 function extractDeploymentId(messageText) {
   if (!messageText) return 'unknown';
-  const match = messageText.match(/deploy-[a-zA-Z0-9*/-]+-\d+/);
+  const match = messageText.match(/deploy-[\w.*/-]+-\d+|release-(?:[a-zA-Z0-9-]+?-)?v?\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]*[0-9A-Za-z])?/);
   return match ? match[0] : 'unknown';
 }
 
 /**
- * Validate user has permission to approve
- * TODO: Implement role-based access control
+ * Validate user has permission to approve a deployment
+ * Checked against the approvers of the deployment's environment; fails closed on errors
  * @param {string} userId - User ID to validate
- * @param {string} channel - Channel where approval is happening
- * @returns {boolean} True if user can approve
+ * @param {string} deploymentId - Deployment being approved
+ * @returns {Promise<object>} {allowed, environment, approvers} - approvers as Slack mentions when denied
  */
-async function validateApprover(userId, channel) {
+async function validateApprover(userId, deploymentId) {
+  let environment = null;
   try {
-    // TODO: Check if user is member of approvers list
-    // For now, allow all users
     console.log(`[Slack Reactions] Validating approver: ${userId}`);
-    return true;
+    environment = getDeploymentEnvironment(deploymentId);
+    const { allowed, approvers } = await approversHandler.checkApprover(userId, environment);
+    return { allowed, environment, approvers: approvers || null };
   } catch (error) {
     console.error(`[Slack Reactions] Error validating approver: ${error.message}`);
-    return false;
+    return { allowed: false, environment, approvers: null };
   }
 }
 
+/**
+ * Environment a deployment goes to
+ * Deployments that predate the store are routed by the branch, release or PR in their ID
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object|null} Environment
+ */
+function getDeploymentEnvironment(deploymentId) {
+  const record = deploymentStore.getDeployment(deploymentId);
+  if (record) {
+    return environmentsHandler.getEnvironmentForDeployment(record);
+  }
+  if (githubHandler.parseReleaseDeploymentId(deploymentId)) {
+    return environmentsHandler.getEnvironment('release');
+  }
+  if (githubHandler.parsePreviewDeploymentId(deploymentId)) {
+    return environmentsHandler.getEnvironment('preview');
+  }
+  return environmentsHandler.resolveBranch(deploymentId.replace(/^deploy-/, '').replace(/-\d+$/, ''));
+}
+
 /**
  * Reply to a deployment thread with status update
  * @param {string} channel - Slack channel ID
@@ -218,108 +554,139 @@ async function replyToThread(channel, threadTs, status) {
   }
 }
 
+/**
+ * Record an approval or rejection through the deployment lifecycle
+ * Deployments that predate the store are checked against their Notion stage instead
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} stage - Stage the decision moves the deployment to
+ * @param {Function} record - Records the decision in the store; returns {success, error}
+ * @returns {Promise<object>} {success, error}
+ */
+async function recordDecision(deploymentId, stage, record) {
+  if (deploymentStore.getDeployment(deploymentId)) {
+    return record();
+  }
+
+  const { allowed, reason } = lifecycle.checkTransition({ stage: await getDeploymentStage(deploymentId) }, stage);
+  return allowed ? { success: true } : { success: false, error: reason };
+}
+
+/**
+ * Look up the current stage of a deployment
+ * Falls back to Notion for deployments that predate the store
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<string|null>} Current stage, or null if unknown
+ */
+async function getDeploymentStage(deploymentId) {
+  const stored = deploymentStore.getDeployment(deploymentId);
+  if (stored) {
+    return stored.stage;
+  }
+  const record = await notionHandler.getDeploymentRecord(deploymentId);
+  return record?.properties['Current Stage']?.select?.name || null;
+}
+
 /**
  * Trigger GitHub Actions deployment via repository_dispatch
+ * The dispatch runs as a deploy.dispatch job; the manual command is posted if it never gets through
  * @param {string} channel - Slack channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {string} deploymentId - Deployment ID
  * @param {string} approver - User who approved
+ * @returns {object} Queued job
  */
-async function triggerGitHubDeployment(channel, threadTs, deploymentId, approver) {
-  try {
-    const githubToken = process.env.GITHUB_TOKEN;
-    const githubRepo = process.env.GITHUB_REPO;
+function triggerGitHubDeployment(channel, threadTs, deploymentId, approver) {
+  const githubToken = process.env.GITHUB_TOKEN;
+  const record = deploymentStore.getDeployment(deploymentId);
+  const repository = record?.repository || null;
+  const service = record?.service || null;
+  const githubRepo = repositoriesHandler.getRepositoryConfig(repository).dispatchRepo;
+
+  if (!githubToken || !githubRepo) {
+    console.warn(`[Slack Reactions] GITHUB_TOKEN or dispatch repo for ${repository || 'default'} not set, posting manual command`);
+    return postDeploymentCommand(channel, threadTs, deploymentId);
+  }
 
-    if (!githubToken || !githubRepo) {
-      console.warn('[Slack Reactions] GITHUB_TOKEN or GITHUB_REPO not set, posting manual command');
-      await postDeploymentCommand(channel, threadTs, deploymentId);
-      return;
-    }
+  console.log(`[Slack Reactions] Queueing GitHub Actions dispatch for ${deploymentId}`);
+
+  // Preview deployments go to the preview workflow with their PR number
+  const prNumber = githubHandler.parsePreviewDeploymentId(deploymentId);
+  const eventType = prNumber ? 'preview-deploy' : 'deployment-approved';
+  const clientPayload = {
+    deployment_id: deploymentId,
+    approver: approver
+  };
+  if (prNumber) {
+    clientPayload.pr_number = prNumber;
+    clientPayload.preview_app = githubHandler.getPreviewAppName(prNumber, repository);
+  }
+  if (repository) {
+    clientPayload.repository = repository;
+  }
+  if (service) {
+    clientPayload.service = service;
+  }
 
-    console.log(`[Slack Reactions] Triggering GitHub Actions for ${deploymentId}`);
-
-    const [owner, repo] = githubRepo.split('/');
-    const options = {
-      hostname: 'api.github.com',
-      path: `/repos/${owner}/${repo}/dispatches`,
-      method: 'POST',
-      headers: {
-        'Authorization': `token ${githubToken}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Claude-Code-Orchestrator'
-      }
-    };
-
-    const payload = {
-      event_type: 'deployment-approved',
-      client_payload: {
-        deployment_id: deploymentId,
-        approver: approver
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            console.log(`[Slack Reactions] ✅ GitHub Actions triggered for ${deploymentId}`);
-            const actionsUrl = `https://github.com/${owner}/${repo}/actions/workflows/deploy.yml`;
-            slack.chat.postMessage({
-              channel: channel,
-              thread_ts: threadTs,
-              text: `✅ Deployment initiated!\n\n<${actionsUrl}|View deployment in GitHub Actions>\n\nDeployment ID: ${deploymentId}`,
-              mrkdwn: true
-            }).catch(err => console.error(`[Slack Reactions] Error posting success: ${err.message}`));
-            resolve(true);
-          } else {
-            const errorMsg = `GitHub API ${res.statusCode}: ${data}`;
-            console.error(`[Slack Reactions] ❌ ${errorMsg}`);
-            postDeploymentCommand(channel, threadTs, deploymentId);
-            resolve(false);
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        console.error(`[Slack Reactions] Error calling GitHub API: ${error.message}`);
-        postDeploymentCommand(channel, threadTs, deploymentId);
-        resolve(false);
-      });
-
-      req.write(JSON.stringify(payload));
-      req.end();
-    });
+  // Releases deploy the tagged commit rather than the default branch
+  const releaseTag = githubHandler.parseReleaseDeploymentId(deploymentId);
+  if (releaseTag) {
+    clientPayload.ref = `refs/tags/${releaseTag}`;
+  }
 
-  } catch (error) {
-    console.error(`[Slack Reactions] Error in triggerGitHubDeployment: ${error.message}`);
-    await postDeploymentCommand(channel, threadTs, deploymentId);
+  return jobsHandler.enqueue('deploy.dispatch', { deploymentId, channel, threadTs, githubRepo, eventType, clientPayload });
+}
+
+/**
+ * Run a deploy.dispatch job: dispatch the workflow, then move the deployment to Deploying and link the run
+ * @param {object} payload - {deploymentId, channel, threadTs, githubRepo, eventType, clientPayload}
+ * @returns {Promise<object>} Dispatch result; a failed dispatch is retried
+ */
+async function dispatchDeployment({ deploymentId, channel, threadTs, githubRepo, eventType, clientPayload }) {
+  // The approval may have been withdrawn while the dispatch was waiting
+  const record = deploymentStore.getDeployment(deploymentId);
+  if (record && record.stage !== 'Approved') {
+    console.log(`[Slack Reactions] Not dispatching ${deploymentId}: it is ${record.stage}`);
+    return { success: true, skipped: true };
+  }
+
+  console.log(`[Slack Reactions] Triggering GitHub Actions for ${deploymentId}`);
+  const result = await githubHandler.dispatchRepositoryEvent(githubRepo, eventType, clientPayload);
+  if (!result.success) {
+    return result;
+  }
+
+  console.log(`[Slack Reactions] ✅ GitHub Actions triggered for ${deploymentId}`);
+  if (deploymentStore.transitionDeployment(deploymentId, 'Deploying').success) {
+    notionHandler.queueUpdate('updateDeploymentStage', deploymentId, 'Deploying');
+    slackHandler.queueStatusUpdate(deploymentId);
   }
+  const workflowFile = eventType === 'preview-deploy' ? 'preview.yml' : 'deploy.yml';
+  const actionsUrl = `https://github.com/${githubRepo}/actions/workflows/${workflowFile}`;
+  slackHandler.queueThreadUpdate(
+    channel,
+    threadTs,
+    `✅ Deployment initiated!\n\n<${actionsUrl}|View deployment in GitHub Actions>\n\nDeployment ID: ${deploymentId}`
+  );
+  return { success: true, statusCode: result.statusCode };
 }
 
+jobsHandler.registerJobType('deploy.dispatch', dispatchDeployment, {
+  onDeadLetter: ({ payload }) => postDeploymentCommand(payload.channel, payload.threadTs, payload.deploymentId)
+});
+
 /**
  * Post deployment command to Slack (fallback if GitHub Actions fails)
  * @param {string} channel - Slack channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {string} deploymentId - Deployment ID
+ * @returns {object} Queued job
  */
-async function postDeploymentCommand(channel, threadTs, deploymentId) {
-  try {
-    const deployCommand = 'git push heroku main';
-    const message = `Manual deployment fallback:\n\`\`\`\n${deployCommand}\n\`\`\`\n\nDeployment ID: ${deploymentId}`;
-
-    await slack.chat.postMessage({
-      channel: channel,
-      thread_ts: threadTs,
-      text: message,
-      mrkdwn: true
-    });
+function postDeploymentCommand(channel, threadTs, deploymentId) {
+  const deployCommand = 'git push heroku main';
+  const message = `Manual deployment fallback:\n\`\`\`\n${deployCommand}\n\`\`\`\n\nDeployment ID: ${deploymentId}`;
 
-    console.log(`[Slack Reactions] Posted fallback deployment command for ${deploymentId}`);
-  } catch (error) {
-    console.error(`[Slack Reactions] Error posting deployment command: ${error.message}`);
-  }
+  console.log(`[Slack Reactions] Posting fallback deployment command for ${deploymentId}`);
+  return slackHandler.queueThreadUpdate(channel, threadTs, message);
 }
 
 /**
@@ -328,12 +695,12 @@ async function postDeploymentCommand(channel, threadTs, deploymentId) {
  * @param {string} channel - Slack channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {string} approver - Approver name (e.g., 'PM Agent')
- * @returns {Promise} {success, error}
+ * @returns {Promise} {success, jobId, error}
  */
 async function triggerDeployment(deploymentId, channel, threadTs, approver) {
   try {
-    await triggerGitHubDeployment(channel, threadTs, deploymentId, approver);
-    return { success: true };
+    const job = triggerGitHubDeployment(channel, threadTs, deploymentId, approver);
+    return { success: true, jobId: job.id };
   } catch (error) {
     console.error(`[Slack Reactions] Error in triggerDeployment: ${error.message}`);
     return { success: false, error: error.message };
@@ -342,8 +709,13 @@ async function triggerDeployment(deploymentId, channel, threadTs, approver) {
 
 module.exports = {
   handleReactionAdded,
+  handleReactionRemoved,
+  handleBlockActions,
+  getInteractionDeliveryId,
   approveDeployment,
   rejectDeployment,
+  rejectDeploymentFor,
+  cancelDeployment,
   validateApprover,
   replyToThread,
   extractDeploymentId,
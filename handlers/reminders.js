@@ -0,0 +1,208 @@
+/**
+ * Approval Reminders
+ * Periodically checks deployments awaiting approval against their environment's approval.timeouts:
+ * reminds the thread, escalates to an on-call user or the INCIDENTS channel, and finally expires them.
+ * Delays count from when the deployment (last) started awaiting approval.
+ */
+
+const slackHandler = require('./slack');
+const notionHandler = require('./notion');
+const approversHandler = require('./approvers');
+const environmentsHandler = require('./environments');
+const deploymentStore = require('./deploymentStore');
+const { interpolate } = require('./configLoader');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.APPROVAL_CHECK_INTERVAL_MS || '60000', 10);
+
+const MINUTE_MS = 60 * 1000;
+
+let timer = null;
+
+/**
+ * Approval timeouts of an environment
+ * @param {object|null} environment - Environment
+ * @returns {object|null} {remindMs, escalateMs, expireMs, escalateTo} (null for unset delays), or null without timeouts
+ */
+function getTimeouts(environment) {
+  const timeouts = environment?.approval?.timeouts;
+  if (!timeouts) {
+    return null;
+  }
+  const toMs = minutes => (Number(minutes) > 0 ? Number(minutes) * MINUTE_MS : null);
+  return {
+    remindMs: toMs(timeouts.remindAfterMinutes),
+    escalateMs: toMs(timeouts.escalateAfterMinutes),
+    expireMs: toMs(timeouts.expireAfterMinutes),
+    escalateTo: interpolate(timeouts.escalateTo) || process.env.SLACK_INCIDENTS_CHANNEL_ID || null
+  };
+}
+
+/**
+ * When a deployment last started awaiting approval
+ * @param {object} record - Deployment record
+ * @returns {number} Epoch milliseconds
+ */
+function getAwaitingSince(record) {
+  const entry = [...(record.stage_history || [])].reverse().find(step => step.stage === 'Awaiting Approval');
+  return Date.parse(entry ? entry.at : record.created_at);
+}
+
+/**
+ * Mention for an escalation target: a user (U.../W...) or a channel
+ * @param {string} target - Slack user or channel ID
+ * @returns {string} Slack markup
+ */
+function mentionTarget(target) {
+  return /^[UW]/.test(target) ? `<@${target}>` : `<#${target}>`;
+}
+
+/**
+ * Remind the thread that a deployment is still waiting
+ * @param {object} record - Deployment record
+ * @param {object} environment - Environment
+ * @param {number} waitedMs - Time spent awaiting approval
+ * @param {string} now - ISO timestamp
+ */
+function remind(record, environment, waitedMs, now) {
+  const wait = slackHandler.formatDuration(waitedMs);
+  const approvers = approversHandler.mentionApprovers(environment);
+  const { quorum } = approversHandler.getApprovalPolicy(environment);
+  const required = quorum > 1 ? ` (${(record.approvals || []).length} of ${quorum} approvals so far)` : '';
+  slackHandler.queueThreadUpdate(
+    record.slack_channel,
+    record.slack_thread_id,
+    `⏰ ${record.deployment_id} has been awaiting approval for ${wait}${required}.${approvers ? ` ${approvers}, please approve or reject it.` : ''}`
+  );
+  deploymentStore.recordApprovalNudge(record.deployment_id, 'reminder', now);
+  console.log(`[Reminders] Reminded ${record.deployment_id} after ${wait}`);
+}
+
+/**
+ * Escalate a deployment nobody has decided on
+ * @param {object} record - Deployment record
+ * @param {object} environment - Environment
+ * @param {string} target - Slack user or channel ID to escalate to
+ * @param {number} waitedMs - Time spent awaiting approval
+ * @param {string} now - ISO timestamp
+ */
+function escalate(record, environment, target, waitedMs, now) {
+  const wait = slackHandler.formatDuration(waitedMs);
+  const thread = `<${slackHandler.getMessageLink(record.slack_channel, record.slack_thread_id)}|${record.deployment_id}>`;
+  slackHandler.queueChannelMessage(
+    target,
+    `🚨 ${environment.label} deployment ${thread} (${record.repository} \`${record.branch}\`) has been awaiting approval for ${wait} without a decision.`
+  );
+  slackHandler.queueThreadUpdate(
+    record.slack_channel,
+    record.slack_thread_id,
+    `🚨 No decision after ${wait}, escalated to ${mentionTarget(target)}.`
+  );
+  deploymentStore.recordApprovalNudge(record.deployment_id, 'escalation', now);
+  console.log(`[Reminders] Escalated ${record.deployment_id} to ${target}`);
+}
+
+/**
+ * Expire a deployment nobody decided on in time
+ * @param {object} record - Deployment record
+ * @param {number} waitedMs - Time spent awaiting approval
+ * @returns {boolean} True if it expired (the lifecycle may refuse, e.g. it was approved meanwhile)
+ */
+function expire(record, waitedMs) {
+  const expiry = deploymentStore.recordExpiry(record.deployment_id);
+  if (!expiry.success) {
+    console.log(`[Reminders] Not expiring ${record.deployment_id}: ${expiry.error}`);
+    return false;
+  }
+
+  const wait = slackHandler.formatDuration(waitedMs);
+  slackHandler.queueThreadUpdate(
+    record.slack_channel,
+    record.slack_thread_id,
+    `⌛ ${record.deployment_id} expired after ${wait} without a decision and can no longer be approved. Push again to start a new deployment.`
+  );
+  slackHandler.queueDeploymentMessageUpdate(record.deployment_id, `⌛ Expired after ${wait} without a decision`);
+  notionHandler.queueUpdate('updateDeploymentStage', record.deployment_id, 'Expired');
+  console.log(`[Reminders] Expired ${record.deployment_id} after ${wait}`);
+  return true;
+}
+
+/**
+ * Remind, escalate or expire every deployment awaiting approval that is due
+ * Each step happens once per wait (reminders repeat every remindAfterMinutes); a deployment that
+ * starts awaiting approval again (e.g. a withdrawn approval) starts over
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {object} {reminded, escalated, expired} - deployment IDs
+ */
+function checkPendingApprovals(now = Date.now()) {
+  const summary = { reminded: [], escalated: [], expired: [] };
+  const at = new Date(now).toISOString();
+
+  for (const record of deploymentStore.listDeployments({ stages: ['Awaiting Approval'] })) {
+    try {
+      const environment = environmentsHandler.getEnvironmentForDeployment(record);
+      const timeouts = getTimeouts(environment);
+      if (!timeouts || !record.slack_thread_id) {
+        continue;
+      }
+
+      const since = getAwaitingSince(record);
+      const waitedMs = now - since;
+
+      if (timeouts.expireMs && waitedMs >= timeouts.expireMs) {
+        if (expire(record, waitedMs)) {
+          summary.expired.push(record.deployment_id);
+        }
+        continue;
+      }
+
+      const escalated = record.escalated_at && Date.parse(record.escalated_at) >= since;
+      if (timeouts.escalateMs && timeouts.escalateTo && !escalated && waitedMs >= timeouts.escalateMs) {
+        escalate(record, environment, timeouts.escalateTo, waitedMs, at);
+        summary.escalated.push(record.deployment_id);
+        continue;
+      }
+
+      const lastReminder = record.reminded_at && Date.parse(record.reminded_at) >= since
+        ? Date.parse(record.reminded_at)
+        : since;
+      if (timeouts.remindMs && now - lastReminder >= timeouts.remindMs) {
+        remind(record, environment, waitedMs, at);
+        summary.reminded.push(record.deployment_id);
+      }
+    } catch (error) {
+      console.error(`[Reminders] ❌ Error checking ${record.deployment_id}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Check pending approvals every APPROVAL_CHECK_INTERVAL_MS (default 60000)
+ */
+function start() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => checkPendingApprovals(), CHECK_INTERVAL_MS);
+  // The check must not keep the process alive on shutdown
+  timer.unref();
+  console.log(`[Reminders] Checking pending approvals every ${CHECK_INTERVAL_MS}ms`);
+}
+
+/**
+ * Stop the periodic check
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  checkPendingApprovals,
+  getTimeouts,
+  start,
+  stop
+};
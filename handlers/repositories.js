@@ -0,0 +1,72 @@
+/**
+ * Repository Config
+ * Per-repository settings from config/repositories.json, selected by repository.full_name
+ * Unlisted repositories use the defaults (single-repo setups need no entries)
+ */
+
+const { readConfigFile, interpolate } = require('./configLoader');
+
+let config = null;
+
+/**
+ * Load repository config (cached after first read)
+ * @returns {object} Parsed config
+ */
+function loadConfig() {
+  if (!config) {
+    config = readConfigFile('REPOSITORIES_CONFIG_PATH', 'repositories.json');
+  }
+  return config;
+}
+
+/**
+ * Drop the cached config so the next lookup re-reads the file
+ */
+function reloadConfig() {
+  config = null;
+}
+
+/**
+ * Get resolved settings for a repository
+ * @param {string} fullName - Repository in format owner/repo
+ * @returns {object} {fullName, dispatchRepo, notionDatabaseId, channels, branches, services, ignorePaths, ci}
+ */
+function getRepositoryConfig(fullName) {
+  const { defaults = {}, repositories = {} } = loadConfig();
+  const settings = { ...defaults, ...(repositories[fullName] || {}) };
+
+  const channels = {};
+  for (const [environment, channel] of Object.entries(settings.channels || {})) {
+    channels[environment] = interpolate(channel);
+  }
+
+  return {
+    fullName,
+    dispatchRepo: interpolate(settings.dispatchRepo) || null,
+    notionDatabaseId: interpolate(settings.notionDatabaseId) || null,
+    channels,
+    branches: settings.branches || null,
+    services: settings.services || null,
+    ignorePaths: settings.ignorePaths || [],
+    ci: settings.ci || null
+  };
+}
+
+/**
+ * All Notion databases deployments may live in
+ * @returns {Array<string>} Unique database IDs (defaults first)
+ */
+function listNotionDatabaseIds() {
+  const { defaults = {}, repositories = {} } = loadConfig();
+  const ids = [defaults, ...Object.values(repositories)]
+    .map(settings => interpolate(settings.notionDatabaseId))
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+module.exports = {
+  loadConfig,
+  reloadConfig,
+  getRepositoryConfig,
+  listNotionDatabaseIds
+};
@@ -0,0 +1,72 @@
+/**
+ * Service Selection
+ * Decides which services of a (mono)repo a push deploys, from the files its commits touch
+ * Services and ignored paths come from config/repositories.json
+ */
+
+const { matchesGlob } = require('./glob');
+const repositoriesHandler = require('./repositories');
+
+/**
+ * Files a commit added, modified or removed
+ * @param {object} commit - Commit from a GitHub push payload
+ * @returns {Array<string>} File paths
+ */
+function getChangedFiles(commit) {
+  return [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])];
+}
+
+/**
+ * Check a file against a list of glob patterns
+ * @param {string} file - File path
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesAny(file, patterns) {
+  return patterns.some(pattern => matchesGlob(file, pattern));
+}
+
+/**
+ * Group a push's commits into the deployments it should start
+ * Repositories without services get one deployment (service null) unless only ignored paths changed.
+ * With services, each affected service gets its own deployment carrying only the commits that touched it.
+ * @param {string} repository - Repository in format owner/repo
+ * @param {Array<object>} commits - Commits from the push payload
+ * @returns {object} {deployments: [{service, commits}]} or {skip: reason}
+ */
+function selectServices(repository, commits) {
+  const { services, ignorePaths } = repositoriesHandler.getRepositoryConfig(repository);
+
+  // Payloads without file lists (hand-crafted test pushes, Bitbucket) cannot be filtered
+  if (!commits.some(commit => commit.added || commit.modified || commit.removed)) {
+    return { deployments: [{ service: null, commits }] };
+  }
+
+  const relevantFiles = commit => getChangedFiles(commit).filter(file => !matchesAny(file, ignorePaths));
+  const relevantCommits = commits.filter(commit => relevantFiles(commit).length > 0);
+
+  if (relevantCommits.length === 0) {
+    return { skip: 'Only ignored paths changed' };
+  }
+
+  if (!services) {
+    return { deployments: [{ service: null, commits }] };
+  }
+
+  const deployments = Object.entries(services)
+    .map(([name, service]) => ({
+      service: name,
+      commits: relevantCommits.filter(commit => relevantFiles(commit).some(file => matchesAny(file, service.paths)))
+    }))
+    .filter(deployment => deployment.commits.length > 0);
+
+  if (deployments.length === 0) {
+    return { skip: 'No service paths changed' };
+  }
+  return { deployments };
+}
+
+module.exports = {
+  selectServices,
+  getChangedFiles
+};
@@ -0,0 +1,107 @@
+/**
+ * Webhook Signature Verification
+ * Shared by the forge adapters: GitHub and Bitbucket sign the body with HMAC-SHA256,
+ * GitLab sends the configured secret token back in a header. Slack signs "v0:<timestamp>:<body>".
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Verify an HMAC-SHA256 signature ("sha256=<hex>") against the raw request body
+ * Forges sign the exact bytes they sent, so re-serialized JSON cannot be used
+ * @param {Buffer|string} rawBody - Raw request body (captured by the JSON parser)
+ * @param {string} signature - Signature header value
+ * @param {string} secret - Webhook secret
+ * @returns {object} {valid, reason}
+ */
+function verifyHmacSignature(rawBody, signature, secret) {
+  if (!signature) {
+    return { valid: false, reason: 'Missing signature' };
+  }
+
+  if (!/^sha256=[0-9a-f]{64}$/.test(signature)) {
+    return { valid: false, reason: 'Malformed signature' };
+  }
+
+  if (!rawBody) {
+    return { valid: false, reason: 'Missing request body' };
+  }
+
+  const hash = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  // Both sides are "sha256=" + 64 hex chars, so lengths always match here
+  const expectedSignature = `sha256=${hash}`;
+  const valid = crypto.timingSafeEqual(
+    Buffer.from(signature),
+    Buffer.from(expectedSignature)
+  );
+
+  return valid ? { valid: true } : { valid: false, reason: 'Invalid signature' };
+}
+
+/**
+ * Verify a shared secret token sent as-is in a header
+ * Compared as hashes so timingSafeEqual gets equal lengths without leaking the secret's length
+ * @param {string} token - Token header value
+ * @param {string} secret - Webhook secret
+ * @returns {object} {valid, reason}
+ */
+function verifySecretToken(token, secret) {
+  if (!token) {
+    return { valid: false, reason: 'Missing token' };
+  }
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const valid = crypto.timingSafeEqual(digest(token), digest(secret));
+
+  return valid ? { valid: true } : { valid: false, reason: 'Invalid token' };
+}
+
+/**
+ * Verify a Slack request signature ("v0=<hex>" over "v0:<timestamp>:<raw body>")
+ * Requests older than five minutes are refused so a captured request can't be replayed
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} timestamp - X-Slack-Request-Timestamp header value (seconds)
+ * @param {string} signature - X-Slack-Signature header value
+ * @param {string} secret - SLACK_SIGNING_SECRET
+ * @returns {object} {valid, reason}
+ */
+function verifySlackSignature(rawBody, timestamp, signature, secret) {
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'Missing timestamp or signature' };
+  }
+
+  if (!/^v0=[0-9a-f]{64}$/.test(signature)) {
+    return { valid: false, reason: 'Malformed signature' };
+  }
+
+  const sentAt = parseInt(timestamp, 10);
+  if (isNaN(sentAt) || Math.abs(Math.floor(Date.now() / 1000) - sentAt) > 300) {
+    return { valid: false, reason: 'Request timestamp too old' };
+  }
+
+  if (!rawBody) {
+    return { valid: false, reason: 'Missing request body' };
+  }
+
+  const hash = crypto
+    .createHmac('sha256', secret)
+    .update(`v0:${timestamp}:${rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  const valid = crypto.timingSafeEqual(
+    Buffer.from(signature),
+    Buffer.from(`v0=${hash}`)
+  );
+
+  return valid ? { valid: true } : { valid: false, reason: 'Invalid signature' };
+}
+
+module.exports = {
+  verifyHmacSignature,
+  verifySecretToken,
+  verifySlackSignature
+};
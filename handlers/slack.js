@@ -1,61 +1,341 @@
 /**
  * Slack Handler
- * Sends deployment notifications to environment-specific channels
+ * Sends deployment notifications to environment-specific channels and keeps each announcement
+ * up to date as a live status card
  */
 
 const { WebClient } = require('@slack/web-api');
+const environmentsHandler = require('./environments');
+const jobsHandler = require('./jobs');
+const deploymentStore = require('./deploymentStore');
 
 const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
 
+const STAGE_EMOJI = {
+  'Pending CI': '🧪',
+  'Awaiting Approval': '⏳',
+  'Approved': '✅',
+  'Deploying': '🚀',
+  'Deployed': '🎉',
+  'Failed': '❌',
+  'Rolled Back': '↩️',
+  'Cancelled': '🚫',
+  'Superseded': '⏭️',
+  'Torn Down': '🧹',
+  'Expired': '⌛'
+};
+
+// The stages a deployment normally goes through; those still ahead are shown greyed out
+const HAPPY_PATH = ['Pending CI', 'Awaiting Approval', 'Approved', 'Deploying', 'Deployed'];
+
+// Stages in which the announcement offers Approve/Reject
+const DECIDABLE_STAGES = ['Pending CI', 'Awaiting Approval'];
+
 /**
  * Map branch names to Slack channel IDs
  * @param {string} branch - The branch name
  * @returns {string} The channel ID for the branch
  */
 function getChannelForBranch(branch) {
-  if (branch.startsWith('feature/')) {
-    return process.env.SLACK_DEV_CHANNEL_ID;
+  // Unknown branches fall back to the config's defaultChannel (INCIDENTS)
+  return environmentsHandler.getSlackChannel(environmentsHandler.resolveBranch(branch));
+}
+
+/**
+ * Pick the Slack channel for a deployment from its environment and repository
+ * @param {object} deploymentData - Deployment data
+ * @returns {string} The channel ID for the deployment
+ */
+function getChannelForDeployment(deploymentData) {
+  return environmentsHandler.getSlackChannel(
+    environmentsHandler.getEnvironmentForDeployment(deploymentData),
+    deploymentData.repository
+  );
+}
+
+/**
+ * Format release notes as a Slack quote, truncated to keep messages readable
+ * @param {string} notes - Release notes (markdown)
+ * @returns {string} Quoted notes
+ */
+function formatReleaseNotes(notes) {
+  if (!notes) {
+    return '_No release notes_';
+  }
+  const truncated = notes.length > 1500 ? `${notes.substring(0, 1500)}…` : notes;
+  return truncated.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Build the commit summary attachment for a multi-commit push
+ * Slack collapses long attachment text behind "Show more", keeping the main message short
+ * @param {Array<object>} commits - Commits ({sha, message, author, url}), oldest first
+ * @param {string} compareUrl - GitHub compare URL for the push
+ * @returns {Array<object>} Slack attachments (empty for single-commit pushes)
+ */
+function formatCommitSummary(commits, compareUrl) {
+  if (!commits || commits.length < 2) {
+    return [];
+  }
+
+  const MAX_LISTED = 25;
+  const lines = commits.slice(0, MAX_LISTED).map(commit => {
+    const sha = commit.url ? `<${commit.url}|${commit.sha}>` : commit.sha;
+    return `• ${sha} ${commit.message} — ${commit.author}`;
+  });
+  if (commits.length > MAX_LISTED) {
+    const more = commits.length - MAX_LISTED;
+    lines.push(compareUrl ? `…and ${more} more on <${compareUrl}|GitHub>` : `…and ${more} more`);
   }
-  if (branch === 'develop') {
-    return process.env.SLACK_QA_CHANNEL_ID;
+
+  return [
+    {
+      color: '#439FE0',
+      title: `${commits.length} commits in this push`,
+      title_link: compareUrl,
+      text: lines.join('\n'),
+      mrkdwn_in: ['text']
+    }
+  ];
+}
+
+/**
+ * Link to the deployed commit on the forge it came from
+ * Push/PR adapters pass commit_url; older records only have the GitHub repository
+ * @param {object} deploymentData - Deployment data
+ * @returns {string} Commit URL
+ */
+function getCommitUrl(deploymentData) {
+  return deploymentData.commit_url || `https://github.com/${deploymentData.repository}/commit/${deploymentData.commit_sha}`;
+}
+
+/**
+ * Format the deployment announcement text
+ * @param {object} deploymentData - Deployment data (or a stored deployment record)
+ * @returns {string} Message text (markdown)
+ */
+function formatDeploymentMessage(deploymentData) {
+  // Determine deployment status label based on environment
+  const environment = environmentsHandler.getEnvironmentForDeployment(deploymentData);
+  const label = environment ? `${environment.label} ` : '';
+  let statusLabel = `${label}deployment pending`;
+  if (deploymentData.release_tag) {
+    statusLabel = `${label}release pending (${deploymentData.release_channel})`;
+  } else if (deploymentData.pr_number) {
+    statusLabel = `${label}deployment pending (PR #${deploymentData.pr_number})`;
+  } else if (deploymentData.service) {
+    statusLabel = `${label}deployment pending (${deploymentData.service})`;
   }
-  if (branch === 'main') {
-    return process.env.SLACK_PROD_CHANNEL_ID;
+
+  const commitUrl = getCommitUrl(deploymentData);
+  const pullRequestLine = deploymentData.pr_url
+    ? `\nPull Request: <${deploymentData.pr_url}|#${deploymentData.pr_number} ${deploymentData.pr_title}>`
+    : '';
+  const releaseNotesSection = deploymentData.release_tag && deploymentData.release_notes
+    ? `\n\nRelease Notes:\n${formatReleaseNotes(deploymentData.release_notes)}`
+    : '';
+  const serviceLine = deploymentData.service ? `\nService: ${deploymentData.service}` : '';
+  const commits = deploymentData.commits || [];
+  const range = `${(deploymentData.before_sha || '').substring(0, 7)}...${(deploymentData.after_sha || '').substring(0, 7)}`;
+  // Bitbucket changes may come without a compare link
+  const compareLine = commits.length > 1
+    ? `\nCommits: ${commits.length} (${deploymentData.compare_url ? `<${deploymentData.compare_url}|${range}>` : range})`
+    : '';
+  // Force-pushes rewrote history; make that impossible to miss
+  if (deploymentData.forced) {
+    statusLabel = `⚠️ FORCE-PUSH ${statusLabel}`;
   }
-  return process.env.SLACK_INCIDENTS_CHANNEL_ID; // Default to incidents for unknown branches
+  const ciNotice = deploymentData.stage === 'Pending CI'
+    ? `\n\n⏳ *Waiting for CI* on \`${deploymentData.commit_sha}\`. Approval opens once checks pass.`
+    : '';
+  const forcePushWarning = deploymentData.forced
+    ? `\n\n⚠️ *History was rewritten.* Commits previously on \`${deploymentData.branch}\` may have been removed; earlier pending deployments are superseded.`
+    : '';
+  return `${statusLabel} - ${deploymentData.deployment_id}
+
+Repository: ${deploymentData.repository}
+Branch: ${deploymentData.branch}${serviceLine}${pullRequestLine}
+Commit: <${commitUrl}|${deploymentData.commit_sha}> - ${deploymentData.commit_message}${compareLine}
+Author: ${deploymentData.commit_author}
+Triggered: ${deploymentData.triggered_at}${releaseNotesSection}${ciNotice}${forcePushWarning}`;
+}
+
+/**
+ * Format a time so Slack shows it in each reader's timezone
+ * @param {string} at - ISO timestamp
+ * @returns {string} Slack date markup
+ */
+function formatSlackTime(at) {
+  return `<!date^${Math.floor(Date.parse(at) / 1000)}^{time}|${at}>`;
+}
+
+/**
+ * Format a duration, e.g. how long a deployment has been waiting or its deploy run took
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} e.g. "40s", "45m", "4h", "3d 2h", or "unknown" when the timestamps were missing
+ */
+function formatDuration(durationMs) {
+  if (!Number.isFinite(durationMs) || durationMs < 0) {
+    return 'unknown';
+  }
+  const minutes = Math.floor(durationMs / (60 * 1000));
+  if (minutes < 1) {
+    return `${Math.round(durationMs / 1000)}s`;
+  }
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours}h`;
+  }
+  return hours % 24 > 0 ? `${Math.floor(hours / 24)}d ${hours % 24}h` : `${Math.floor(hours / 24)}d`;
+}
+
+/**
+ * Format a deployment's stage timeline, e.g. "🧪 Pending CI 10:02 → ⏳ *Awaiting Approval* 10:05 → ◻️ Approved → ..."
+ * The current stage is bold, agent analysis is shown once an agent has left notes, and the stages
+ * still ahead on the way to Deployed are greyed out
+ * @param {object} record - Deployment record ({stage, stage_history, agent_notes})
+ * @returns {string} Timeline (markdown)
+ */
+function formatStageTimeline(record) {
+  const history = record.stage_history?.length
+    ? record.stage_history
+    : [{ stage: record.stage || 'Awaiting Approval' }];
+  const current = history[history.length - 1].stage;
+
+  const steps = history.map(({ stage, at }, index) => {
+    const name = index === history.length - 1 ? `*${stage}*` : stage;
+    return `${STAGE_EMOJI[stage] || '•'} ${name}${at ? ` ${formatSlackTime(at)}` : ''}`;
+  });
+
+  // Agents analyse the change while it awaits approval
+  const analysts = Object.keys(record.agent_notes || {});
+  if (analysts.length > 0) {
+    const awaiting = history.map(entry => entry.stage).lastIndexOf('Awaiting Approval');
+    steps.splice(awaiting === -1 ? steps.length : awaiting + 1, 0, `🔍 Analysed by ${analysts.join(', ')}`);
+  }
+
+  const position = HAPPY_PATH.indexOf(current);
+  if (position !== -1) {
+    steps.push(...HAPPY_PATH.slice(position + 1).map(stage => `◻️ ${stage}`));
+  }
+  return steps.join(' → ');
+}
+
+/**
+ * Build the Block Kit layout of a deployment announcement
+ * Pending deployments get Approve / Reject / View diff buttons; once decided, the buttons are
+ * replaced by the decision so nobody can click them again. Deployments needing several approvers
+ * show who has approved so far. The stage timeline closes the card.
+ * @param {object} deploymentData - Deployment data (or a stored deployment record)
+ * @param {string} message - Announcement text
+ * @param {string|null} decision - Decision line (e.g. "✅ Approved by Ada"), or null while pending
+ * @returns {Array<object>} Slack blocks
+ */
+function buildDeploymentBlocks(deploymentData, message, decision = null) {
+  // Section text is capped at 3000 characters by Slack
+  const text = message.length > 3000 ? `${message.substring(0, 2999)}…` : message;
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text } }];
+  const stage = deploymentData.stage || 'Awaiting Approval';
+
+  if (decision) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: decision }] });
+  } else if (DECIDABLE_STAGES.includes(stage)) {
+    blocks.push(...buildDecisionBlocks(deploymentData));
+  }
+
+  const status = [{ type: 'mrkdwn', text: formatStageTimeline(deploymentData) }];
+  if (stage === 'Failed' && deploymentData.failure) {
+    const { reason, url } = deploymentData.failure;
+    status.push({ type: 'mrkdwn', text: `❌ ${reason}${url ? ` (<${url}|run>)` : ''}` });
+  }
+  blocks.push({ type: 'context', block_id: 'deployment_status', elements: status });
+  return blocks;
+}
+
+/**
+ * Approval progress and the Approve / Reject / View diff buttons of a pending deployment
+ * @param {object} deploymentData - Deployment data (or a stored deployment record)
+ * @returns {Array<object>} Slack blocks
+ */
+function buildDecisionBlocks(deploymentData) {
+  const blocks = [];
+
+  const approvals = deploymentData.approvals || [];
+  if (approvals.length > 0 && deploymentData.approvals_required > 1) {
+    const names = approvals.map(approval => approval.by).join(', ');
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `👍 ${approvals.length} of ${deploymentData.approvals_required} approvals: ${names}` }]
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    block_id: 'deployment_decision',
+    elements: [
+      {
+        type: 'button',
+        action_id: 'approve_deployment',
+        text: { type: 'plain_text', text: 'Approve' },
+        style: 'primary',
+        value: deploymentData.deployment_id
+      },
+      {
+        type: 'button',
+        action_id: 'reject_deployment',
+        text: { type: 'plain_text', text: 'Reject' },
+        style: 'danger',
+        value: deploymentData.deployment_id,
+        confirm: {
+          title: { type: 'plain_text', text: 'Reject deployment?' },
+          text: { type: 'mrkdwn', text: `${deploymentData.deployment_id} will be cancelled.` },
+          confirm: { type: 'plain_text', text: 'Reject' },
+          deny: { type: 'plain_text', text: 'Keep it' }
+        }
+      },
+      {
+        type: 'button',
+        action_id: 'view_deployment_diff',
+        text: { type: 'plain_text', text: 'View diff' },
+        url: deploymentData.compare_url || deploymentData.pr_url || getCommitUrl(deploymentData)
+      }
+    ]
+  });
+  return blocks;
+}
+
+/**
+ * Link to a Slack message; Slack redirects it to the message in the user's workspace
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Message timestamp
+ * @returns {string} Message URL
+ */
+function getMessageLink(channel, ts) {
+  return `https://slack.com/archives/${channel}/p${ts.replace('.', '')}`;
 }
 
 /**
  * Send deployment notification to Slack
+ * The text is kept alongside the blocks for notifications and for clients without Block Kit;
+ * reacting with ✅/❌ still works as an alternative to the buttons
  * @param {object} deploymentData - Deployment data from GitHub webhook
  * @returns {object} Result with success status and thread_ts (or error)
  */
 async function sendDeploymentNotification(deploymentData) {
   try {
-    const channel = getChannelForBranch(deploymentData.branch);
-
-    // Determine deployment status label based on branch
-    let statusLabel = 'deployment pending';
-    if (deploymentData.branch.startsWith('feature/')) {
-      statusLabel = 'DEV deployment pending';
-    } else if (deploymentData.branch === 'develop') {
-      statusLabel = 'QA deployment pending';
-    } else if (deploymentData.branch === 'main') {
-      statusLabel = 'PROD deployment pending';
-    }
-
-    const commitUrl = `https://github.com/${deploymentData.repository}/commit/${deploymentData.commit_sha}`;
-    const message = `${statusLabel} - ${deploymentData.deployment_id}
-
-Repository: ${deploymentData.repository}
-Branch: ${deploymentData.branch}
-Commit: <${commitUrl}|${deploymentData.commit_sha}> - ${deploymentData.commit_message}
-Author: ${deploymentData.commit_author}
-Triggered: ${deploymentData.triggered_at}`;
+    const channel = getChannelForDeployment(deploymentData);
+    const message = formatDeploymentMessage(deploymentData);
+    // The stored record carries the stage timeline
+    const card = deploymentStore.getDeployment(deploymentData.deployment_id) || deploymentData;
 
     const result = await slack.chat.postMessage({
       channel: channel,
       text: message,
+      blocks: buildDeploymentBlocks(card, message),
+      attachments: formatCommitSummary(deploymentData.commits, deploymentData.compare_url),
       mrkdwn: true
     });
 
@@ -91,37 +371,58 @@ Triggered: ${deploymentData.triggered_at}`;
 }
 
 /**
- * Post status update to deployment thread
- * Stub for future implementation in Phase 3B
- * @param {string} threadId - Thread timestamp to reply to
- * @param {string} status - Status message
- * @returns {object} Result object
+ * Refresh a deployment's announcement, its live status card, from the store with chat.update
+ * Shows the current stage and timeline, and the last decision (or the buttons while it is pending);
+ * the details of each step stay in the thread
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object} {success, skipped/error}
  */
-async function postStatusUpdate(threadId, status) {
+async function postStatusUpdate(deploymentId) {
+  const record = deploymentStore.getDeployment(deploymentId);
+  if (!record || !record.slack_thread_id) {
+    // Nothing to update: the announcement predates the store or was never posted
+    console.log(`[Slack] No announcement recorded for ${deploymentId}, skipping status update`);
+    return { success: true, skipped: true };
+  }
+
   try {
-    // Stub for future phases
-    console.log(`[Slack] Status update stub called for thread ${threadId}: ${status}`);
-    return {
-      success: true,
-      message: 'Status update stub - to be implemented in Phase 3B'
-    };
+    const message = formatDeploymentMessage(record);
+    await slack.chat.update({
+      channel: record.slack_channel,
+      ts: record.slack_thread_id,
+      text: message,
+      blocks: buildDeploymentBlocks(record, message, record.slack_decision || null),
+      attachments: formatCommitSummary(record.commits, record.compare_url)
+    });
+
+    console.log(`[Slack] ✅ Updated status card for ${deploymentId}: ${record.stage}`);
+    return { success: true };
   } catch (error) {
-    console.error(`[Slack] Failed to post status update: ${error.message}`);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error(`[Slack] ❌ Failed to update status card for ${deploymentId}: ${error.message}`);
+    return { success: false, error: error.message };
   }
 }
 
+jobsHandler.registerJobType('slack.status', ({ deploymentId }) => postStatusUpdate(deploymentId));
+
+/**
+ * Queue a status card refresh, e.g. after a stage change; it is retried if Slack is unavailable
+ * @param {string} deploymentId - Deployment ID
+ * @returns {object} Queued job
+ */
+function queueStatusUpdate(deploymentId) {
+  return jobsHandler.enqueue('slack.status', { deploymentId });
+}
+
 /**
  * Post update to existing thread
  * @param {string} channel - Channel ID
  * @param {string} threadTs - Thread timestamp
  * @param {string} message - Message text (markdown)
+ * @param {object} [options] - Extra chat.postMessage options (e.g. reply_broadcast)
  * @returns {object} {success, ts/error}
  */
-async function postThreadUpdate(channel, threadTs, message) {
+async function postThreadUpdate(channel, threadTs, message, options = {}) {
   try {
     const result = await slack.chat.postMessage({
       channel: channel,
@@ -129,10 +430,13 @@ async function postThreadUpdate(channel, threadTs, message) {
       text: message,
       mrkdwn: true,
       unfurl_links: false,
-      unfurl_media: false
+      unfurl_media: false,
+      ...options
     });
 
     console.log(`[Slack] ✅ Posted thread update to ${channel}`);
+    // Reactions on the reply resolve to the thread's deployment
+    deploymentStore.indexThreadReply(channel, threadTs, result.ts);
     return { success: true, ts: result.ts };
   } catch (error) {
     console.error(`[Slack] ❌ Failed to post thread update: ${error.message}`);
@@ -140,9 +444,104 @@ async function postThreadUpdate(channel, threadTs, message) {
   }
 }
 
+jobsHandler.registerJobType('slack.thread', ({ channel, threadTs, text, options }) =>
+  postThreadUpdate(channel, threadTs, text, options)
+);
+
+/**
+ * Queue a thread update; it is retried if Slack is unavailable, and later updates to the thread wait for it
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Thread timestamp
+ * @param {string} message - Message text (markdown)
+ * @param {object} [options] - Extra chat.postMessage options (e.g. reply_broadcast)
+ * @returns {object} Queued job
+ */
+function queueThreadUpdate(channel, threadTs, message, options = {}) {
+  return jobsHandler.enqueue('slack.thread', { channel, threadTs, text: message, options }, { orderKey: `slack.thread:${channel}:${threadTs}` });
+}
+
+/**
+ * Post a message outside any deployment thread, e.g. an escalation
+ * @param {string} channel - Channel ID, or a user ID for a direct message
+ * @param {string} message - Message text (markdown)
+ * @returns {object} {success, ts/error}
+ */
+async function postChannelMessage(channel, message) {
+  try {
+    const result = await slack.chat.postMessage({
+      channel: channel,
+      text: message,
+      mrkdwn: true,
+      unfurl_links: false,
+      unfurl_media: false
+    });
+
+    console.log(`[Slack] ✅ Posted message to ${channel}`);
+    return { success: true, ts: result.ts };
+  } catch (error) {
+    console.error(`[Slack] ❌ Failed to post message to ${channel}: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+jobsHandler.registerJobType('slack.message', ({ channel, text }) => postChannelMessage(channel, text));
+
+/**
+ * Queue a message outside any deployment thread; it is retried if Slack is unavailable
+ * @param {string} channel - Channel ID, or a user ID for a direct message
+ * @param {string} message - Message text (markdown)
+ * @returns {object} Queued job
+ */
+function queueChannelMessage(channel, message) {
+  return jobsHandler.enqueue('slack.message', { channel, text: message });
+}
+
+/**
+ * Record a deployment's decision line and refresh its status card: the decision replaces the buttons
+ * and stays on the card through the later stages
+ * @param {string} deploymentId - Deployment ID
+ * @param {string|null} decision - Decision line (e.g. "✅ Approved by Ada"), or null to show the buttons again
+ * @returns {object} {success, skipped/error}
+ */
+async function updateDeploymentMessage(deploymentId, decision) {
+  if (deploymentStore.getDeployment(deploymentId)) {
+    deploymentStore.updateDeployment(deploymentId, { slack_decision: decision });
+  }
+  return postStatusUpdate(deploymentId);
+}
+
+jobsHandler.registerJobType('slack.decision', ({ deploymentId, decision }) =>
+  updateDeploymentMessage(deploymentId, decision)
+);
+
+/**
+ * Queue an announcement update; it is retried if Slack is unavailable
+ * @param {string} deploymentId - Deployment ID
+ * @param {string|null} decision - Decision line (e.g. "✅ Approved by Ada"), or null to show the buttons again
+ * @returns {object} Queued job
+ */
+function queueDeploymentMessageUpdate(deploymentId, decision) {
+  return jobsHandler.enqueue('slack.decision', { deploymentId, decision });
+}
+
 module.exports = {
   sendDeploymentNotification,
+  formatDeploymentMessage,
+  buildDeploymentBlocks,
+  updateDeploymentMessage,
+  queueDeploymentMessageUpdate,
+  formatStageTimeline,
+  formatDuration,
   getChannelForBranch,
+  getChannelForDeployment,
+  formatCommitSummary,
+  getCommitUrl,
+  getMessageLink,
+  formatReleaseNotes,
   postStatusUpdate,
-  postThreadUpdate
+  queueStatusUpdate,
+  postThreadUpdate,
+  queueThreadUpdate,
+  postChannelMessage,
+  queueChannelMessage
 };
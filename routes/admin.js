@@ -0,0 +1,135 @@
+/**
+ * Admin API
+ * Token-protected endpoints for inspecting archived payloads and replaying their processing,
+ * for the job queue, for posting deployment digests on demand, and for decisions made outside Slack
+ */
+
+const express = require('express');
+const router = express.Router();
+const archiveHandler = require('../handlers/archive');
+const jobsHandler = require('../handlers/jobs');
+const digestHandler = require('../handlers/digest');
+const reactionsHandler = require('../handlers/reactions');
+const signaturesHandler = require('../handlers/signatures');
+
+/**
+ * Require "Authorization: Bearer <ADMIN_API_TOKEN>"
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    console.error('[Admin] ADMIN_API_TOKEN not set, rejecting request');
+    return res.status(503).json({ error: 'Admin API not configured' });
+  }
+
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const verification = signaturesHandler.verifySecretToken(token, adminToken);
+  if (!verification.valid) {
+    console.error(`[Admin] ${verification.reason}`);
+    return res.status(401).json({ error: verification.reason });
+  }
+
+  next();
+}
+
+router.use(requireAdminToken);
+
+// List archived payloads (newest first): ?source=github&status=failed&limit=50
+router.get('/deliveries', (req, res) => {
+  const { source, status } = req.query;
+  const limit = parseInt(req.query.limit || '50', 10);
+  res.status(200).json({ deliveries: archiveHandler.listPayloads({ source, status, limit }) });
+});
+
+// Full archived payload with headers, body, steps and attempts
+router.get('/deliveries/:deliveryId', (req, res) => {
+  const entry = archiveHandler.getPayload(req.params.deliveryId);
+  if (!entry) {
+    return res.status(404).json({ error: `Delivery ${req.params.deliveryId} not archived` });
+  }
+  res.status(200).json(entry);
+});
+
+// Re-run processing; waits for it so the caller sees the outcome. ?force=true replays processed deliveries
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const force = req.query.force === 'true' || req.body?.force === true;
+    const replay = await archiveHandler.replayPayload(req.params.deliveryId, { force });
+    if (!replay.success) {
+      return res.status(replay.code).json({ error: replay.error });
+    }
+
+    console.log(`[Admin] Replayed ${req.params.deliveryId}: ${replay.status}`);
+    res.status(200).json({
+      delivery_id: req.params.deliveryId,
+      status: replay.status,
+      result: replay.result,
+      delivery: archiveHandler.getPayload(req.params.deliveryId)
+    });
+  } catch (error) {
+    console.error(`[Admin] Error replaying ${req.params.deliveryId}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue status and jobs (newest first): ?status=dead&type=slack.thread&limit=50
+router.get('/jobs', (req, res) => {
+  const { status, type } = req.query;
+  const limit = parseInt(req.query.limit || '50', 10);
+  res.status(200).json({ stats: jobsHandler.getStats(), jobs: jobsHandler.listJobs({ status, type, limit }) });
+});
+
+// Full job with payload, attempts and last error
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobsHandler.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found` });
+  }
+  res.status(200).json(job);
+});
+
+// Queue a dead (or backing-off) job to run again now, with a fresh set of attempts
+router.post('/jobs/:jobId/retry', (req, res) => {
+  const retry = jobsHandler.retryJob(req.params.jobId);
+  if (!retry.success) {
+    return res.status(retry.code).json({ error: retry.error });
+  }
+
+  console.log(`[Admin] Retrying job ${req.params.jobId}`);
+  res.status(200).json(retry.job);
+});
+
+// Post the daily or weekly digest now, e.g. to preview it (the schedule is unaffected)
+router.post('/digests/:period', async (req, res) => {
+  try {
+    const digest = await digestHandler.postDigest(req.params.period);
+    if (!digest.success) {
+      return res.status(digest.code).json({ error: digest.error });
+    }
+    res.status(200).json({ posted: digest.posted });
+  } catch (error) {
+    console.error(`[Admin] Error posting the ${req.params.period} digest: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject a deployment from outside Slack (scripts/analyze-deployment.js); body: {rejector, reason}
+router.post('/deployments/:deploymentId/reject', async (req, res) => {
+  const rejector = req.body?.rejector;
+  if (!rejector) {
+    return res.status(400).json({ error: 'rejector is required' });
+  }
+
+  const rejection = await reactionsHandler.rejectDeploymentFor(req.params.deploymentId, rejector, { reason: req.body.reason });
+  if (!rejection.success) {
+    return res.status(409).json({ error: rejection.error });
+  }
+
+  console.log(`[Admin] ${rejector} rejected ${req.params.deploymentId}`);
+  res.status(200).json({ deployment_id: req.params.deploymentId, stage: 'Cancelled' });
+});
+
+module.exports = router;
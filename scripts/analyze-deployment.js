@@ -6,9 +6,18 @@
  * Interactive analysis script that uses Claude Code to review deployment changes.
  * Leverages Claude Pro subscription - zero API costs.
  *
+ * Approving here is a recommendation: it is posted to the deployment's thread and Notion, and the
+ * approvers still approve in Slack, where the approver list, author and quorum checks run and the
+ * approved deployment is dispatched. Rejecting cancels the deployment through the running
+ * orchestrator's admin API, which records it and reports it in the thread and Notion.
+ *
  * Usage:
  *   npm run analyze-deployment <deployment-id>
  *   Example: npm run analyze-deployment deploy-feature-auth-1234567890
+ *
+ * Environment:
+ *   ADMIN_API_TOKEN   - Admin API token (required to reject)
+ *   ORCHESTRATOR_URL  - Orchestrator base URL (default http://localhost:3001)
  */
 
 require('dotenv').config();
@@ -16,8 +25,11 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const readline = require('readline');
 const notionHandler = require('../handlers/notion');
+const deploymentStore = require('../handlers/deploymentStore');
+const environmentsHandler = require('../handlers/environments');
 
 const deploymentId = process.argv[2];
+const baseUrl = (process.env.ORCHESTRATOR_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
 
 if (!deploymentId) {
   console.error('Usage: npm run analyze-deployment <deployment-id>');
@@ -40,21 +52,13 @@ async function main() {
   try {
     console.log(`\n🔍 Analyzing deployment: ${deploymentId}\n`);
 
-    // Fetch deployment record from Notion
-    const deployment = await notionHandler.getDeploymentRecord(deploymentId);
+    const deployment = await loadDeployment(deploymentId);
     if (!deployment) {
       console.error(`❌ Deployment record not found: ${deploymentId}`);
       process.exit(1);
     }
 
-    // Extract deployment details
-    const props = deployment.properties;
-    const branch = props.Branch?.select?.name || 'unknown';
-    const commitSha = props['Commit SHA']?.rich_text?.[0]?.text?.content || 'unknown';
-    const commitMsg = props['Commit Message']?.select?.name || 'No message';
-    const author = props.Author?.select?.name || 'unknown';
-    const repo = props.Repository?.rich_text?.[0]?.text?.content ||
-                 process.env.GITHUB_REPO || 'unknown/repo';
+    const { branch, commitSha, commitMsg, author, repo } = deployment;
 
     console.log('📋 Deployment Details:');
     console.log(`   Branch: ${branch}`);
@@ -96,48 +100,43 @@ async function main() {
     console.log(prompt_text);
     console.log('\n═══════════════════════════════════════════════════════════════');
 
+    // Slack thread the deployment was announced in
+    const threadTs = deployment.threadTs;
+    const channel = deployment.channel ||
+      environmentsHandler.getSlackChannel(environmentsHandler.getEnvironment(deployment.environment), repo);
+
     // Ask user for approval
     const answer = await prompt('\n✅ Approve deployment? (yes/no): ');
 
-    if (answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y') {
-      console.log(`\n✅ Deployment ${deploymentId} approved by user`);
+    const approved = answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y';
 
-      // Update Notion
-      await notionHandler.updateDeploymentApproval(deploymentId, 'Claude Code User');
-      console.log('📋 Notion record updated');
+    if (approved) {
+      // Not an approval: it would skip the approver and author checks, count towards the quorum
+      // and never dispatch, so the approvers approve in Slack
+      console.log(`\n👍 Deployment ${deploymentId} recommended for approval; approve it in Slack to deploy`);
 
-      // Post approval to Slack
+      await notionHandler.addDeploymentComment(deploymentId, `Claude Code analysis recommends approval (${new Date().toISOString()})`);
+      console.log('📋 Deployment record updated');
+
+      // Post the recommendation to Slack
       const slackHandler = require('../handlers/slack');
-      const threadTs = props['Slack Thread ID']?.rich_text?.[0]?.text?.content;
-      const channel = process.env.SLACK_DEV_CHANNEL_ID; // Could vary by branch
 
       if (threadTs && channel) {
         await slackHandler.postThreadUpdate(
           channel,
           threadTs,
-          `✅ Deployment approved via Claude Code analysis\n\nDeployment ID: ${deploymentId}`
+          `👍 Claude Code analysis recommends approving ${deploymentId}. Approvers: approve it with ✅, the Approve button or \`/deploy approve ${deploymentId}\`.`
         );
         console.log('📨 Slack notification sent');
       }
     } else {
-      console.log(`\n❌ Deployment ${deploymentId} rejected by user`);
-
-      // Update Notion
-      await notionHandler.updateDeploymentRejection(deploymentId, 'Claude Code User');
-      console.log('📋 Notion record updated');
-
-      // Post rejection to Slack
-      const slackHandler = require('../handlers/slack');
-      const threadTs = props['Slack Thread ID']?.rich_text?.[0]?.text?.content;
-      const channel = process.env.SLACK_DEV_CHANNEL_ID;
-
-      if (threadTs && channel) {
-        await slackHandler.postThreadUpdate(
-          channel,
-          threadTs,
-          `❌ Deployment rejected via Claude Code analysis\n\nDeployment ID: ${deploymentId}`
-        );
-        console.log('📨 Slack notification sent');
+      // Recorded by the running server: a write from here would be overwritten by its cached copy of the store
+      const rejection = await rejectThroughServer(deploymentId, 'Claude Code User', 'Claude Code analysis');
+      if (!rejection.success) {
+        console.error(`\n⛔ Deployment ${deploymentId} can't be rejected: ${rejection.error}`);
+      } else {
+        console.log(`\n❌ Deployment ${deploymentId} rejected by user`);
+        console.log('📋 Rejection recorded; the thread and Notion are updated by the server');
       }
     }
 
@@ -152,6 +151,75 @@ async function main() {
   }
 }
 
+/**
+ * Reject a deployment through the running orchestrator's admin API
+ * @param {string} id - Deployment ID
+ * @param {string} rejector - Name to record as the rejector
+ * @param {string} reason - Reason recorded with the rejection
+ * @returns {Promise<object>} {success, error}
+ */
+async function rejectThroughServer(id, rejector, reason) {
+  if (!process.env.ADMIN_API_TOKEN) {
+    return { success: false, error: 'ADMIN_API_TOKEN not set' };
+  }
+
+  try {
+    const response = await fetch(`${baseUrl}/admin/deployments/${encodeURIComponent(id)}/reject`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ rejector, reason })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      return { success: false, error: `${response.status} ${body.error || response.statusText}` };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: `${baseUrl} unreachable: ${error.message}` };
+  }
+}
+
+/**
+ * Load deployment details from the deployment store
+ * Deployments that predate the store are read from Notion
+ */
+async function loadDeployment(id) {
+  const record = deploymentStore.getDeployment(id);
+  if (record) {
+    return {
+      branch: record.branch || 'unknown',
+      commitSha: record.commit_sha || 'unknown',
+      commitMsg: record.commit_message || 'No message',
+      author: record.commit_author || 'unknown',
+      repo: record.repository || process.env.GITHUB_REPO || 'unknown/repo',
+      environment: record.environment,
+      threadTs: record.slack_thread_id,
+      channel: record.slack_channel
+    };
+  }
+
+  const page = await notionHandler.getDeploymentRecord(id);
+  if (!page) {
+    return null;
+  }
+
+  const props = page.properties;
+  const thread = notionHandler.getSlackThread(page);
+  return {
+    branch: props.Branch?.select?.name || 'unknown',
+    commitSha: props['Commit SHA']?.rich_text?.[0]?.text?.content || 'unknown',
+    commitMsg: props['Commit Message']?.select?.name || 'No message',
+    author: props.Author?.select?.name || 'unknown',
+    repo: props.Repository?.rich_text?.[0]?.text?.content || process.env.GITHUB_REPO || 'unknown/repo',
+    environment: props.Environment?.select?.name,
+    threadTs: thread?.threadTs || props['Slack Thread ID']?.rich_text?.[0]?.text?.content,
+    channel: thread?.channel
+  };
+}
+
 /**
  * Clone or update repository
  */
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Archived Deliveries CLI
+ *
+ * Lists archived webhook/Slack payloads and replays their processing through the
+ * running orchestrator's admin API (replays must run in the server process).
+ *
+ * Usage:
+ *   npm run deliveries -- list [--status failed] [--source github] [--limit 20]
+ *   npm run deliveries -- show <delivery-id>
+ *   npm run deliveries -- replay <delivery-id> [--force]
+ *
+ * Environment:
+ *   ADMIN_API_TOKEN   - Admin API token (required)
+ *   ORCHESTRATOR_URL  - Orchestrator base URL (default http://localhost:3001)
+ */
+
+require('dotenv').config();
+
+const baseUrl = (process.env.ORCHESTRATOR_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+const [command, ...args] = process.argv.slice(2);
+
+function usage() {
+  console.error('Usage:');
+  console.error('  npm run deliveries -- list [--status failed] [--source github] [--limit 20]');
+  console.error('  npm run deliveries -- show <delivery-id>');
+  console.error('  npm run deliveries -- replay <delivery-id> [--force]');
+  process.exit(1);
+}
+
+/**
+ * Value of a --flag option
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} Flag value
+ */
+function getOption(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Call the admin API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /admin
+ * @returns {Promise<object>} Parsed JSON response
+ */
+async function adminRequest(method, path) {
+  const response = await fetch(`${baseUrl}/admin${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` }
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`${response.status} ${body.error || response.statusText}`);
+  }
+  return body;
+}
+
+async function main() {
+  if (!process.env.ADMIN_API_TOKEN) {
+    console.error('❌ ADMIN_API_TOKEN not set');
+    process.exit(1);
+  }
+
+  if (command === 'list') {
+    const query = new URLSearchParams();
+    for (const name of ['status', 'source', 'limit']) {
+      if (getOption(name)) {
+        query.set(name, getOption(name));
+      }
+    }
+
+    const { deliveries } = await adminRequest('GET', `/deliveries?${query}`);
+    if (deliveries.length === 0) {
+      console.log('No archived deliveries');
+      return;
+    }
+    for (const delivery of deliveries) {
+      const failed = delivery.failedSteps.length > 0 ? ` [failed: ${delivery.failedSteps.join(', ')}]` : '';
+      console.log(`${delivery.receivedAt}  ${delivery.status.padEnd(10)}  ${delivery.source}/${delivery.event}  ${delivery.deliveryId}${failed}`);
+    }
+  } else if (command === 'show' && args[0]) {
+    const delivery = await adminRequest('GET', `/deliveries/${encodeURIComponent(args[0])}`);
+    console.log(JSON.stringify(delivery, null, 2));
+  } else if (command === 'replay' && args[0]) {
+    const force = args.includes('--force');
+    console.log(`🔁 Replaying ${args[0]}${force ? ' (forced)' : ''}...`);
+    const replay = await adminRequest('POST', `/deliveries/${encodeURIComponent(args[0])}/replay${force ? '?force=true' : ''}`);
+    console.log(`${replay.status === 'failed' ? '❌' : '✅'} ${replay.delivery_id}: ${replay.status}`);
+    if (replay.delivery.error) {
+      console.log(`   ${replay.delivery.error}`);
+    }
+  } else {
+    usage();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
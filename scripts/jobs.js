@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Job Queue CLI
+ *
+ * Shows the orchestrator's job queue and retries dead jobs through the running
+ * orchestrator's admin API (jobs must run in the server process).
+ *
+ * Usage:
+ *   npm run jobs -- list [--status dead] [--type notion] [--limit 20]
+ *   npm run jobs -- show <job-id>
+ *   npm run jobs -- retry <job-id>
+ *
+ * Environment:
+ *   ADMIN_API_TOKEN   - Admin API token (required)
+ *   ORCHESTRATOR_URL  - Orchestrator base URL (default http://localhost:3001)
+ */
+
+require('dotenv').config();
+
+const baseUrl = (process.env.ORCHESTRATOR_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+const [command, ...args] = process.argv.slice(2);
+
+function usage() {
+  console.error('Usage:');
+  console.error('  npm run jobs -- list [--status dead] [--type notion] [--limit 20]');
+  console.error('  npm run jobs -- show <job-id>');
+  console.error('  npm run jobs -- retry <job-id>');
+  process.exit(1);
+}
+
+/**
+ * Value of a --flag option
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} Flag value
+ */
+function getOption(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Call the admin API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /admin
+ * @returns {Promise<object>} Parsed JSON response
+ */
+async function adminRequest(method, path) {
+  const response = await fetch(`${baseUrl}/admin${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` }
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`${response.status} ${body.error || response.statusText}`);
+  }
+  return body;
+}
+
+async function main() {
+  if (!process.env.ADMIN_API_TOKEN) {
+    console.error('❌ ADMIN_API_TOKEN not set');
+    process.exit(1);
+  }
+
+  if (command === 'list') {
+    const query = new URLSearchParams();
+    for (const name of ['status', 'type', 'limit']) {
+      if (getOption(name)) {
+        query.set(name, getOption(name));
+      }
+    }
+
+    const { stats, jobs } = await adminRequest('GET', `/jobs?${query}`);
+    console.log(`queued ${stats.queued}, running ${stats.running}, done ${stats.done}, dead ${stats.dead}`);
+    for (const job of jobs) {
+      const error = job.lastError ? ` [${job.lastError}]` : '';
+      console.log(`${job.createdAt}  ${job.status.padEnd(7)}  ${job.attempts}/${job.maxAttempts}  ${job.type}  ${job.id}${error}`);
+    }
+  } else if (command === 'show' && args[0]) {
+    const job = await adminRequest('GET', `/jobs/${encodeURIComponent(args[0])}`);
+    console.log(JSON.stringify(job, null, 2));
+  } else if (command === 'retry' && args[0]) {
+    const job = await adminRequest('POST', `/jobs/${encodeURIComponent(args[0])}/retry`);
+    console.log(`🔁 ${job.id} (${job.type}) queued again`);
+  } else {
+    usage();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild Notion from the Deployment Store
+ *
+ * Notion only mirrors the local deployment store. This recreates missing records
+ * and overwrites stage, approval, thread and agent notes on existing ones.
+ *
+ * Usage:
+ *   npm run rebuild-notion                        Sync every stored deployment
+ *   npm run rebuild-notion -- --id <deployment>   Sync one deployment
+ *   npm run rebuild-notion -- --dry-run           List what would be synced
+ */
+
+require('dotenv').config();
+const notionHandler = require('../handlers/notion');
+const deploymentStore = require('../handlers/deploymentStore');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const idIndex = args.indexOf('--id');
+const deploymentId = idIndex >= 0 ? args[idIndex + 1] : null;
+
+async function main() {
+  if (idIndex >= 0 && !deploymentId) {
+    console.error('Usage: npm run rebuild-notion -- [--dry-run] [--id <deployment-id>]');
+    process.exit(1);
+  }
+
+  let records;
+  if (deploymentId) {
+    const record = deploymentStore.getDeployment(deploymentId);
+    if (!record) {
+      console.error(`❌ Deployment not in the store: ${deploymentId}`);
+      process.exit(1);
+    }
+    records = [record];
+  } else {
+    // Oldest first, so the Notion database fills in the order deployments happened
+    records = deploymentStore.listDeployments().reverse();
+  }
+
+  console.log(`\n📋 ${records.length} deployment(s) to sync${dryRun ? ' (dry run)' : ''}\n`);
+
+  if (!dryRun && !notionHandler.isConfigured()) {
+    console.error('❌ NOTION_API_TOKEN or NOTION_DATABASE_ID not set');
+    process.exit(1);
+  }
+
+  const counts = { created: 0, updated: 0, failed: 0 };
+  for (const record of records) {
+    if (dryRun) {
+      console.log(`   ${record.deployment_id}  ${record.repository || '-'}  ${record.stage}`);
+      continue;
+    }
+
+    // One at a time to stay under Notion's rate limit
+    const result = await notionHandler.syncDeploymentRecord(record);
+    counts[result]++;
+    console.log(`   ${result === 'failed' ? '❌' : '✅'} ${record.deployment_id}: ${result}`);
+  }
+
+  if (!dryRun) {
+    console.log(`\n✅ Created ${counts.created}, updated ${counts.updated}, failed ${counts.failed}`);
+  }
+  process.exit(counts.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`Fatal error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,12 +1,22 @@
 require('dotenv').config();
-const crypto = require('crypto');
 const express = require('express');
 const githubHandler = require('./webhooks/github');
+const gitlabHandler = require('./webhooks/gitlab');
+const bitbucketHandler = require('./webhooks/bitbucket');
 const reactionsHandler = require('./handlers/reactions');
+const commandsHandler = require('./handlers/commands');
+const archiveHandler = require('./handlers/archive');
+const deliveriesHandler = require('./handlers/deliveries');
+const signaturesHandler = require('./handlers/signatures');
+const jobsHandler = require('./handlers/jobs');
+const remindersHandler = require('./handlers/reminders');
+const digestHandler = require('./handlers/digest');
+const fileStore = require('./handlers/fileStore');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
-// Slack request verification middleware
+// Slack request verification middleware (requests that fail it are refused by requireSlackSignature below)
 function verifySlackRequest(req, res, buf) {
   const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
   if (!slackSigningSecret) {
@@ -14,59 +24,132 @@ function verifySlackRequest(req, res, buf) {
     return;
   }
 
-  const timestamp = req.headers['x-slack-request-timestamp'];
-  const slackSignature = req.headers['x-slack-signature'];
+  const verification = signaturesHandler.verifySlackSignature(
+    buf,
+    req.headers['x-slack-request-timestamp'],
+    req.headers['x-slack-signature'],
+    slackSigningSecret
+  );
+  req.slackVerification = verification;
 
-  if (!timestamp || !slackSignature) {
-    console.error('[Slack] Missing timestamp or signature headers');
+  if (!verification.valid) {
+    console.error(`[Slack] Request signature verification failed: ${verification.reason}`);
     return;
   }
 
-  // Prevent replay attacks - request must be within 5 minutes
-  if (Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp)) > 300) {
-    console.error('[Slack] Request timestamp too old, possible replay attack');
-    return;
-  }
+  console.log('[Slack] Request signature verified');
+}
 
-  const baseString = `v0:${timestamp}:${buf.toString('utf8')}`;
-  const mySignature = 'v0=' + crypto.createHmac('sha256', slackSigningSecret).update(baseString).digest('hex');
+// Keep the raw body: GitHub, Bitbucket and Slack all sign the exact bytes they send
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
 
-  if (!crypto.timingSafeEqual(Buffer.from(mySignature), Buffer.from(slackSignature))) {
-    console.error('[Slack] Request signature verification failed');
-    return;
+  if (req.originalUrl.startsWith('/slack')) {
+    verifySlackRequest(req, res, buf);
   }
-
-  console.log('[Slack] Request signature verified');
 }
 
 // Parse JSON with verification for Slack events
-app.use(express.json({ verify: verifySlackRequest }));
+app.use(express.json({ verify: captureRawBody }));
+// Slack posts interactions form-encoded, with the JSON in a payload field
+app.use(express.urlencoded({ extended: false, verify: captureRawBody }));
 
-// Register GitHub webhook endpoint
+// Register forge webhook endpoints
 app.use('/webhooks', githubHandler);
+app.use('/webhooks', gitlabHandler);
+app.use('/webhooks', bitbucketHandler);
+
+// Payload archive inspection and replay, job queue status, digests (ADMIN_API_TOKEN)
+app.use('/admin', adminRoutes);
+
+/**
+ * Route a Slack event callback to its handler
+ * @param {object} body - Slack event_callback payload
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleSlackEvent(body) {
+  const { event } = body;
+  if (event.type === 'reaction_added') {
+    return {
+      result: { ok: true },
+      task: () => {
+        console.log('[Slack] Processing reaction_added event');
+        return reactionsHandler.handleReactionAdded(event);
+      }
+    };
+  }
+  if (event.type === 'reaction_removed') {
+    return {
+      result: { ok: true },
+      task: () => {
+        console.log('[Slack] Processing reaction_removed event');
+        return reactionsHandler.handleReactionRemoved(event);
+      }
+    };
+  }
+
+  console.log(`[Slack] Ignoring event type: ${event.type}`);
+  return { result: { ok: true } };
+}
+
+// Replays re-run archived Slack events, button clicks and commands through the same handlers
+archiveHandler.registerProcessor('slack', (entry) => {
+  if (entry.event === 'block_actions') {
+    return reactionsHandler.handleBlockActions(entry.body);
+  }
+  if (entry.event === 'slash_command') {
+    return commandsHandler.handleDeployCommand(entry.body);
+  }
+  return handleSlackEvent(entry.body);
+});
+
+/**
+ * Refuse Slack requests without a valid signature
+ * Reactions, buttons and commands all approve, reject and withdraw deployments, so none may be forged
+ */
+function requireSlackSignature(req, res, next) {
+  if (!process.env.SLACK_SIGNING_SECRET) {
+    console.error('[Slack] SLACK_SIGNING_SECRET not set, rejecting request');
+    return res.status(500).json({ error: 'Signing secret not configured' });
+  }
+  if (!req.slackVerification || !req.slackVerification.valid) {
+    return res.status(401).json({ error: req.slackVerification?.reason || 'Missing signature' });
+  }
+  next();
+}
+
+/**
+ * Answer Slack's URL verification challenge (sent when the events Request URL is saved)
+ */
+function answerUrlVerification(req, res, next) {
+  if (req.body?.type !== 'url_verification') {
+    return next();
+  }
+  console.log('[Slack] Handling URL verification challenge');
+  res.status(200).send(req.body.challenge);
+}
 
 // Slack events endpoint
-app.post('/slack/events', async (req, res) => {
+app.post('/slack/events', answerUrlVerification, requireSlackSignature, (req, res) => {
   try {
-    const { type, event, challenge } = req.body;
-
-    // Handle Slack URL verification challenge
-    if (type === 'url_verification') {
-      console.log('[Slack] Handling URL verification challenge');
-      return res.status(200).send(challenge);
-    }
+    const { type, event } = req.body;
 
     // Always respond 200 to Slack immediately
     res.status(200).json({ ok: true });
 
-    // Handle events asynchronously
+    // Handle events in a retried job; the payload and its outcome are archived by event ID
     if (type === 'event_callback') {
-      if (event.type === 'reaction_added') {
-        console.log('[Slack] Processing reaction_added event');
-        await reactionsHandler.handleReactionAdded(event);
-      } else {
-        console.log(`[Slack] Ignoring event type: ${event.type}`);
+      const deliveryId = `slack:${req.body.event_id}`;
+      archiveHandler.archivePayload(deliveryId, { source: 'slack', event: event.type, headers: req.headers, body: req.body });
+
+      // Slack retries events it thinks were not received; the first delivery already handled them
+      if (deliveriesHandler.hasSeenDelivery(deliveryId)) {
+        console.warn(`[Slack] Duplicate event ${req.body.event_id}, ignoring`);
+        return;
       }
+      const { task } = handleSlackEvent(req.body);
+      deliveriesHandler.recordDelivery(deliveryId);
+      archiveHandler.queueDelivery(deliveryId, task);
     }
   } catch (error) {
     console.error(`[Slack] Error handling event: ${error.message}`);
@@ -74,6 +157,60 @@ app.post('/slack/events', async (req, res) => {
   }
 });
 
+// Slack interactivity endpoint (Approve / Reject buttons on deployment announcements)
+app.post('/slack/interactions', requireSlackSignature, (req, res) => {
+  try {
+    const payload = JSON.parse(req.body.payload || 'null');
+    if (!payload) {
+      return res.status(400).json({ error: 'Missing payload' });
+    }
+
+    // Slack shows an error if the click isn't acknowledged within 3 seconds
+    res.status(200).send();
+
+    // Clicks are handled in a retried job, archived by trigger ID like events
+    const deliveryId = reactionsHandler.getInteractionDeliveryId(payload);
+    archiveHandler.archivePayload(deliveryId, { source: 'slack', event: payload.type, headers: req.headers, body: payload });
+
+    // A retried click was already handled by the first request
+    if (deliveriesHandler.hasSeenDelivery(deliveryId)) {
+      console.warn(`[Slack] Duplicate interaction ${deliveryId}, ignoring`);
+      return;
+    }
+    const { task } = reactionsHandler.handleBlockActions(payload);
+    deliveriesHandler.recordDelivery(deliveryId);
+    archiveHandler.queueDelivery(deliveryId, task);
+  } catch (error) {
+    console.error(`[Slack] Error handling interaction: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+});
+
+// /deploy slash command
+app.post('/slack/commands', requireSlackSignature, (req, res) => {
+  try {
+    const command = req.body;
+    const { result, task } = commandsHandler.handleDeployCommand(command);
+
+    // The reply is shown to the user right away; decisions run in a retried job
+    res.status(200).json(result);
+
+    // Only commands that change a deployment are archived
+    if (task) {
+      const deliveryId = `slack:${command.trigger_id}`;
+      archiveHandler.archivePayload(deliveryId, { source: 'slack', event: 'slash_command', headers: req.headers, body: command });
+      archiveHandler.queueDelivery(deliveryId, task);
+    }
+  } catch (error) {
+    console.error(`[Slack] Error handling command: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -83,4 +220,12 @@ app.get('/health', (req, res) => {
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Orchestrator webhook server listening on port ${PORT}`);
+  // Deployments, deliveries and jobs only survive restarts if DATA_DIR is persistent
+  fileStore.checkDataDir();
+  // Pick up jobs left queued or interrupted by the last restart
+  jobsHandler.start();
+  // Remind, escalate and expire deployments waiting too long for approval
+  remindersHandler.start();
+  // Daily and weekly digests to the environment channels
+  digestHandler.start();
 });
@@ -0,0 +1,167 @@
+/**
+ * Bitbucket Webhook Tests
+ * Tests for normalizing Bitbucket push and pull request events
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizePush, normalizePullRequest, handleEvent } = require('../bitbucket');
+const deploymentStore = require('../../handlers/deploymentStore');
+const githubHandler = require('../../handlers/github');
+
+const repository = {
+  full_name: 'platform/orchestrator',
+  links: { html: { href: 'https://bitbucket.org/platform/orchestrator' } }
+};
+const actor = { nickname: 'ada', display_name: 'Ada Lovelace' };
+
+function commit(hash, message) {
+  return {
+    hash,
+    message,
+    author: { raw: 'Ada Lovelace <ada@example.com>' },
+    links: { html: { href: `${repository.links.html.href}/commits/${hash}` } }
+  };
+}
+
+describe('Bitbucket Webhook', () => {
+  const originalEnv = process.env;
+  let dataDir;
+
+  // The deployment store resolves DATA_DIR on first use
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitbucket-'));
+    process.env = { ...originalEnv, DATA_DIR: dataDir };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('normalizePush', () => {
+    test('turns each change into a branch push with commits oldest first', () => {
+      const changes = normalizePush({
+        repository,
+        actor,
+        push: {
+          changes: [{
+            old: { type: 'branch', name: 'main', target: { hash: 'a'.repeat(40) } },
+            new: { type: 'branch', name: 'main', target: { hash: 'b'.repeat(40) } },
+            closed: false,
+            forced: true,
+            links: { html: { href: `${repository.links.html.href}/branches/compare/b..a` } },
+            commits: [commit('2222222bbb', 'Second'), commit('1111111aaa', 'First')]
+          }]
+        }
+      });
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0].type).toBe('branch');
+      expect(changes[0].push).toMatchObject({
+        forge: 'bitbucket',
+        repository: 'platform/orchestrator',
+        branch: 'main',
+        before: 'a'.repeat(40),
+        after: 'b'.repeat(40),
+        forced: true,
+        deleted: false,
+        pusher: 'ada'
+      });
+      expect(changes[0].push.commits.map(c => c.id)).toEqual(['1111111aaa', '2222222bbb']);
+      expect(changes[0].push.commits[0].author).toBe('Ada Lovelace');
+    });
+
+    test('reports deleted branches and tag pushes', () => {
+      const changes = normalizePush({
+        repository,
+        actor,
+        push: {
+          changes: [
+            { old: { type: 'branch', name: 'develop', target: { hash: 'a'.repeat(40) } }, new: null, closed: true },
+            { old: null, new: { type: 'tag', name: 'v1.4.0', target: commit('3333333ccc', 'Release') }, closed: false }
+          ]
+        }
+      });
+
+      expect(changes[0].push).toMatchObject({ branch: 'develop', deleted: true, after: null });
+      expect(changes[1]).toMatchObject({ type: 'tag', push: { tag: 'v1.4.0', deleted: false } });
+      expect(changes[1].push.headCommit.id).toBe('3333333ccc');
+    });
+  });
+
+  describe('normalizePullRequest', () => {
+    const payload = {
+      repository,
+      actor,
+      pullrequest: {
+        id: 12,
+        title: 'Add widgets',
+        links: { html: { href: `${repository.links.html.href}/pull-requests/12` } },
+        source: { branch: { name: 'feature/widgets' }, commit: { hash: 'd'.repeat(12) } },
+        author: { nickname: 'grace' }
+      }
+    };
+
+    test.each([
+      ['pullrequest:created', 'opened', false],
+      ['pullrequest:updated', 'synchronize', false],
+      ['pullrequest:fulfilled', 'closed', true],
+      ['pullrequest:rejected', 'closed', false]
+    ])('maps %s to %s', (eventKey, action, merged) => {
+      expect(normalizePullRequest(eventKey, payload)).toMatchObject({
+        forge: 'bitbucket',
+        action,
+        merged,
+        number: 12,
+        headRef: 'feature/widgets',
+        headUrl: `${repository.links.html.href}/commits/${'d'.repeat(12)}`,
+        author: 'grace',
+        sender: 'ada'
+      });
+    });
+  });
+
+  describe('handleEvent', () => {
+    const pullrequest = {
+      id: 7,
+      title: 'Add gadgets',
+      links: { html: { href: `${repository.links.html.href}/pull-requests/7` } },
+      source: { branch: { name: 'feature/gadgets' }, commit: { hash: 'e'.repeat(12) } },
+      author: { nickname: 'grace' }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('ignores pullrequest:updated when the source commit has not moved', () => {
+      deploymentStore.createDeployment({
+        deployment_id: githubHandler.getPreviewDeploymentId(7, repository.full_name),
+        environment: 'preview',
+        commit_sha: 'eeeeeee'
+      });
+
+      expect(handleEvent('pullrequest:updated', { repository, actor, pullrequest }, 'bitbucket:1')).toEqual({
+        result: { status: 'ignored', reason: 'Pull request updated without new commits' }
+      });
+
+      const pushed = { ...pullrequest, source: { ...pullrequest.source, commit: { hash: 'f'.repeat(12) } } };
+      const handled = handleEvent('pullrequest:updated', { repository, actor, pullrequest: pushed }, 'bitbucket:2');
+      expect(handled.result).toMatchObject({ status: 'received', action: 'synchronize', pr_number: 7 });
+      expect(handled.task).toEqual(expect.any(Function));
+    });
+
+    test('treats pullrequest:updated for an unrecorded preview as new commits', () => {
+      const unrecorded = { ...pullrequest, id: 8 };
+
+      expect(handleEvent('pullrequest:updated', { repository, actor, pullrequest: unrecorded }, 'bitbucket:3').result)
+        .toMatchObject({ status: 'received', action: 'synchronize', pr_number: 8 });
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * GitHub Webhook Tests
+ * Tests for webhook signature verification against the raw body, and the pull request preview
+ * and release flows from event to deployment
+ */
+
+const mockSlack = {
+  chat: {
+    postMessage: jest.fn(),
+    update: jest.fn()
+  }
+};
+
+// Failed jobs wait for a retry instead of running again during later tests
+process.env.JOB_BACKOFF_MS = '3600000';
+
+jest.mock('@slack/web-api', () => ({
+  WebClient: jest.fn(() => mockSlack)
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifyGitHubSignature, handleEvent } = require('../github');
+const githubHandler = require('../../handlers/github');
+const deploymentStore = require('../../handlers/deploymentStore');
+const jobsHandler = require('../../handlers/jobs');
+
+const SECRET = 'test-secret';
+
+function sign(body) {
+  return `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+}
+
+function buildRequest(rawBody, signature) {
+  return {
+    headers: signature === undefined ? {} : { 'x-hub-signature-256': signature },
+    rawBody: rawBody === undefined ? undefined : Buffer.from(rawBody)
+  };
+}
+
+describe('GitHub Webhook', () => {
+  describe('verifyGitHubSignature', () => {
+    test('accepts signature computed over the raw body', () => {
+      const rawBody = '{"ref":"refs/heads/main"}';
+      const result = verifyGitHubSignature(buildRequest(rawBody, sign(rawBody)), SECRET);
+      expect(result.valid).toBe(true);
+    });
+
+    test('accepts payloads whose bytes differ from JSON.stringify output', () => {
+      // Unicode escapes and spacing are signed as sent, not as re-serialized
+      const rawBody = '{ "message" : "caf\\u00e9 \\ud83d\\ude80" }';
+      expect(JSON.stringify(JSON.parse(rawBody))).not.toBe(rawBody);
+
+      const result = verifyGitHubSignature(buildRequest(rawBody, sign(rawBody)), SECRET);
+      expect(result.valid).toBe(true);
+    });
+
+    test('rejects a tampered body', () => {
+      const result = verifyGitHubSignature(
+        buildRequest('{"ref":"refs/heads/evil"}', sign('{"ref":"refs/heads/main"}')),
+        SECRET
+      );
+      expect(result).toEqual({ valid: false, reason: 'Invalid signature' });
+    });
+
+    test('rejects missing signature', () => {
+      const result = verifyGitHubSignature(buildRequest('{}'), SECRET);
+      expect(result).toEqual({ valid: false, reason: 'Missing signature' });
+    });
+
+    test('rejects malformed signature without throwing on length mismatch', () => {
+      const request = buildRequest('{}', 'sha256=abc');
+      expect(() => verifyGitHubSignature(request, SECRET)).not.toThrow();
+      expect(verifyGitHubSignature(request, SECRET)).toEqual({ valid: false, reason: 'Malformed signature' });
+    });
+
+    test('rejects sha1 signatures', () => {
+      const sha1 = `sha1=${crypto.createHmac('sha1', SECRET).update('{}').digest('hex')}`;
+      const result = verifyGitHubSignature(buildRequest('{}', sha1), SECRET);
+      expect(result.valid).toBe(false);
+    });
+
+    test('rejects request without captured raw body', () => {
+      const result = verifyGitHubSignature(buildRequest(undefined, sign('{}')), SECRET);
+      expect(result).toEqual({ valid: false, reason: 'Missing request body' });
+    });
+  });
+
+  describe('event flows', () => {
+    const originalEnv = process.env;
+    const repository = { full_name: 'acme/api' };
+    const sender = { login: 'grace' };
+    let dataDir;
+    let deliveries = 0;
+
+    // The stores resolve DATA_DIR on first use
+    beforeAll(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-webhook-'));
+      process.env = {
+        ...originalEnv,
+        DATA_DIR: dataDir,
+        GITHUB_TOKEN: 'test-token',
+        GITHUB_REPO: 'acme/deploy',
+        SLACK_PREVIEW_CHANNEL_ID: 'CPREVIEW',
+        SLACK_RELEASES_CHANNEL_ID: 'CRELEASES',
+        SLACK_PROD_CHANNEL_ID: 'CPROD'
+      };
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'warn').mockImplementation();
+      jest.spyOn(console, 'error').mockImplementation();
+      mockSlack.chat.postMessage.mockResolvedValue({ ts: '1769563800.000200' });
+      mockSlack.chat.update.mockResolvedValue({ ok: true });
+    });
+
+    afterEach(async () => {
+      await jobsHandler.work();
+      jest.restoreAllMocks();
+    });
+
+    // Handle an event and run its work, as the delivery job would
+    async function deliver(event, payload) {
+      deliveries += 1;
+      const handled = handleEvent(event, payload, `github-delivery-${deliveries}`);
+      if (handled.task) {
+        await handled.task();
+      }
+      await jobsHandler.work();
+      return handled.result;
+    }
+
+    function postedMessages() {
+      return mockSlack.chat.postMessage.mock.calls.map(([message]) => message);
+    }
+
+    describe('pull request previews', () => {
+      function pullRequestEvent(action, sha, fields = {}) {
+        return {
+          action,
+          repository,
+          sender,
+          pull_request: {
+            number: 12,
+            title: 'Add widgets',
+            html_url: 'https://github.com/acme/api/pull/12',
+            head: { ref: 'feature/widgets', sha },
+            user: { login: 'ada' },
+            merged: false,
+            ...fields
+          }
+        };
+      }
+
+      const deploymentId = githubHandler.getPreviewDeploymentId(12, 'acme/api');
+
+      test('opening a PR creates a preview deployment in the preview channel', async () => {
+        const result = await deliver('pull_request', pullRequestEvent('opened', 'a'.repeat(40)));
+
+        expect(result).toEqual({ status: 'received', deployment_id: deploymentId, pr_number: 12, action: 'opened' });
+        expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({
+          environment: 'preview',
+          stage: 'Awaiting Approval',
+          pr_number: 12,
+          branch: 'feature/widgets',
+          commit_sha: 'aaaaaaa',
+          slack_channel: 'CPREVIEW'
+        });
+        expect(postedMessages()[0]).toMatchObject({
+          channel: 'CPREVIEW',
+          text: expect.stringMatching(new RegExp(`^PREVIEW deployment pending \\(PR #12\\) - ${deploymentId}\n`))
+        });
+      });
+
+      test('new commits reset the preview approval and are noted in its thread', async () => {
+        deploymentStore.recordApproval(deploymentId, 'Grace Hopper');
+
+        await deliver('pull_request', pullRequestEvent('synchronize', 'b'.repeat(40)));
+
+        expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({
+          stage: 'Awaiting Approval',
+          approval_status: 'Pending',
+          approvals: [],
+          commit_sha: 'bbbbbbb'
+        });
+        expect(postedMessages()).toContainEqual(expect.objectContaining({
+          channel: 'CPREVIEW',
+          thread_ts: '1769563800.000200',
+          text: expect.stringMatching(/^🔄 New commits pushed to PR #12: <.+\|bbbbbbb>/)
+        }));
+      });
+
+      test('ignores pull request actions that change no code', async () => {
+        expect(await deliver('pull_request', pullRequestEvent('labeled', 'b'.repeat(40)))).toEqual({
+          status: 'ignored',
+          reason: 'Pull request action labeled not tracked'
+        });
+      });
+
+      test('closing the PR tears the preview down', async () => {
+        const dispatchSpy = jest.spyOn(githubHandler, 'queueRepositoryEvent').mockReturnValue(null);
+
+        await deliver('pull_request', pullRequestEvent('closed', 'b'.repeat(40), { merged: true }));
+
+        expect(deploymentStore.getDeployment(deploymentId).stage).toBe('Torn Down');
+        expect(dispatchSpy).toHaveBeenCalledWith('acme/deploy', 'preview-teardown', {
+          deployment_id: deploymentId,
+          pr_number: 12,
+          repository: 'acme/api',
+          preview_app: 'orch-pr-12-api'
+        });
+        expect(postedMessages()).toContainEqual(expect.objectContaining({
+          thread_ts: '1769563800.000200',
+          text: '🧹 PR #12 merged - preview environment torn down'
+        }));
+      });
+    });
+
+    describe('releases', () => {
+      function releaseEvent(tag, fields = {}) {
+        return {
+          action: 'published',
+          repository,
+          sender,
+          release: {
+            tag_name: tag,
+            name: `API ${tag}`,
+            body: '- Faster widgets',
+            html_url: `https://github.com/acme/api/releases/tag/${tag}`,
+            prerelease: false,
+            author: { login: 'ada' },
+            ...fields
+          }
+        };
+      }
+
+      test('a published release starts a release deployment in the releases channel', async () => {
+        const deploymentId = githubHandler.getReleaseDeploymentId('v1.4.0', 'acme/api');
+
+        const result = await deliver('release', releaseEvent('v1.4.0'));
+
+        expect(result).toEqual({ status: 'received', deployment_id: deploymentId, tag: 'v1.4.0' });
+        expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({
+          environment: 'release',
+          release_tag: 'v1.4.0',
+          release_channel: 'stable',
+          release_notes: '- Faster widgets',
+          stage: 'Awaiting Approval',
+          slack_channel: 'CRELEASES'
+        });
+        expect(postedMessages()[0]).toMatchObject({
+          channel: 'CRELEASES',
+          text: expect.stringMatching(new RegExp(`^PROD release pending \\(stable\\) - ${deploymentId}\n`))
+        });
+      });
+
+      test('a release published after its tag push attaches its notes to the same deployment', async () => {
+        const deploymentId = githubHandler.getReleaseDeploymentId('v1.5.0-rc.1', 'acme/api');
+        await deliver('push', {
+          ref: 'refs/tags/v1.5.0-rc.1',
+          repository,
+          pusher: { name: 'ada' },
+          head_commit: {
+            id: 'c'.repeat(40),
+            message: 'Release candidate',
+            author: { name: 'Ada Lovelace', username: 'ada' },
+            url: `https://github.com/acme/api/commit/${'c'.repeat(40)}`
+          }
+        });
+        expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ environment: 'release', release_channel: 'rc', release_notes: null });
+
+        await deliver('release', releaseEvent('v1.5.0-rc.1', { prerelease: true }));
+
+        expect(deploymentStore.getDeployment(deploymentId)).toMatchObject({ commit_sha: 'ccccccc', release_notes: '- Faster widgets' });
+        expect(postedMessages().filter(message => !message.thread_ts)).toHaveLength(1);
+        expect(postedMessages()).toContainEqual(expect.objectContaining({
+          thread_ts: '1769563800.000200',
+          text: expect.stringMatching(/^📝 Release <.+\|v1\.5\.0-rc\.1> published \(rc\)/)
+        }));
+      });
+
+      test('ignores tags that are not release versions', async () => {
+        expect(await deliver('push', { ref: 'refs/tags/nightly', repository, pusher: { name: 'ada' }, head_commit: null })).toEqual({
+          status: 'ignored',
+          reason: 'Tag nightly is not a release version'
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * GitLab Webhook Tests
+ * Tests for normalizing GitLab hooks into pipeline pushes and merge requests
+ */
+
+const { normalizePush, normalizeTagPush, normalizeMergeRequest } = require('../gitlab');
+
+const project = {
+  path_with_namespace: 'platform/orchestrator',
+  web_url: 'https://gitlab.com/platform/orchestrator'
+};
+
+function commit(id, message) {
+  return {
+    id,
+    message,
+    url: `${project.web_url}/-/commit/${id}`,
+    author: { name: 'Ada', email: 'ada@example.com' },
+    added: [],
+    modified: ['src/index.js'],
+    removed: []
+  };
+}
+
+describe('GitLab Webhook', () => {
+  describe('normalizePush', () => {
+    test('maps a branch push onto the pipeline push shape', () => {
+      const push = normalizePush({
+        object_kind: 'push',
+        ref: 'refs/heads/main',
+        before: 'a'.repeat(40),
+        after: 'b'.repeat(40),
+        user_username: 'ada',
+        project,
+        commits: [commit('1111111aaa', 'First'), commit('2222222bbb', 'Second\n\nbody')]
+      });
+
+      expect(push).toMatchObject({
+        forge: 'gitlab',
+        repository: 'platform/orchestrator',
+        branch: 'main',
+        compareUrl: `${project.web_url}/-/compare/${'a'.repeat(40)}...${'b'.repeat(40)}`,
+        forced: false,
+        deleted: false,
+        pusher: 'ada'
+      });
+      expect(push.commits.map(c => c.id)).toEqual(['1111111aaa', '2222222bbb']);
+      expect(push.commits[0]).toMatchObject({ author: 'Ada', modified: ['src/index.js'] });
+    });
+
+    test('treats a null "after" SHA as a deleted branch', () => {
+      const push = normalizePush({
+        ref: 'refs/heads/develop',
+        before: 'a'.repeat(40),
+        after: '0'.repeat(40),
+        user_name: 'Ada Lovelace',
+        project,
+        commits: []
+      });
+
+      expect(push.deleted).toBe(true);
+      expect(push.pusher).toBe('Ada Lovelace');
+    });
+  });
+
+  describe('normalizeTagPush', () => {
+    test('uses the last commit as the tagged commit', () => {
+      const tagPush = normalizeTagPush({
+        ref: 'refs/tags/v1.4.0',
+        after: 'c'.repeat(40),
+        user_username: 'ada',
+        project,
+        commits: [commit('1111111aaa', 'First'), commit('3333333ccc', 'Release')]
+      });
+
+      expect(tagPush).toMatchObject({ forge: 'gitlab', tag: 'v1.4.0', deleted: false, pusher: 'ada' });
+      expect(tagPush.headCommit.id).toBe('3333333ccc');
+    });
+  });
+
+  describe('normalizeMergeRequest', () => {
+    function hook(attributes) {
+      return {
+        object_kind: 'merge_request',
+        user: { username: 'grace' },
+        project,
+        object_attributes: {
+          iid: 7,
+          title: 'Add widgets',
+          url: `${project.web_url}/-/merge_requests/7`,
+          source_branch: 'feature/widgets',
+          last_commit: { id: 'd'.repeat(40), url: `${project.web_url}/-/commit/${'d'.repeat(40)}`, author: { name: 'Ada' } },
+          ...attributes
+        }
+      };
+    }
+
+    test.each([
+      ['open', {}, 'opened', false],
+      ['reopen', {}, 'reopened', false],
+      ['update', { oldrev: 'e'.repeat(40) }, 'synchronize', false],
+      ['close', {}, 'closed', false],
+      ['merge', {}, 'closed', true]
+    ])('maps %s to %s', (gitlabAction, extra, action, merged) => {
+      const mergeRequest = normalizeMergeRequest(hook({ action: gitlabAction, ...extra }));
+      expect(mergeRequest).toMatchObject({ action, merged, number: 7, headRef: 'feature/widgets', sender: 'grace' });
+    });
+
+    test('ignores updates without new commits and approvals', () => {
+      expect(normalizeMergeRequest(hook({ action: 'update' }))).toBeNull();
+      expect(normalizeMergeRequest(hook({ action: 'approved' }))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Bitbucket Webhook Handler
+ * Receives repo:push and pull request events, normalizes them and hands them to the
+ * deployment pipeline so Bitbucket repositories get the same Slack, Notion and approval flow as GitHub
+ */
+
+const express = require('express');
+const router = express.Router();
+const deliveriesHandler = require('../handlers/deliveries');
+const pipelineHandler = require('../handlers/pipeline');
+const signaturesHandler = require('../handlers/signatures');
+const archiveHandler = require('../handlers/archive');
+const deploymentStore = require('../handlers/deploymentStore');
+const githubHandler = require('../handlers/github');
+
+/**
+ * Name of a Bitbucket commit author (linked account if any, else the raw "Name <email>")
+ * @param {object} author - Commit author
+ * @returns {string} Author name
+ */
+function getAuthorName(author) {
+  if (!author) {
+    return 'unknown';
+  }
+  return author.user ? author.user.display_name : author.raw.replace(/\s*<[^>]*>$/, '');
+}
+
+/**
+ * Normalize a Bitbucket commit for the pipeline
+ * Bitbucket push payloads carry no file lists, so every commit counts for every service
+ * @param {object} commit - Commit from the push change
+ * @returns {object} {id, message, author, url}
+ */
+function normalizeCommit(commit) {
+  return {
+    id: commit.hash,
+    message: commit.message,
+    author: getAuthorName(commit.author),
+    url: commit.links?.html?.href
+  };
+}
+
+/**
+ * Normalize a repo:push payload
+ * One push can update several refs; each change becomes its own branch or tag push
+ * @param {object} payload - Bitbucket repo:push payload
+ * @returns {Array<object>} [{type: 'branch'|'tag', push}] for the pipeline
+ */
+function normalizePush(payload) {
+  const { repository, actor, push } = payload;
+  const pusher = actor.nickname || actor.display_name;
+
+  return push.changes.map(change => {
+    // "new" is null when the ref was deleted, "old" is null when it was created
+    const ref = change.new || change.old;
+
+    if (ref.type === 'tag') {
+      return {
+        type: 'tag',
+        push: {
+          forge: 'bitbucket',
+          repository: repository.full_name,
+          tag: ref.name,
+          deleted: Boolean(change.closed),
+          headCommit: change.new ? normalizeCommit(change.new.target) : null,
+          pusher: pusher
+        }
+      };
+    }
+
+    return {
+      type: 'branch',
+      push: {
+        forge: 'bitbucket',
+        repository: repository.full_name,
+        branch: ref.name,
+        before: change.old ? change.old.target.hash : null,
+        after: change.new ? change.new.target.hash : null,
+        compareUrl: change.links?.html?.href || null,
+        forced: Boolean(change.forced),
+        deleted: Boolean(change.closed),
+        pusher: pusher,
+        // Bitbucket lists newest first; the pipeline expects oldest first
+        commits: (change.commits || []).map(normalizeCommit).reverse()
+      }
+    };
+  });
+}
+
+// Bitbucket event key -> pipeline pull request action
+// pullrequest:updated also fires for title, description and reviewer edits; see hasNewCommits
+const PULL_REQUEST_ACTIONS = {
+  'pullrequest:created': 'opened',
+  'pullrequest:updated': 'synchronize',
+  'pullrequest:fulfilled': 'closed',
+  'pullrequest:rejected': 'closed'
+};
+
+/**
+ * Normalize a pull request payload
+ * @param {string} eventKey - X-Event-Key (pullrequest:created, ...)
+ * @param {object} payload - Bitbucket pull request payload
+ * @returns {object} Normalized pull request for pipelineHandler.handlePullRequest
+ */
+function normalizePullRequest(eventKey, payload) {
+  const { repository, pullrequest, actor } = payload;
+  const head = pullrequest.source.commit;
+
+  return {
+    forge: 'bitbucket',
+    action: PULL_REQUEST_ACTIONS[eventKey],
+    merged: eventKey === 'pullrequest:fulfilled',
+    repository: repository.full_name,
+    number: pullrequest.id,
+    title: pullrequest.title,
+    url: pullrequest.links.html.href,
+    headRef: pullrequest.source.branch.name,
+    headSha: head.hash,
+    headUrl: `${repository.links.html.href}/commits/${head.hash}`,
+    author: pullrequest.author.nickname || pullrequest.author.display_name,
+    sender: actor.nickname || actor.display_name
+  };
+}
+
+/**
+ * Whether an updated pull request moved its source branch past the preview's commit
+ * A preview that was never recorded counts as new, so the update creates it
+ * @param {object} pullRequest - Normalized pull request
+ * @returns {boolean} True if the source commit differs from the preview's
+ */
+function hasNewCommits(pullRequest) {
+  const record = deploymentStore.getDeployment(githubHandler.getPreviewDeploymentId(pullRequest.number, pullRequest.repository));
+  return !record || record.commit_sha !== pullRequest.headSha.substring(0, 7);
+}
+
+/**
+ * Handle repo:push event
+ * @param {object} payload - Bitbucket webhook payload
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handlePushEvent(payload, deliveryId) {
+  const handled = normalizePush(payload).map(({ type, push }) => (
+    type === 'tag'
+      ? pipelineHandler.handleTagPush(push, deliveryId)
+      : pipelineHandler.handlePush(push, deliveryId)
+  ));
+
+  if (handled.length === 1) {
+    return handled[0];
+  }
+
+  const tasks = handled.filter(({ task }) => task).map(({ task }) => task);
+  return {
+    result: { status: 'received', changes: handled.map(({ result }) => result) },
+    task: tasks.length > 0 ? () => Promise.all(tasks.map(task => task())) : null
+  };
+}
+
+/**
+ * Route a Bitbucket event to its handler
+ * @param {string} event - X-Event-Key
+ * @param {object} payload - Bitbucket webhook payload
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {object|null} {result, task}, or null if the event is not handled
+ */
+function handleEvent(event, payload, deliveryId) {
+  if (event === 'repo:push') {
+    return handlePushEvent(payload, deliveryId);
+  }
+  if (PULL_REQUEST_ACTIONS[event]) {
+    const pullRequest = normalizePullRequest(event, payload);
+    if (pullRequest.action === 'synchronize' && !hasNewCommits(pullRequest)) {
+      console.log(`[Bitbucket] PR #${pullRequest.number} updated without new commits, ignoring`);
+      return { result: { status: 'ignored', reason: 'Pull request updated without new commits' } };
+    }
+    return pipelineHandler.handlePullRequest(pullRequest, deliveryId);
+  }
+  return null;
+}
+
+// Replays re-run archived deliveries through the same handlers
+archiveHandler.registerProcessor('bitbucket', (entry) => (
+  handleEvent(entry.event, entry.body, entry.deliveryId) ||
+    { result: { status: 'ignored', reason: `Event ${entry.event} not handled` } }
+));
+
+router.post('/bitbucket', async (req, res) => {
+  try {
+    const secret = process.env.BITBUCKET_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('[Bitbucket Webhook] BITBUCKET_WEBHOOK_SECRET not set, rejecting webhook');
+      return res.status(500).json({ error: 'Webhook secret not configured' });
+    }
+
+    // Bitbucket signs the raw body the same way GitHub does, in X-Hub-Signature
+    const verification = signaturesHandler.verifyHmacSignature(req.rawBody, req.headers['x-hub-signature'], secret);
+    if (!verification.valid) {
+      console.error(`[Bitbucket Webhook] ${verification.reason}`);
+      return res.status(401).json({ error: verification.reason });
+    }
+
+    const event = req.headers['x-event-key'];
+    const requestUuid = req.headers['x-request-uuid'];
+
+    if (!requestUuid) {
+      console.error('[Bitbucket Webhook] Missing X-Request-UUID header');
+      return res.status(400).json({ error: 'Missing delivery ID' });
+    }
+
+    // Prefixed so Bitbucket and GitHub delivery IDs can never collide in the delivery log
+    const delivery_id = `bitbucket:${requestUuid}`;
+    archiveHandler.archivePayload(delivery_id, { source: 'bitbucket', event, headers: req.headers, body: req.body });
+
+    if (deliveriesHandler.hasSeenDelivery(delivery_id)) {
+      console.warn(`[Bitbucket Webhook] Duplicate delivery ${delivery_id}, ignoring`);
+      return res.status(200).json({ status: 'ignored', reason: 'Duplicate delivery' });
+    }
+
+    console.log(`[Bitbucket] Event: ${event}, Repo: ${req.body.repository?.full_name}`);
+
+    const handled = handleEvent(event, req.body, delivery_id);
+    if (!handled) {
+      console.log(`[Bitbucket] Ignoring event type: ${event}`);
+      archiveHandler.recordOutcome(delivery_id, 'ignored');
+      return res.status(200).json({ status: 'ignored', reason: `Event ${event} not handled` });
+    }
+
+    const { result, task } = handled;
+    deliveriesHandler.recordDelivery(delivery_id);
+
+    // Return 200 immediately to Bitbucket
+    res.status(200).json(result);
+
+    archiveHandler.queueDelivery(delivery_id, task);
+
+  } catch (error) {
+    console.error(`[Bitbucket] Error processing webhook: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
+module.exports.normalizePush = normalizePush;
+module.exports.normalizePullRequest = normalizePullRequest;
+module.exports.handleEvent = handleEvent;
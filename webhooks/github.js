@@ -1,132 +1,356 @@
 /**
  * GitHub Webhook Handler
- * Receives push events and initiates deployment process
+ * Receives push, pull_request and release events and initiates deployment process;
+ * workflow_run and deployment_status events report the deploy outcome
  */
 
-const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const slackHandler = require('../handlers/slack');
-const notionHandler = require('../handlers/notion');
+const githubHandler = require('../handlers/github');
+const outcomesHandler = require('../handlers/outcomes');
+const deliveriesHandler = require('../handlers/deliveries');
+const pipelineHandler = require('../handlers/pipeline');
+const signaturesHandler = require('../handlers/signatures');
+const archiveHandler = require('../handlers/archive');
 
-// Verify GitHub webhook signature
+/**
+ * Verify GitHub webhook signature against the raw request body
+ * @param {object} req - Express request (rawBody captured by the JSON parser)
+ * @param {string} secret - GITHUB_WEBHOOK_SECRET
+ * @returns {object} {valid, reason}
+ */
 function verifyGitHubSignature(req, secret) {
-  const signature = req.headers['x-hub-signature-256'];
-  if (!signature) {
-    return false;
+  return signaturesHandler.verifyHmacSignature(req.rawBody, req.headers['x-hub-signature-256'], secret);
+}
+
+/**
+ * Handle push event
+ * Branch pushes and tag pushes are normalized and handed to the deployment pipeline
+ * @param {object} payload - GitHub webhook payload
+ * @param {string} deliveryId - GitHub delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handlePushEvent(payload, deliveryId) {
+  const { repository, ref, pusher, commits = [], head_commit, deleted, forced } = payload;
+
+  // Tag pushes are release deployments, not branch deployments
+  if (ref.startsWith('refs/tags/')) {
+    return pipelineHandler.handleTagPush({
+      forge: 'github',
+      repository: repository.full_name,
+      tag: ref.replace('refs/tags/', ''),
+      deleted: Boolean(deleted),
+      headCommit: head_commit ? normalizeCommit(head_commit) : null,
+      pusher: pusher.name
+    }, deliveryId);
+  }
+
+  return pipelineHandler.handlePush({
+    forge: 'github',
+    repository: repository.full_name,
+    // Extract branch name from ref (refs/heads/main -> main)
+    branch: ref.replace('refs/heads/', ''),
+    before: payload.before,
+    after: payload.after,
+    compareUrl: payload.compare,
+    forced: Boolean(forced),
+    deleted: Boolean(deleted),
+    pusher: pusher.name,
+    commits: commits.map(normalizeCommit)
+  }, deliveryId);
+}
+
+/**
+ * Normalize a GitHub push commit for the pipeline
+ * @param {object} commit - Commit from the push payload
+ * @returns {object} {id, message, author, authorLogin, authorEmail, url, added, modified, removed}
+ */
+function normalizeCommit(commit) {
+  return {
+    id: commit.id,
+    message: commit.message,
+    author: commit.author.name,
+    // Who wrote it, for the identity directory; username is missing for emails not linked to an account
+    authorLogin: commit.author.username,
+    authorEmail: commit.author.email,
+    url: commit.url,
+    added: commit.added,
+    modified: commit.modified,
+    removed: commit.removed
+  };
+}
+
+/**
+ * Handle release event
+ * A published release attaches its notes to the tag's release deployment,
+ * creating the deployment if the tag push was never seen
+ * @param {object} payload - GitHub webhook payload
+ * @param {string} deliveryId - GitHub delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleReleaseEvent(payload, deliveryId) {
+  const { action, repository, release, sender } = payload;
+
+  if (action !== 'published') {
+    console.log(`[GitHub] Ignoring release action: ${action}`);
+    return { result: { status: 'ignored', reason: `Release action ${action} not tracked` } };
+  }
+
+  const tag = release.tag_name;
+  const deployment_data = {
+    forge: 'github',
+    repository: repository.full_name,
+    branch: tag,
+    environment: 'release',
+    release_tag: tag,
+    release_channel: githubHandler.getReleaseChannel(tag, release.prerelease),
+    release_notes: release.body || '',
+    release_url: release.html_url,
+    commit_sha: tag,
+    commit_message: release.name || `Release ${tag}`,
+    commit_author: release.author ? release.author.login : sender.login,
+    commit_author_login: release.author ? release.author.login : sender.login,
+    pusher: sender.login,
+    deployment_id: githubHandler.getReleaseDeploymentId(tag, repository.full_name),
+    triggered_at: new Date().toISOString(),
+    delivery_id: deliveryId
+  };
+
+  console.log(`[GitHub] Release published: ${tag} (${deployment_data.release_channel})`);
+
+  return {
+    result: {
+      status: 'received',
+      deployment_id: deployment_data.deployment_id,
+      tag: tag
+    },
+    task: () => pipelineHandler.attachReleaseNotes(deployment_data)
+  };
+}
+
+/**
+ * Handle pull_request event
+ * opened/reopened create a preview deployment, synchronize updates it, closed tears it down
+ * @param {object} payload - GitHub webhook payload
+ * @param {string} deliveryId - GitHub delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handlePullRequestEvent(payload, deliveryId) {
+  const { action, repository, pull_request, sender } = payload;
+  const trackedActions = ['opened', 'reopened', 'synchronize', 'closed'];
+
+  if (!trackedActions.includes(action)) {
+    console.log(`[GitHub] Ignoring pull_request action: ${action}`);
+    return { result: { status: 'ignored', reason: `Pull request action ${action} not tracked` } };
   }
 
-  const payload = JSON.stringify(req.body);
-  const hash = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-
-  const expectedSignature = `sha256=${hash}`;
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
-  );
+  return pipelineHandler.handlePullRequest({
+    forge: 'github',
+    action: action,
+    merged: Boolean(pull_request.merged),
+    repository: repository.full_name,
+    number: pull_request.number,
+    title: pull_request.title,
+    url: pull_request.html_url,
+    headRef: pull_request.head.ref,
+    headSha: pull_request.head.sha,
+    headUrl: `https://github.com/${repository.full_name}/commit/${pull_request.head.sha}`,
+    author: pull_request.user.login,
+    authorLogin: pull_request.user.login,
+    sender: sender.login
+  }, deliveryId);
 }
 
+/**
+ * Handle check_suite event
+ * Completed suites feed the CI gate of the suite's head commit
+ * @param {object} payload - GitHub webhook payload
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleCheckSuiteEvent(payload) {
+  const { action, check_suite, repository } = payload;
+
+  if (action !== 'completed') {
+    return { result: { status: 'ignored', reason: `Check suite action ${action} not tracked` } };
+  }
+
+  const check = {
+    name: check_suite.app ? check_suite.app.slug : `check-suite-${check_suite.id}`,
+    conclusion: check_suite.conclusion,
+    url: `${repository.html_url}/commit/${check_suite.head_sha}/checks`
+  };
+
+  return {
+    result: { status: 'received', sha: check_suite.head_sha, check: check.name, conclusion: check.conclusion },
+    task: () => pipelineHandler.applyCiCheck(repository.full_name, check_suite.head_sha, check)
+  };
+}
+
+/**
+ * Handle status event
+ * Commit statuses (external CI) feed the CI gate of the commit, keyed by context
+ * @param {object} payload - GitHub webhook payload
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleStatusEvent(payload) {
+  const { sha, state, context, target_url, repository } = payload;
+
+  const check = { name: context, conclusion: state, url: target_url };
+
+  return {
+    result: { status: 'received', sha: sha, check: context, conclusion: state },
+    task: () => pipelineHandler.applyCiCheck(repository.full_name, sha, check)
+  };
+}
+
+/**
+ * Handle workflow_run event
+ * Completed runs of the deploy/preview workflows are matched to a deployment by run name
+ * ("Deploy <deployment-id>", set via run-name in the workflow)
+ * @param {object} payload - GitHub webhook payload
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleWorkflowRunEvent(payload) {
+  const { action, workflow_run } = payload;
+
+  if (action !== 'completed') {
+    return { result: { status: 'ignored', reason: `Workflow run action ${action} not tracked` } };
+  }
+
+  const match = (workflow_run.display_title || '').match(/^Deploy (\S+)$/);
+  if (!match) {
+    console.log(`[GitHub] Ignoring workflow run: ${workflow_run.display_title}`);
+    return { result: { status: 'ignored', reason: 'Workflow run is not a deployment' } };
+  }
+
+  const outcome = {
+    deploymentId: match[1],
+    success: workflow_run.conclusion === 'success',
+    conclusion: workflow_run.conclusion,
+    url: workflow_run.html_url,
+    durationMs: new Date(workflow_run.updated_at) - new Date(workflow_run.run_started_at || workflow_run.created_at),
+    source: 'workflow_run'
+  };
+
+  return {
+    result: { status: 'received', deployment_id: outcome.deploymentId, conclusion: outcome.conclusion },
+    task: () => outcomesHandler.reportDeploymentOutcome(outcome)
+  };
+}
+
+/**
+ * Handle deployment_status event
+ * Final states of GitHub Deployments created with payload.deployment_id are reported
+ * @param {object} payload - GitHub webhook payload
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleDeploymentStatusEvent(payload) {
+  const { deployment, deployment_status } = payload;
+  const finalStates = ['success', 'failure', 'error'];
+
+  if (!finalStates.includes(deployment_status.state)) {
+    return { result: { status: 'ignored', reason: `Deployment state ${deployment_status.state} not final` } };
+  }
+
+  const deploymentId = deployment.payload?.deployment_id;
+  if (!deploymentId) {
+    console.log(`[GitHub] Ignoring deployment ${deployment.id} without orchestrator deployment_id`);
+    return { result: { status: 'ignored', reason: 'Deployment not created by orchestrator' } };
+  }
+
+  const outcome = {
+    deploymentId,
+    success: deployment_status.state === 'success',
+    conclusion: deployment_status.state,
+    url: deployment_status.log_url || deployment_status.target_url,
+    durationMs: new Date(deployment_status.created_at) - new Date(deployment.created_at),
+    source: 'deployment_status'
+  };
+
+  return {
+    result: { status: 'received', deployment_id: deploymentId, conclusion: outcome.conclusion },
+    task: () => outcomesHandler.reportDeploymentOutcome(outcome)
+  };
+}
+
+// Event type -> handler; anything else is acknowledged and ignored
+const eventHandlers = {
+  push: handlePushEvent,
+  pull_request: handlePullRequestEvent,
+  release: handleReleaseEvent,
+  workflow_run: handleWorkflowRunEvent,
+  deployment_status: handleDeploymentStatusEvent,
+  check_suite: handleCheckSuiteEvent,
+  status: handleStatusEvent
+};
+
+/**
+ * Route a GitHub event to its handler
+ * @param {string} event - X-GitHub-Event
+ * @param {object} payload - GitHub webhook payload
+ * @param {string} deliveryId - GitHub delivery ID
+ * @returns {object|null} {result, task}, or null if the event is not handled
+ */
+function handleEvent(event, payload, deliveryId) {
+  const handler = eventHandlers[event];
+  return handler ? handler(payload, deliveryId) : null;
+}
+
+// Replays re-run archived deliveries through the same handlers
+archiveHandler.registerProcessor('github', (entry) => (
+  handleEvent(entry.event, entry.body, entry.deliveryId) ||
+    { result: { status: 'ignored', reason: `Event ${entry.event} not handled` } }
+));
+
 router.post('/github', async (req, res) => {
   try {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('[GitHub Webhook] GITHUB_WEBHOOK_SECRET not set, rejecting webhook');
+      return res.status(500).json({ error: 'Webhook secret not configured' });
+    }
+
     // Verify webhook signature
-    if (!verifyGitHubSignature(req, process.env.GITHUB_WEBHOOK_SECRET)) {
-      console.error('[GitHub Webhook] Invalid signature');
-      return res.status(401).json({ error: 'Invalid signature' });
+    const verification = verifyGitHubSignature(req, secret);
+    if (!verification.valid) {
+      console.error(`[GitHub Webhook] ${verification.reason}`);
+      return res.status(401).json({ error: verification.reason });
     }
 
     const event = req.headers['x-github-event'];
     const delivery_id = req.headers['x-github-delivery'];
-    const { repository, ref, pusher, commits } = req.body;
 
-    console.log(`[GitHub] Event: ${event}, Repo: ${repository.full_name}, Ref: ${ref}`);
-
-    // Only process push events
-    if (event !== 'push') {
-      console.log(`[GitHub] Ignoring event type: ${event}`);
-      return res.status(200).json({ status: 'ignored', reason: 'Not a push event' });
+    if (!delivery_id) {
+      console.error('[GitHub Webhook] Missing X-GitHub-Delivery header');
+      return res.status(400).json({ error: 'Missing delivery ID' });
     }
 
-    // Extract branch name from ref (refs/heads/main -> main)
-    const branch = ref.replace('refs/heads/', '');
+    archiveHandler.archivePayload(delivery_id, { source: 'github', event, headers: req.headers, body: req.body });
 
-    // Only process feature/*, develop, and main branches
-    const isDeploymentBranch =
-      branch.startsWith('feature/') ||
-      branch === 'develop' ||
-      branch === 'main';
-
-    if (!isDeploymentBranch) {
-      console.log(`[GitHub] Ignoring branch: ${branch}`);
-      return res.status(200).json({ status: 'ignored', reason: `Branch ${branch} not tracked` });
+    // Redelivered or replayed webhook - never start a second deployment
+    if (deliveriesHandler.hasSeenDelivery(delivery_id)) {
+      console.warn(`[GitHub Webhook] Duplicate delivery ${delivery_id}, ignoring`);
+      return res.status(200).json({ status: 'ignored', reason: 'Duplicate delivery' });
     }
+    const { repository, ref } = req.body;
 
-    console.log(`[GitHub] Processing deployment for branch: ${branch}`);
+    console.log(`[GitHub] Event: ${event}, Repo: ${repository?.full_name}, Ref: ${ref}`);
 
-    // Extract commit information
-    const latest_commit = commits[commits.length - 1];
-    const commit_sha = latest_commit.id;
-    const commit_message = latest_commit.message;
-    const commit_author = latest_commit.author.name;
+    const handled = handleEvent(event, req.body, delivery_id);
+    if (!handled) {
+      console.log(`[GitHub] Ignoring event type: ${event}`);
+      archiveHandler.recordOutcome(delivery_id, 'ignored');
+      return res.status(200).json({ status: 'ignored', reason: `Event ${event} not handled` });
+    }
 
-    // Prepare deployment data
-    const deployment_data = {
-      repository: repository.full_name,
-      branch: branch,
-      commit_sha: commit_sha.substring(0, 7), // Short SHA
-      commit_message: commit_message.split('\n')[0], // First line only
-      commit_author: commit_author,
-      pusher: pusher.name,
-      deployment_id: `deploy-${branch}-${Date.now()}`,
-      triggered_at: new Date().toISOString(),
-      delivery_id: delivery_id
-    };
-
-    console.log(`[GitHub] Deployment data:`, deployment_data);
+    const { result, task } = handled;
+    deliveriesHandler.recordDelivery(delivery_id);
 
     // Return 200 immediately to GitHub
-    res.status(200).json({
-      status: 'received',
-      deployment_id: deployment_data.deployment_id,
-      branch: branch
-    });
-
-    // Send Slack notification and create Notion record asynchronously
-    Promise.all([
-      slackHandler.sendDeploymentNotification(deployment_data),
-      notionHandler.createDeploymentRecord(deployment_data)
-    ]).then(([slackResult, notionResult]) => {
-      if (slackResult.success) {
-        console.log(`[GitHub] Slack notification sent, thread: ${slackResult.thread_ts}`);
-        deployment_data.slack_thread_id = slackResult.thread_ts;
-        deployment_data.slack_channel = slackResult.channel;
-      } else {
-        console.error(`[GitHub] Slack notification failed: ${slackResult.error}`);
-      }
-      if (notionResult) {
-        console.log(`[GitHub] Notion record created: ${notionResult}`);
-      } else {
-        console.warn(`[GitHub] Notion record creation failed or not configured`);
-      }
-
-      // Post Claude Code analysis command to Slack thread
-      if (slackResult.success) {
-        const analysisCommand = `npm run analyze-deployment ${deployment_data.deployment_id}`;
-        slackHandler.postThreadUpdate(
-          slackResult.channel,
-          slackResult.thread_ts,
-          `💡 To analyze this deployment with Claude Code, run:\n\`\`\`\n${analysisCommand}\n\`\`\``
-        ).catch(err => {
-          console.error(`[GitHub] Failed to post analysis command to Slack: ${err.message}`);
-        });
-      }
-
-      console.log(`[GitHub] Deployment initiated:`, deployment_data);
-    }).catch(error => {
-      console.error(`[GitHub] Error in async handlers: ${error.message}`);
-    });
+    res.status(200).json(result);
+
+    // Send Slack notification and create/update Notion record in a retried job; the outcome is archived
+    archiveHandler.queueDelivery(delivery_id, task);
 
   } catch (error) {
     console.error(`[GitHub] Error processing webhook: ${error.message}`);
@@ -135,3 +359,5 @@ router.post('/github', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.verifyGitHubSignature = verifyGitHubSignature;
+module.exports.handleEvent = handleEvent;
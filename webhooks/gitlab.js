@@ -0,0 +1,207 @@
+/**
+ * GitLab Webhook Handler
+ * Receives Push, Tag Push and Merge Request hooks, normalizes them and hands them to the
+ * deployment pipeline so GitLab projects get the same Slack, Notion and approval flow as GitHub
+ */
+
+const express = require('express');
+const router = express.Router();
+const deliveriesHandler = require('../handlers/deliveries');
+const pipelineHandler = require('../handlers/pipeline');
+const signaturesHandler = require('../handlers/signatures');
+const archiveHandler = require('../handlers/archive');
+
+// GitLab reports a deleted ref as a push whose "after" is the null SHA
+const NULL_SHA = /^0+$/;
+
+/**
+ * Normalize a GitLab commit for the pipeline
+ * @param {object} commit - Commit from the hook payload
+ * @returns {object} {id, message, author, authorEmail, url, added, modified, removed}
+ */
+function normalizeCommit(commit) {
+  return {
+    id: commit.id,
+    message: commit.message,
+    author: commit.author ? commit.author.name : 'unknown',
+    authorEmail: commit.author ? commit.author.email : undefined,
+    url: commit.url,
+    added: commit.added,
+    modified: commit.modified,
+    removed: commit.removed
+  };
+}
+
+/**
+ * Normalize a Push Hook payload
+ * GitLab does not flag force-pushes, so forced is always false
+ * @param {object} payload - GitLab Push Hook payload
+ * @returns {object} Normalized push for pipelineHandler.handlePush
+ */
+function normalizePush(payload) {
+  const { project, ref, before, after, user_username, user_name, commits = [] } = payload;
+
+  return {
+    forge: 'gitlab',
+    repository: project.path_with_namespace,
+    branch: ref.replace('refs/heads/', ''),
+    before: before,
+    after: after,
+    compareUrl: `${project.web_url}/-/compare/${before}...${after}`,
+    forced: false,
+    deleted: NULL_SHA.test(after),
+    pusher: user_username || user_name,
+    commits: commits.map(normalizeCommit)
+  };
+}
+
+/**
+ * Normalize a Tag Push Hook payload
+ * @param {object} payload - GitLab Tag Push Hook payload
+ * @returns {object} Normalized tag push for pipelineHandler.handleTagPush
+ */
+function normalizeTagPush(payload) {
+  const { project, ref, after, user_username, user_name, commits = [] } = payload;
+
+  return {
+    forge: 'gitlab',
+    repository: project.path_with_namespace,
+    tag: ref.replace('refs/tags/', ''),
+    deleted: NULL_SHA.test(after),
+    headCommit: commits.length > 0 ? normalizeCommit(commits[commits.length - 1]) : null,
+    pusher: user_username || user_name
+  };
+}
+
+/**
+ * Normalize a Merge Request Hook payload
+ * Returns null for actions that don't affect the preview (approvals, title-only updates)
+ * @param {object} payload - GitLab Merge Request Hook payload
+ * @returns {object|null} Normalized pull request for pipelineHandler.handlePullRequest
+ */
+function normalizeMergeRequest(payload) {
+  const { project, object_attributes: mr, user } = payload;
+
+  let action;
+  if (mr.action === 'open') {
+    action = 'opened';
+  } else if (mr.action === 'reopen') {
+    action = 'reopened';
+  } else if (mr.action === 'update' && mr.oldrev) {
+    // oldrev is only present when the update pushed new commits
+    action = 'synchronize';
+  } else if (mr.action === 'close' || mr.action === 'merge') {
+    action = 'closed';
+  } else {
+    return null;
+  }
+
+  const lastCommit = mr.last_commit || {};
+
+  return {
+    forge: 'gitlab',
+    action: action,
+    merged: mr.action === 'merge',
+    repository: project.path_with_namespace,
+    number: mr.iid,
+    title: mr.title,
+    url: mr.url,
+    headRef: mr.source_branch,
+    headSha: lastCommit.id,
+    headUrl: lastCommit.url || `${project.web_url}/-/commit/${lastCommit.id}`,
+    author: lastCommit.author ? lastCommit.author.name : user.username,
+    sender: user.username
+  };
+}
+
+/**
+ * Handle Merge Request Hook
+ * @param {object} payload - GitLab webhook payload
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {object} {result, task} - response body and optional async work
+ */
+function handleMergeRequestHook(payload, deliveryId) {
+  const mergeRequest = normalizeMergeRequest(payload);
+  if (!mergeRequest) {
+    const action = payload.object_attributes.action;
+    console.log(`[GitLab] Ignoring merge request action: ${action}`);
+    return { result: { status: 'ignored', reason: `Merge request action ${action} not tracked` } };
+  }
+
+  return pipelineHandler.handlePullRequest(mergeRequest, deliveryId);
+}
+
+// X-Gitlab-Event -> handler; anything else is acknowledged and ignored
+const eventHandlers = {
+  'Push Hook': (payload, deliveryId) => pipelineHandler.handlePush(normalizePush(payload), deliveryId),
+  'Tag Push Hook': (payload, deliveryId) => pipelineHandler.handleTagPush(normalizeTagPush(payload), deliveryId),
+  'Merge Request Hook': handleMergeRequestHook
+};
+
+// Replays re-run archived deliveries through the same handlers
+archiveHandler.registerProcessor('gitlab', (entry) => {
+  const handler = eventHandlers[entry.event];
+  return handler
+    ? handler(entry.body, entry.deliveryId)
+    : { result: { status: 'ignored', reason: `Event ${entry.event} not handled` } };
+});
+
+router.post('/gitlab', async (req, res) => {
+  try {
+    const secret = process.env.GITLAB_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('[GitLab Webhook] GITLAB_WEBHOOK_SECRET not set, rejecting webhook');
+      return res.status(500).json({ error: 'Webhook secret not configured' });
+    }
+
+    // GitLab sends the configured secret token back as-is
+    const verification = signaturesHandler.verifySecretToken(req.headers['x-gitlab-token'], secret);
+    if (!verification.valid) {
+      console.error(`[GitLab Webhook] ${verification.reason}`);
+      return res.status(401).json({ error: verification.reason });
+    }
+
+    const event = req.headers['x-gitlab-event'];
+    const eventUuid = req.headers['x-gitlab-event-uuid'];
+
+    if (!eventUuid) {
+      console.error('[GitLab Webhook] Missing X-Gitlab-Event-UUID header');
+      return res.status(400).json({ error: 'Missing delivery ID' });
+    }
+
+    // Prefixed so GitLab and GitHub delivery IDs can never collide in the delivery log
+    const delivery_id = `gitlab:${eventUuid}`;
+    archiveHandler.archivePayload(delivery_id, { source: 'gitlab', event, headers: req.headers, body: req.body });
+
+    if (deliveriesHandler.hasSeenDelivery(delivery_id)) {
+      console.warn(`[GitLab Webhook] Duplicate delivery ${delivery_id}, ignoring`);
+      return res.status(200).json({ status: 'ignored', reason: 'Duplicate delivery' });
+    }
+
+    console.log(`[GitLab] Event: ${event}, Project: ${req.body.project?.path_with_namespace}, Ref: ${req.body.ref}`);
+
+    const handler = eventHandlers[event];
+    if (!handler) {
+      console.log(`[GitLab] Ignoring event type: ${event}`);
+      archiveHandler.recordOutcome(delivery_id, 'ignored');
+      return res.status(200).json({ status: 'ignored', reason: `Event ${event} not handled` });
+    }
+
+    const { result, task } = handler(req.body, delivery_id);
+    deliveriesHandler.recordDelivery(delivery_id);
+
+    // Return 200 immediately to GitLab
+    res.status(200).json(result);
+
+    archiveHandler.queueDelivery(delivery_id, task);
+
+  } catch (error) {
+    console.error(`[GitLab] Error processing webhook: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
+module.exports.normalizePush = normalizePush;
+module.exports.normalizeTagPush = normalizeTagPush;
+module.exports.normalizeMergeRequest = normalizeMergeRequest;